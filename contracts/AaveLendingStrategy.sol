@@ -0,0 +1,356 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IYieldStrategy.sol";
+import "./interfaces/IAavePool.sol";
+
+/**
+ * @title AaveLendingStrategy
+ * @dev Adapter strategy that supplies vBTC to an Aave v3 style lending pool
+ * @notice Yield is the interest earned by the pool's aTokens, not a simulated rate
+ *
+ * The strategy holds one pooled aToken position for all users. Each user owns a share of it
+ * recorded the same way Aave records aToken balances: as a scaled balance that is divided
+ * by the pool's liquidity index on supply and multiplied by it on read.
+ *
+ *   user balance = user scaled balance * normalized income / 1e27
+ *
+ * Scaled amounts are measured from the strategy's aToken scaled balance before and after
+ * every pool call, so the adapter inherits the pool's own rounding and can never credit
+ * users with more aTokens than it holds.
+ *
+ * Principal is tracked only to report yield (balance above principal); withdrawals take
+ * principal first, matching DummyLendingStrategy and the StrategyManager's cost basis.
+ * Interest is paid by the pool itself, so there is no reward reserve to fund. The liquidity
+ * index never decreases, so balances cannot fall and there is no loss to report to
+ * StrategyManager.reportLoss().
+ *
+ * Withdrawals are limited by the pool's available liquidity (the vBTC its aToken holds).
+ * When borrowers have taken too much of it, withdrawals are queued with requestWithdraw():
+ * the scaled balance moves to the user's queue, keeps earning pool interest, and claim()
+ * withdraws as much of it as the pool can pay.
+ */
+contract AaveLendingStrategy is IYieldStrategy {
+
+    // Aave ray precision used by the liquidity index
+    uint256 public constant RAY = 1e27;
+
+    // Reference to the vBTC token
+    IERC20 public immutable vaultBTC;
+
+    // Reference to the StrategyManager contract
+    address public immutable strategyManager;
+
+    // Aave v3 style pool that vBTC is supplied to
+    IAavePool public immutable pool;
+
+    // Interest-bearing token the pool mints for supplied vBTC
+    IAToken public immutable aToken;
+
+    // Mapping: user address => scaled aToken balance owned by the user
+    mapping(address => uint256) public scaledBalances;
+
+    // Mapping: user address => principal still supplied (excludes interest)
+    mapping(address => uint256) public principalOf;
+
+    // Mapping: user address => scaled aToken balance queued for withdrawal
+    mapping(address => uint256) public queuedScaled;
+
+    // Sum of all users' scaled balances, queued ones included
+    uint256 public totalScaled;
+
+    // Identifier given to the next withdrawal request
+    uint256 public nextRequestId;
+
+    // Events
+    event StrategyDeposit(address indexed user, uint256 amount, uint256 scaledAmount);
+    event StrategyWithdraw(address indexed user, uint256 amount, uint256 scaledAmount);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 indexed requestId);
+    event WithdrawalClaimed(address indexed user, uint256 amount);
+
+    /**
+     * @dev Constructor sets the vBTC token, StrategyManager and Aave pool addresses
+     * @param _vaultBTC Address of the VaultBTC token
+     * @param _strategyManager Address of the StrategyManager contract
+     * @param _pool Address of the Aave v3 style pool
+     * @param _aToken Address of the pool's aToken for vBTC
+     */
+    constructor(address _vaultBTC, address _strategyManager, address _pool, address _aToken) {
+        require(_vaultBTC != address(0), "Invalid vBTC address");
+        require(_strategyManager != address(0), "Invalid manager address");
+        require(_pool != address(0), "Invalid pool address");
+        require(IAToken(_aToken).UNDERLYING_ASSET_ADDRESS() == _vaultBTC, "aToken asset mismatch");
+
+        vaultBTC = IERC20(_vaultBTC);
+        strategyManager = _strategyManager;
+        pool = IAavePool(_pool);
+        aToken = IAToken(_aToken);
+    }
+
+    /**
+     * @dev Modifier to ensure only StrategyManager can call certain functions
+     */
+    modifier onlyStrategyManager() {
+        require(msg.sender == strategyManager, "Only StrategyManager");
+        _;
+    }
+
+    /**
+     * @dev Supplies vBTC to the pool on behalf of a user
+     * @param user The user making the deposit
+     * @param amount Amount of vBTC to deposit
+     *
+     * Called by StrategyManager when user allocates funds to this strategy
+     */
+    function deposit(address user, uint256 amount) external override onlyStrategyManager {
+        require(amount > 0, "Amount must be > 0");
+
+        // Transfer tokens from StrategyManager to this contract
+        require(vaultBTC.transferFrom(strategyManager, address(this), amount), "Transfer failed");
+
+        // Supply to the pool and credit the user with the scaled aTokens minted
+        uint256 scaledBefore = aToken.scaledBalanceOf(address(this));
+        require(vaultBTC.approve(address(pool), amount), "Approve failed");
+        pool.supply(address(vaultBTC), amount, address(this), 0);
+        uint256 minted = aToken.scaledBalanceOf(address(this)) - scaledBefore;
+
+        scaledBalances[user] += minted;
+        totalScaled += minted;
+        principalOf[user] += amount;
+
+        emit StrategyDeposit(user, amount, minted);
+    }
+
+    /**
+     * @dev Withdraws vBTC from the pool for a user
+     * @param user The user making the withdrawal
+     * @param amount Amount of vBTC to withdraw (up to principal + interest)
+     * @return Amount of vBTC the pool sent to the StrategyManager
+     *
+     * Principal is withdrawn first; only the part beyond principal counts as yield
+     */
+    function withdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256) {
+        require(amount > 0, "Amount must be > 0");
+        require(balanceOf(user) >= amount, "Insufficient balance");
+
+        uint256 principal = principalOf[user];
+        uint256 fromPrincipal = amount < principal ? amount : principal;
+        principalOf[user] = principal - fromPrincipal;
+
+        uint256 received = _withdrawFromPool(user, amount);
+
+        if (amount > fromPrincipal) {
+            emit YieldClaimed(user, amount - fromPrincipal);
+        }
+
+        return received;
+    }
+
+    /**
+     * @dev Withdraws a user's entire position (principal + interest)
+     * @param user The user exiting the strategy
+     * @return Amount of vBTC the pool sent to the StrategyManager
+     *
+     * Any scaled dust left after rounding is dropped from the user's position
+     */
+    function withdrawAll(address user) external override onlyStrategyManager returns (uint256) {
+        uint256 total = balanceOf(user);
+        require(total > 0, "No active position");
+
+        uint256 principal = principalOf[user];
+        principalOf[user] = 0;
+
+        uint256 received = _withdrawFromPool(user, total);
+
+        totalScaled -= scaledBalances[user];
+        scaledBalances[user] = 0;
+
+        if (total > principal) {
+            emit YieldClaimed(user, total - principal);
+        }
+
+        return received;
+    }
+
+    /**
+     * @dev Withdraws a user's interest, leaving principal supplied to the pool
+     * @param user The user claiming yield
+     * @return Amount of yield the pool sent to the StrategyManager
+     */
+    function claimYield(address user) external override onlyStrategyManager returns (uint256) {
+        uint256 yieldAmount = getYield(user);
+        if (yieldAmount == 0) {
+            return 0;
+        }
+
+        uint256 received = _withdrawFromPool(user, yieldAmount);
+
+        emit YieldClaimed(user, received);
+
+        return received;
+    }
+
+    /**
+     * @dev Queues a withdrawal the pool lacks the liquidity to pay now
+     * @param user The user making the request
+     * @param amount Amount of vBTC to withdraw (up to principal + interest)
+     * @return requestId Identifier of the request
+     *
+     * Enough scaled balance to cover the amount (rounded up) is moved into the user's queue
+     */
+    function requestWithdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256 requestId) {
+        require(amount > 0, "Amount must be > 0");
+        require(balanceOf(user) >= amount, "Insufficient balance");
+
+        uint256 scaled = Math.mulDiv(amount, RAY, currentIndex(), Math.Rounding.Ceil);
+        uint256 userScaled = scaledBalances[user];
+        if (scaled > userScaled) {
+            scaled = userScaled;
+        }
+        scaledBalances[user] = userScaled - scaled;
+        queuedScaled[user] += scaled;
+
+        uint256 principal = principalOf[user];
+        principalOf[user] = principal - (amount < principal ? amount : principal);
+
+        requestId = nextRequestId++;
+
+        emit WithdrawalRequested(user, amount, requestId);
+    }
+
+    /**
+     * @dev Withdraws as much of a user's queue as the pool's liquidity allows
+     * @param user The user claiming
+     * @return received Amount of vBTC the pool sent to the StrategyManager
+     *
+     * Scaled dust left by rounding is dropped once the whole queue is paid out
+     */
+    function claim(address user) external override onlyStrategyManager returns (uint256 received) {
+        uint256 scaled = queuedScaled[user];
+        uint256 queued = Math.mulDiv(scaled, currentIndex(), RAY);
+        uint256 amount = queued < availableLiquidity() ? queued : availableLiquidity();
+        if (amount == 0) {
+            return 0;
+        }
+
+        uint256 scaledBefore = aToken.scaledBalanceOf(address(this));
+        received = pool.withdraw(address(vaultBTC), amount, strategyManager);
+        uint256 burned = scaledBefore - aToken.scaledBalanceOf(address(this));
+        if (amount == queued || burned > scaled) {
+            burned = scaled;
+        }
+        queuedScaled[user] = scaled - burned;
+        totalScaled -= burned;
+
+        emit WithdrawalClaimed(user, received);
+    }
+
+    /**
+     * @dev Returns how much a user can withdraw instantly
+     * @param user Address of the user
+     * @return The user's balance, capped by the pool's available liquidity
+     */
+    function maxWithdraw(address user) external view override returns (uint256) {
+        uint256 balance = balanceOf(user);
+        uint256 liquidity = availableLiquidity();
+        return balance < liquidity ? balance : liquidity;
+    }
+
+    /**
+     * @dev Returns the part of a user's queue the pool cannot pay yet
+     * @param user Address of the user
+     */
+    function pendingWithdrawal(address user) external view override returns (uint256) {
+        uint256 queued = Math.mulDiv(queuedScaled[user], currentIndex(), RAY);
+        return queued - claimableWithdrawal(user);
+    }
+
+    /**
+     * @dev Returns the part of a user's queue that claim() would withdraw now
+     * @param user Address of the user
+     */
+    function claimableWithdrawal(address user) public view override returns (uint256) {
+        uint256 queued = Math.mulDiv(queuedScaled[user], currentIndex(), RAY);
+        uint256 liquidity = availableLiquidity();
+        return queued < liquidity ? queued : liquidity;
+    }
+
+    /**
+     * @dev Returns the underlying token this strategy accepts
+     */
+    function asset() external view override returns (address) {
+        return address(vaultBTC);
+    }
+
+    /**
+     * @dev Calculates current yield for a user
+     * @param user Address of the user
+     * @return Interest earned on top of the user's principal
+     */
+    function getYield(address user) public view override returns (uint256) {
+        uint256 balance = balanceOf(user);
+        uint256 principal = principalOf[user];
+        return balance > principal ? balance - principal : 0;
+    }
+
+    /**
+     * @dev Returns total balance for a user (principal + interest)
+     * @param user Address of the user
+     * @return The user's share of the strategy's aToken balance
+     */
+    function balanceOf(address user) public view override returns (uint256) {
+        return Math.mulDiv(scaledBalances[user], currentIndex(), RAY);
+    }
+
+    /**
+     * @dev Get the pool's current liquidity index for vBTC
+     * @return Normalized income in ray
+     */
+    function currentIndex() public view returns (uint256) {
+        return pool.getReserveNormalizedIncome(address(vaultBTC));
+    }
+
+    /**
+     * @dev Get the vBTC the pool can pay out right now
+     * @return Underlying held by the aToken, as on Aave
+     */
+    function availableLiquidity() public view returns (uint256) {
+        return vaultBTC.balanceOf(address(aToken));
+    }
+
+    /**
+     * @dev Get the total vBTC value of the strategy's aToken position
+     * @return aToken balance held by this strategy
+     */
+    function totalAssets() external view returns (uint256) {
+        return aToken.balanceOf(address(this));
+    }
+
+    /**
+     * @dev Withdraws from the pool straight to the StrategyManager and burns the user's scaled balance
+     * @param user The user whose position is reduced
+     * @param amount Amount of vBTC to withdraw
+     * @return received Amount the pool reports as withdrawn
+     *
+     * The user is charged the scaled amount rounded up, or what the pool burned if that is more,
+     * so rounding never shifts onto other users; a charge above the user's balance reverts
+     */
+    function _withdrawFromPool(address user, uint256 amount) internal returns (uint256 received) {
+        uint256 scaledBefore = aToken.scaledBalanceOf(address(this));
+        received = pool.withdraw(address(vaultBTC), amount, strategyManager);
+        uint256 burned = Math.max(
+            scaledBefore - aToken.scaledBalanceOf(address(this)),
+            Math.mulDiv(amount, RAY, currentIndex(), Math.Rounding.Ceil)
+        );
+
+        uint256 userScaled = scaledBalances[user];
+        require(burned <= userScaled, "Insufficient scaled balance");
+        scaledBalances[user] = userScaled - burned;
+        totalScaled -= burned;
+
+        emit StrategyWithdraw(user, received, burned);
+    }
+}
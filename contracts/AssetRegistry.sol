@@ -0,0 +1,205 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./IYieldStrategy.sol";
+import "./StrategyManager.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @title AssetRegistry
+ * @dev Whitelist of underlying assets, each served by its own StrategyManager
+ * @notice Lets the aggregator accept several BTC tokens (vBTC, WBTC, tBTC, ...) side by side
+ *
+ * A StrategyManager handles exactly one asset and only lists strategies tagged with that
+ * asset (IYieldStrategy.asset()), so user balances, fees, caps and strategy accounting stay
+ * separate per asset. The registry maps each whitelisted asset to its manager and aggregates
+ * a user's positions across all of them for frontends.
+ *
+ * Portfolio totals are normalized to 18 decimals and assume every listed asset is a BTC
+ * token worth one BTC, so they should only be used for BTC-pegged assets. Once a price
+ * oracle is set, getPortfolioValueUSD() prices every asset with its own feed instead.
+ *
+ * Like the StrategyManagers it lists, the registry uses roles: asset managers change the
+ * whitelist and the admin sets the price oracle and manages roles.
+ */
+contract AssetRegistry is AccessControl {
+
+    // Role allowed to list and delist assets
+    bytes32 public constant ASSET_MANAGER_ROLE = keccak256("ASSET_MANAGER_ROLE");
+
+    // Precision portfolio totals are normalized to
+    uint8 public constant TOTAL_DECIMALS = 18;
+
+    // A user's position in one asset
+    struct AssetPosition {
+        address asset;              // Underlying token
+        address manager;            // StrategyManager for the asset
+        uint256 idle;               // Unallocated balance in the manager
+        uint256 allocated;          // Principal allocated to strategies
+        uint256 strategyBalance;    // Value in strategies, net of manager fees
+        uint256 queuedWithdrawals;  // Value waiting in strategy withdrawal queues
+    }
+
+    // Whitelisted assets in listing order
+    address[] private assets;
+
+    // Mapping: asset address => StrategyManager for that asset (zero = not listed)
+    mapping(address => address) public managers;
+
+    // Oracle used to value portfolios in USD (zero until the admin sets one)
+    PriceOracle public priceOracle;
+
+    // Events
+    event AssetAdded(address indexed asset, address indexed manager);
+    event AssetRemoved(address indexed asset);
+    event PriceOracleUpdated(address indexed oracle);
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ASSET_MANAGER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Whitelists an asset and the StrategyManager that handles it
+     * @param asset Address of the underlying token
+     * @param manager Address of a StrategyManager deployed for `asset`
+     */
+    function addAsset(address asset, address manager) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(asset != address(0), "Invalid asset address");
+        require(managers[asset] == address(0), "Asset already listed");
+        require(address(StrategyManager(manager).vaultBTC()) == asset, "Manager asset mismatch");
+
+        assets.push(asset);
+        managers[asset] = manager;
+
+        emit AssetAdded(asset, manager);
+    }
+
+    /**
+     * @dev Removes an asset from the whitelist
+     * @param asset Address of the underlying token
+     *
+     * The asset's StrategyManager keeps working; it is only dropped from the registry's views
+     */
+    function removeAsset(address asset) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(managers[asset] != address(0), "Asset not listed");
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i] == asset) {
+                assets[i] = assets[assets.length - 1];
+                assets.pop();
+                break;
+            }
+        }
+        delete managers[asset];
+
+        emit AssetRemoved(asset);
+    }
+
+    /**
+     * @dev Sets the oracle used to value portfolios in USD
+     * @param oracle Address of the PriceOracle (zero disables USD views)
+     */
+    function setPriceOracle(address oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        priceOracle = PriceOracle(oracle);
+
+        emit PriceOracleUpdated(oracle);
+    }
+
+    /**
+     * @dev Checks whether an asset is whitelisted
+     * @param asset Address of the underlying token
+     */
+    function isAssetSupported(address asset) external view returns (bool) {
+        return managers[asset] != address(0);
+    }
+
+    /**
+     * @dev Returns all whitelisted assets
+     */
+    function getAssets() external view returns (address[] memory) {
+        return assets;
+    }
+
+    /**
+     * @dev Returns the strategies that accept an asset
+     * @param asset Address of the underlying token
+     * @return Strategies approved in the asset's StrategyManager
+     */
+    function getStrategiesForAsset(address asset) external view returns (address[] memory) {
+        require(managers[asset] != address(0), "Asset not listed");
+        return StrategyManager(managers[asset]).getAllStrategies();
+    }
+
+    /**
+     * @dev Gets a user's position in one asset
+     * @param user Address of the user
+     * @param asset Address of the underlying token
+     * @return position Balances in the asset's own decimals
+     */
+    function getAssetPosition(address user, address asset) public view returns (AssetPosition memory position) {
+        StrategyManager manager = StrategyManager(managers[asset]);
+        require(address(manager) != address(0), "Asset not listed");
+
+        position.asset = asset;
+        position.manager = address(manager);
+        position.idle = manager.userBalances(user);
+
+        address[] memory strategies = manager.getAllStrategies();
+        for (uint256 i = 0; i < strategies.length; i++) {
+            address strategy = strategies[i];
+            position.allocated += manager.userStrategyAllocations(user, strategy);
+            position.strategyBalance += manager.getNetStrategyBalance(user, strategy);
+            position.queuedWithdrawals += IYieldStrategy(strategy).pendingWithdrawal(user) +
+                IYieldStrategy(strategy).claimableWithdrawal(user);
+        }
+    }
+
+    /**
+     * @dev Gets a user's positions across every whitelisted asset
+     * @param user Address of the user
+     * @return positions One entry per asset, in each asset's own decimals
+     * @return totalValue Sum of idle, strategy and queued balances across assets, in 18 decimals
+     */
+    function getPortfolio(address user) external view returns (AssetPosition[] memory positions, uint256 totalValue) {
+        positions = new AssetPosition[](assets.length);
+        for (uint256 i = 0; i < assets.length; i++) {
+            AssetPosition memory position = getAssetPosition(user, assets[i]);
+            positions[i] = position;
+            totalValue += _normalize(
+                assets[i],
+                position.idle + position.strategyBalance + position.queuedWithdrawals
+            );
+        }
+    }
+
+    /**
+     * @dev Gets the USD value of a user's positions across every whitelisted asset
+     * @param user Address of the user
+     * @return totalUSD Sum of idle, strategy and queued balances priced by the oracle, in 18 decimals
+     */
+    function getPortfolioValueUSD(address user) external view returns (uint256 totalUSD) {
+        require(address(priceOracle) != address(0), "Price oracle not set");
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            AssetPosition memory position = getAssetPosition(user, assets[i]);
+            totalUSD += priceOracle.getValueUSD(
+                assets[i],
+                position.idle + position.strategyBalance + position.queuedWithdrawals
+            );
+        }
+    }
+
+    /**
+     * @dev Scales an amount of `asset` to TOTAL_DECIMALS
+     */
+    function _normalize(address asset, uint256 amount) internal view returns (uint256) {
+        uint8 decimals = IERC20Metadata(asset).decimals();
+        if (decimals <= TOTAL_DECIMALS) {
+            return amount * 10 ** (TOTAL_DECIMALS - decimals);
+        }
+        return amount / 10 ** (decimals - TOTAL_DECIMALS);
+    }
+}
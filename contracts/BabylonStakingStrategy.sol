@@ -0,0 +1,323 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IUnbondingStrategy.sol";
+import "./interfaces/IBabylonStaking.sol";
+import "./StrategyManager.sol";
+
+/**
+ * @title BabylonStakingStrategy
+ * @dev Adapter strategy that stakes vBTC in a Babylon-style staking pool
+ * @notice Staked vBTC earns epoch rewards but can only leave through the pool's unbonding queue
+ *
+ * The strategy holds one stake for all users and records each user's share of it:
+ *
+ *   user balance = shares * pool.totalStaked() / pool.totalShares()
+ *
+ * Rewards are restaked by the pool, so they raise every balance and are realized when the
+ * position is withdrawn; claimYield() always returns zero. Slashing lowers every balance
+ * the same way, including stake that is already unbonding. Once slashing takes the stake
+ * below the principal the StrategyManager has allocated to it, anyone can call
+ * reportSlashing() to report the difference through StrategyManager.reportLoss().
+ *
+ * Withdrawals are two-step (see IUnbondingStrategy): requestWithdraw() unbonds enough pool
+ * shares to cover the amount and queues the pool's request for the user; claim() withdraws
+ * every queued request whose unbonding period has ended, oldest first. The instant
+ * withdraw() and withdrawAll() always revert.
+ */
+contract BabylonStakingStrategy is IUnbondingStrategy, ERC165 {
+
+    // Reference to the vBTC token
+    IERC20 public immutable vaultBTC;
+
+    // Reference to the StrategyManager contract
+    address public immutable strategyManager;
+
+    // Babylon-style staking pool
+    IBabylonStaking public immutable staking;
+
+    // Mapping: user address => staking pool shares owned by the user
+    mapping(address => uint256) public shares;
+
+    // Mapping: user address => principal still staked (excludes rewards)
+    mapping(address => uint256) public principalOf;
+
+    // Sum of all users' pool shares
+    uint256 public totalShares;
+
+    // Unbonding request queued for a user
+    struct WithdrawalRequest {
+        uint256 stakingRequestId;
+        uint256 releaseTime;
+    }
+
+    // Mapping: user address => unbonding requests in the order they were made
+    mapping(address => WithdrawalRequest[]) private withdrawalRequests;
+
+    // Mapping: user address => index of the user's oldest unclaimed request
+    mapping(address => uint256) public nextClaimIndex;
+
+    // Events
+    event StrategyDeposit(address indexed user, uint256 amount, uint256 shares);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 indexed requestId, uint256 releaseTime);
+    event WithdrawalClaimed(address indexed user, uint256 amount);
+    event SlashingReported(uint256 loss);
+
+    /**
+     * @dev Constructor sets the vBTC token, StrategyManager and staking pool addresses
+     * @param _vaultBTC Address of the VaultBTC token
+     * @param _strategyManager Address of the StrategyManager contract
+     * @param _staking Address of the staking pool
+     */
+    constructor(address _vaultBTC, address _strategyManager, address _staking) {
+        require(_vaultBTC != address(0), "Invalid vBTC address");
+        require(_strategyManager != address(0), "Invalid manager address");
+        require(_staking != address(0), "Invalid staking address");
+
+        vaultBTC = IERC20(_vaultBTC);
+        strategyManager = _strategyManager;
+        staking = IBabylonStaking(_staking);
+    }
+
+    /**
+     * @dev Modifier to ensure only StrategyManager can call certain functions
+     */
+    modifier onlyStrategyManager() {
+        require(msg.sender == strategyManager, "Only StrategyManager");
+        _;
+    }
+
+    /**
+     * @dev Reports IUnbondingStrategy support so the StrategyManager uses request/claim withdrawals
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == type(IUnbondingStrategy).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Stakes vBTC on behalf of a user
+     * @param user The user making the deposit
+     * @param amount Amount of vBTC to deposit
+     *
+     * Called by StrategyManager when user allocates funds to this strategy
+     */
+    function deposit(address user, uint256 amount) external override onlyStrategyManager {
+        require(amount > 0, "Amount must be > 0");
+
+        // Transfer tokens from StrategyManager to this contract
+        require(vaultBTC.transferFrom(strategyManager, address(this), amount), "Transfer failed");
+
+        // Stake and credit the user with the pool shares minted
+        require(vaultBTC.approve(address(staking), amount), "Approve failed");
+        uint256 minted = staking.stake(amount);
+
+        shares[user] += minted;
+        totalShares += minted;
+        principalOf[user] += amount;
+
+        emit StrategyDeposit(user, amount, minted);
+    }
+
+    /**
+     * @dev Staked funds cannot be withdrawn instantly; use requestWithdraw() and claim()
+     */
+    function withdraw(address, uint256) external pure override returns (uint256) {
+        revert("Unbonding required");
+    }
+
+    /**
+     * @dev Staked funds cannot be withdrawn instantly; use requestWithdraw() and claim()
+     */
+    function withdrawAll(address) external pure override returns (uint256) {
+        revert("Unbonding required");
+    }
+
+    /**
+     * @dev Nothing can be withdrawn instantly from the staking pool
+     * @return Always zero
+     */
+    function maxWithdraw(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev Rewards are restaked by the pool, so there is never separately claimable yield
+     * @return Always zero
+     */
+    function claimYield(address) external view override onlyStrategyManager returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev Starts unbonding part of a user's stake
+     * @param user The user making the request
+     * @param amount Amount of vBTC to unbond (up to principal + rewards)
+     * @return requestId Staking pool identifier of the unbonding request
+     *
+     * Enough pool shares are unbonded to cover the amount (rounded up), so the request can be
+     * worth a wei more than asked. Principal is unbonded first, as with instant withdrawals
+     */
+    function requestWithdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256 requestId) {
+        require(amount > 0, "Amount must be > 0");
+        require(balanceOf(user) >= amount, "Insufficient balance");
+
+        uint256 poolShares = Math.mulDiv(amount, staking.totalShares(), staking.totalStaked(), Math.Rounding.Ceil);
+        if (poolShares > shares[user]) {
+            poolShares = shares[user];
+        }
+        shares[user] -= poolShares;
+        totalShares -= poolShares;
+
+        uint256 principal = principalOf[user];
+        principalOf[user] = principal - (amount < principal ? amount : principal);
+
+        requestId = staking.unbond(poolShares);
+        uint256 releaseTime = staking.unbondingReleaseTime(requestId);
+        withdrawalRequests[user].push(WithdrawalRequest(requestId, releaseTime));
+
+        emit WithdrawalRequested(user, amount, requestId, releaseTime);
+    }
+
+    /**
+     * @dev Withdraws a user's finished unbonding requests and sends the vBTC to the StrategyManager
+     * @param user The user claiming
+     * @return claimed Amount of vBTC transferred (zero if nothing has finished unbonding)
+     *
+     * Requests are claimed oldest first and the first one still unbonding stops the loop
+     */
+    function claim(address user) external override onlyStrategyManager returns (uint256 claimed) {
+        WithdrawalRequest[] storage requests = withdrawalRequests[user];
+        uint256 index = nextClaimIndex[user];
+
+        while (index < requests.length && requests[index].releaseTime <= block.timestamp) {
+            claimed += staking.withdrawUnbonded(requests[index].stakingRequestId);
+            index++;
+        }
+        nextClaimIndex[user] = index;
+
+        if (claimed > 0) {
+            require(vaultBTC.transfer(strategyManager, claimed), "Transfer failed");
+        }
+
+        emit WithdrawalClaimed(user, claimed);
+    }
+
+    /**
+     * @dev Reports the principal lost to slashing to the StrategyManager
+     * @return loss Amount by which the strategy's stake fell short of its allocated principal
+     *
+     * Rewards earned before the slash absorb it first, so only a stake worth less than the
+     * manager's allocation is a loss. The manager marks allocations down to the stake's value,
+     * so calling this again reports nothing until the next slash
+     */
+    function reportSlashing() external returns (uint256 loss) {
+        uint256 allocated = StrategyManager(strategyManager).strategyAllocated(address(this));
+        uint256 staked = totalBalance();
+        require(staked < allocated, "No loss to report");
+
+        loss = allocated - staked;
+        StrategyManager(strategyManager).reportLoss(loss);
+
+        emit SlashingReported(loss);
+    }
+
+    /**
+     * @dev Returns the value of a user's requests that are still unbonding
+     * @param user Address of the user
+     * @return Current value (after any slashing) of requests not yet released
+     */
+    function pendingWithdrawal(address user) external view override returns (uint256) {
+        (uint256 pending, ) = _unbondingValues(user);
+        return pending;
+    }
+
+    /**
+     * @dev Returns the value of a user's requests that have finished unbonding
+     * @param user Address of the user
+     * @return Amount claim() would pay out now
+     */
+    function claimableWithdrawal(address user) external view override returns (uint256) {
+        (, uint256 claimable) = _unbondingValues(user);
+        return claimable;
+    }
+
+    /**
+     * @dev Returns the staking pool's unbonding period
+     */
+    function unbondingPeriod() external view override returns (uint256) {
+        return staking.unbondingPeriod();
+    }
+
+    /**
+     * @dev Returns a user's unbonding requests, including ones already claimed
+     * @param user Address of the user
+     * @return Array of requests in the order they were made
+     */
+    function getWithdrawalRequests(address user) external view returns (WithdrawalRequest[] memory) {
+        return withdrawalRequests[user];
+    }
+
+    /**
+     * @dev Returns the underlying token this strategy accepts
+     */
+    function asset() external view override returns (address) {
+        return address(vaultBTC);
+    }
+
+    /**
+     * @dev Calculates current yield for a user
+     * @param user Address of the user
+     * @return Staking rewards earned above the user's principal (net of slashing)
+     */
+    function getYield(address user) public view override returns (uint256) {
+        uint256 balance = balanceOf(user);
+        uint256 principal = principalOf[user];
+        return balance > principal ? balance - principal : 0;
+    }
+
+    /**
+     * @dev Returns total staked balance for a user (principal + rewards), excluding unbonding requests
+     * @param user Address of the user
+     * @return The user's share of the strategy's stake
+     */
+    function balanceOf(address user) public view override returns (uint256) {
+        uint256 poolShares = staking.totalShares();
+        if (poolShares == 0) {
+            return 0;
+        }
+        return Math.mulDiv(shares[user], staking.totalStaked(), poolShares);
+    }
+
+    /**
+     * @dev Returns the value of every user's stake, excluding unbonding requests
+     * @return The strategy's share of the staking pool
+     */
+    function totalBalance() public view returns (uint256) {
+        uint256 poolShares = staking.totalShares();
+        if (poolShares == 0) {
+            return 0;
+        }
+        return Math.mulDiv(totalShares, staking.totalStaked(), poolShares);
+    }
+
+    /**
+     * @dev Sums a user's unclaimed requests by whether they have finished unbonding
+     * @param user Address of the user
+     * @return pending Value of requests still unbonding
+     * @return claimable Value of requests that can be claimed now
+     */
+    function _unbondingValues(address user) internal view returns (uint256 pending, uint256 claimable) {
+        WithdrawalRequest[] storage requests = withdrawalRequests[user];
+        for (uint256 i = nextClaimIndex[user]; i < requests.length; i++) {
+            uint256 value = staking.unbondingValue(requests[i].stakingRequestId);
+            if (requests[i].releaseTime <= block.timestamp) {
+                claimable += value;
+            } else {
+                pending += value;
+            }
+        }
+    }
+}
@@ -0,0 +1,278 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./VaultBTC.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title BridgeMintGateway
+ * @dev Mints vBTC against BTC deposits attested by a set of bridge signers
+ * @notice Meant to be the only holder of VaultBTC's MINTER_ROLE, so every vBTC is tied to a BTC deposit
+ *
+ * A mint needs EIP-712 signatures from at least `threshold` of the registered attesters over
+ * (recipient, amount, btcTxid, deadline). Each BTC deposit txid can be minted once. Two more
+ * checks cap the damage if attester keys are compromised:
+ * - At most `epochMintLimit` vBTC can be minted per `epochDuration` seconds
+ * - A proof-of-reserve feed reports the BTC held by the bridge, and a mint that would push
+ *   vBTC supply above it reverts, as does a stale or non-positive reserve answer
+ */
+contract BridgeMintGateway is Ownable, EIP712 {
+
+    bytes32 public constant MINT_TYPEHASH =
+        keccak256("Mint(address recipient,uint256 amount,bytes32 btcTxid,uint256 deadline)");
+
+    // Token minted by the gateway
+    VaultBTC public immutable vaultBTC;
+
+    // Bridge signers
+    address[] private attesters;
+    mapping(address => bool) public isAttester;
+
+    // Number of attester signatures a mint needs
+    uint256 public threshold;
+
+    // Mapping: BTC deposit txid => whether it has been minted
+    mapping(bytes32 => bool) public processedTxids;
+
+    // Rate limit: at most epochMintLimit minted per epochDuration seconds
+    uint256 public epochDuration;
+    uint256 public epochMintLimit;
+
+    // Mapping: epoch index (timestamp / epochDuration) => amount minted in it
+    mapping(uint256 => uint256) public mintedInEpoch;
+
+    // Proof-of-reserve feed reporting the BTC backing vBTC, and the maximum age of its answer
+    AggregatorV3Interface public reserveFeed;
+    uint256 public reserveHeartbeat;
+
+    // Events
+    event AttesterAdded(address indexed attester);
+    event AttesterRemoved(address indexed attester);
+    event ThresholdUpdated(uint256 threshold);
+    event RateLimitUpdated(uint256 epochDuration, uint256 epochMintLimit);
+    event ReserveFeedUpdated(address indexed feed, uint256 heartbeat);
+    event BridgeMint(address indexed recipient, uint256 amount, bytes32 indexed btcTxid);
+
+    /**
+     * @param _vaultBTC Address of the VaultBTC token (the gateway needs its MINTER_ROLE)
+     * @param _attesters Initial bridge signers
+     * @param _threshold Signatures required per mint
+     * @param _reserveFeed Proof-of-reserve feed
+     * @param _reserveHeartbeat Maximum age of a reserve answer in seconds
+     * @param _epochDuration Length of a rate-limit epoch in seconds
+     * @param _epochMintLimit Maximum amount minted per epoch
+     */
+    constructor(
+        address _vaultBTC,
+        address[] memory _attesters,
+        uint256 _threshold,
+        address _reserveFeed,
+        uint256 _reserveHeartbeat,
+        uint256 _epochDuration,
+        uint256 _epochMintLimit
+    ) Ownable(msg.sender) EIP712("BridgeMintGateway", "1") {
+        require(_vaultBTC != address(0), "Invalid VaultBTC address");
+        vaultBTC = VaultBTC(_vaultBTC);
+
+        for (uint256 i = 0; i < _attesters.length; i++) {
+            _addAttester(_attesters[i]);
+        }
+        _setThreshold(_threshold);
+        _setReserveFeed(_reserveFeed, _reserveHeartbeat);
+        _setRateLimit(_epochDuration, _epochMintLimit);
+    }
+
+    /**
+     * @dev Mints vBTC for a BTC deposit signed off by the attesters
+     * @param recipient Address receiving the vBTC
+     * @param amount Amount to mint (in wei)
+     * @param btcTxid Txid of the BTC deposit backing the mint
+     * @param deadline Timestamp after which the signatures are no longer valid
+     * @param signatures Attester signatures, ordered by ascending signer address
+     *
+     * Anyone can submit a mint once it is signed; the signatures fix every parameter
+     */
+    function mint(
+        address recipient,
+        uint256 amount,
+        bytes32 btcTxid,
+        uint256 deadline,
+        bytes[] calldata signatures
+    ) external {
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be > 0");
+        require(block.timestamp <= deadline, "Signatures expired");
+        require(!processedTxids[btcTxid], "Deposit already minted");
+
+        _verifySignatures(
+            _hashTypedDataV4(keccak256(abi.encode(MINT_TYPEHASH, recipient, amount, btcTxid, deadline))),
+            signatures
+        );
+
+        uint256 epoch = block.timestamp / epochDuration;
+        require(mintedInEpoch[epoch] + amount <= epochMintLimit, "Epoch mint limit exceeded");
+        require(vaultBTC.totalSupply() + amount <= getReserves(), "Reserves exceeded");
+
+        processedTxids[btcTxid] = true;
+        mintedInEpoch[epoch] += amount;
+
+        vaultBTC.mint(recipient, amount);
+
+        emit BridgeMint(recipient, amount, btcTxid);
+    }
+
+    /**
+     * @dev Registers a bridge signer
+     * @param attester Address of the signer
+     */
+    function addAttester(address attester) external onlyOwner {
+        _addAttester(attester);
+    }
+
+    /**
+     * @dev Removes a bridge signer
+     * @param attester Address of the signer
+     *
+     * Reverts if the remaining attesters could no longer reach the threshold
+     */
+    function removeAttester(address attester) external onlyOwner {
+        require(isAttester[attester], "Not an attester");
+        require(attesters.length > threshold, "Threshold exceeds attesters");
+
+        for (uint256 i = 0; i < attesters.length; i++) {
+            if (attesters[i] == attester) {
+                attesters[i] = attesters[attesters.length - 1];
+                attesters.pop();
+                break;
+            }
+        }
+        isAttester[attester] = false;
+
+        emit AttesterRemoved(attester);
+    }
+
+    /**
+     * @dev Sets the number of signatures a mint needs
+     * @param _threshold New threshold (between 1 and the number of attesters)
+     */
+    function setThreshold(uint256 _threshold) external onlyOwner {
+        _setThreshold(_threshold);
+    }
+
+    /**
+     * @dev Sets the per-epoch mint limit
+     * @param _epochDuration Length of an epoch in seconds
+     * @param _epochMintLimit Maximum amount minted per epoch
+     *
+     * Changing the duration renumbers epochs, so amounts minted before the change
+     * only count again if an old epoch index comes back around
+     */
+    function setRateLimit(uint256 _epochDuration, uint256 _epochMintLimit) external onlyOwner {
+        _setRateLimit(_epochDuration, _epochMintLimit);
+    }
+
+    /**
+     * @dev Sets the proof-of-reserve feed
+     * @param feed Feed reporting the BTC backing vBTC
+     * @param heartbeat Maximum age of a reserve answer in seconds
+     */
+    function setReserveFeed(address feed, uint256 heartbeat) external onlyOwner {
+        _setReserveFeed(feed, heartbeat);
+    }
+
+    /**
+     * @dev Returns all bridge signers
+     */
+    function getAttesters() external view returns (address[] memory) {
+        return attesters;
+    }
+
+    /**
+     * @dev Gets the reserves reported by the proof-of-reserve feed
+     * @return Reserves scaled to vBTC decimals
+     *
+     * Reverts if the answer is non-positive or older than the heartbeat
+     */
+    function getReserves() public view returns (uint256) {
+        (, int256 answer, , uint256 updatedAt, ) = reserveFeed.latestRoundData();
+        require(answer > 0, "Invalid reserve answer");
+        require(block.timestamp - updatedAt <= reserveHeartbeat, "Reserve feed stale");
+
+        uint8 feedDecimals = reserveFeed.decimals();
+        uint8 tokenDecimals = vaultBTC.decimals();
+        if (feedDecimals <= tokenDecimals) {
+            return uint256(answer) * 10 ** (tokenDecimals - feedDecimals);
+        }
+        return uint256(answer) / 10 ** (feedDecimals - tokenDecimals);
+    }
+
+    /**
+     * @dev Gets how much can still be minted in the current epoch
+     */
+    function remainingEpochMint() external view returns (uint256) {
+        uint256 minted = mintedInEpoch[block.timestamp / epochDuration];
+        return minted >= epochMintLimit ? 0 : epochMintLimit - minted;
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator attesters sign under
+     */
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Checks that `signatures` hold at least `threshold` distinct attester signatures over `digest`
+     *
+     * Signers must be in ascending address order, which rules out counting one signer twice
+     */
+    function _verifySignatures(bytes32 digest, bytes[] calldata signatures) internal view {
+        require(signatures.length >= threshold, "Not enough signatures");
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isAttester[signer], "Invalid attester signature");
+            require(signer > lastSigner, "Signers not in ascending order");
+            lastSigner = signer;
+        }
+    }
+
+    function _addAttester(address attester) internal {
+        require(attester != address(0), "Invalid attester address");
+        require(!isAttester[attester], "Attester already added");
+
+        attesters.push(attester);
+        isAttester[attester] = true;
+
+        emit AttesterAdded(attester);
+    }
+
+    function _setThreshold(uint256 _threshold) internal {
+        require(_threshold > 0 && _threshold <= attesters.length, "Invalid threshold");
+        threshold = _threshold;
+
+        emit ThresholdUpdated(_threshold);
+    }
+
+    function _setRateLimit(uint256 _epochDuration, uint256 _epochMintLimit) internal {
+        require(_epochDuration > 0, "Invalid epoch duration");
+        epochDuration = _epochDuration;
+        epochMintLimit = _epochMintLimit;
+
+        emit RateLimitUpdated(_epochDuration, _epochMintLimit);
+    }
+
+    function _setReserveFeed(address feed, uint256 heartbeat) internal {
+        require(feed != address(0), "Invalid feed address");
+        require(heartbeat > 0, "Invalid heartbeat");
+        reserveFeed = AggregatorV3Interface(feed);
+        reserveHeartbeat = heartbeat;
+
+        emit ReserveFeedUpdated(feed, heartbeat);
+    }
+}
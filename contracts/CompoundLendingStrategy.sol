@@ -0,0 +1,349 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IYieldStrategy.sol";
+import "./interfaces/ICToken.sol";
+
+/**
+ * @title CompoundLendingStrategy
+ * @dev Adapter strategy that supplies vBTC to a Compound v2 style cToken market
+ * @notice Yield comes from the cToken exchange rate rising over time
+ *
+ * The strategy holds cTokens for all users and records how many belong to each one.
+ * A user's balance is their cToken shares valued at the exchange rate:
+ *
+ *   user balance = shares * exchangeRate / 1e18
+ *
+ * Views use exchangeRateStored(), so they reflect interest up to the market's last accrual.
+ * Every deposit and withdrawal calls exchangeRateCurrent() first, so payouts always use
+ * the up-to-date rate.
+ *
+ * Rounding always favours the users who stay in the strategy:
+ * - deposits are credited with the cTokens the market actually minted (rounded down);
+ *   a deposit too small to mint a single cToken reverts instead of being lost
+ * - withdrawals redeem enough whole cTokens to cover the amount (rounded up), so the
+ *   manager may receive up to one cToken's worth more than requested, paid by the user
+ * - yield claims redeem only whole cTokens covered by the yield (rounded down)
+ * Redeeming an exact cToken count (rather than redeemUnderlying) keeps the cTokens burned
+ * under the strategy's control, independent of how the market rounds.
+ *
+ * Withdrawals are limited by the market's cash. When borrowers have taken too much of it,
+ * withdrawals are queued with requestWithdraw(): the cTokens move to the user's queue, keep
+ * earning interest, and claim() redeems as many of them as the market's cash covers.
+ */
+contract CompoundLendingStrategy is IYieldStrategy {
+
+    // Exchange rate precision used by Compound
+    uint256 public constant EXCHANGE_RATE_SCALE = 1e18;
+
+    // Reference to the vBTC token
+    IERC20 public immutable vaultBTC;
+
+    // Reference to the StrategyManager contract
+    address public immutable strategyManager;
+
+    // Compound v2 style market for vBTC
+    ICToken public immutable cToken;
+
+    // Mapping: user address => cTokens owned by the user
+    mapping(address => uint256) public shares;
+
+    // Mapping: user address => principal still supplied (excludes interest)
+    mapping(address => uint256) public principalOf;
+
+    // Mapping: user address => cTokens queued for withdrawal
+    mapping(address => uint256) public queuedShares;
+
+    // Sum of all users' cToken shares, queued ones included
+    uint256 public totalShares;
+
+    // Identifier given to the next withdrawal request
+    uint256 public nextRequestId;
+
+    // Events
+    event StrategyDeposit(address indexed user, uint256 amount, uint256 cTokens);
+    event StrategyWithdraw(address indexed user, uint256 amount, uint256 cTokens);
+    event YieldClaimed(address indexed user, uint256 amount);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 indexed requestId);
+    event WithdrawalClaimed(address indexed user, uint256 amount);
+
+    /**
+     * @dev Constructor sets the vBTC token, StrategyManager and cToken addresses
+     * @param _vaultBTC Address of the VaultBTC token
+     * @param _strategyManager Address of the StrategyManager contract
+     * @param _cToken Address of the cToken market for vBTC
+     */
+    constructor(address _vaultBTC, address _strategyManager, address _cToken) {
+        require(_vaultBTC != address(0), "Invalid vBTC address");
+        require(_strategyManager != address(0), "Invalid manager address");
+        require(ICToken(_cToken).underlying() == _vaultBTC, "cToken asset mismatch");
+
+        vaultBTC = IERC20(_vaultBTC);
+        strategyManager = _strategyManager;
+        cToken = ICToken(_cToken);
+    }
+
+    /**
+     * @dev Modifier to ensure only StrategyManager can call certain functions
+     */
+    modifier onlyStrategyManager() {
+        require(msg.sender == strategyManager, "Only StrategyManager");
+        _;
+    }
+
+    /**
+     * @dev Supplies vBTC to the cToken market on behalf of a user
+     * @param user The user making the deposit
+     * @param amount Amount of vBTC to deposit
+     *
+     * Called by StrategyManager when user allocates funds to this strategy
+     */
+    function deposit(address user, uint256 amount) external override onlyStrategyManager {
+        require(amount > 0, "Amount must be > 0");
+
+        // Transfer tokens from StrategyManager to this contract
+        require(vaultBTC.transferFrom(strategyManager, address(this), amount), "Transfer failed");
+
+        // Mint cTokens and credit the user with exactly what the market minted
+        uint256 cTokensBefore = cToken.balanceOf(address(this));
+        require(vaultBTC.approve(address(cToken), amount), "Approve failed");
+        require(cToken.mint(amount) == 0, "cToken mint failed");
+        uint256 minted = cToken.balanceOf(address(this)) - cTokensBefore;
+        require(minted > 0, "Deposit too small");
+
+        shares[user] += minted;
+        totalShares += minted;
+        principalOf[user] += amount;
+
+        emit StrategyDeposit(user, amount, minted);
+    }
+
+    /**
+     * @dev Withdraws at least `amount` of vBTC from the market for a user
+     * @param user The user making the withdrawal
+     * @param amount Amount of vBTC to withdraw (up to principal + interest)
+     * @return Amount of vBTC transferred to the StrategyManager
+     *
+     * Principal is withdrawn first; only the part beyond principal counts as yield
+     */
+    function withdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256) {
+        require(amount > 0, "Amount must be > 0");
+
+        uint256 rate = cToken.exchangeRateCurrent();
+        uint256 cTokens = Math.mulDiv(amount, EXCHANGE_RATE_SCALE, rate, Math.Rounding.Ceil);
+        require(cTokens <= shares[user], "Insufficient balance");
+
+        uint256 principal = principalOf[user];
+        uint256 fromPrincipal = amount < principal ? amount : principal;
+        principalOf[user] = principal - fromPrincipal;
+
+        uint256 received = _redeem(user, cTokens);
+
+        if (received > fromPrincipal) {
+            emit YieldClaimed(user, received - fromPrincipal);
+        }
+
+        return received;
+    }
+
+    /**
+     * @dev Redeems all of a user's cTokens (principal + interest)
+     * @param user The user exiting the strategy
+     * @return Amount of vBTC transferred to the StrategyManager
+     */
+    function withdrawAll(address user) external override onlyStrategyManager returns (uint256) {
+        uint256 cTokens = shares[user];
+        require(cTokens > 0, "No active position");
+
+        uint256 principal = principalOf[user];
+        principalOf[user] = 0;
+
+        uint256 received = _redeem(user, cTokens);
+
+        if (received > principal) {
+            emit YieldClaimed(user, received - principal);
+        }
+
+        return received;
+    }
+
+    /**
+     * @dev Redeems the whole cTokens covered by a user's interest, leaving principal supplied
+     * @param user The user claiming yield
+     * @return Amount of yield transferred to the StrategyManager
+     *
+     * Interest worth less than one cToken stays in the position until it grows
+     */
+    function claimYield(address user) external override onlyStrategyManager returns (uint256) {
+        uint256 rate = cToken.exchangeRateCurrent();
+        uint256 balance = Math.mulDiv(shares[user], rate, EXCHANGE_RATE_SCALE);
+        uint256 principal = principalOf[user];
+        if (balance <= principal) {
+            return 0;
+        }
+
+        uint256 cTokens = Math.mulDiv(balance - principal, EXCHANGE_RATE_SCALE, rate);
+        if (cTokens == 0) {
+            return 0;
+        }
+
+        uint256 received = _redeem(user, cTokens);
+
+        emit YieldClaimed(user, received);
+
+        return received;
+    }
+
+    /**
+     * @dev Queues a withdrawal the market lacks the cash to pay now
+     * @param user The user making the request
+     * @param amount Amount of vBTC to withdraw (up to principal + interest)
+     * @return requestId Identifier of the request
+     *
+     * Enough cTokens to cover the amount (rounded up) are moved into the user's queue
+     */
+    function requestWithdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256 requestId) {
+        require(amount > 0, "Amount must be > 0");
+
+        uint256 cTokens = Math.mulDiv(amount, EXCHANGE_RATE_SCALE, cToken.exchangeRateCurrent(), Math.Rounding.Ceil);
+        require(cTokens <= shares[user], "Insufficient balance");
+
+        shares[user] -= cTokens;
+        queuedShares[user] += cTokens;
+
+        uint256 principal = principalOf[user];
+        principalOf[user] = principal - (amount < principal ? amount : principal);
+
+        requestId = nextRequestId++;
+
+        emit WithdrawalRequested(user, amount, requestId);
+    }
+
+    /**
+     * @dev Redeems as many of a user's queued cTokens as the market's cash covers
+     * @param user The user claiming
+     * @return received Amount of vBTC transferred to the StrategyManager
+     */
+    function claim(address user) external override onlyStrategyManager returns (uint256 received) {
+        uint256 queued = queuedShares[user];
+        uint256 cTokens = _claimableShares(queued, cToken.exchangeRateCurrent());
+        if (cTokens == 0) {
+            return 0;
+        }
+
+        queuedShares[user] = queued - cTokens;
+        totalShares -= cTokens;
+        received = _redeemToManager(cTokens);
+
+        emit WithdrawalClaimed(user, received);
+    }
+
+    /**
+     * @dev Returns how much a user can withdraw instantly
+     * @param user Address of the user
+     * @return The user's balance, capped by the market's cash
+     */
+    function maxWithdraw(address user) external view override returns (uint256) {
+        uint256 balance = balanceOf(user);
+        uint256 cash = cToken.getCash();
+        return balance < cash ? balance : cash;
+    }
+
+    /**
+     * @dev Returns the value of a user's queued cTokens the market cannot redeem yet
+     * @param user Address of the user
+     */
+    function pendingWithdrawal(address user) external view override returns (uint256) {
+        uint256 queued = queuedShares[user];
+        uint256 rate = cToken.exchangeRateStored();
+        return Math.mulDiv(queued - _claimableShares(queued, rate), rate, EXCHANGE_RATE_SCALE);
+    }
+
+    /**
+     * @dev Returns the value of the queued cTokens that claim() would redeem now
+     * @param user Address of the user
+     */
+    function claimableWithdrawal(address user) external view override returns (uint256) {
+        uint256 rate = cToken.exchangeRateStored();
+        return Math.mulDiv(_claimableShares(queuedShares[user], rate), rate, EXCHANGE_RATE_SCALE);
+    }
+
+    /**
+     * @dev Returns the underlying token this strategy accepts
+     */
+    function asset() external view override returns (address) {
+        return address(vaultBTC);
+    }
+
+    /**
+     * @dev Calculates current yield for a user
+     * @param user Address of the user
+     * @return Interest earned above the user's principal, as of the market's last accrual
+     */
+    function getYield(address user) public view override returns (uint256) {
+        uint256 balance = balanceOf(user);
+        uint256 principal = principalOf[user];
+        return balance > principal ? balance - principal : 0;
+    }
+
+    /**
+     * @dev Returns total balance for a user (principal + interest)
+     * @param user Address of the user
+     * @return The user's cToken shares valued at the stored exchange rate
+     */
+    function balanceOf(address user) public view override returns (uint256) {
+        return Math.mulDiv(shares[user], cToken.exchangeRateStored(), EXCHANGE_RATE_SCALE);
+    }
+
+    /**
+     * @dev Get the total vBTC value of the strategy's cTokens
+     * @return Underlying value at the stored exchange rate
+     */
+    function totalAssets() external view returns (uint256) {
+        return Math.mulDiv(cToken.balanceOf(address(this)), cToken.exchangeRateStored(), EXCHANGE_RATE_SCALE);
+    }
+
+    /**
+     * @dev Redeems cTokens from a user's position and forwards the vBTC to the StrategyManager
+     * @param user The user whose position is reduced
+     * @param cTokens Number of cTokens to redeem
+     * @return received Amount of vBTC the market paid out
+     */
+    function _redeem(address user, uint256 cTokens) internal returns (uint256 received) {
+        shares[user] -= cTokens;
+        totalShares -= cTokens;
+
+        received = _redeemToManager(cTokens);
+
+        emit StrategyWithdraw(user, received, cTokens);
+    }
+
+    /**
+     * @dev Redeems cTokens and forwards the vBTC the market paid out to the StrategyManager
+     * @param cTokens Number of cTokens to redeem
+     * @return received Amount of vBTC forwarded
+     */
+    function _redeemToManager(uint256 cTokens) internal returns (uint256 received) {
+        uint256 balanceBefore = vaultBTC.balanceOf(address(this));
+        require(cToken.redeem(cTokens) == 0, "cToken redeem failed");
+        received = vaultBTC.balanceOf(address(this)) - balanceBefore;
+
+        require(vaultBTC.transfer(strategyManager, received), "Transfer failed");
+    }
+
+    /**
+     * @dev Number of queued cTokens the market's cash can redeem at `rate`
+     * @param queued cTokens queued for withdrawal
+     * @param rate Exchange rate to value them at
+     * @return All queued cTokens if the cash covers them, otherwise as many whole cTokens as it does
+     */
+    function _claimableShares(uint256 queued, uint256 rate) internal view returns (uint256) {
+        uint256 cash = cToken.getCash();
+        if (Math.mulDiv(queued, rate, EXCHANGE_RATE_SCALE) <= cash) {
+            return queued;
+        }
+        return Math.mulDiv(cash, EXCHANGE_RATE_SCALE, rate);
+    }
+}
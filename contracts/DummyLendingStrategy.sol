@@ -2,20 +2,41 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "./IYieldStrategy.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165.sol";
+import "./ICompoundingStrategy.sol";
 
 /**
  * @title DummyLendingStrategy
- * @dev A simulated lending strategy that generates yield based on blocks elapsed
- * @notice This strategy simulates a lending protocol by accruing 0.1% yield per block
+ * @dev A simulated lending strategy that generates yield based on time elapsed
+ * @notice This strategy simulates a lending protocol by accruing an APR on deposited principal
  * 
  * DISCLAIMER: This is a demo/testing contract only. Real yield strategies would integrate
  * with actual DeFi protocols like Aave, Compound, or Yearn.
  * 
- * The yield calculation is simple: 0.1% of the deposited amount per block since deposit.
- * This allows for easy testing and demonstration of the yield aggregator concept.
+ * The APR follows an owner-configurable utilization curve like a real lending market:
+ * a base rate plus slope1 per unit of utilization up to the kink, and slope2 beyond it.
+ * Utilization is simulated borrow demand (set by the owner) divided by total principal.
+ * Yield accrues per second through a global yield index, so rate changes only apply
+ * from the moment they are made.
+ * 
+ * Yield is paid out of a reward reserve that the owner funds with vBTC. Whenever yield is
+ * realized (claimed, compounded, or checkpointed) it is moved out of the reserve, and any
+ * amount the reserve cannot cover is forfeited. This keeps the strategy solvent: every vBTC
+ * it owes to users is actually held by the contract.
+ * 
+ * The owner can also set a liquidity limit to simulate funds that are lent out. Instant
+ * withdrawals and claims use it up; withdrawals beyond it are queued with requestWithdraw()
+ * and paid by claim() once the owner raises the limit again (simulated repayments).
+ * Queued withdrawals are served before new instant withdrawals and stop earning yield.
+ * Requests share the liquidity first come, first served: as liquidity becomes available a
+ * queue cursor releases it to the oldest requests, and claim() pays what was released.
+ * 
+ * Yield only earns more yield once it is compounded into principal. Users can compound their
+ * own position with compoundYield(), and the StrategyManager's keepers compound every position
+ * through compound() (see ICompoundingStrategy).
  */
-contract DummyLendingStrategy is IYieldStrategy {
+contract DummyLendingStrategy is ICompoundingStrategy, ERC165, Ownable {
     
     // Reference to the vBTC token
     IERC20 public immutable vaultBTC;
@@ -23,36 +44,121 @@ contract DummyLendingStrategy is IYieldStrategy {
     // Reference to the StrategyManager (only it can call deposit/withdraw)
     address public immutable strategyManager;
     
-    // Yield rate: 0.1% per block = 10 basis points = 10/10000
-    uint256 public constant YIELD_RATE_PER_BLOCK = 10;
+    // Rates and utilization are expressed in basis points (10000 = 100%)
     uint256 public constant RATE_DENOMINATOR = 10000;
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+    
+    // Highest APR the rate model may reach at 100% utilization
+    uint256 public constant MAX_RATE = 10000;
+    
+    // Precision of the yield index (yield per unit of principal)
+    uint256 private constant INDEX_PRECISION = 1e18;
+    
+    // Utilization curve parameters (APR in basis points)
+    struct RateModel {
+        uint256 baseRate;    // APR at 0% utilization
+        uint256 slope1;      // APR added per 100% utilization below the kink
+        uint256 slope2;      // APR added per 100% utilization above the kink
+        uint256 kink;        // Utilization where slope2 takes over
+    }
     
     // Struct to track each user's position
     struct UserPosition {
         uint256 depositedAmount;     // Principal amount deposited
-        uint256 depositBlock;         // Block number when deposit was made
-        uint256 lastWithdrawBlock;    // Last block when yield was withdrawn/compounded
+        uint256 depositTime;          // Timestamp when deposit was made
+        uint256 lastAccrualTime;      // Last time yield was checkpointed/compounded
+        uint256 yieldIndex;           // Global yield index at the last checkpoint
+        uint256 accruedYield;         // Yield checkpointed on withdrawal but not yet claimed
     }
     
+    // Current utilization curve
+    RateModel public rateModel;
+    
+    // Simulated amount borrowed from the strategy, drives utilization
+    uint256 public totalBorrowed;
+    
+    // Cumulative yield per unit of principal since deployment (scaled by 1e18)
+    uint256 public yieldIndex;
+    
+    // Timestamp yieldIndex was last brought up to date
+    uint256 public lastIndexUpdate;
+    
     // Mapping: user address => their position details
     mapping(address => UserPosition) public positions;
     
+    // vBTC set aside by the owner to pay yield (not owed to any user yet)
+    uint256 public rewardReserve;
+    
+    // Sum of all users' depositedAmount
+    uint256 public totalPrincipal;
+    
+    // Sum of all users' accruedYield (already moved out of the reserve)
+    uint256 public totalAccruedYield;
+    
+    // Sum of depositedAmount * position yieldIndex over all users, used to compute
+    // the aggregate unrealized yield without iterating positions
+    uint256 private principalIndexSum;
+    
+    // vBTC that can still be paid out (type(uint256).max = unlimited)
+    uint256 public liquidityLimit;
+    
+    // Mapping: user address => vBTC queued for withdrawal and not yet claimed
+    mapping(address => uint256) public queuedWithdrawals;
+    
+    // Sum of all users' queuedWithdrawals
+    uint256 public totalQueued;
+    
+    // Part of a withdrawal request still waiting in the queue for liquidity
+    struct QueuedWithdrawal {
+        address user;
+        uint256 amount;     // Not yet released to the user
+    }
+    
+    // Withdrawal requests in the order they were made
+    QueuedWithdrawal[] private withdrawalQueue;
+    
+    // Index of the oldest request that is not fully released
+    uint256 public queueHead;
+    
+    // Mapping: user address => queued vBTC released by the liquidity limit and ready to claim
+    mapping(address => uint256) public releasedWithdrawals;
+    
+    // Sum of all users' releasedWithdrawals (liquidity set aside for claims)
+    uint256 public totalReleased;
+    
+    // Identifier given to the next withdrawal request
+    uint256 public nextRequestId;
+    
     // Events
     event StrategyDeposit(address indexed user, uint256 amount, uint256 blockNumber);
     event StrategyWithdraw(address indexed user, uint256 amount, uint256 blockNumber);
-    event YieldCalculated(address indexed user, uint256 yieldAmount, uint256 blockDelta);
+    event YieldCalculated(address indexed user, uint256 yieldAmount, uint256 timeElapsed);
+    event YieldClaimed(address indexed user, uint256 amount, uint256 blockNumber);
+    event ReserveFunded(address indexed funder, uint256 amount);
+    event ReserveWithdrawn(address indexed to, uint256 amount);
+    event YieldShortfall(address indexed user, uint256 earned, uint256 paid);
+    event RateModelUpdated(uint256 baseRate, uint256 slope1, uint256 slope2, uint256 kink);
+    event TotalBorrowedUpdated(uint256 totalBorrowed);
+    event LiquidityLimitUpdated(uint256 liquidityLimit);
+    event WithdrawalRequested(address indexed user, uint256 amount, uint256 indexed requestId);
+    event WithdrawalClaimed(address indexed user, uint256 amount);
     
     /**
      * @dev Constructor sets the vBTC token and StrategyManager addresses
      * @param _vaultBTC Address of the VaultBTC token
      * @param _strategyManager Address of the StrategyManager contract
      */
-    constructor(address _vaultBTC, address _strategyManager) {
+    constructor(address _vaultBTC, address _strategyManager) Ownable(msg.sender) {
         require(_vaultBTC != address(0), "Invalid vBTC address");
         require(_strategyManager != address(0), "Invalid manager address");
         
         vaultBTC = IERC20(_vaultBTC);
         strategyManager = _strategyManager;
+        
+        // Start with a flat 5% APR
+        rateModel = RateModel(500, 0, 0, RATE_DENOMINATOR);
+        lastIndexUpdate = block.timestamp;
+        liquidityLimit = type(uint256).max;
     }
     
     /**
@@ -63,6 +169,90 @@ contract DummyLendingStrategy is IYieldStrategy {
         _;
     }
     
+    /**
+     * @dev Reports ICompoundingStrategy through ERC-165
+     */
+    function supportsInterface(bytes4 interfaceId) public view override returns (bool) {
+        return interfaceId == type(ICompoundingStrategy).interfaceId || super.supportsInterface(interfaceId);
+    }
+    
+    /**
+     * @dev Adds vBTC to the reward reserve that backs simulated yield
+     * @param amount Amount of vBTC to add
+     * 
+     * Owner must approve this contract to spend their vBTC first
+     */
+    function fundReserve(uint256 amount) external onlyOwner {
+        require(amount > 0, "Amount must be > 0");
+        
+        require(vaultBTC.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+        rewardReserve += amount;
+        
+        emit ReserveFunded(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Returns unused reserve vBTC to the owner
+     * @param amount Amount of vBTC to withdraw
+     * 
+     * Only the part of the reserve not already owed as unrealized yield can be withdrawn
+     */
+    function withdrawReserve(uint256 amount) external onlyOwner {
+        require(amount > 0, "Amount must be > 0");
+        require(amount + pendingYieldLiability() <= rewardReserve, "Reserve committed to accrued yield");
+        
+        rewardReserve -= amount;
+        require(vaultBTC.transfer(msg.sender, amount), "Transfer failed");
+        
+        emit ReserveWithdrawn(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Updates the utilization curve
+     * @param baseRate APR at 0% utilization (basis points)
+     * @param slope1 APR added per 100% utilization up to the kink (basis points)
+     * @param slope2 APR added per 100% utilization beyond the kink (basis points)
+     * @param kink Utilization where slope2 takes over (basis points)
+     * 
+     * Yield up to now is accrued at the old rate before the new curve applies
+     */
+    function setRateModel(uint256 baseRate, uint256 slope1, uint256 slope2, uint256 kink) external onlyOwner {
+        require(kink <= RATE_DENOMINATOR, "Kink exceeds 100%");
+        uint256 maxRate = baseRate + (slope1 * kink + slope2 * (RATE_DENOMINATOR - kink)) / RATE_DENOMINATOR;
+        require(maxRate <= MAX_RATE, "Rate exceeds maximum");
+        
+        _accrueIndex();
+        rateModel = RateModel(baseRate, slope1, slope2, kink);
+        
+        emit RateModelUpdated(baseRate, slope1, slope2, kink);
+    }
+    
+    /**
+     * @dev Sets the simulated borrow demand that drives utilization
+     * @param amount Amount of vBTC considered borrowed from the strategy
+     */
+    function setTotalBorrowed(uint256 amount) external onlyOwner {
+        _accrueIndex();
+        totalBorrowed = amount;
+        
+        emit TotalBorrowedUpdated(amount);
+    }
+    
+    /**
+     * @dev Sets how much vBTC the strategy can still pay out
+     * @param limit Liquidity available for withdrawals and claims (type(uint256).max = unlimited)
+     * 
+     * Lowering the limit simulates borrowers taking liquidity, raising it simulates repayments
+     * Liquidity already released to queued withdrawals stays set aside, so the limit cannot go below it
+     */
+    function setLiquidityLimit(uint256 limit) external onlyOwner {
+        require(limit >= totalReleased, "Limit below released withdrawals");
+        liquidityLimit = limit;
+        _releaseQueued();
+        
+        emit LiquidityLimitUpdated(limit);
+    }
+    
     /**
      * @dev Deposits vBTC into this strategy for a user
      * @param user The user making the deposit
@@ -78,19 +268,15 @@ contract DummyLendingStrategy is IYieldStrategy {
         
         UserPosition storage position = positions[user];
         
-        // If user already has a deposit, we need to handle existing yield
-        if (position.depositedAmount > 0) {
-            // Calculate existing yield and add it to the principal
-            uint256 existingYield = _calculateYield(user);
-            position.depositedAmount += existingYield;
-        }
-        
-        // Add new deposit to principal
-        position.depositedAmount += amount;
+        // Realize existing yield and add it to the principal along with the new deposit
+        _checkpointYield(user);
+        uint256 existingYield = position.accruedYield;
+        position.accruedYield = 0;
+        totalAccruedYield -= existingYield;
+        _setPrincipal(position, position.depositedAmount + existingYield + amount);
         
-        // Update the deposit block to current block
-        position.depositBlock = block.number;
-        position.lastWithdrawBlock = block.number;
+        // Update the deposit time to now
+        position.depositTime = block.timestamp;
         
         emit StrategyDeposit(user, amount, block.number);
     }
@@ -98,61 +284,274 @@ contract DummyLendingStrategy is IYieldStrategy {
     /**
      * @dev Withdraws vBTC from this strategy for a user
      * @param user The user making the withdrawal
-     * @param amount Amount of vBTC to withdraw (not including yield)
+     * @param amount Amount of vBTC to withdraw (up to principal + yield)
+     * @return Amount of vBTC transferred back to the StrategyManager
      * 
      * Called by StrategyManager when user withdraws from this strategy
-     * This withdraws principal only; yield stays in the strategy
+     * Principal is withdrawn first; yield earned so far is checkpointed into
+     * accruedYield and only paid out for the part of amount beyond the principal
      */
-    function withdraw(address user, uint256 amount) external override onlyStrategyManager {
-        require(amount > 0, "Amount must be > 0");
+    function withdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256) {
+        (uint256 fromPrincipal, uint256 fromYield) = _reducePosition(user, amount);
+        require(amount <= _instantLiquidity(), "Insufficient liquidity");
+        _useLiquidity(amount);
         
+        // Transfer tokens back to StrategyManager
+        require(vaultBTC.transfer(strategyManager, amount), "Transfer failed");
+        
+        emit StrategyWithdraw(user, fromPrincipal, block.number);
+        if (fromYield > 0) {
+            emit YieldClaimed(user, fromYield, block.number);
+        }
+        
+        return amount;
+    }
+    
+    /**
+     * @dev Withdraws a user's entire position (principal + all unclaimed yield)
+     * @param user The user exiting the strategy
+     * @return Amount of vBTC transferred back to the StrategyManager
+     * 
+     * Called by StrategyManager when user withdraws everything from this strategy
+     * Yield is capped at what the reward reserve can cover
+     * Reverts if the liquidity limit cannot cover the whole position
+     */
+    function withdrawAll(address user) external override onlyStrategyManager returns (uint256) {
         UserPosition storage position = positions[user];
-        require(position.depositedAmount >= amount, "Insufficient deposit");
         
-        // Decrease deposited amount
-        position.depositedAmount -= amount;
+        _checkpointYield(user);
         
-        // Transfer tokens back to StrategyManager
-        require(vaultBTC.transfer(strategyManager, amount), "Transfer failed");
+        uint256 principal = position.depositedAmount;
+        uint256 yieldAmount = position.accruedYield;
+        uint256 total = principal + yieldAmount;
+        require(total > 0, "No active position");
+        require(total <= _instantLiquidity(), "Insufficient liquidity");
+        _useLiquidity(total);
+        
+        // Close out the position
+        position.accruedYield = 0;
+        totalAccruedYield -= yieldAmount;
+        _setPrincipal(position, 0);
+        
+        // Transfer principal + yield back to StrategyManager
+        require(vaultBTC.transfer(strategyManager, total), "Transfer failed");
+        
+        emit StrategyWithdraw(user, principal, block.number);
+        if (yieldAmount > 0) {
+            emit YieldClaimed(user, yieldAmount, block.number);
+        }
+        
+        return total;
+    }
+    
+    /**
+     * @dev Pays out a user's unclaimed yield, leaving principal in the strategy
+     * @param user The user claiming yield
+     * @return Amount of yield transferred back to the StrategyManager
+     * 
+     * Called by StrategyManager when user harvests yield
+     * Yield is capped at what the reward reserve can cover
+     */
+    function claimYield(address user) external override onlyStrategyManager returns (uint256) {
+        UserPosition storage position = positions[user];
         
-        // Update last withdraw block
-        position.lastWithdrawBlock = block.number;
+        _checkpointYield(user);
         
-        emit StrategyWithdraw(user, amount, block.number);
+        uint256 yieldAmount = position.accruedYield;
+        if (yieldAmount == 0) {
+            return 0;
+        }
+        
+        // Reset the yield tracking
+        position.accruedYield = 0;
+        totalAccruedYield -= yieldAmount;
+        
+        // Transfer yield to StrategyManager
+        require(vaultBTC.transfer(strategyManager, yieldAmount), "Transfer failed");
+        
+        emit YieldClaimed(user, yieldAmount, block.number);
+        
+        return yieldAmount;
+    }
+    
+    /**
+     * @dev Queues a withdrawal for a user when the liquidity limit cannot cover it
+     * @param user The user making the request
+     * @param amount Amount of vBTC to withdraw (up to principal + yield)
+     * @return requestId Identifier of the request
+     * 
+     * The amount is taken out of the position (principal first) and stops earning yield
+     */
+    function requestWithdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256 requestId) {
+        _reducePosition(user, amount);
+        
+        queuedWithdrawals[user] += amount;
+        totalQueued += amount;
+        withdrawalQueue.push(QueuedWithdrawal(user, amount));
+        _releaseQueued();
+        requestId = nextRequestId++;
+        
+        emit WithdrawalRequested(user, amount, requestId);
+    }
+    
+    /**
+     * @dev Pays out the part of a user's queued withdrawals that has been released to them
+     * @param user The user claiming
+     * @return amount Amount of vBTC transferred back to the StrategyManager
+     */
+    function claim(address user) external override onlyStrategyManager returns (uint256 amount) {
+        amount = releasedWithdrawals[user];
+        if (amount == 0) {
+            return 0;
+        }
+        
+        releasedWithdrawals[user] = 0;
+        totalReleased -= amount;
+        queuedWithdrawals[user] -= amount;
+        totalQueued -= amount;
+        _useLiquidity(amount);
+        
+        require(vaultBTC.transfer(strategyManager, amount), "Transfer failed");
+        
+        emit WithdrawalClaimed(user, amount);
+    }
+    
+    /**
+     * @dev Returns how much a user can withdraw instantly
+     * @param user Address of the user
+     * @return The user's balance, capped by liquidity not already owed to queued withdrawals
+     */
+    function maxWithdraw(address user) external view override returns (uint256) {
+        uint256 balance = balanceOf(user);
+        uint256 liquidity = _instantLiquidity();
+        return balance < liquidity ? balance : liquidity;
+    }
+    
+    /**
+     * @dev Returns the part of a user's queued withdrawals still waiting for liquidity
+     * @param user Address of the user
+     */
+    function pendingWithdrawal(address user) external view override returns (uint256) {
+        return queuedWithdrawals[user] - releasedWithdrawals[user];
+    }
+    
+    /**
+     * @dev Returns the part of a user's queued withdrawals that claim() would pay now
+     * @param user Address of the user
+     */
+    function claimableWithdrawal(address user) external view override returns (uint256) {
+        return releasedWithdrawals[user];
+    }
+    
+    /**
+     * @dev Returns the underlying token this strategy accepts
+     */
+    function asset() external view override returns (address) {
+        return address(vaultBTC);
     }
     
     /**
      * @dev Calculates current yield for a user
      * @param user Address of the user
-     * @return The amount of yield earned since last interaction
+     * @return The amount of unclaimed yield (checkpointed + accrued since last interaction)
      * 
-     * Formula: yield = principal * (blocks elapsed) * (0.1% per block)
-     * This is a pure calculation based on the current block number
+     * Formula: yield = principal * (yield index now - yield index at last checkpoint)
+     * The index grows by APR * seconds elapsed / seconds per year
+     * The unrealized part is capped at the reward reserve, the most a checkpoint would pay out
      */
     function getYield(address user) external view override returns (uint256) {
-        return _calculateYield(user);
+        return positions[user].accruedYield + _unrealizedYield(user);
     }
     
     /**
      * @dev Returns total balance for a user (principal + yield)
      * @param user Address of the user
-     * @return Total balance including yield
+     * @return Total balance including yield, with unrealized yield capped at the reward reserve
+     *
+     * The cap keeps the reported balance withdrawable in full (liquidity permitting)
      */
-    function balanceOf(address user) external view override returns (uint256) {
+    function balanceOf(address user) public view override returns (uint256) {
         UserPosition memory position = positions[user];
-        uint256 currentYield = _calculateYield(user);
+        uint256 currentYield = position.accruedYield + _unrealizedYield(user);
         return position.depositedAmount + currentYield;
     }
     
+    /**
+     * @dev Aggregate yield accrued by all users that has not been realized from the reserve yet
+     * @return Total unrealized yield owed across all positions
+     */
+    function pendingYieldLiability() public view returns (uint256) {
+        return (totalPrincipal * _currentIndex() - principalIndexSum) / INDEX_PRECISION;
+    }
+    
+    /**
+     * @dev Share of total principal that is (simulated as) borrowed
+     * @return Utilization in basis points, capped at 100%
+     */
+    function utilization() public view returns (uint256) {
+        if (totalPrincipal == 0) {
+            return 0;
+        }
+        if (totalBorrowed >= totalPrincipal) {
+            return RATE_DENOMINATOR;
+        }
+        return (totalBorrowed * RATE_DENOMINATOR) / totalPrincipal;
+    }
+    
+    /**
+     * @dev APR currently paid to depositors according to the utilization curve
+     * @return APR in basis points
+     */
+    function currentRate() public view returns (uint256) {
+        RateModel memory model = rateModel;
+        uint256 util = utilization();
+        
+        if (util <= model.kink) {
+            return model.baseRate + (model.slope1 * util) / RATE_DENOMINATOR;
+        }
+        
+        return model.baseRate
+            + (model.slope1 * model.kink) / RATE_DENOMINATOR
+            + (model.slope2 * (util - model.kink)) / RATE_DENOMINATOR;
+    }
+    
+    /**
+     * @dev Amount by which unrealized yield exceeds the reward reserve
+     * @return Shortfall in vBTC (zero while the reserve covers all accrued yield)
+     * 
+     * A non-zero value means some users will be paid less yield than their positions accrued
+     */
+    function reserveShortfall() external view returns (uint256) {
+        uint256 liability = pendingYieldLiability();
+        return liability > rewardReserve ? liability - rewardReserve : 0;
+    }
+    
+    /**
+     * @dev Number of seconds until the reward reserve is exhausted at the current accrual rate
+     * @return Seconds of runway (type(uint256).max if nothing is accruing)
+     */
+    function reserveRunway() external view returns (uint256) {
+        uint256 liability = pendingYieldLiability();
+        if (liability >= rewardReserve) {
+            return 0;
+        }
+        
+        uint256 yearlyRate = totalPrincipal * currentRate();
+        if (yearlyRate == 0) {
+            return type(uint256).max;
+        }
+        
+        return ((rewardReserve - liability) * RATE_DENOMINATOR * SECONDS_PER_YEAR) / yearlyRate;
+    }
+    
     /**
      * @dev Internal function to calculate yield
      * @param user Address of the user
      * @return Calculated yield amount
      * 
      * This is the core yield calculation logic:
-     * - Get blocks elapsed since deposit
-     * - Multiply principal by blocks elapsed
-     * - Apply 0.1% per block rate
+     * - Get the growth of the yield index since the position's last checkpoint
+     * - Multiply principal by that growth
      */
     function _calculateYield(address user) internal view returns (uint256) {
         UserPosition memory position = positions[user];
@@ -161,18 +560,149 @@ contract DummyLendingStrategy is IYieldStrategy {
             return 0;
         }
         
-        // Calculate blocks elapsed since last interaction
-        uint256 blockDelta = block.number - position.lastWithdrawBlock;
+        // yield = depositedAmount * (current index - position index) / INDEX_PRECISION
+        return (position.depositedAmount * (_currentIndex() - position.yieldIndex)) / INDEX_PRECISION;
+    }
+    
+    /**
+     * @dev Unrealized yield of a position as far as the reward reserve can pay it
+     * @param user Address of the user
+     * @return What _checkpointYield() would move into the position's accruedYield now
+     */
+    function _unrealizedYield(address user) internal view returns (uint256) {
+        uint256 earned = _calculateYield(user);
+        return earned > rewardReserve ? rewardReserve : earned;
+    }
+    
+    /**
+     * @dev Yield index including accrual since the last update
+     * @return Current yield per unit of principal (scaled by 1e18)
+     */
+    function _currentIndex() internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - lastIndexUpdate;
+        return yieldIndex + (currentRate() * elapsed * INDEX_PRECISION) / (RATE_DENOMINATOR * SECONDS_PER_YEAR);
+    }
+    
+    /**
+     * @dev Brings the yield index up to date at the current rate
+     * 
+     * Must run before anything that changes the rate (principal, borrows or the rate model)
+     */
+    function _accrueIndex() internal {
+        yieldIndex = _currentIndex();
+        lastIndexUpdate = block.timestamp;
+    }
+    
+    /**
+     * @dev Moves a user's unrealized yield out of the reserve into their accruedYield
+     * @param user Address of the user
+     * 
+     * Yield beyond what the reserve holds is forfeited and reported via YieldShortfall
+     * Also restarts the user's accrual window at the current yield index
+     */
+    function _checkpointYield(address user) internal {
+        UserPosition storage position = positions[user];
         
-        if (blockDelta == 0) {
-            return 0;
+        _accrueIndex();
+        uint256 earned = _calculateYield(user);
+        uint256 paid = earned > rewardReserve ? rewardReserve : earned;
+        if (paid < earned) {
+            emit YieldShortfall(user, earned, paid);
         }
         
-        // Calculate yield: principal * blocks * rate
-        // yield = (depositedAmount * blockDelta * YIELD_RATE_PER_BLOCK) / RATE_DENOMINATOR
-        uint256 yieldAmount = (position.depositedAmount * blockDelta * YIELD_RATE_PER_BLOCK) / RATE_DENOMINATOR;
+        rewardReserve -= paid;
+        position.accruedYield += paid;
+        totalAccruedYield += paid;
         
-        return yieldAmount;
+        // Restart the accrual window for this position
+        principalIndexSum = principalIndexSum
+            - position.depositedAmount * position.yieldIndex
+            + position.depositedAmount * yieldIndex;
+        position.yieldIndex = yieldIndex;
+        position.lastAccrualTime = block.timestamp;
+    }
+    
+    /**
+     * @dev Takes `amount` out of a user's position, principal first, then checkpointed yield
+     * @param user Address of the user
+     * @param amount Amount of vBTC to remove (up to principal + yield)
+     * @return fromPrincipal Part of the amount taken from principal
+     * @return fromYield Part of the amount taken from yield
+     */
+    function _reducePosition(address user, uint256 amount) internal returns (uint256 fromPrincipal, uint256 fromYield) {
+        require(amount > 0, "Amount must be > 0");
+        
+        UserPosition storage position = positions[user];
+        
+        // Checkpoint yield earned on the old principal before it shrinks
+        _checkpointYield(user);
+        
+        uint256 principal = position.depositedAmount;
+        require(principal + position.accruedYield >= amount, "Insufficient balance");
+        
+        fromPrincipal = amount < principal ? amount : principal;
+        fromYield = amount - fromPrincipal;
+        _setPrincipal(position, principal - fromPrincipal);
+        if (fromYield > 0) {
+            position.accruedYield -= fromYield;
+            totalAccruedYield -= fromYield;
+        }
+    }
+    
+    /**
+     * @dev Liquidity left for instant withdrawals once queued withdrawals are served
+     * @return Amount of vBTC that can be withdrawn instantly
+     */
+    function _instantLiquidity() internal view returns (uint256) {
+        return liquidityLimit > totalQueued ? liquidityLimit - totalQueued : 0;
+    }
+    
+    /**
+     * @dev Releases liquidity not yet set aside to the oldest queued withdrawals
+     * 
+     * Each request is visited until it is fully released, so the cursor only moves forward
+     */
+    function _releaseQueued() internal {
+        uint256 available = liquidityLimit - totalReleased;
+        uint256 head = queueHead;
+        
+        while (available > 0 && head < withdrawalQueue.length) {
+            QueuedWithdrawal storage request = withdrawalQueue[head];
+            uint256 released = request.amount < available ? request.amount : available;
+            
+            request.amount -= released;
+            releasedWithdrawals[request.user] += released;
+            totalReleased += released;
+            available -= released;
+            
+            if (request.amount == 0) {
+                head++;
+            }
+        }
+        queueHead = head;
+    }
+    
+    /**
+     * @dev Lowers the liquidity limit by an amount paid out (unless it is unlimited)
+     * @param amount Amount of vBTC paid out
+     */
+    function _useLiquidity(uint256 amount) internal {
+        if (liquidityLimit != type(uint256).max) {
+            liquidityLimit -= amount;
+        }
+    }
+    
+    /**
+     * @dev Updates a checkpointed position's principal and the aggregate totals
+     * @param position The position to update (must be checkpointed in this transaction)
+     * @param newPrincipal The new principal amount
+     */
+    function _setPrincipal(UserPosition storage position, uint256 newPrincipal) internal {
+        totalPrincipal = totalPrincipal - position.depositedAmount + newPrincipal;
+        principalIndexSum = principalIndexSum
+            - position.depositedAmount * yieldIndex
+            + newPrincipal * yieldIndex;
+        position.depositedAmount = newPrincipal;
     }
     
     /**
@@ -182,41 +712,67 @@ contract DummyLendingStrategy is IYieldStrategy {
      * to benefit from compound interest
      */
     function compoundYield() external {
-        UserPosition storage position = positions[msg.sender];
-        require(position.depositedAmount > 0, "No active position");
+        require(positions[msg.sender].depositedAmount > 0, "No active position");
+        require(_compound(msg.sender) > 0, "No yield to compound");
+    }
+    
+    /**
+     * @dev Compounds a user's yield into their principal on behalf of the StrategyManager
+     * @param user The user whose position is compounded
+     * @return Amount of yield compounded (zero for closed positions or when there is no yield)
+     * 
+     * Called by StrategyManager keepers for every open position, so it never reverts for lack of yield
+     */
+    function compound(address user) external override onlyStrategyManager returns (uint256) {
+        if (positions[user].depositedAmount == 0) {
+            return 0;
+        }
+        return _compound(user);
+    }
+    
+    /**
+     * @dev Checkpoints a user's yield and moves all of their accrued yield into principal
+     * @param user Address of the user
+     * @return yieldAmount Amount of yield compounded
+     */
+    function _compound(address user) internal returns (uint256 yieldAmount) {
+        UserPosition storage position = positions[user];
         
-        uint256 yieldAmount = _calculateYield(msg.sender);
-        require(yieldAmount > 0, "No yield to compound");
+        _checkpointYield(user);
         
-        // Add yield to principal
-        position.depositedAmount += yieldAmount;
+        yieldAmount = position.accruedYield;
+        if (yieldAmount == 0) {
+            return 0;
+        }
         
-        // Reset the yield tracking
-        position.lastWithdrawBlock = block.number;
+        // Add yield to principal
+        position.accruedYield = 0;
+        totalAccruedYield -= yieldAmount;
+        _setPrincipal(position, position.depositedAmount + yieldAmount);
         
-        emit YieldCalculated(msg.sender, yieldAmount, block.number - position.depositBlock);
+        emit YieldCalculated(user, yieldAmount, block.timestamp - position.depositTime);
     }
     
     /**
      * @dev View function to get user's position details
      * @param user Address of the user
      * @return depositedAmount Principal deposited
-     * @return depositBlock Block when deposit was made
-     * @return lastWithdrawBlock Last block of interaction
-     * @return currentYield Current unclaimed yield
+     * @return depositTime Timestamp when deposit was made
+     * @return lastAccrualTime Timestamp of the last interaction
+     * @return currentYield Current unclaimed yield (including checkpointed yield)
      */
     function getUserPosition(address user) external view returns (
         uint256 depositedAmount,
-        uint256 depositBlock,
-        uint256 lastWithdrawBlock,
+        uint256 depositTime,
+        uint256 lastAccrualTime,
         uint256 currentYield
     ) {
         UserPosition memory position = positions[user];
         return (
             position.depositedAmount,
-            position.depositBlock,
-            position.lastWithdrawBlock,
-            _calculateYield(user)
+            position.depositTime,
+            position.lastAccrualTime,
+            position.accruedYield + _calculateYield(user)
         );
     }
 }
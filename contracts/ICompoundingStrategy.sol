@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IYieldStrategy.sol";
+
+/**
+ * @title ICompoundingStrategy
+ * @dev Extension of IYieldStrategy for strategies whose yield only earns more yield once compounded
+ * @notice Lets the StrategyManager's keepers reinvest yield for every position in the strategy
+ *
+ * Strategies implementing this interface must report it through ERC-165
+ * (supportsInterface(type(ICompoundingStrategy).interfaceId)) so the StrategyManager knows it
+ * can compound them. Strategies whose balances already grow on their own (such as lending
+ * adapters with a rising exchange rate) have nothing to compound and do not implement it.
+ *
+ * Compounding moves yield into the position's principal without paying anything out, so
+ * balanceOf(user) is unchanged by it and the manager's fees still apply when the yield is realized.
+ */
+interface ICompoundingStrategy is IYieldStrategy {
+
+    /**
+     * @dev Reinvests a user's yield into their principal
+     * @param user The user whose position is compounded
+     * @return Amount of yield compounded (zero if there was none)
+     *
+     * Only callable by the StrategyManager
+     */
+    function compound(address user) external returns (uint256);
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IYieldStrategy.sol";
+
+/**
+ * @title IUnbondingStrategy
+ * @dev Extension of IYieldStrategy for strategies whose funds are locked behind an unbonding period
+ * @notice Staked funds are never paid out instantly: every withdrawal is requested with
+ *         requestWithdraw(), waits out the unbonding period, and is then claimed
+ *
+ * Strategies implementing this interface must report it through ERC-165
+ * (supportsInterface(type(IUnbondingStrategy).interfaceId)) so the StrategyManager never
+ * calls the instant withdraw functions on them. Their maxWithdraw() is always zero.
+ *
+ * Amounts requested for withdrawal leave balanceOf immediately and stop earning yield.
+ * They can still shrink before they are claimed if the underlying stake is slashed.
+ */
+interface IUnbondingStrategy is IYieldStrategy {
+
+    /**
+     * @dev Returns how long a withdrawal request takes to become claimable
+     * @return Unbonding period in seconds
+     */
+    function unbondingPeriod() external view returns (uint256);
+}
@@ -8,6 +8,10 @@ pragma solidity ^0.8.20;
  * 
  * Strategy contracts are "plug-ins" that can be added to the StrategyManager.
  * Each strategy implements its own yield generation logic.
+ * 
+ * Withdrawals are instant up to maxWithdraw(). When a strategy cannot pay out immediately
+ * (lockups, liquidity shortfalls) the amount is queued with requestWithdraw() instead: it leaves
+ * balanceOf() at once and is paid out by claim() as soon as the strategy can.
  */
 interface IYieldStrategy {
     
@@ -23,12 +27,80 @@ interface IYieldStrategy {
     /**
      * @dev Withdraws vBTC tokens from the strategy for a user
      * @param user The address of the user making the withdrawal
-     * @param amount The amount of vBTC to withdraw
+     * @param amount The amount of vBTC to withdraw, up to the user's balanceOf (principal + yield)
+     * @return The amount of vBTC actually transferred to the StrategyManager
      * 
      * This function is called by the StrategyManager when a user withdraws from this strategy
      * The strategy should transfer the tokens back to the StrategyManager
      */
-    function withdraw(address user, uint256 amount) external;
+    function withdraw(address user, uint256 amount) external returns (uint256);
+    
+    /**
+     * @dev Withdraws a user's entire position (principal + yield) from the strategy
+     * @param user The address of the user making the withdrawal
+     * @return The amount of vBTC actually transferred to the StrategyManager
+     * 
+     * This function is called by the StrategyManager when a user exits a strategy completely
+     */
+    function withdrawAll(address user) external returns (uint256);
+    
+    /**
+     * @dev Pays out a user's accrued yield without touching their principal
+     * @param user The address of the user claiming yield
+     * @return The amount of yield actually transferred to the StrategyManager
+     * 
+     * This function is called by the StrategyManager when a user harvests their yield
+     */
+    function claimYield(address user) external returns (uint256);
+    
+    /**
+     * @dev Queues a withdrawal that the strategy cannot pay out instantly
+     * @param user The address of the user making the request
+     * @param amount The amount of vBTC to withdraw, up to the user's balanceOf
+     * @return requestId Identifier of the request
+     * 
+     * This function is called by the StrategyManager when a withdrawal exceeds maxWithdraw()
+     * Principal is requested first, as with withdraw()
+     */
+    function requestWithdraw(address user, uint256 amount) external returns (uint256 requestId);
+    
+    /**
+     * @dev Pays out as much of a user's queued withdrawals as the strategy can right now
+     * @param user The address of the user claiming
+     * @return The amount of vBTC actually transferred to the StrategyManager (may be zero)
+     * 
+     * This function is called by the StrategyManager when a user claims queued withdrawals
+     */
+    function claim(address user) external returns (uint256);
+    
+    /**
+     * @dev Returns the amount a user can withdraw instantly through withdraw()
+     * @param user The address of the user
+     * @return Instantly withdrawable vBTC, at most the user's balanceOf
+     */
+    function maxWithdraw(address user) external view returns (uint256);
+    
+    /**
+     * @dev Returns the value of a user's queued withdrawals that cannot be claimed yet
+     * @param user The address of the user
+     * @return Amount of vBTC still waiting on the strategy
+     */
+    function pendingWithdrawal(address user) external view returns (uint256);
+    
+    /**
+     * @dev Returns the value of a user's queued withdrawals that claim() would pay out now
+     * @param user The address of the user
+     * @return Amount of vBTC claimable
+     */
+    function claimableWithdrawal(address user) external view returns (uint256);
+    
+    /**
+     * @dev Returns the underlying token this strategy accepts
+     * @return Address of the asset deposited into and paid out by the strategy
+     * 
+     * The StrategyManager only lists strategies whose asset matches its own
+     */
+    function asset() external view returns (address);
     
     /**
      * @dev Calculates the current yield earned by a user in this strategy
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title PriceOracle
+ * @dev USD price adapter on top of Chainlink-compatible feeds, with a fallback feed per asset
+ * @notice Gives StrategyManager and AssetRegistry views one on-chain source of USD values
+ *
+ * Each asset has a primary feed and an optional fallback feed, each with its own heartbeat
+ * (the longest time an answer may go without an update). A feed answer is used only if the
+ * call succeeds, the answer is positive and it is not older than the heartbeat. When the
+ * primary fails these checks the fallback is read instead; if both fail, pricing reverts
+ * rather than returning a stale or broken value.
+ *
+ * Prices and values are returned with 18 decimals whatever the feed and asset decimals are.
+ */
+contract PriceOracle is Ownable {
+
+    // Precision of returned prices and USD values
+    uint8 public constant PRICE_DECIMALS = 18;
+
+    // Feeds for one asset
+    struct FeedConfig {
+        AggregatorV3Interface primary;      // Feed read first
+        AggregatorV3Interface fallbackFeed; // Feed read when the primary is stale or broken (optional)
+        uint256 primaryHeartbeat;           // Maximum age of a primary answer in seconds
+        uint256 fallbackHeartbeat;          // Maximum age of a fallback answer in seconds
+    }
+
+    // Mapping: asset address => its price feeds
+    mapping(address => FeedConfig) public feeds;
+
+    // Events
+    event FeedsUpdated(
+        address indexed asset,
+        address primary,
+        address fallbackFeed,
+        uint256 primaryHeartbeat,
+        uint256 fallbackHeartbeat
+    );
+
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @dev Sets the USD price feeds for an asset
+     * @param asset Address of the token being priced
+     * @param primary Feed read first
+     * @param fallbackFeed Feed read when the primary is stale or broken (zero address for none)
+     * @param primaryHeartbeat Maximum age of a primary answer in seconds
+     * @param fallbackHeartbeat Maximum age of a fallback answer in seconds
+     */
+    function setFeeds(
+        address asset,
+        address primary,
+        address fallbackFeed,
+        uint256 primaryHeartbeat,
+        uint256 fallbackHeartbeat
+    ) external onlyOwner {
+        require(asset != address(0), "Invalid asset address");
+        require(primary != address(0), "Invalid feed address");
+        require(primaryHeartbeat > 0, "Invalid heartbeat");
+        require(fallbackFeed == address(0) || fallbackHeartbeat > 0, "Invalid heartbeat");
+
+        feeds[asset] = FeedConfig(
+            AggregatorV3Interface(primary),
+            AggregatorV3Interface(fallbackFeed),
+            primaryHeartbeat,
+            fallbackHeartbeat
+        );
+
+        emit FeedsUpdated(asset, primary, fallbackFeed, primaryHeartbeat, fallbackHeartbeat);
+    }
+
+    /**
+     * @dev Gets the USD price of one whole token of an asset
+     * @param asset Address of the token
+     * @return price USD price with 18 decimals
+     */
+    function getPrice(address asset) public view returns (uint256 price) {
+        (price, , ) = getPriceData(asset);
+    }
+
+    /**
+     * @dev Gets the USD price of an asset along with where it came from
+     * @param asset Address of the token
+     * @return price USD price with 18 decimals
+     * @return updatedAt Timestamp of the answer used
+     * @return usedFallback Whether the primary feed failed and the fallback answered
+     */
+    function getPriceData(address asset) public view returns (uint256 price, uint256 updatedAt, bool usedFallback) {
+        FeedConfig memory config = feeds[asset];
+        require(address(config.primary) != address(0), "No price feed");
+
+        bool valid;
+        (valid, price, updatedAt) = _readFeed(config.primary, config.primaryHeartbeat);
+        if (valid) {
+            return (price, updatedAt, false);
+        }
+
+        if (address(config.fallbackFeed) != address(0)) {
+            (valid, price, updatedAt) = _readFeed(config.fallbackFeed, config.fallbackHeartbeat);
+        }
+        require(valid, "No valid price");
+        return (price, updatedAt, true);
+    }
+
+    /**
+     * @dev Converts an amount of an asset to USD
+     * @param asset Address of the token
+     * @param amount Amount in the token's own decimals
+     * @return USD value with 18 decimals
+     */
+    function getValueUSD(address asset, uint256 amount) external view returns (uint256) {
+        if (amount == 0) {
+            return 0;
+        }
+        return (amount * getPrice(asset)) / 10 ** IERC20Metadata(asset).decimals();
+    }
+
+    /**
+     * @dev Reads a feed and checks its answer
+     * @return valid Whether the calls succeeded with a positive answer no older than `heartbeat`
+     * @return price Answer scaled to 18 decimals
+     * @return updatedAt Timestamp of the answer
+     *
+     * decimals() is read in its own try/catch, since a revert inside the success block of
+     * the latestRoundData() call would not be caught by that call's catch
+     */
+    function _readFeed(
+        AggregatorV3Interface feed,
+        uint256 heartbeat
+    ) internal view returns (bool valid, uint256 price, uint256 updatedAt) {
+        try feed.latestRoundData() returns (uint80, int256 answer, uint256, uint256 _updatedAt, uint80) {
+            if (answer <= 0 || _updatedAt == 0 || _updatedAt > block.timestamp || block.timestamp - _updatedAt > heartbeat) {
+                return (false, 0, _updatedAt);
+            }
+
+            try feed.decimals() returns (uint8 feedDecimals) {
+                price = feedDecimals <= PRICE_DECIMALS
+                    ? uint256(answer) * 10 ** (PRICE_DECIMALS - feedDecimals)
+                    : uint256(answer) / 10 ** (feedDecimals - PRICE_DECIMALS);
+                return (true, price, _updatedAt);
+            } catch {
+                return (false, 0, _updatedAt);
+            }
+        } catch {
+            return (false, 0, 0);
+        }
+    }
+}
@@ -0,0 +1,160 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./VaultBTC.sol";
+
+/**
+ * @title RedemptionQueue
+ * @dev User-facing flow for redeeming vBTC for native BTC
+ * @notice Keeps an on-chain record of every redemption for the custody team to audit
+ *
+ * A user escrows vBTC here with the BTC address to pay out to. An operator sends the BTC
+ * off-chain and then either marks the request fulfilled with the BTC txid, which burns the
+ * escrowed vBTC, or refunds it, which returns the vBTC to the user. Requests are never
+ * deleted, so the full history stays readable on-chain.
+ *
+ * The queue needs VaultBTC's BURNER_ROLE. It only burns its own escrow, so no allowance is involved.
+ */
+contract RedemptionQueue is AccessControl {
+
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    // Longest BTC address accepted (bech32m addresses are at most 90 characters)
+    uint256 public constant MAX_BTC_ADDRESS_LENGTH = 90;
+
+    enum RedemptionStatus { None, Pending, Fulfilled, Refunded }
+
+    // One redemption request
+    struct Redemption {
+        address user;               // Account that escrowed the vBTC
+        uint256 amount;             // vBTC escrowed
+        string btcAddress;          // BTC address to pay out to
+        RedemptionStatus status;
+        uint256 requestedAt;        // Timestamp of the request
+        uint256 settledAt;          // Timestamp of fulfillment or refund
+        bytes32 btcTxid;            // BTC payout txid (set on fulfillment)
+    }
+
+    // Token being redeemed
+    VaultBTC public immutable vaultBTC;
+
+    // Mapping: request id => redemption (ids start at 1)
+    mapping(uint256 => Redemption) private redemptions;
+    uint256 public redemptionCount;
+
+    // Mapping: user address => ids of the user's redemption requests
+    mapping(address => uint256[]) private userRedemptions;
+
+    // vBTC escrowed by pending requests
+    uint256 public totalPending;
+
+    // Events
+    event RedemptionRequested(uint256 indexed requestId, address indexed user, uint256 amount, string btcAddress);
+    event RedemptionFulfilled(uint256 indexed requestId, address indexed user, uint256 amount, bytes32 btcTxid);
+    event RedemptionRefunded(uint256 indexed requestId, address indexed user, uint256 amount, string reason);
+
+    /**
+     * @param _vaultBTC Address of the VaultBTC token (the queue needs its BURNER_ROLE)
+     *
+     * The deployer starts as admin and operator and is expected to hand the operator role to the custody team
+     */
+    constructor(address _vaultBTC) {
+        require(_vaultBTC != address(0), "Invalid VaultBTC address");
+        vaultBTC = VaultBTC(_vaultBTC);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(OPERATOR_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Escrows vBTC and queues it for redemption to a BTC address
+     * @param amount Amount of vBTC to redeem (in wei)
+     * @param btcAddress BTC address to pay out to
+     * @return requestId Id of the new request
+     *
+     * The caller must have approved the queue for `amount`
+     */
+    function requestRedemption(uint256 amount, string calldata btcAddress) external returns (uint256 requestId) {
+        require(amount > 0, "Amount must be > 0");
+        require(
+            bytes(btcAddress).length > 0 && bytes(btcAddress).length <= MAX_BTC_ADDRESS_LENGTH,
+            "Invalid BTC address"
+        );
+
+        require(vaultBTC.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+
+        requestId = ++redemptionCount;
+        Redemption storage redemption = redemptions[requestId];
+        redemption.user = msg.sender;
+        redemption.amount = amount;
+        redemption.btcAddress = btcAddress;
+        redemption.status = RedemptionStatus.Pending;
+        redemption.requestedAt = block.timestamp;
+
+        userRedemptions[msg.sender].push(requestId);
+        totalPending += amount;
+
+        emit RedemptionRequested(requestId, msg.sender, amount, btcAddress);
+    }
+
+    /**
+     * @dev Marks a request paid out on Bitcoin and burns its escrowed vBTC
+     * @param requestId Id of the request
+     * @param btcTxid Txid of the BTC payout
+     *
+     * One BTC transaction may pay out several requests, so txids are not required to be unique
+     */
+    function fulfillRedemption(uint256 requestId, bytes32 btcTxid) external onlyRole(OPERATOR_ROLE) {
+        require(btcTxid != bytes32(0), "Invalid BTC txid");
+        Redemption storage redemption = _settle(requestId, RedemptionStatus.Fulfilled);
+        redemption.btcTxid = btcTxid;
+
+        vaultBTC.burn(address(this), redemption.amount);
+
+        emit RedemptionFulfilled(requestId, redemption.user, redemption.amount, btcTxid);
+    }
+
+    /**
+     * @dev Cancels a request and returns its escrowed vBTC to the user
+     * @param requestId Id of the request
+     * @param reason Why the request was refunded (e.g. an unpayable BTC address)
+     */
+    function refundRedemption(uint256 requestId, string calldata reason) external onlyRole(OPERATOR_ROLE) {
+        Redemption storage redemption = _settle(requestId, RedemptionStatus.Refunded);
+
+        require(vaultBTC.transfer(redemption.user, redemption.amount), "Transfer failed");
+
+        emit RedemptionRefunded(requestId, redemption.user, redemption.amount, reason);
+    }
+
+    /**
+     * @dev Gets a redemption request
+     * @param requestId Id of the request
+     */
+    function getRedemption(uint256 requestId) external view returns (Redemption memory) {
+        require(redemptions[requestId].status != RedemptionStatus.None, "Request not found");
+        return redemptions[requestId];
+    }
+
+    /**
+     * @dev Gets the ids of a user's redemption requests, oldest first
+     * @param user Address of the user
+     */
+    function getUserRedemptions(address user) external view returns (uint256[] memory) {
+        return userRedemptions[user];
+    }
+
+    /**
+     * @dev Moves a pending request to its final status
+     */
+    function _settle(uint256 requestId, RedemptionStatus status) internal returns (Redemption storage redemption) {
+        redemption = redemptions[requestId];
+        require(redemption.status != RedemptionStatus.None, "Request not found");
+        require(redemption.status == RedemptionStatus.Pending, "Request already settled");
+
+        redemption.status = status;
+        redemption.settledAt = block.timestamp;
+        totalPending -= redemption.amount;
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title StrategyForwarder
+ * @dev ERC-2771 forwarder that relays EIP-712 signed user calls to StrategyManager
+ * @notice Lets relayers pay gas for deposits, allocations and withdrawals
+ *
+ * A user signs a ForwardRequest (target, calldata, gas, nonce, deadline) and anyone can submit
+ * it with execute(). StrategyManager trusts this forwarder (setTrustedForwarder) and treats the
+ * signer, appended to the calldata, as the caller. Nonces make each request single-use.
+ */
+contract StrategyForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("StrategyForwarder") {}
+}
@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+import "./StrategyTimelock.sol";
+
+/**
+ * @title StrategyGovernor
+ * @dev On-chain DAO that approves strategies and changes StrategyManager parameters
+ * @notice vGOV holders propose calls such as addStrategy/removeStrategy, vote on them,
+ *         and passed proposals run through the StrategyTimelock that holds the manager's roles
+ *
+ * Proposal lifecycle:
+ *   propose -> (voting delay) -> vote for the voting period -> queue in timelock
+ *           -> (timelock delay) -> execute
+ *
+ * - Proposing requires at least proposalThreshold votes
+ * - A proposal passes when For > Against and For + Abstain reaches the quorum
+ *   (a percentage of total vGOV supply at the proposal snapshot)
+ * - Voting delay, voting period and proposal threshold can only be changed by a passed proposal
+ *
+ * The governor must hold the proposer, canceller and executor roles on the timelock.
+ */
+contract StrategyGovernor is
+    Governor,
+    GovernorSettings,
+    GovernorCountingSimple,
+    GovernorVotes,
+    GovernorVotesQuorumFraction,
+    GovernorTimelockControl
+{
+    /**
+     * @dev Constructor wires the voting token and timelock and sets the voting rules
+     * @param token Voting token (timestamp-based checkpoints)
+     * @param timelock Timelock that executes passed proposals
+     * @param initialVotingDelay Seconds between proposing and the start of voting
+     * @param initialVotingPeriod Seconds that voting stays open
+     * @param initialProposalThreshold Votes required to create a proposal
+     * @param quorumPercent Percentage of total supply that must vote For or Abstain
+     */
+    constructor(
+        IVotes token,
+        StrategyTimelock timelock,
+        uint48 initialVotingDelay,
+        uint32 initialVotingPeriod,
+        uint256 initialProposalThreshold,
+        uint256 quorumPercent
+    )
+        Governor("StrategyGovernor")
+        GovernorSettings(initialVotingDelay, initialVotingPeriod, initialProposalThreshold)
+        GovernorVotes(token)
+        GovernorVotesQuorumFraction(quorumPercent)
+        GovernorTimelockControl(timelock)
+    {}
+
+    // Required overrides for multiple inheritance
+
+    function votingDelay() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.votingDelay();
+    }
+
+    function votingPeriod() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.votingPeriod();
+    }
+
+    function proposalThreshold() public view override(Governor, GovernorSettings) returns (uint256) {
+        return super.proposalThreshold();
+    }
+
+    function state(uint256 proposalId) public view override(Governor, GovernorTimelockControl) returns (ProposalState) {
+        return super.state(proposalId);
+    }
+
+    function proposalNeedsQueuing(uint256 proposalId) public view override(Governor, GovernorTimelockControl) returns (bool) {
+        return super.proposalNeedsQueuing(proposalId);
+    }
+
+    function _queueOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint48) {
+        return super._queueOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _executeOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) {
+        super._executeOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    function _cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    function _executor() internal view override(Governor, GovernorTimelockControl) returns (address) {
+        return super._executor();
+    }
+}
@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "./ICompoundingStrategy.sol";
+import "./StrategyManager.sol";
+import "./interfaces/AutomationCompatibleInterface.sol";
+
+/**
+ * @title StrategyKeeper
+ * @dev Chainlink Automation upkeep that compounds every position in the manager's compounding strategies
+ * @notice Needs the StrategyManager's KEEPER_ROLE
+ *
+ * A strategy is due once it is approved, reports ICompoundingStrategy, has open positions and
+ * was last compounded at least `interval` seconds ago. Each upkeep compounds at most
+ * `maxPositions` positions per strategy through StrategyManager.compound(); a strategy with more
+ * positions stays due, and the next upkeep carries on from `nextPosition`, until its last page
+ * is done. checkUpkeep() lists a page for each due strategy and performUpkeep() checks each
+ * listed page again, so anyone can call it (an Automation node or the keeper task).
+ */
+contract StrategyKeeper is AutomationCompatibleInterface, Ownable {
+
+    // Manager whose strategies are compounded
+    StrategyManager public immutable manager;
+
+    // A page of positions in one strategy, as encoded in performData
+    struct CompoundPage {
+        address strategy;
+        uint256 start;          // Index of the first position to compound
+        uint256 maxPositions;   // Maximum number of positions to compound
+    }
+
+    // Minimum time between two compounds of the same strategy
+    uint256 public interval;
+
+    // Maximum number of positions compounded per strategy in one upkeep
+    uint256 public maxPositions;
+
+    // Mapping: strategy => timestamp its last compounding pass started
+    mapping(address => uint256) public lastCompounded;
+
+    // Mapping: strategy => index of the next position to compound (zero between passes)
+    mapping(address => uint256) public nextPosition;
+
+    // Events
+    event IntervalUpdated(uint256 interval);
+    event MaxPositionsUpdated(uint256 maxPositions);
+    event StrategyCompounded(address indexed strategy, uint256 amount);
+
+    /**
+     * @param _manager Address of the StrategyManager (the keeper needs its KEEPER_ROLE)
+     * @param _interval Minimum time between compounds of a strategy in seconds
+     * @param _maxPositions Maximum number of positions compounded per strategy in one upkeep
+     */
+    constructor(address _manager, uint256 _interval, uint256 _maxPositions) Ownable(msg.sender) {
+        require(_manager != address(0), "Invalid manager address");
+        manager = StrategyManager(_manager);
+        _setInterval(_interval);
+        _setMaxPositions(_maxPositions);
+    }
+
+    /**
+     * @dev Lists the next page of positions of each strategy that is due to be compounded
+     * @return upkeepNeeded Whether any strategy is due
+     * @return performData ABI-encoded CompoundPage[] with one page per due strategy
+     */
+    function checkUpkeep(bytes calldata) external view override returns (bool upkeepNeeded, bytes memory performData) {
+        address[] memory due = getDueStrategies();
+
+        CompoundPage[] memory pages = new CompoundPage[](due.length);
+        for (uint256 i = 0; i < due.length; i++) {
+            pages[i] = CompoundPage(due[i], nextPosition[due[i]], maxPositions);
+        }
+
+        upkeepNeeded = due.length > 0;
+        performData = abi.encode(pages);
+    }
+
+    /**
+     * @dev Compounds the pages listed by checkUpkeep()
+     * @param performData ABI-encoded CompoundPage[] of pages to compound
+     *
+     * Listed pages are skipped if their strategy is no longer due, if they do not start at the
+     * strategy's next position (another upkeep already compounded them) or if they are larger
+     * than `maxPositions`; reverts if none of them is compounded
+     */
+    function performUpkeep(bytes calldata performData) external override {
+        CompoundPage[] memory pages = abi.decode(performData, (CompoundPage[]));
+
+        uint256 performed = 0;
+        for (uint256 i = 0; i < pages.length; i++) {
+            CompoundPage memory page = pages[i];
+            if (
+                page.start == nextPosition[page.strategy] &&
+                page.maxPositions > 0 &&
+                page.maxPositions <= maxPositions &&
+                isDue(page.strategy)
+            ) {
+                _compound(page);
+                performed++;
+            }
+        }
+        require(performed > 0, "Upkeep not needed");
+    }
+
+    /**
+     * @dev Sets the minimum time between compounds of a strategy
+     * @param _interval New interval in seconds (zero compounds whenever a strategy has positions)
+     */
+    function setInterval(uint256 _interval) external onlyOwner {
+        _setInterval(_interval);
+    }
+
+    /**
+     * @dev Sets the maximum number of positions compounded per strategy in one upkeep
+     * @param _maxPositions New page size (keeps each upkeep within the Automation gas limit)
+     */
+    function setMaxPositions(uint256 _maxPositions) external onlyOwner {
+        _setMaxPositions(_maxPositions);
+    }
+
+    /**
+     * @dev Checks whether a strategy is due to be compounded
+     * @param strategy Address of the strategy
+     *
+     * A strategy part-way through a compounding pass stays due until its last page is done
+     */
+    function isDue(address strategy) public view returns (bool) {
+        return !manager.paused() &&
+            manager.isStrategyApproved(strategy) &&
+            (nextPosition[strategy] > 0 || block.timestamp >= lastCompounded[strategy] + interval) &&
+            manager.getStrategyUsers(strategy).length > 0 &&
+            ERC165Checker.supportsInterface(strategy, type(ICompoundingStrategy).interfaceId);
+    }
+
+    /**
+     * @dev Returns the manager's strategies that are due to be compounded
+     */
+    function getDueStrategies() public view returns (address[] memory due) {
+        address[] memory strategies = manager.getAllStrategies();
+        bool[] memory isStrategyDue = new bool[](strategies.length);
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < strategies.length; i++) {
+            if (isDue(strategies[i])) {
+                isStrategyDue[i] = true;
+                count++;
+            }
+        }
+
+        due = new address[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < strategies.length; i++) {
+            if (isStrategyDue[i]) {
+                due[j++] = strategies[i];
+            }
+        }
+    }
+
+    function _compound(CompoundPage memory page) internal {
+        if (page.start == 0) {
+            lastCompounded[page.strategy] = block.timestamp;
+        }
+        (uint256 amount, uint256 next) = manager.compound(page.strategy, page.start, page.maxPositions);
+        nextPosition[page.strategy] = next;
+
+        emit StrategyCompounded(page.strategy, amount);
+    }
+
+    function _setInterval(uint256 _interval) internal {
+        interval = _interval;
+
+        emit IntervalUpdated(_interval);
+    }
+
+    function _setMaxPositions(uint256 _maxPositions) internal {
+        require(_maxPositions > 0, "Invalid max positions");
+        maxPositions = _maxPositions;
+
+        emit MaxPositionsUpdated(_maxPositions);
+    }
+}
@@ -1,10 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "./IYieldStrategy.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./IUnbondingStrategy.sol";
+import "./StrategyManagerBase.sol";
+import "./StrategyManagerExtension.sol";
 
 /**
  * @title StrategyManager
@@ -16,73 +17,109 @@ import "./IYieldStrategy.sol";
  *
  * Now includes emergency pause functionality for enhanced security
  *
+ * Emergency exits: users can always pull their principal out with emergencyWithdraw(),
+ * even while paused, and the admin can permanently shut the manager down, which unwinds
+ * every strategy and disables new deposits and allocations
+ *
+ * Fees: a performance fee is taken from realized yield and an annualized management fee
+ * accrues on allocated principal. Both are capped on-chain, collected for the fee recipient,
+ * and can only be changed after a timelock so depositors have notice
+ *
+ * Guarded launch: the admin can cap total deposits (TVL), deposits per user and allocations
+ * per strategy, and restrict deposits to an allowlist. A cap of zero means unlimited
+ *
+ * Losses: a strategy that loses funds reports it with reportLoss(). The loss is socialized
+ * across the strategy's open positions, marking each allocation down in proportion to its
+ * size. A per-strategy loss limit can pause new allocations when a single report is too large
+ *
+ * Asynchronous withdrawals: a strategy only pays out instantly up to its maxWithdraw() (zero for
+ * unbonding strategies such as staking). Anything beyond that is queued in the strategy with
+ * requestStrategyWithdraw() and credited by claimStrategyWithdraw() once the strategy can pay;
+ * fees are charged when the funds are claimed. requestWithdrawal() does this across every
+ * strategy for a wallet withdrawal: it pays what idle and liquid funds allow right away and
+ * keeps a per-user queue of requests for the rest, settled with claimWithdrawal()
+ *
+ * Gasless deposits: depositWithPermit() and depositAndAllocate() take an EIP-2612 permit so a
+ * deposit needs no prior approve() transaction, and every user action can be relayed through
+ * the admin-set trusted forwarder (ERC-2771), which appends the signing user to the call
+ *
+ * Batching: allocateMany(), withdrawManyFromStrategies() and reallocate() move funds across
+ * several strategies in one transaction, and multicall() batches any other calls. A batch is
+ * atomic, so if one step fails nothing in it takes effect
+ *
+ * Code layout: storage, events and internal accounting live in StrategyManagerBase. The batch
+ * operations and the wallet withdrawal queue run from StrategyManagerExtension, which this contract
+ * deploys and DELEGATECALLs so they act on its storage, and read-only aggregate views (limits, user
+ * value in vBTC and USD) live in StrategyManagerLens. This keeps the manager well under the 24 KB
+ * contract size limit without size-tuned compiler settings
+ *
+ * Auto-compounding: keepers (such as StrategyKeeper) call compound() to reinvest the yield of
+ * open positions in a strategy that reports ICompoundingStrategy, or harvest() to do so for
+ * every such strategy. Both work through a strategy's positions one page at a time, so large
+ * strategies are compounded across several transactions
+ *
  * @dev UPGRADE NOTE: Babylon Genesis Integration
  * For Babylon-native trustless vaults, replace vaultBTC ERC20 with Babylon's native vault token.
  * The strategy allocation logic remains compatible - simply swap the token interface.
  * Future strategies can support dual rewards: DeFi yield + Babylon security rewards (BABY token).
  * Reference: https://docs.babylonlabs.io/guides/research/btc_trustless_vault/
  */
-contract StrategyManager is Ownable, Pausable {
+contract StrategyManager is StrategyManagerBase, Multicall {
     
-    // The vBTC token that users deposit
-    IERC20 public immutable vaultBTC;
-    
-    // Mapping: user address => total vBTC balance in StrategyManager (not yet allocated)
-    mapping(address => uint256) public userBalances;
-    
-    // Mapping: user address => strategy address => amount allocated to that strategy
-    mapping(address => mapping(address => uint256)) public userStrategyAllocations;
-    
-    // Array of approved strategy addresses
-    address[] public strategies;
-    
-    // Mapping: strategy address => whether it's approved
-    mapping(address => bool) public isStrategyApproved;
-    
-    // Events for tracking deposits, withdrawals, and strategy actions
-    event Deposited(address indexed user, uint256 amount);
-    event Withdrawn(address indexed user, uint256 amount);
-    event AllocatedToStrategy(address indexed user, address indexed strategy, uint256 amount);
-    event WithdrawnFromStrategy(address indexed user, address indexed strategy, uint256 amount);
-    event StrategyAdded(address indexed strategy);
-    event StrategyRemoved(address indexed strategy);
+    // Contract whose code runs the batch operations and the wallet withdrawal queue on this
+    // contract's storage (immutable, so it takes no storage slot)
+    address public immutable extension;
     
     /**
-     * @dev Constructor sets the vBTC token address
+     * @dev Constructor sets the vBTC token address and deploys the extension
      * @param _vaultBTC Address of the VaultBTC ERC20 token
+     *
+     * The deployer starts with every role and is expected to hand them out to separate accounts.
+     * No trusted forwarder is set; the admin sets one with setTrustedForwarder()
      */
-    constructor(address _vaultBTC) Ownable(msg.sender) {
-        require(_vaultBTC != address(0), "Invalid vBTC address");
-        vaultBTC = IERC20(_vaultBTC);
+    constructor(address _vaultBTC) StrategyManagerBase(_vaultBTC) {
+        feeRecipient = msg.sender;
+        extension = address(new StrategyManagerExtension(_vaultBTC));
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(STRATEGIST_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
     }
     
     /**
-     * @dev Allows owner to add a new yield strategy
+     * @dev Allows a strategist to add a new yield strategy
      * @param strategy Address of the strategy contract (must implement IYieldStrategy)
      * 
      * Only approved strategies can receive user allocations
+     * The strategy must accept this manager's asset (see IYieldStrategy.asset())
+     * Strategies reporting IUnbondingStrategy through ERC-165 are flagged as unbonding strategies
      */
-    function addStrategy(address strategy) external onlyOwner {
+    function addStrategy(address strategy) external onlyRole(STRATEGIST_ROLE) {
         require(strategy != address(0), "Invalid strategy address");
         require(!isStrategyApproved[strategy], "Strategy already approved");
+        require(IYieldStrategy(strategy).asset() == address(vaultBTC), "Strategy asset mismatch");
         
         strategies.push(strategy);
         isStrategyApproved[strategy] = true;
+        isUnbondingStrategy[strategy] = ERC165Checker.supportsInterface(strategy, type(IUnbondingStrategy).interfaceId);
         
         emit StrategyAdded(strategy);
     }
     
     /**
-     * @dev Allows owner to remove a yield strategy
+     * @dev Allows a strategist to remove a yield strategy
      * @param strategy Address of the strategy to remove
      * 
-     * Note: This doesn't force-withdraw users' funds from the strategy
-     * Users should withdraw before a strategy is removed
+     * A strategy can only be delisted once no user has a position left in it
+     * Use startWindDown() followed by unwindStrategy() or migrateStrategy() to empty it first
      */
-    function removeStrategy(address strategy) external onlyOwner {
-        require(isStrategyApproved[strategy], "Strategy not approved");
+    function removeStrategy(address strategy) external onlyRole(STRATEGIST_ROLE) {
+        _requireApproved(strategy);
+        require(strategyUsers[strategy].length == 0, "Strategy has open positions");
         
         isStrategyApproved[strategy] = false;
+        isStrategyWindingDown[strategy] = false;
         
         // Remove from array (swap with last element and pop)
         for (uint256 i = 0; i < strategies.length; i++) {
@@ -96,23 +133,120 @@ contract StrategyManager is Ownable, Pausable {
         emit StrategyRemoved(strategy);
     }
     
+    /**
+     * @dev Marks a strategy as winding down so it stops accepting new allocations
+     * @param strategy Address of the strategy to retire
+     * 
+     * Existing positions keep earning until they are unwound or migrated
+     */
+    function startWindDown(address strategy) external onlyRole(STRATEGIST_ROLE) {
+        _requireApproved(strategy);
+        require(!isStrategyWindingDown[strategy], "Strategy already winding down");
+        
+        isStrategyWindingDown[strategy] = true;
+        
+        emit StrategyWindDownStarted(strategy);
+    }
+    
+    /**
+     * @dev Force-withdraws open positions (principal + yield) from a winding-down strategy
+     * @param strategy Address of the strategy being retired
+     * @param maxPositions Maximum number of positions to process in this call
+     * @return remaining Number of positions still open in the strategy
+     * 
+     * Funds are credited to each user's StrategyManager balance
+     * Can be called repeatedly to unwind large strategies across several transactions
+     */
+    function unwindStrategy(address strategy, uint256 maxPositions) external onlyRole(STRATEGIST_ROLE) returns (uint256 remaining) {
+        require(isStrategyWindingDown[strategy], "Strategy not winding down");
+        
+        return _unwindPositions(strategy, maxPositions);
+    }
+    
+    /**
+     * @dev Moves open positions from a winding-down strategy into a replacement strategy
+     * @param fromStrategy Address of the strategy being retired
+     * @param toStrategy Address of the approved replacement strategy
+     * @param maxPositions Maximum number of positions to process in this call
+     * @return remaining Number of positions still open in the retired strategy
+     * 
+     * Each position's principal and yield is redeposited in the new strategy in the same transaction,
+     * so user funds never sit idle between the two strategies
+     * Migrated funds are not limited by the replacement strategy's cap, but are refused while its allocations are paused
+     * Unbonding strategies cannot be migrated since their funds are not available instantly
+     * A position the strategy cannot pay out in full is queued for withdrawal instead of migrated
+     */
+    function migrateStrategy(
+        address fromStrategy,
+        address toStrategy,
+        uint256 maxPositions
+    ) external onlyRole(STRATEGIST_ROLE) whenNotShutdown returns (uint256 remaining) {
+        require(isStrategyWindingDown[fromStrategy], "Strategy not winding down");
+        require(!isUnbondingStrategy[fromStrategy], "Strategy requires unbonding");
+        _requireApproved(toStrategy);
+        require(!isStrategyWindingDown[toStrategy], "Strategy winding down");
+        require(!isStrategyAllocationPaused[toStrategy], "Strategy allocation paused");
+        
+        address[] storage users = strategyUsers[fromStrategy];
+        for (uint256 i = 0; i < maxPositions && users.length > 0; i++) {
+            address user = users[users.length - 1];
+            
+            uint256 received = _exitPosition(user, fromStrategy);
+            if (received == 0) {
+                emit PositionUnwound(user, fromStrategy, 0);
+                continue;
+            }
+            
+            _depositToStrategy(user, toStrategy, received);
+            
+            emit PositionMigrated(user, fromStrategy, toStrategy, received);
+        }
+        
+        return users.length;
+    }
+    
     /**
      * @dev Deposits vBTC tokens into the StrategyManager
      * @param amount Amount of vBTC to deposit
      *
      * User must approve this contract to spend their vBTC before calling this function
      * Deposited funds sit in the StrategyManager until allocated to a strategy
+     * Deposits are subject to the allowlist (when enabled), the TVL cap and the per-user cap
      */
-    function deposit(uint256 amount) external whenNotPaused {
-        require(amount > 0, "Amount must be > 0");
-
-        // Transfer vBTC from user to this contract
-        require(vaultBTC.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+    function deposit(uint256 amount) external whenNotPaused whenNotShutdown {
+        _deposit(_msgSender(), amount);
+    }
 
-        // Update user's balance
-        userBalances[msg.sender] += amount;
+    /**
+     * @dev Deposits vBTC using an EIP-2612 permit instead of a prior approve() transaction
+     * @param amount Amount of vBTC to deposit
+     * @param permit Permit signed by the caller for this contract and `amount`
+     */
+    function depositWithPermit(uint256 amount, PermitSignature calldata permit) external whenNotPaused whenNotShutdown {
+        address user = _msgSender();
+        _permit(user, amount, permit);
+        _deposit(user, amount);
+    }
 
-        emit Deposited(msg.sender, amount);
+    /**
+     * @dev Deposits vBTC and allocates it to a strategy in one transaction
+     * @param strategy Address of the approved strategy
+     * @param amount Amount of vBTC to deposit and allocate
+     * @param permit Permit signed by the caller for this contract and `amount`
+     *
+     * Pass a permit with a zero deadline to use an existing allowance instead
+     */
+    function depositAndAllocate(
+        address strategy,
+        uint256 amount,
+        PermitSignature calldata permit
+    ) external whenNotPaused whenNotShutdown {
+        address user = _msgSender();
+        if (permit.deadline != 0) {
+            _permit(user, amount, permit);
+        }
+        _deposit(user, amount);
+        _allocate(user, strategy, amount);
     }
     
     /**
@@ -123,16 +257,11 @@ contract StrategyManager is Ownable, Pausable {
      * To withdraw from strategies, use withdrawFromStrategy first
      */
     function withdraw(uint256 amount) external whenNotPaused {
+        address user = _msgSender();
         require(amount > 0, "Amount must be > 0");
-        require(userBalances[msg.sender] >= amount, "Insufficient balance");
-
-        // Update balance
-        userBalances[msg.sender] -= amount;
+        require(userBalances[user] >= amount, "Insufficient balance");
 
-        // Transfer vBTC back to user
-        require(vaultBTC.transfer(msg.sender, amount), "Transfer failed");
-
-        emit Withdrawn(msg.sender, amount);
+        _payOut(user, amount);
     }
     
     /**
@@ -143,48 +272,486 @@ contract StrategyManager is Ownable, Pausable {
      * This moves vBTC from the user's StrategyManager balance into the chosen strategy
      * The strategy will then start generating yield according to its logic
      */
-    function allocateToStrategy(address strategy, uint256 amount) external whenNotPaused {
-        require(amount > 0, "Amount must be > 0");
-        require(isStrategyApproved[strategy], "Strategy not approved");
-        require(userBalances[msg.sender] >= amount, "Insufficient balance");
-
-        // Decrease user's available balance in StrategyManager
-        userBalances[msg.sender] -= amount;
-
-        // Increase user's allocation to this strategy
-        userStrategyAllocations[msg.sender][strategy] += amount;
-
-        // Approve strategy to take the tokens
-        vaultBTC.approve(strategy, amount);
-
-        // Call strategy's deposit function
-        IYieldStrategy(strategy).deposit(msg.sender, amount);
-
-        emit AllocatedToStrategy(msg.sender, strategy, amount);
+    function allocateToStrategy(address strategy, uint256 amount) external whenNotPaused whenNotShutdown {
+        _allocate(_msgSender(), strategy, amount);
     }
     
     /**
      * @dev Withdraws user's vBTC from a strategy back to StrategyManager
      * @param strategy Address of the strategy
-     * @param amount Amount to withdraw from the strategy
+     * @param amount Amount to withdraw from the strategy, up to the user's full strategy balance
      *
      * This pulls funds back from the strategy to the user's StrategyManager balance
      * The user can then withdraw to their wallet using the withdraw() function
+     * Principal is withdrawn first; any part of amount beyond the allocation is realized yield
      */
     function withdrawFromStrategy(address strategy, uint256 amount) external whenNotPaused {
+        _withdrawFromStrategy(_msgSender(), strategy, amount);
+    }
+    
+    /**
+     * @dev Allocates to several strategies in one transaction (runs StrategyManagerExtension.allocateMany())
+     */
+    function allocateMany(address[] calldata, uint256[] calldata) external {
+        _delegateToExtension();
+    }
+    
+    /**
+     * @dev Withdraws from several strategies in one transaction (runs StrategyManagerExtension.withdrawManyFromStrategies())
+     */
+    function withdrawManyFromStrategies(address[] calldata, uint256[] calldata) external {
+        _delegateToExtension();
+    }
+    
+    /**
+     * @dev Moves funds from one strategy to another (runs StrategyManagerExtension.reallocate())
+     */
+    function reallocate(address, address, uint256) external returns (uint256) {
+        return abi.decode(_delegateToExtension(), (uint256));
+    }
+    
+    /**
+     * @dev Withdraws user's entire position (principal + yield) from a strategy
+     * @param strategy Address of the strategy
+     *
+     * The strategy pays out everything it holds for the user, so realized yield
+     * is credited to the user's StrategyManager balance alongside the principal (net of fees)
+     * If the strategy cannot pay the whole position instantly, it is queued for withdrawal instead
+     */
+    function withdrawAllFromStrategy(address strategy) external whenNotPaused {
+        address user = _msgSender();
+        require(strategyUserIndex[strategy][user] != 0, "No strategy position");
+        require(!isUnbondingStrategy[strategy], "Strategy requires unbonding");
+        uint256 principal = userStrategyAllocations[user][strategy];
+
+        // Strategy sends principal + yield back to this contract, minus fees
+        uint256 received = _exitPosition(user, strategy);
+
+        // Increase user's available balance in StrategyManager
+        if (received == 0) {
+            return;
+        }
+        userBalances[user] += received;
+
+        emit WithdrawnFromStrategy(user, strategy, principal);
+        if (received > principal) {
+            emit YieldClaimed(user, strategy, received - principal);
+        }
+    }
+    
+    /**
+     * @dev Queues a withdrawal of part of the caller's position that the strategy cannot pay instantly
+     * @param strategy Address of the strategy
+     * @param amount Amount to withdraw, up to the user's full strategy balance
+     * @return requestId The strategy's identifier for the request
+     *
+     * Principal is requested first and stops accruing management fees immediately
+     * The funds are credited by claimStrategyWithdraw() once the strategy can pay them
+     * (after the unbonding period for unbonding strategies)
+     */
+    function requestStrategyWithdraw(address strategy, uint256 amount) external whenNotPaused returns (uint256 requestId) {
+        address user = _msgSender();
         require(amount > 0, "Amount must be > 0");
-        require(userStrategyAllocations[msg.sender][strategy] >= amount, "Insufficient strategy allocation");
+        require(IYieldStrategy(strategy).balanceOf(user) >= amount, "Insufficient strategy balance");
 
-        // Decrease user's allocation in this strategy
-        userStrategyAllocations[msg.sender][strategy] -= amount;
+        return _requestFromStrategy(user, strategy, amount);
+    }
+    
+    /**
+     * @dev Claims the caller's queued withdrawals from a strategy into their StrategyManager balance
+     * @param strategy Address of the strategy
+     * @return claimed Amount credited to the user after fees
+     *
+     * Stays available while paused so emergency exits from unbonding strategies can complete
+     * Works after the strategy is delisted, as long as the caller has principal queued in it
+     */
+    function claimStrategyWithdraw(address strategy) external returns (uint256 claimed) {
+        address user = _msgSender();
+        require(isStrategyApproved[strategy] || requestedPrincipal[user][strategy] != 0, "Strategy not approved");
 
-        // Call strategy's withdraw function (strategy sends tokens back to this contract)
-        IYieldStrategy(strategy).withdraw(msg.sender, amount);
+        return _claimFromStrategy(user, strategy);
+    }
+    
+    /**
+     * @dev Withdraws vBTC to the caller's wallet, queueing whatever strategies cannot pay instantly
+     * (runs StrategyManagerExtension.requestWithdrawal())
+     */
+    function requestWithdrawal(uint256) external returns (uint256) {
+        return abi.decode(_delegateToExtension(), (uint256));
+    }
+    
+    /**
+     * @dev Pays out as much of a withdrawal request as the strategies have released
+     * (runs StrategyManagerExtension.claimWithdrawal())
+     */
+    function claimWithdrawal(uint256) external returns (uint256) {
+        return abi.decode(_delegateToExtension(), (uint256));
+    }
+    
+    /**
+     * @dev Harvests user's accrued yield from a strategy into their StrategyManager balance
+     * @param strategy Address of the strategy
+     * @return claimed Amount of yield credited to the user after fees
+     *
+     * Principal stays allocated; only the realized yield is moved back
+     * The user can then withdraw it to their wallet using the withdraw() function
+     */
+    function claimYield(address strategy) external whenNotPaused returns (uint256 claimed) {
+        address user = _msgSender();
+        require(strategyUserIndex[strategy][user] != 0, "No strategy position");
+
+        _accrueManagementFee(user, strategy);
+        uint256 balanceBefore = vaultBTC.balanceOf(address(this));
+        claimed = IYieldStrategy(strategy).claimYield(user);
+        _verifyPayout(balanceBefore, claimed);
+        require(claimed > 0, "No yield to claim");
+        claimed = _chargeFees(user, strategy, claimed, claimed);
 
         // Increase user's available balance in StrategyManager
-        userBalances[msg.sender] += amount;
+        userBalances[user] += claimed;
+        _untrackIfClosed(user, strategy);
 
-        emit WithdrawnFromStrategy(msg.sender, strategy, amount);
+        emit YieldClaimed(user, strategy, claimed);
+    }
+    
+    /**
+     * @dev Reinvests the yield of a page of open positions in a strategy
+     * @param strategy Address of a compounding strategy
+     * @param start Index of the first position to compound
+     * @param maxPositions Maximum number of positions to compound in this call
+     * @return compounded Total yield moved into principal
+     * @return next Index to start the next page at, or zero once the last position is compounded
+     *
+     * Nothing is paid out, so no fees are charged now; the compounded yield is still realized
+     * yield (above the allocation) when it is eventually withdrawn
+     * Positions closed between two pages can shift which position sits at an index, so a page
+     * may skip or repeat a position; it is picked up again on the next pass
+     */
+    function compound(
+        address strategy,
+        uint256 start,
+        uint256 maxPositions
+    ) external onlyRole(KEEPER_ROLE) whenNotPaused returns (uint256 compounded, uint256 next) {
+        _requireApproved(strategy);
+        require(_isCompounding(strategy), "Strategy cannot compound");
+        return _compound(strategy, start, maxPositions);
+    }
+
+    /**
+     * @dev Compounds the same page of positions in every approved strategy that supports it
+     * @param start Index of the first position to compound in each strategy
+     * @param maxPositions Maximum number of positions to compound in each strategy
+     * @return next Index to start the next page at, or zero once every strategy is done
+     *
+     * Strategies that cannot compound are skipped; each compounded strategy emits Compounded
+     */
+    function harvest(uint256 start, uint256 maxPositions) external onlyRole(KEEPER_ROLE) whenNotPaused returns (uint256 next) {
+        for (uint256 i = 0; i < strategies.length; i++) {
+            if (_isCompounding(strategies[i])) {
+                (, uint256 strategyNext) = _compound(strategies[i], start, maxPositions);
+                if (strategyNext > next) {
+                    next = strategyNext;
+                }
+            }
+        }
+    }
+    
+    /**
+     * @dev Pulls the caller's principal out of every strategy and sends all their funds to their wallet
+     * @return amount Total vBTC sent to the caller
+     *
+     * Stays available while the manager is paused so users are never locked out during an incident
+     * Only principal is withdrawn; any yield is left behind in the strategies, so no performance fee
+     * is charged, but the management fee a position owes comes out of what it pays back
+     * Principal a strategy cannot pay instantly is queued instead and claimed later with
+     * claimStrategyWithdraw(), which charges the rest of the fee; the call succeeds as long as
+     * something was sent or queued
+     */
+    function emergencyWithdraw() external returns (uint256 amount) {
+        address user = _msgSender();
+        bool queued;
+        for (uint256 i = 0; i < strategies.length; i++) {
+            address strategy = strategies[i];
+            uint256 allocation = userStrategyAllocations[user][strategy];
+            if (allocation == 0) {
+                continue;
+            }
+            
+            _accrueManagementFee(user, strategy);
+            userStrategyAllocations[user][strategy] = 0;
+            strategyAllocated[strategy] -= allocation;
+            
+            uint256 instant = IYieldStrategy(strategy).maxWithdraw(user);
+            instant = instant < allocation ? instant : allocation;
+            if (instant > 0) {
+                uint256 balanceBefore = vaultBTC.balanceOf(address(this));
+                uint256 received = IYieldStrategy(strategy).withdraw(user, instant);
+                _verifyPayout(balanceBefore, received);
+                userBalances[user] += _chargeFees(user, strategy, received, 0);
+            }
+            if (instant < allocation) {
+                queued = _queueWithdrawal(user, strategy, allocation - instant, allocation - instant) || queued;
+            } else {
+                // Like a closed position, fee the payout could not cover is forgiven
+                delete owedManagementFee[user][strategy];
+            }
+            
+            _untrackIfClosed(user, strategy);
+        }
+        
+        amount = userBalances[user];
+        require(amount > 0 || queued, "Nothing to withdraw");
+        
+        _payOut(user, amount);
+        
+        emit EmergencyWithdrawn(user, amount);
+    }
+    
+    /**
+     * @dev Permanently shuts the manager down and marks every strategy as winding down
+     * 
+     * Deposits and allocations are disabled forever. Open positions are not touched here, so
+     * shutdown costs the same however many positions are open; strategists then unwind each
+     * strategy in pages with unwindStrategy(), and users can exit on their own via
+     * withdrawFromStrategy() or emergencyWithdraw() in the meantime
+     */
+    function shutdown() external onlyRole(DEFAULT_ADMIN_ROLE) whenNotShutdown {
+        isShutdown = true;
+        
+        for (uint256 i = 0; i < strategies.length; i++) {
+            if (!isStrategyWindingDown[strategies[i]]) {
+                isStrategyWindingDown[strategies[i]] = true;
+                emit StrategyWindDownStarted(strategies[i]);
+            }
+        }
+        
+        emit ShutdownTriggered(_msgSender());
+    }
+    
+    /**
+     * @dev Queues a change to the performance and management fees
+     * @param newPerformanceFee Performance fee in basis points of realized yield
+     * @param newManagementFee Management fee in basis points of allocated principal per year
+     * 
+     * The change can only be applied after FEE_CHANGE_DELAY, giving depositors time to exit
+     * Queuing a new change replaces any change that is still pending
+     */
+    function queueFeeChange(uint256 newPerformanceFee, uint256 newManagementFee) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newPerformanceFee <= MAX_PERFORMANCE_FEE, "Performance fee too high");
+        require(newManagementFee <= MAX_MANAGEMENT_FEE, "Management fee too high");
+        
+        uint256 eta = block.timestamp + FEE_CHANGE_DELAY;
+        pendingFeeChange = PendingFeeChange(newPerformanceFee, newManagementFee, eta);
+        
+        emit FeeChangeQueued(newPerformanceFee, newManagementFee, eta);
+    }
+    
+    /**
+     * @dev Applies the queued fee change once its timelock has expired
+     * 
+     * The new management fee is only charged from now on; time before the change stays at the old rate
+     */
+    function applyFeeChange() external onlyRole(FEE_MANAGER_ROLE) {
+        PendingFeeChange memory change = pendingFeeChange;
+        require(change.eta != 0, "No fee change queued");
+        require(block.timestamp >= change.eta, "Fee change timelocked");
+        
+        _updateManagementFeeIndex();
+        performanceFee = change.performanceFee;
+        managementFee = change.managementFee;
+        delete pendingFeeChange;
+        
+        emit FeesUpdated(change.performanceFee, change.managementFee);
+    }
+    
+    /**
+     * @dev Cancels the queued fee change
+     */
+    function cancelFeeChange() external onlyRole(FEE_MANAGER_ROLE) {
+        require(pendingFeeChange.eta != 0, "No fee change queued");
+        
+        delete pendingFeeChange;
+        
+        emit FeeChangeCancelled();
+    }
+    
+    /**
+     * @dev Sets the address that receives collected fees
+     * @param recipient New fee recipient
+     */
+    function setFeeRecipient(address recipient) external onlyRole(FEE_MANAGER_ROLE) {
+        require(recipient != address(0), "Invalid fee recipient");
+        
+        feeRecipient = recipient;
+        
+        emit FeeRecipientUpdated(recipient);
+    }
+    
+    /**
+     * @dev Sets the oracle used by the USD valuation views
+     * @param oracle Address of the PriceOracle (zero disables USD views)
+     */
+    function setPriceOracle(address oracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        priceOracle = PriceOracle(oracle);
+        
+        emit PriceOracleUpdated(oracle);
+    }
+    
+    /**
+     * @dev Sets the forwarder that may relay meta-transactions for users
+     * @param _forwarder Address of an ERC-2771 forwarder (zero disables relaying)
+     *
+     * The forwarder can act as any user, so it must verify user signatures (see StrategyForwarder)
+     */
+    function setTrustedForwarder(address _forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        forwarder = _forwarder;
+        
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+    
+    /**
+     * @dev Sets the cap on total net deposits across all users
+     * @param cap Maximum total deposits in vBTC (0 = unlimited)
+     */
+    function setTvlCap(uint256 cap) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        tvlCap = cap;
+        emit TvlCapUpdated(cap);
+    }
+    
+    /**
+     * @dev Sets the cap on each user's net deposits
+     * @param cap Maximum deposits per user in vBTC (0 = unlimited)
+     */
+    function setUserDepositCap(uint256 cap) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        userDepositCap = cap;
+        emit UserDepositCapUpdated(cap);
+    }
+    
+    /**
+     * @dev Sets the cap on principal allocated to a strategy across all users
+     * @param strategy Address of the strategy
+     * @param cap Maximum allocated principal in vBTC (0 = unlimited)
+     * 
+     * Lowering a cap below the current allocation only blocks new allocations
+     */
+    function setStrategyCap(address strategy, uint256 cap) external onlyRole(STRATEGIST_ROLE) {
+        _requireApproved(strategy);
+        strategyCaps[strategy] = cap;
+        emit StrategyCapUpdated(strategy, cap);
+    }
+    
+    /**
+     * @dev Sets the largest loss a single report may mark down before allocations to a strategy pause
+     * @param strategy Address of the strategy
+     * @param limit Loss limit in basis points of the strategy's allocated principal (0 = no limit)
+     */
+    function setStrategyLossLimit(address strategy, uint256 limit) external onlyRole(STRATEGIST_ROLE) {
+        _requireApproved(strategy);
+        require(limit <= MAX_BPS, "Loss limit exceeds 100%");
+        strategyLossLimits[strategy] = limit;
+        emit StrategyLossLimitUpdated(strategy, limit);
+    }
+    
+    /**
+     * @dev Pauses or resumes new allocations to a strategy
+     * @param strategy Address of the strategy
+     * @param paused Whether allocations should be paused
+     * 
+     * Used to resume a strategy after a loss tripped its loss limit; existing positions
+     * can always be withdrawn
+     */
+    function setStrategyAllocationPaused(address strategy, bool paused) external onlyRole(STRATEGIST_ROLE) {
+        _requireApproved(strategy);
+        isStrategyAllocationPaused[strategy] = paused;
+        emit StrategyAllocationPaused(strategy, paused);
+    }
+    
+    /**
+     * @dev Turns the deposit allowlist on or off
+     * @param enabled Whether only allowlisted addresses may deposit
+     */
+    function setAllowlistEnabled(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        allowlistEnabled = enabled;
+        emit AllowlistEnabled(enabled);
+    }
+    
+    /**
+     * @dev Adds or removes addresses from the deposit allowlist
+     * @param users Addresses to update
+     * @param allowed Whether the addresses may deposit
+     * 
+     * Removing an address only blocks new deposits; existing funds can still be withdrawn
+     */
+    function setAllowlist(address[] calldata users, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        for (uint256 i = 0; i < users.length; i++) {
+            isAllowlisted[users[i]] = allowed;
+            emit AllowlistUpdated(users[i], allowed);
+        }
+    }
+    
+    /**
+     * @dev Sends all fees charged so far to the fee recipient
+     * @return amount Amount of vBTC sent
+     * 
+     * Anyone can trigger collection; funds always go to feeRecipient
+     */
+    function collectFees() external returns (uint256 amount) {
+        amount = accruedFees;
+        require(amount > 0, "No fees to collect");
+        
+        accruedFees = 0;
+        require(vaultBTC.transfer(feeRecipient, amount), "Transfer failed");
+        
+        emit FeesCollected(feeRecipient, amount);
+    }
+    
+    /**
+     * @dev Called by a strategy to report a realized loss on the principal allocated to it
+     * @param loss Amount of allocated principal the strategy lost
+     * 
+     * Every open position in the strategy is marked down by the same fraction of its allocation,
+     * so users share the loss in proportion to what they allocated. Management fees are accrued
+     * at the old allocation first. If the loss is larger than the strategy's loss limit, new
+     * allocations are paused until a strategist resumes them
+     */
+    function reportLoss(uint256 loss) external {
+        address strategy = _msgSender();
+        _requireApproved(strategy);
+        require(loss > 0, "Amount must be > 0");
+        uint256 allocated = strategyAllocated[strategy];
+        require(loss <= allocated, "Loss exceeds allocation");
+        
+        uint256 remaining;
+        address[] storage users = strategyUsers[strategy];
+        for (uint256 i = 0; i < users.length; i++) {
+            address user = users[i];
+            uint256 allocation = userStrategyAllocations[user][strategy];
+            _accrueManagementFee(user, strategy);
+            allocation -= (allocation * loss) / allocated;
+            userStrategyAllocations[user][strategy] = allocation;
+            remaining += allocation;
+        }
+        strategyAllocated[strategy] = remaining;
+        strategyLosses[strategy] += allocated - remaining;
+        
+        uint256 limit = strategyLossLimits[strategy];
+        if (limit != 0 && loss * MAX_BPS > allocated * limit && !isStrategyAllocationPaused[strategy]) {
+            isStrategyAllocationPaused[strategy] = true;
+            emit StrategyAllocationPaused(strategy, true);
+        }
+        
+        emit LossReported(strategy, allocated - remaining, remaining);
+    }
+    
+    /**
+     * @dev Runs the current call on the extension against this contract's storage
+     * @return Data the extension returned
+     *
+     * The full calldata is forwarded so the extension resolves the same sender (see ERC2771Context);
+     * reverts bubble up unchanged
+     */
+    function _delegateToExtension() internal returns (bytes memory) {
+        return Address.functionDelegateCall(extension, msg.data);
     }
     
     /**
@@ -203,6 +770,15 @@ contract StrategyManager is Ownable, Pausable {
         return strategies;
     }
     
+    /**
+     * @dev Returns the users that still have a position in a strategy
+     * @param strategy Address of the strategy
+     * @return Array of user addresses
+     */
+    function getStrategyUsers(address strategy) external view returns (address[] memory) {
+        return strategyUsers[strategy];
+    }
+    
     /**
      * @dev Gets the yield earned by a user in a specific strategy
      * @param user Address of the user
@@ -213,6 +789,25 @@ contract StrategyManager is Ownable, Pausable {
         return IYieldStrategy(strategy).getYield(user);
     }
     
+    /**
+     * @dev Returns the ids of a user's wallet withdrawal requests, settled ones included
+     * @param user Address of the user
+     * @return Array of request ids in the order they were made
+     */
+    function getWithdrawalRequests(address user) external view returns (uint256[] memory) {
+        return userWithdrawalRequests[user];
+    }
+    
+    /**
+     * @dev Gets the management fee a user's position in a strategy owes so far
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return Management fee that will be charged on the next payout
+     */
+    function getPendingManagementFee(address user, address strategy) external view returns (uint256) {
+        return _pendingManagementFee(user, strategy);
+    }
+    
     /**
      * @dev Gets the total balance (principal + yield) of a user in a specific strategy
      * @param user Address of the user
@@ -222,20 +817,46 @@ contract StrategyManager is Ownable, Pausable {
     function getStrategyBalance(address user, address strategy) external view returns (uint256) {
         return IYieldStrategy(strategy).balanceOf(user);
     }
+    
+    /**
+     * @dev Gets what a user would receive for their position in a strategy after fees
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return Position balance minus the performance fee on its yield and owed management fee
+     */
+    function getNetStrategyBalance(address user, address strategy) public view returns (uint256) {
+        uint256 balance = IYieldStrategy(strategy).balanceOf(user);
+        uint256 allocation = userStrategyAllocations[user][strategy];
+        uint256 fees = balance > allocation ? ((balance - allocation) * performanceFee) / MAX_BPS : 0;
+        fees += _pendingManagementFee(user, strategy);
+        return balance > fees ? balance - fees : 0;
+    }
 
     /**
      * @dev Pauses all deposit, withdrawal, and allocation operations in emergency situations
-     * Can only be called by the owner
+     * Can only be called by a guardian
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(GUARDIAN_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpauses operations after emergency is resolved
-     * Can only be called by the owner
+     * Can only be called by the admin, so a compromised guardian key cannot undo a pause
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _unpause();
     }
+
+    function _msgSender() internal view override(Context, StrategyManagerBase) returns (address) {
+        return StrategyManagerBase._msgSender();
+    }
+
+    function _msgData() internal view override(Context, StrategyManagerBase) returns (bytes calldata) {
+        return StrategyManagerBase._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, StrategyManagerBase) returns (uint256) {
+        return StrategyManagerBase._contextSuffixLength();
+    }
 }
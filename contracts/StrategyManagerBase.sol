@@ -0,0 +1,695 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
+import "./IYieldStrategy.sol";
+import "./ICompoundingStrategy.sol";
+import "./PriceOracle.sol";
+
+/**
+ * @title StrategyManagerBase
+ * @dev Storage, events and internal accounting shared by StrategyManager and StrategyManagerExtension
+ *
+ * StrategyManager runs StrategyManagerExtension's code with DELEGATECALL, so both contracts must
+ * lay out storage identically. Every storage variable lives here and neither contract declares
+ * its own, so the two layouts cannot drift apart
+ */
+abstract contract StrategyManagerBase is AccessControl, Pausable, ERC2771Context {
+    
+    // Roles: strategists list and retire strategies, fee managers set fees,
+    // guardians can pause (but not unpause), keepers compound positions;
+    // the admin handles everything else
+    bytes32 public constant STRATEGIST_ROLE = keccak256("STRATEGIST_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    
+    // The vBTC token that users deposit
+    IERC20 public immutable vaultBTC;
+    
+    // Mapping: user address => total vBTC balance in StrategyManager (not yet allocated)
+    mapping(address => uint256) public userBalances;
+    
+    // Mapping: user address => strategy address => principal (cost basis) allocated to that strategy
+    // The user's actual position is IYieldStrategy(strategy).balanceOf(user); anything above
+    // the allocation is realized as yield when withdrawn
+    mapping(address => mapping(address => uint256)) public userStrategyAllocations;
+    
+    // Array of approved strategy addresses
+    address[] public strategies;
+    
+    // Mapping: strategy address => whether it's approved
+    mapping(address => bool) public isStrategyApproved;
+    
+    // Mapping: strategy address => whether it's being retired (no new allocations)
+    mapping(address => bool) public isStrategyWindingDown;
+    
+    // Mapping: strategy address => whether withdrawals go through an unbonding queue
+    mapping(address => bool) public isUnbondingStrategy;
+    
+    // Mapping: user address => strategy address => principal (cost basis) in queued strategy withdrawals
+    mapping(address => mapping(address => uint256)) public requestedPrincipal;
+    
+    // Wallet withdrawal waiting on strategies (remaining = 0 once settled)
+    struct WithdrawalRequest {
+        address user;
+        uint256 amount;
+        uint256 remaining;
+    }
+    
+    // Wallet withdrawal requests by id (ids start at 1)
+    mapping(uint256 => WithdrawalRequest) public withdrawalRequests;
+    uint256 public withdrawalRequestCount;
+    
+    // Mapping: user address => ids of the user's wallet withdrawal requests
+    mapping(address => uint256[]) internal userWithdrawalRequests;
+    
+    // Mapping: user address => vBTC still owed by the user's unsettled withdrawal requests
+    mapping(address => uint256) public outstandingWithdrawals;
+    
+    // Mapping: user address => strategy address => amount wallet withdrawal requests still wait for from the strategy
+    mapping(address => mapping(address => uint256)) internal walletQueued;
+    
+    // Mapping: user address => vBTC claimed from strategies for wallet withdrawal requests and not yet paid out
+    mapping(address => uint256) internal walletReleased;
+    
+    // Mapping: strategy address => users with an open position in that strategy
+    mapping(address => address[]) internal strategyUsers;
+    
+    // Mapping: strategy address => user address => index in strategyUsers + 1 (0 = not tracked)
+    mapping(address => mapping(address => uint256)) internal strategyUserIndex;
+    
+    // Whether the manager has been permanently shut down
+    bool public isShutdown;
+    
+    // Fee parameters (basis points)
+    uint256 public constant MAX_BPS = 10000;
+    uint256 public constant MAX_PERFORMANCE_FEE = 2000; // 20% of realized yield
+    uint256 public constant MAX_MANAGEMENT_FEE = 200; // 2% of allocated principal per year
+    uint256 public constant FEE_CHANGE_DELAY = 2 days;
+    
+    // Current performance fee (on realized yield) and management fee (per year on principal)
+    uint256 public performanceFee;
+    uint256 public managementFee;
+    
+    // Management fee rate summed over time (bps * seconds) as of managementFeeIndexUpdatedAt;
+    // a position owes its allocation times the growth of this index since its checkpoint
+    uint256 public managementFeeIndex;
+    uint256 public managementFeeIndexUpdatedAt;
+    
+    // Address that receives collected fees
+    address public feeRecipient;
+    
+    // Fees charged but not yet sent to the fee recipient
+    uint256 public accruedFees;
+    
+    // Fee change waiting for its timelock to expire (eta = 0 when nothing is queued)
+    struct PendingFeeChange {
+        uint256 performanceFee;
+        uint256 managementFee;
+        uint256 eta;
+    }
+    PendingFeeChange public pendingFeeChange;
+    
+    // Cumulative fees charged per strategy
+    struct StrategyFees {
+        uint256 performance;
+        uint256 management;
+    }
+    mapping(address => StrategyFees) public strategyFees;
+    
+    // Mapping: user => strategy => managementFeeIndex value management fees were last accrued at
+    mapping(address => mapping(address => uint256)) internal managementFeeCheckpoint;
+    
+    // Mapping: user => strategy => management fee accrued but not yet charged
+    mapping(address => mapping(address => uint256)) internal owedManagementFee;
+    
+    // Net vBTC deposited (deposits minus withdrawals, floored at zero), per user and in total
+    mapping(address => uint256) public userDeposits;
+    uint256 public totalDeposits;
+    
+    // Principal currently allocated to each strategy across all users
+    mapping(address => uint256) public strategyAllocated;
+    
+    // Deposit and allocation caps (0 = unlimited)
+    uint256 public tvlCap;
+    uint256 public userDepositCap;
+    mapping(address => uint256) public strategyCaps;
+    
+    // Mapping: strategy address => largest loss one report may mark down before allocations pause
+    // (basis points of the strategy's allocated principal, 0 = no limit)
+    mapping(address => uint256) public strategyLossLimits;
+    
+    // Mapping: strategy address => whether new allocations are paused (set automatically on a large loss)
+    mapping(address => bool) public isStrategyAllocationPaused;
+    
+    // Mapping: strategy address => cumulative principal written off through loss reports
+    mapping(address => uint256) public strategyLosses;
+    
+    // Optional allowlist for early depositors
+    bool public allowlistEnabled;
+    mapping(address => bool) public isAllowlisted;
+    
+    // Oracle used to value positions in USD (zero until the admin sets one)
+    PriceOracle public priceOracle;
+    
+    // Forwarder allowed to relay calls on behalf of users (zero = no meta-transactions)
+    address internal forwarder;
+    
+    // EIP-2612 permit signature for vBTC (v, r, s split out as permit() expects them)
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+    
+    // Events for tracking deposits, withdrawals, and strategy actions
+    event Deposited(address indexed user, uint256 amount);
+    event Withdrawn(address indexed user, uint256 amount);
+    event AllocatedToStrategy(address indexed user, address indexed strategy, uint256 amount);
+    event WithdrawnFromStrategy(address indexed user, address indexed strategy, uint256 amount);
+    event YieldClaimed(address indexed user, address indexed strategy, uint256 amount);
+    event StrategyAdded(address indexed strategy);
+    event StrategyRemoved(address indexed strategy);
+    event StrategyWindDownStarted(address indexed strategy);
+    event PositionUnwound(address indexed user, address indexed strategy, uint256 amount);
+    event PositionMigrated(address indexed user, address indexed fromStrategy, address indexed toStrategy, uint256 amount);
+    event EmergencyWithdrawn(address indexed user, uint256 amount);
+    event Compounded(address indexed strategy, uint256 positions, uint256 amount);
+    event WithdrawalRequested(address indexed user, address indexed strategy, uint256 amount, uint256 requestId);
+    event WithdrawalClaimed(address indexed user, address indexed strategy, uint256 amount);
+    event WithdrawalQueued(address indexed user, uint256 indexed requestId, uint256 amount);
+    event WithdrawalSettled(address indexed user, uint256 indexed requestId, uint256 amount, uint256 remaining);
+    event ShutdownTriggered(address indexed caller);
+    event FeesCharged(address indexed user, address indexed strategy, uint256 performanceFee, uint256 managementFee);
+    event FeesCollected(address indexed recipient, uint256 amount);
+    event FeeRecipientUpdated(address indexed recipient);
+    event PriceOracleUpdated(address indexed oracle);
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event FeeChangeQueued(uint256 performanceFee, uint256 managementFee, uint256 eta);
+    event FeeChangeCancelled();
+    event FeesUpdated(uint256 performanceFee, uint256 managementFee);
+    event TvlCapUpdated(uint256 cap);
+    event UserDepositCapUpdated(uint256 cap);
+    event StrategyCapUpdated(address indexed strategy, uint256 cap);
+    event StrategyLossLimitUpdated(address indexed strategy, uint256 limit);
+    event StrategyAllocationPaused(address indexed strategy, bool paused);
+    event LossReported(address indexed strategy, uint256 loss, uint256 allocatedAfter);
+    event AllowlistEnabled(bool enabled);
+    event AllowlistUpdated(address indexed user, bool allowed);
+    
+    /**
+     * @dev Sets the vBTC token address
+     * @param _vaultBTC Address of the VaultBTC ERC20 token
+     */
+    constructor(address _vaultBTC) ERC2771Context(address(0)) {
+        require(_vaultBTC != address(0), "Invalid vBTC address");
+        vaultBTC = IERC20(_vaultBTC);
+    }
+    
+    /**
+     * @dev Modifier to block operations that put new funds to work after shutdown
+     */
+    modifier whenNotShutdown() {
+        require(!isShutdown, "Manager is shut down");
+        _;
+    }
+    
+    /**
+     * @dev Pulls `amount` of vBTC from `user` and credits it to their idle balance
+     */
+    function _deposit(address user, uint256 amount) internal {
+        require(amount > 0, "Amount must be > 0");
+        require(!allowlistEnabled || isAllowlisted[user], "Not allowlisted");
+        require(tvlCap == 0 || totalDeposits + amount <= tvlCap, "TVL cap exceeded");
+        require(userDepositCap == 0 || userDeposits[user] + amount <= userDepositCap, "User deposit cap exceeded");
+
+        // Transfer vBTC from user to this contract
+        require(vaultBTC.transferFrom(user, address(this), amount), "Transfer failed");
+
+        // Update user's balance
+        userBalances[user] += amount;
+        userDeposits[user] += amount;
+        totalDeposits += amount;
+
+        emit Deposited(user, amount);
+    }
+
+    /**
+     * @dev Moves `amount` of `user`'s idle balance into a strategy
+     */
+    function _allocate(address user, address strategy, uint256 amount) internal {
+        require(amount > 0, "Amount must be > 0");
+        _requireApproved(strategy);
+        require(!isStrategyWindingDown[strategy], "Strategy winding down");
+        require(!isStrategyAllocationPaused[strategy], "Strategy allocation paused");
+        require(userBalances[user] >= amount, "Insufficient balance");
+        require(
+            strategyCaps[strategy] == 0 || strategyAllocated[strategy] + amount <= strategyCaps[strategy],
+            "Strategy cap exceeded"
+        );
+
+        // Decrease user's available balance in StrategyManager
+        userBalances[user] -= amount;
+        _depositToStrategy(user, strategy, amount);
+
+        emit AllocatedToStrategy(user, strategy, amount);
+    }
+
+    /**
+     * @dev Adds `amount` held by the manager to `user`'s position in a strategy and sends it there
+     */
+    function _depositToStrategy(address user, address strategy, uint256 amount) internal {
+        // Increase user's allocation to this strategy
+        _accrueManagementFee(user, strategy);
+        userStrategyAllocations[user][strategy] += amount;
+        strategyAllocated[strategy] += amount;
+        _trackPosition(user, strategy);
+
+        // Approve strategy to take the tokens, then call its deposit function
+        vaultBTC.approve(strategy, amount);
+        IYieldStrategy(strategy).deposit(user, amount);
+    }
+
+    /**
+     * @dev Approves this contract to pull `amount` of `user`'s vBTC using an EIP-2612 permit
+     *
+     * A failed permit is ignored: if someone front-ran it the allowance is already set,
+     * and otherwise the transfer in _deposit() reverts
+     */
+    function _permit(address user, uint256 amount, PermitSignature calldata permit) internal {
+        try IERC20Permit(address(vaultBTC)).permit(
+            user, address(this), amount, permit.deadline, permit.v, permit.r, permit.s
+        ) {} catch {}
+    }
+
+    /**
+     * @dev Force-withdraws open positions from a strategy into users' StrategyManager balances
+     * @param strategy Address of the strategy
+     * @param maxPositions Maximum number of positions to process
+     * @return Number of positions still open in the strategy
+     */
+    function _unwindPositions(address strategy, uint256 maxPositions) internal returns (uint256) {
+        address[] storage users = strategyUsers[strategy];
+        for (uint256 i = 0; i < maxPositions && users.length > 0; i++) {
+            address user = users[users.length - 1];
+            
+            uint256 received = _exitPosition(user, strategy);
+            userBalances[user] += received;
+            
+            emit PositionUnwound(user, strategy, received);
+        }
+        
+        return users.length;
+    }
+    
+    /**
+     * @dev Lowers a user's net deposits after vBTC leaves the manager
+     * @param user Address of the user
+     * @param amount Amount withdrawn to the user's wallet
+     * 
+     * Withdrawn yield can take net deposits to zero but never below
+     */
+    function _reduceDeposits(address user, uint256 amount) internal {
+        uint256 deposits = userDeposits[user];
+        uint256 reduction = amount < deposits ? amount : deposits;
+        userDeposits[user] = deposits - reduction;
+        totalDeposits -= reduction;
+    }
+    
+    /**
+     * @dev Closes a user's position in a strategy, pulling principal + yield back to this contract
+     * @param user The user whose position is closed
+     * @param strategy Address of the strategy
+     * @return received Amount of vBTC the strategy paid out, net of fees
+     * 
+     * The caller decides where the received funds are credited
+     * Management fee that the payout cannot cover is forgiven once the position is closed
+     * Positions the strategy cannot pay out instantly in full (always the case for unbonding
+     * strategies) are queued for withdrawal instead and pay out nothing now; the user claims
+     * them with claimStrategyWithdraw(), which also charges the fees
+     */
+    function _exitPosition(address user, address strategy) internal returns (uint256 received) {
+        uint256 principal = userStrategyAllocations[user][strategy];
+        uint256 balance = IYieldStrategy(strategy).balanceOf(user);
+        bool queue = isUnbondingStrategy[strategy] || IYieldStrategy(strategy).maxWithdraw(user) < balance;
+        _accrueManagementFee(user, strategy);
+
+        // Clear user's allocation in this strategy
+        userStrategyAllocations[user][strategy] = 0;
+        strategyAllocated[strategy] -= principal;
+        _untrackPosition(user, strategy);
+
+        if (queue) {
+            _queueWithdrawal(user, strategy, principal, balance);
+            return 0;
+        }
+
+        uint256 balanceBefore = vaultBTC.balanceOf(address(this));
+
+        received = IYieldStrategy(strategy).withdrawAll(user);
+
+        _verifyPayout(balanceBefore, received);
+
+        received = _chargeFees(user, strategy, received, received > principal ? received - principal : 0);
+        delete owedManagementFee[user][strategy];
+    }
+    
+    /**
+     * @dev Withdraws part of a user's position instantly into their StrategyManager balance
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @param amount Amount to withdraw, up to the user's strategy balance
+     * @return received Amount credited after fees
+     *
+     * Principal is withdrawn first; any part of amount beyond the allocation is realized yield
+     */
+    function _withdrawFromStrategy(address user, address strategy, uint256 amount) internal returns (uint256 received) {
+        require(amount > 0, "Amount must be > 0");
+        require(!isUnbondingStrategy[strategy], "Strategy requires unbonding");
+        require(IYieldStrategy(strategy).balanceOf(user) >= amount, "Insufficient strategy balance");
+
+        // Decrease user's allocation in this strategy by the principal part of the withdrawal
+        uint256 allocation = userStrategyAllocations[user][strategy];
+        uint256 principal = amount < allocation ? amount : allocation;
+        _accrueManagementFee(user, strategy);
+        userStrategyAllocations[user][strategy] = allocation - principal;
+        strategyAllocated[strategy] -= principal;
+
+        // Call strategy's withdraw function (strategy sends tokens back to this contract)
+        uint256 balanceBefore = vaultBTC.balanceOf(address(this));
+        received = IYieldStrategy(strategy).withdraw(user, amount);
+        _verifyPayout(balanceBefore, received);
+        received = _chargeFees(user, strategy, received, received > principal ? received - principal : 0);
+
+        // Increase user's available balance in StrategyManager
+        userBalances[user] += received;
+        _untrackIfClosed(user, strategy);
+
+        emit WithdrawnFromStrategy(user, strategy, received);
+    }
+    
+    /**
+     * @dev Queues a withdrawal of part of a user's position, taking principal out of the allocation first
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @param amount Amount to request, up to the user's strategy balance
+     * @return requestId The strategy's identifier for the request
+     */
+    function _requestFromStrategy(address user, address strategy, uint256 amount) internal returns (uint256 requestId) {
+        uint256 allocation = userStrategyAllocations[user][strategy];
+        uint256 principal = amount < allocation ? amount : allocation;
+        _accrueManagementFee(user, strategy);
+        userStrategyAllocations[user][strategy] = allocation - principal;
+        strategyAllocated[strategy] -= principal;
+        requestedPrincipal[user][strategy] += principal;
+
+        requestId = IYieldStrategy(strategy).requestWithdraw(user, amount);
+
+        emit WithdrawalRequested(user, strategy, amount, requestId);
+    }
+    
+    /**
+     * @dev Claims a user's queued withdrawals from a strategy into their StrategyManager balance
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return claimed Amount credited after fees
+     *
+     * Anything claimed beyond the requested principal is realized yield; if losses left less
+     * than the principal, the shortfall is written off once no request is left unclaimed
+     * Claims count towards the user's wallet withdrawal requests first (see claimWithdrawal())
+     */
+    function _claimFromStrategy(address user, address strategy) internal returns (uint256 claimed) {
+        uint256 balanceBefore = vaultBTC.balanceOf(address(this));
+        uint256 received = IYieldStrategy(strategy).claim(user);
+        _verifyPayout(balanceBefore, received);
+        require(received > 0, "Nothing to claim");
+
+        bool open = _hasWithdrawalRequests(user, strategy);
+        uint256 requested = requestedPrincipal[user][strategy];
+        uint256 principal = received < requested ? received : requested;
+        requestedPrincipal[user][strategy] = open ? requested - principal : 0;
+        claimed = _chargeFees(user, strategy, received, received - principal);
+
+        uint256 forWallet = walletQueued[user][strategy];
+        if (forWallet > 0) {
+            uint256 credited = received < forWallet ? received : forWallet;
+            walletQueued[user][strategy] = open ? forWallet - credited : 0;
+            walletReleased[user] += credited < claimed ? credited : claimed;
+        }
+
+        // Increase user's available balance in StrategyManager
+        userBalances[user] += claimed;
+        _untrackIfClosed(user, strategy);
+
+        emit WithdrawalClaimed(user, strategy, claimed);
+    }
+    
+    /**
+     * @dev Queues up to `maxAmount` of a position whose allocation the caller has already cleared
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @param principal Allocation removed from the position, to be recovered on claim
+     * @param maxAmount Most the request may withdraw (capped at the user's strategy balance)
+     * @return Whether a request was made (false if the position had nothing left to withdraw)
+     */
+    function _queueWithdrawal(address user, address strategy, uint256 principal, uint256 maxAmount) internal returns (bool) {
+        requestedPrincipal[user][strategy] += principal;
+
+        uint256 amount = IYieldStrategy(strategy).balanceOf(user);
+        if (maxAmount < amount) {
+            amount = maxAmount;
+        }
+        if (amount == 0) {
+            return false;
+        }
+
+        uint256 requestId = IYieldStrategy(strategy).requestWithdraw(user, amount);
+        emit WithdrawalRequested(user, strategy, amount, requestId);
+        return true;
+    }
+    
+    /**
+     * @dev Reinvests the yield of a page of open positions in a compounding strategy
+     * @param strategy Address of the strategy
+     * @param start Index of the first position to compound
+     * @param maxPositions Maximum number of positions to compound
+     * @return compounded Total yield moved into principal
+     * @return next Index to start the next page at, or zero once the last position is compounded
+     */
+    function _compound(
+        address strategy,
+        uint256 start,
+        uint256 maxPositions
+    ) internal returns (uint256 compounded, uint256 next) {
+        address[] storage users = strategyUsers[strategy];
+        uint256 i = start;
+        for (; i < users.length && i - start < maxPositions; i++) {
+            compounded += ICompoundingStrategy(strategy).compound(users[i]);
+        }
+        next = i < users.length ? i : 0;
+
+        emit Compounded(strategy, i - start, compounded);
+    }
+
+    /**
+     * @dev Whether a strategy reports ICompoundingStrategy through ERC-165
+     * @param strategy Address of the strategy
+     */
+    function _isCompounding(address strategy) internal view returns (bool) {
+        return ERC165Checker.supportsInterface(strategy, type(ICompoundingStrategy).interfaceId);
+    }
+
+    /**
+     * @dev Reverts unless a strategy is approved
+     * @param strategy Address of the strategy
+     */
+    function _requireApproved(address strategy) internal view {
+        require(isStrategyApproved[strategy], "Strategy not approved");
+    }
+    
+    /**
+     * @dev Checks whether a user still has unclaimed withdrawal requests in a strategy
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     */
+    function _hasWithdrawalRequests(address user, address strategy) internal view returns (bool) {
+        return IYieldStrategy(strategy).pendingWithdrawal(user) + IYieldStrategy(strategy).claimableWithdrawal(user) > 0;
+    }
+    
+    /**
+     * @dev Sends part of a user's StrategyManager balance to their wallet
+     * @param user Address of the user
+     * @param amount Amount of vBTC to send (may be zero)
+     */
+    function _payOut(address user, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        
+        userBalances[user] -= amount;
+        _reduceDeposits(user, amount);
+        require(vaultBTC.transfer(user, amount), "Transfer failed");
+        
+        emit Withdrawn(user, amount);
+    }
+    
+    /**
+     * @dev Adds the management fee earned on a position since its last checkpoint to what it owes
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * 
+     * Must run before the position's allocation changes so each period is charged on the right principal
+     */
+    function _accrueManagementFee(address user, address strategy) internal {
+        owedManagementFee[user][strategy] = _pendingManagementFee(user, strategy);
+        managementFeeCheckpoint[user][strategy] = _currentManagementFeeIndex();
+    }
+    
+    /**
+     * @dev Brings managementFeeIndex up to date at the current management fee
+     * 
+     * Must run before the management fee changes so time before the change is indexed at the old rate
+     */
+    function _updateManagementFeeIndex() internal {
+        managementFeeIndex = _currentManagementFeeIndex();
+        managementFeeIndexUpdatedAt = block.timestamp;
+    }
+    
+    /**
+     * @dev Computes managementFeeIndex as of now, including time since it was last updated
+     * @return Management fee rate summed over time, in basis points * seconds
+     */
+    function _currentManagementFeeIndex() internal view returns (uint256) {
+        return managementFeeIndex + managementFee * (block.timestamp - managementFeeIndexUpdatedAt);
+    }
+    
+    /**
+     * @dev Takes the performance fee and any owed management fee out of a strategy payout
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @param received Amount the strategy paid out
+     * @param yieldAmount Portion of the payout that is realized yield
+     * @return Amount left for the user after fees
+     */
+    function _chargeFees(
+        address user,
+        address strategy,
+        uint256 received,
+        uint256 yieldAmount
+    ) internal returns (uint256) {
+        uint256 performance = (yieldAmount * performanceFee) / MAX_BPS;
+        uint256 management = owedManagementFee[user][strategy];
+        if (performance + management > received) {
+            management = received - performance;
+        }
+        if (performance + management == 0) {
+            return received;
+        }
+
+        owedManagementFee[user][strategy] -= management;
+        strategyFees[strategy].performance += performance;
+        strategyFees[strategy].management += management;
+        accruedFees += performance + management;
+
+        emit FeesCharged(user, strategy, performance, management);
+        return received - performance - management;
+    }
+    
+    /**
+     * @dev Computes the management fee a position owes, including time since its last checkpoint
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return Management fee owed in vBTC
+     * 
+     * Time since the checkpoint is charged through the fee index, so each period is charged at the rate
+     * in force during it
+     */
+    function _pendingManagementFee(address user, address strategy) internal view returns (uint256) {
+        uint256 indexGrowth = _currentManagementFeeIndex() - managementFeeCheckpoint[user][strategy];
+        uint256 accrued = (userStrategyAllocations[user][strategy] * indexGrowth) / (MAX_BPS * 365 days);
+        return owedManagementFee[user][strategy] + accrued;
+    }
+    
+    /**
+     * @dev Records that a user has an open position in a strategy
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     */
+    function _trackPosition(address user, address strategy) internal {
+        if (strategyUserIndex[strategy][user] == 0) {
+            strategyUsers[strategy].push(user);
+            strategyUserIndex[strategy][user] = strategyUsers[strategy].length;
+        }
+    }
+    
+    /**
+     * @dev Removes a user from a strategy's open positions (swap with last element and pop)
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     */
+    function _untrackPosition(address user, address strategy) internal {
+        uint256 index = strategyUserIndex[strategy][user];
+        if (index == 0) {
+            return;
+        }
+        
+        address[] storage users = strategyUsers[strategy];
+        address last = users[users.length - 1];
+        users[index - 1] = last;
+        strategyUserIndex[strategy][last] = index;
+        users.pop();
+        delete strategyUserIndex[strategy][user];
+    }
+    
+    /**
+     * @dev Stops tracking a position once neither principal nor yield is left in the strategy
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     *
+     * Withdrawal requests still waiting to be claimed keep the position open
+     */
+    function _untrackIfClosed(address user, address strategy) internal {
+        if (userStrategyAllocations[user][strategy] != 0 || IYieldStrategy(strategy).balanceOf(user) != 0) {
+            return;
+        }
+        if (_hasWithdrawalRequests(user, strategy)) {
+            return;
+        }
+        _untrackPosition(user, strategy);
+    }
+    
+    /**
+     * @dev Ensures a strategy actually transferred the amount it reported paying out
+     * @param balanceBefore vBTC balance of this contract before calling the strategy
+     * @param reported Amount the strategy returned as paid out
+     */
+    function _verifyPayout(uint256 balanceBefore, uint256 reported) internal view {
+        require(vaultBTC.balanceOf(address(this)) - balanceBefore >= reported, "Strategy payout mismatch");
+    }
+    
+    /**
+     * @dev Returns the forwarder set by the admin instead of a constructor-time one
+     */
+    function trustedForwarder() public view override returns (address) {
+        return forwarder;
+    }
+
+    function _msgSender() internal view virtual override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view virtual override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view virtual override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+}
@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StrategyManagerBase.sol";
+
+/**
+ * @title StrategyManagerExtension
+ * @dev Batch operations and the wallet withdrawal queue of StrategyManager
+ * @notice Only runs through StrategyManager, which DELEGATECALLs here, so it works on the manager's storage
+ *
+ * StrategyManager deploys this contract in its constructor and forwards allocateMany(),
+ * withdrawManyFromStrategies(), reallocate(), requestWithdrawal() and claimWithdrawal() to it.
+ * Keeping their code here keeps StrategyManager well under the 24 KB contract size limit
+ */
+contract StrategyManagerExtension is StrategyManagerBase {
+    
+    // The StrategyManager that deployed this extension and delegates to it
+    address public immutable manager;
+    
+    /**
+     * @dev Constructor records the deploying StrategyManager
+     * @param _vaultBTC Address of the VaultBTC ERC20 token (the manager's vaultBTC)
+     */
+    constructor(address _vaultBTC) StrategyManagerBase(_vaultBTC) {
+        manager = msg.sender;
+    }
+    
+    /**
+     * @dev Modifier to reject calls that do not come through the manager's DELEGATECALL
+     */
+    modifier onlyDelegated() {
+        require(address(this) == manager, "Only via StrategyManager");
+        _;
+    }
+    
+    /**
+     * @dev Allocates to several strategies in one transaction
+     * @param strategyAddresses Strategies to allocate to
+     * @param amounts Amount of vBTC to allocate to each strategy
+     *
+     * Each allocation is checked as in allocateToStrategy(); if any fails, none take effect
+     */
+    function allocateMany(
+        address[] calldata strategyAddresses,
+        uint256[] calldata amounts
+    ) external onlyDelegated whenNotPaused whenNotShutdown {
+        require(strategyAddresses.length == amounts.length, "Length mismatch");
+        address user = _msgSender();
+        for (uint256 i = 0; i < strategyAddresses.length; i++) {
+            _allocate(user, strategyAddresses[i], amounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Withdraws from several strategies back to StrategyManager in one transaction
+     * @param strategyAddresses Strategies to withdraw from
+     * @param amounts Amount to withdraw from each strategy
+     *
+     * Each withdrawal is checked as in withdrawFromStrategy(); if any fails, none take effect
+     */
+    function withdrawManyFromStrategies(
+        address[] calldata strategyAddresses,
+        uint256[] calldata amounts
+    ) external onlyDelegated whenNotPaused {
+        require(strategyAddresses.length == amounts.length, "Length mismatch");
+        address user = _msgSender();
+        for (uint256 i = 0; i < strategyAddresses.length; i++) {
+            _withdrawFromStrategy(user, strategyAddresses[i], amounts[i]);
+        }
+    }
+    
+    /**
+     * @dev Moves funds from one strategy to another without them passing through the user's wallet
+     * @param fromStrategy Strategy to withdraw from
+     * @param toStrategy Strategy to allocate to
+     * @param amount Amount to withdraw from `fromStrategy`, up to the user's full strategy balance
+     * @return moved Amount allocated to `toStrategy` (what the withdrawal credited after fees)
+     */
+    function reallocate(
+        address fromStrategy,
+        address toStrategy,
+        uint256 amount
+    ) external onlyDelegated whenNotPaused whenNotShutdown returns (uint256 moved) {
+        address user = _msgSender();
+        moved = _withdrawFromStrategy(user, fromStrategy, amount);
+        _allocate(user, toStrategy, moved);
+    }
+    
+    /**
+     * @dev Withdraws vBTC to the caller's wallet, queueing whatever strategies cannot pay instantly
+     * @param amount Amount of vBTC to withdraw
+     * @return requestId Identifier of the queued remainder (0 if everything was paid right away)
+     *
+     * Idle StrategyManager balance is used first, then strategies in list order: each pays what
+     * its maxWithdraw() allows and the rest is requested from it. Instant payouts (net of fees)
+     * go to the wallet now; the requested part is tracked as a withdrawal request and paid by
+     * claimWithdrawal() once the strategies release it
+     */
+    function requestWithdrawal(uint256 amount) external onlyDelegated whenNotPaused returns (uint256 requestId) {
+        address user = _msgSender();
+        require(amount > 0, "Amount must be > 0");
+
+        uint256 idle = userBalances[user];
+        uint256 needed = amount > idle ? amount - idle : 0;
+        uint256 queued;
+        for (uint256 i = 0; i < strategies.length && needed > 0; i++) {
+            address strategy = strategies[i];
+            uint256 balance = IYieldStrategy(strategy).balanceOf(user);
+            if (balance == 0) {
+                continue;
+            }
+            
+            uint256 take = needed < balance ? needed : balance;
+            uint256 instant = IYieldStrategy(strategy).maxWithdraw(user);
+            instant = instant < take ? instant : take;
+            if (instant > 0) {
+                _withdrawFromStrategy(user, strategy, instant);
+            }
+            if (take > instant) {
+                _requestFromStrategy(user, strategy, take - instant);
+                walletQueued[user][strategy] += take - instant;
+                queued += take - instant;
+            }
+            needed -= take;
+        }
+        require(needed == 0, "Insufficient balance");
+
+        // Fees can leave instant payouts slightly short of what was asked
+        uint256 paid = amount - queued;
+        _payOut(user, paid < userBalances[user] ? paid : userBalances[user]);
+
+        if (queued > 0) {
+            requestId = ++withdrawalRequestCount;
+            withdrawalRequests[requestId] = WithdrawalRequest(user, queued, queued);
+            userWithdrawalRequests[user].push(requestId);
+            outstandingWithdrawals[user] += queued;
+            
+            emit WithdrawalQueued(user, requestId, queued);
+        }
+    }
+    
+    /**
+     * @dev Pays out as much of a withdrawal request as the strategies have released
+     * @param requestId Identifier returned by requestWithdrawal()
+     * @return paid Amount of vBTC sent to the caller's wallet
+     *
+     * Claims every strategy withdrawal the caller can claim, then pays the request only from
+     * what strategies have paid back for wallet withdrawal requests (walletReleased), never
+     * from other idle balance. Once no strategy has a wallet withdrawal left pending, the
+     * request is settled even if fees or losses left part of it unpaid
+     * Withdrawals queued in strategies that have since been removed are claimed with claimStrategyWithdraw()
+     */
+    function claimWithdrawal(uint256 requestId) external onlyDelegated whenNotPaused returns (uint256 paid) {
+        address user = _msgSender();
+        WithdrawalRequest storage request = withdrawalRequests[requestId];
+        require(request.user == user, "Not request owner");
+        uint256 remaining = request.remaining;
+        require(remaining > 0, "Request already settled");
+
+        bool pending;
+        for (uint256 i = 0; i < strategies.length; i++) {
+            address strategy = strategies[i];
+            if (IYieldStrategy(strategy).claimableWithdrawal(user) > 0) {
+                _claimFromStrategy(user, strategy);
+            }
+            pending = pending || walletQueued[user][strategy] > 0;
+        }
+
+        uint256 released = walletReleased[user];
+        paid = remaining < released ? remaining : released;
+        if (paid > userBalances[user]) {
+            paid = userBalances[user];
+        }
+        require(paid > 0 || !pending, "Nothing to claim");
+
+        walletReleased[user] = released - paid;
+        request.remaining = pending ? remaining - paid : 0;
+        outstandingWithdrawals[user] -= remaining - request.remaining;
+        _payOut(user, paid);
+
+        emit WithdrawalSettled(user, requestId, paid, request.remaining);
+    }
+}
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IYieldStrategy.sol";
+import "./StrategyManager.sol";
+
+/**
+ * @title StrategyManagerLens
+ * @dev Read-only views over a StrategyManager for frontends and integrators
+ * @notice Holds no funds and no state beyond the manager it reads
+ *
+ * These views are built entirely from the manager's public state and the strategies' own
+ * views: deposit and allocation limits, queued strategy withdrawals and a user's total value
+ * in vBTC and USD. They live here rather than on the manager to keep StrategyManager well
+ * under the 24 KB contract size limit
+ */
+contract StrategyManagerLens {
+
+    // Manager whose state the views read
+    StrategyManager public immutable manager;
+
+    /**
+     * @param _manager Address of the StrategyManager to read
+     */
+    constructor(address _manager) {
+        require(_manager != address(0), "Invalid manager address");
+        manager = StrategyManager(_manager);
+    }
+
+    /**
+     * @dev Maximum amount a user can deposit right now
+     * @param user Address of the user
+     * @return Remaining deposit capacity in vBTC (type(uint256).max if unlimited)
+     */
+    function maxDeposit(address user) external view returns (uint256) {
+        if (
+            manager.paused() || manager.isShutdown() ||
+            (manager.allowlistEnabled() && !manager.isAllowlisted(user))
+        ) {
+            return 0;
+        }
+
+        uint256 max = type(uint256).max;
+        uint256 tvlCap = manager.tvlCap();
+        if (tvlCap != 0) {
+            uint256 totalDeposits = manager.totalDeposits();
+            max = tvlCap > totalDeposits ? tvlCap - totalDeposits : 0;
+        }
+        uint256 userDepositCap = manager.userDepositCap();
+        if (userDepositCap != 0) {
+            uint256 deposits = manager.userDeposits(user);
+            uint256 userRoom = userDepositCap > deposits ? userDepositCap - deposits : 0;
+            max = userRoom < max ? userRoom : max;
+        }
+        return max;
+    }
+
+    /**
+     * @dev Maximum amount a user can allocate to a strategy right now
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return Allocatable amount, limited by the user's balance and the strategy cap
+     */
+    function maxAllocate(address user, address strategy) external view returns (uint256) {
+        if (
+            manager.paused() || manager.isShutdown() || !manager.isStrategyApproved(strategy) ||
+            manager.isStrategyWindingDown(strategy) || manager.isStrategyAllocationPaused(strategy)
+        ) {
+            return 0;
+        }
+
+        uint256 max = manager.userBalances(user);
+        uint256 cap = manager.strategyCaps(strategy);
+        if (cap != 0) {
+            uint256 allocated = manager.strategyAllocated(strategy);
+            uint256 room = cap > allocated ? cap - allocated : 0;
+            max = room < max ? room : max;
+        }
+        return max;
+    }
+
+    /**
+     * @dev Gets the value of a user's queued withdrawals in a strategy that cannot be claimed yet
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return Amount still waiting on the strategy
+     */
+    function getPendingWithdrawal(address user, address strategy) external view returns (uint256) {
+        return IYieldStrategy(strategy).pendingWithdrawal(user);
+    }
+
+    /**
+     * @dev Gets the value of a user's queued withdrawals in a strategy that can be claimed now
+     * @param user Address of the user
+     * @param strategy Address of the strategy
+     * @return Amount claimStrategyWithdraw() would pay out before fees
+     */
+    function getClaimableWithdrawal(address user, address strategy) external view returns (uint256) {
+        return IYieldStrategy(strategy).claimableWithdrawal(user);
+    }
+
+    /**
+     * @dev Gets everything a user holds in the manager, in vBTC
+     * @param user Address of the user
+     * @return total Idle balance plus every strategy balance (net of fees) and queued strategy withdrawals
+     */
+    function getUserTotalValue(address user) public view returns (uint256 total) {
+        total = manager.userBalances(user);
+        address[] memory strategies = manager.getAllStrategies();
+        for (uint256 i = 0; i < strategies.length; i++) {
+            IYieldStrategy strategy = IYieldStrategy(strategies[i]);
+            total += manager.getNetStrategyBalance(user, address(strategy)) +
+                strategy.pendingWithdrawal(user) + strategy.claimableWithdrawal(user);
+        }
+    }
+
+    /**
+     * @dev Gets the USD value of everything a user holds in the manager
+     * @param user Address of the user
+     * @return USD value with 18 decimals, priced by the manager's price oracle
+     */
+    function getUserValueUSD(address user) external view returns (uint256) {
+        PriceOracle oracle = manager.priceOracle();
+        require(address(oracle) != address(0), "Price oracle not set");
+        return oracle.getValueUSD(address(manager.vaultBTC()), getUserTotalValue(user));
+    }
+}
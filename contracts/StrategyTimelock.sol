@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+ * @title StrategyTimelock
+ * @dev Timelock that holds the privileged StrategyManager roles so that strategy listing,
+ *      delisting, fee and cap changes go through queue -> delay -> execute
+ * @notice Every queued change is visible on-chain for at least the minimum delay before it
+ *         can run, giving depositors time to exit before a new strategy can receive funds
+ *
+ * Proposers queue operations with schedule/scheduleBatch and can cancel them while pending.
+ * Once the delay has passed, an executor runs them with execute/executeBatch.
+ * The delay itself can only be changed by the timelock (updateDelay through a queued operation).
+ *
+ * Each stage emits the standard TimelockController events:
+ *   CallScheduled (queued), CallExecuted (executed), Cancelled (cancelled), MinDelayChange (delay updated)
+ *
+ * On top of TimelockController this contract tracks the ids of operations that have been
+ * queued but neither executed nor cancelled, so frontends can list them without replaying logs.
+ */
+contract StrategyTimelock is TimelockController {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Ids of operations that are queued and not yet executed or cancelled
+    EnumerableSet.Bytes32Set private pendingOperations;
+
+    /**
+     * @dev Constructor sets the initial delay and the accounts allowed to queue and run operations
+     * @param minDelay Initial minimum delay in seconds between queueing and executing
+     * @param proposers Accounts allowed to queue and cancel operations
+     * @param executors Accounts allowed to execute ready operations (address(0) lets anyone execute)
+     * @param admin Optional account allowed to configure roles without delay (address(0) to disable)
+     */
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+
+    /**
+     * @dev Queues a single call and records it as pending
+     */
+    function schedule(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public virtual override {
+        super.schedule(target, value, data, predecessor, salt, delay);
+        pendingOperations.add(hashOperation(target, value, data, predecessor, salt));
+    }
+
+    /**
+     * @dev Queues a batch of calls and records it as pending
+     */
+    function scheduleBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata payloads,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public virtual override {
+        super.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+        pendingOperations.add(hashOperationBatch(targets, values, payloads, predecessor, salt));
+    }
+
+    /**
+     * @dev Cancels a queued operation and drops it from the pending list
+     */
+    function cancel(bytes32 id) public virtual override {
+        super.cancel(id);
+        pendingOperations.remove(id);
+    }
+
+    /**
+     * @dev Runs a ready single-call operation and drops it from the pending list
+     */
+    function execute(
+        address target,
+        uint256 value,
+        bytes calldata payload,
+        bytes32 predecessor,
+        bytes32 salt
+    ) public payable virtual override {
+        super.execute(target, value, payload, predecessor, salt);
+        pendingOperations.remove(hashOperation(target, value, payload, predecessor, salt));
+    }
+
+    /**
+     * @dev Runs a ready batch operation and drops it from the pending list
+     */
+    function executeBatch(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata payloads,
+        bytes32 predecessor,
+        bytes32 salt
+    ) public payable virtual override {
+        super.executeBatch(targets, values, payloads, predecessor, salt);
+        pendingOperations.remove(hashOperationBatch(targets, values, payloads, predecessor, salt));
+    }
+
+    /**
+     * @dev Get all operations that are queued and not yet executed or cancelled
+     * @return ids Operation ids
+     * @return readyAt Timestamp at which each operation becomes executable
+     */
+    function getPendingOperations() external view returns (bytes32[] memory ids, uint256[] memory readyAt) {
+        ids = pendingOperations.values();
+        readyAt = new uint256[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            readyAt[i] = getTimestamp(ids[i]);
+        }
+    }
+
+    /**
+     * @dev Get the number of pending operations
+     * @return Number of operations that are queued and not yet executed or cancelled
+     */
+    function getPendingOperationCount() external view returns (uint256) {
+        return pendingOperations.length();
+    }
+}
@@ -0,0 +1,467 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IYieldStrategy.sol";
+import "./StrategyManager.sol";
+
+/**
+ * @title StrategyVault
+ * @dev ERC-4626 share-based vault that pools vBTC and deploys it through the StrategyManager
+ * @notice Users deposit vBTC and receive svBTC shares; yield earned by the pool raises the share price
+ *
+ * The vault is a single "user" of the StrategyManager. Every depositor owns a pro-rata claim
+ * on the vault's total assets, which makes pooled yield and transferable positions possible
+ * without any per-user bookkeeping in the manager.
+ *
+ * Total assets = vBTC held by the vault
+ *              + vault's unallocated balance in the StrategyManager
+ *              + vault's balance (principal + yield) in every approved strategy
+ *              + vault's queued withdrawals in every approved strategy (pending or claimable)
+ *
+ * Withdrawals are served from idle vBTC first, then from queued withdrawals the strategies
+ * have released, and then pulled back from strategies in the order the StrategyManager
+ * lists them, as far as each strategy has liquidity.
+ *
+ * Allocation is managed at the pool level: the owner or a curator sets a target weight
+ * (in basis points of total assets) for each approved strategy, and rebalance() moves
+ * funds between idle and strategies until every strategy is within the drift tolerance.
+ * Any weight not assigned to a strategy stays idle as a withdrawal buffer.
+ *
+ * Unbonding strategies are never used: vault withdrawals must be served instantly.
+ */
+contract StrategyVault is ERC4626, Ownable {
+
+    // The StrategyManager this vault allocates through
+    StrategyManager public immutable strategyManager;
+
+    // Basis points denominator for weights and drift tolerance
+    uint256 public constant MAX_BPS = 10000;
+
+    // Account allowed to manage allocations alongside the owner
+    address public curator;
+
+    // Mapping: strategy address => target share of total assets in basis points
+    mapping(address => uint256) public targetWeights;
+
+    // Sum of all target weights (the rest of the pool stays idle)
+    uint256 public totalTargetWeight;
+
+    // Allowed deviation from target (in basis points of total assets) before rebalance moves funds
+    uint256 public driftTolerance;
+
+    // Events
+    event AllocatedToStrategy(address indexed strategy, uint256 amount);
+    event DeallocatedFromStrategy(address indexed strategy, uint256 amount);
+    event CuratorUpdated(address indexed curator);
+    event TargetWeightSet(address indexed strategy, uint256 weight);
+    event DriftToleranceSet(uint256 tolerance);
+    event Rebalanced(uint256 totalAssets, uint256 idleAssets);
+    event QueuedWithdrawalsClaimed(uint256 amount);
+
+    /**
+     * @dev Constructor sets the underlying asset and StrategyManager
+     * @param _vaultBTC Address of the VaultBTC token (the ERC-4626 asset)
+     * @param _strategyManager Address of the StrategyManager contract
+     */
+    constructor(address _vaultBTC, address _strategyManager)
+        ERC20("Vault Bitcoin Shares", "svBTC")
+        ERC4626(IERC20(_vaultBTC))
+        Ownable(msg.sender)
+    {
+        require(_vaultBTC != address(0), "Invalid vBTC address");
+        require(_strategyManager != address(0), "Invalid manager address");
+        require(address(StrategyManager(_strategyManager).vaultBTC()) == _vaultBTC, "Asset mismatch");
+
+        strategyManager = StrategyManager(_strategyManager);
+    }
+
+    /**
+     * @dev Modifier to allow either the owner or the curator
+     */
+    modifier onlyCurator() {
+        require(msg.sender == owner() || msg.sender == curator, "Only owner or curator");
+        _;
+    }
+
+    /**
+     * @dev Sets the curator account that manages allocations
+     * @param _curator Address of the new curator (zero address to remove)
+     */
+    function setCurator(address _curator) external onlyOwner {
+        curator = _curator;
+
+        emit CuratorUpdated(_curator);
+    }
+
+    /**
+     * @dev Sets the target weight of an approved strategy
+     * @param strategy Address of the strategy
+     * @param weight Target share of total assets in basis points
+     *
+     * The sum of all weights cannot exceed 100%; weights only take effect on the next rebalance()
+     */
+    function setTargetWeight(address strategy, uint256 weight) external onlyCurator {
+        require(weight == 0 || strategyManager.isStrategyApproved(strategy), "Strategy not approved");
+        require(weight == 0 || !strategyManager.isStrategyWindingDown(strategy), "Strategy winding down");
+        require(weight == 0 || !strategyManager.isUnbondingStrategy(strategy), "Strategy requires unbonding");
+
+        uint256 newTotal = totalTargetWeight - targetWeights[strategy] + weight;
+        require(newTotal <= MAX_BPS, "Total weight exceeds 100%");
+
+        totalTargetWeight = newTotal;
+        targetWeights[strategy] = weight;
+
+        emit TargetWeightSet(strategy, weight);
+    }
+
+    /**
+     * @dev Sets how far a strategy may drift from its target before rebalance() acts
+     * @param tolerance Drift tolerance in basis points of total assets
+     */
+    function setDriftTolerance(uint256 tolerance) external onlyCurator {
+        require(tolerance <= MAX_BPS, "Tolerance exceeds 100%");
+        driftTolerance = tolerance;
+
+        emit DriftToleranceSet(tolerance);
+    }
+
+    /**
+     * @dev Moves pooled funds between idle and strategies to match the target weights
+     *
+     * Overweight strategies are reduced first so the freed vBTC can fund underweight ones.
+     * Strategies within the drift tolerance are left untouched, and strategies that are
+     * winding down in the StrategyManager are emptied. Each move emits
+     * AllocatedToStrategy or DeallocatedFromStrategy.
+     * Queued withdrawals the strategies have released are claimed first so they can be redeployed.
+     */
+    function rebalance() external onlyCurator {
+        _claimQueued();
+        _withdrawManagerBalance();
+
+        uint256 total = totalAssets();
+        address[] memory strategies = strategyManager.getAllStrategies();
+
+        // First pass: pull funds out of overweight strategies
+        for (uint256 i = 0; i < strategies.length; i++) {
+            uint256 current = IYieldStrategy(strategies[i]).balanceOf(address(this));
+            uint256 target = _targetBalance(strategies[i], total);
+
+            if (current > target && _exceedsTolerance(current - target, total)) {
+                _deallocate(strategies[i], current - target);
+            }
+        }
+
+        // Second pass: deploy idle funds into underweight strategies
+        for (uint256 i = 0; i < strategies.length; i++) {
+            uint256 current = IYieldStrategy(strategies[i]).balanceOf(address(this));
+            uint256 target = _targetBalance(strategies[i], total);
+
+            if (target > current && _exceedsTolerance(target - current, total)) {
+                uint256 idle = IERC20(asset()).balanceOf(address(this));
+                uint256 amount = target - current < idle ? target - current : idle;
+                if (amount > 0) {
+                    _allocate(strategies[i], amount);
+                }
+            }
+        }
+
+        emit Rebalanced(totalAssets(), IERC20(asset()).balanceOf(address(this)));
+    }
+
+    /**
+     * @dev Checks whether any strategy is outside the drift tolerance
+     * @return True if calling rebalance() would move funds
+     */
+    function needsRebalance() external view returns (bool) {
+        uint256 total = totalAssets();
+        address[] memory strategies = strategyManager.getAllStrategies();
+
+        for (uint256 i = 0; i < strategies.length; i++) {
+            uint256 current = IYieldStrategy(strategies[i]).balanceOf(address(this));
+            uint256 target = _targetBalance(strategies[i], total);
+            uint256 drift = current > target ? current - target : target - current;
+
+            if (drift > 0 && _exceedsTolerance(drift, total)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @dev Total vBTC managed by the vault (idle + manager balance + every strategy's balance net of fees
+     * + queued strategy withdrawals)
+     * @return assets Total assets backing all shares
+     *
+     * Queued withdrawals are counted at their full amount; the manager's fees on them are only
+     * known once they are claimed
+     */
+    function totalAssets() public view override returns (uint256 assets) {
+        assets = IERC20(asset()).balanceOf(address(this)) + strategyManager.userBalances(address(this));
+
+        address[] memory strategies = strategyManager.getAllStrategies();
+        for (uint256 i = 0; i < strategies.length; i++) {
+            IYieldStrategy strategy = IYieldStrategy(strategies[i]);
+            assets += strategyManager.getNetStrategyBalance(address(this), address(strategy)) +
+                strategy.pendingWithdrawal(address(this)) + strategy.claimableWithdrawal(address(this));
+        }
+    }
+
+    /**
+     * @dev Maximum assets `owner` can withdraw right now
+     * @param owner Address of the share holder
+     * @return Withdrawable assets, capped at what the vault can free up instantly
+     */
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        uint256 max = super.maxWithdraw(owner);
+        uint256 available = _availableAssets();
+        return max < available ? max : available;
+    }
+
+    /**
+     * @dev Maximum shares `owner` can redeem right now
+     * @param owner Address of the share holder
+     * @return Redeemable shares, capped at what the vault can free up instantly
+     */
+    function maxRedeem(address owner) public view override returns (uint256) {
+        uint256 max = super.maxRedeem(owner);
+        uint256 availableShares = convertToShares(_availableAssets());
+        return max < availableShares ? max : availableShares;
+    }
+
+    /**
+     * @dev Claims queued strategy withdrawals that the strategies have released into the vault's idle balance
+     * @return claimed Amount of vBTC the claims added to the vault's idle balance
+     *
+     * Positions the vault exits while a strategy lacks liquidity are queued by the StrategyManager;
+     * anyone can call this to bring them back once released (while the manager is paused the
+     * claimed funds stay in the vault's manager balance)
+     */
+    function claimQueuedWithdrawals() external returns (uint256 claimed) {
+        uint256 balanceBefore = IERC20(asset()).balanceOf(address(this));
+        _claimQueued();
+        if (!strategyManager.paused()) {
+            _withdrawManagerBalance();
+        }
+        claimed = IERC20(asset()).balanceOf(address(this)) - balanceBefore;
+
+        emit QueuedWithdrawalsClaimed(claimed);
+    }
+
+    /**
+     * @dev Moves idle vault vBTC into a strategy through the StrategyManager
+     * @param strategy Address of an approved strategy
+     * @param amount Amount of vBTC to allocate
+     */
+    function allocate(address strategy, uint256 amount) external onlyCurator {
+        _allocate(strategy, amount);
+    }
+
+    /**
+     * @dev Pulls vBTC back from a strategy into the vault's idle balance
+     * @param strategy Address of the strategy
+     * @param amount Amount of principal to withdraw from the strategy
+     */
+    function deallocate(address strategy, uint256 amount) external onlyCurator {
+        _deallocate(strategy, amount);
+    }
+
+    /**
+     * @dev Internal allocation logic shared by allocate() and rebalance()
+     * @param strategy Address of an approved strategy
+     * @param amount Amount of vBTC to allocate
+     */
+    function _allocate(address strategy, uint256 amount) internal {
+        require(amount > 0, "Amount must be > 0");
+        require(!strategyManager.isUnbondingStrategy(strategy), "Strategy requires unbonding");
+
+        // Top up the vault's manager balance with idle vBTC if needed
+        uint256 managerBalance = strategyManager.userBalances(address(this));
+        if (managerBalance < amount) {
+            uint256 topUp = amount - managerBalance;
+            require(IERC20(asset()).balanceOf(address(this)) >= topUp, "Insufficient idle balance");
+
+            IERC20(asset()).approve(address(strategyManager), topUp);
+            strategyManager.deposit(topUp);
+        }
+
+        strategyManager.allocateToStrategy(strategy, amount);
+
+        emit AllocatedToStrategy(strategy, amount);
+    }
+
+    /**
+     * @dev Internal deallocation logic shared by deallocate() and rebalance()
+     * @param strategy Address of the strategy
+     * @param amount Amount of vBTC to pull back
+     *
+     * If the amount reaches the vault's full balance in the strategy, the whole position
+     * is withdrawn instead
+     */
+    function _deallocate(address strategy, uint256 amount) internal {
+        uint256 position = IYieldStrategy(strategy).balanceOf(address(this));
+        uint256 balanceBefore = IERC20(asset()).balanceOf(address(this));
+
+        if (amount >= position) {
+            strategyManager.withdrawAllFromStrategy(strategy);
+        } else {
+            strategyManager.withdrawFromStrategy(strategy, amount);
+        }
+        _withdrawManagerBalance();
+
+        emit DeallocatedFromStrategy(strategy, IERC20(asset()).balanceOf(address(this)) - balanceBefore);
+    }
+
+    /**
+     * @dev Target balance of a strategy given the vault's total assets
+     * @param strategy Address of the strategy
+     * @param total Total assets of the vault
+     *
+     * Strategies that are winding down always target zero so rebalance() drains them
+     */
+    function _targetBalance(address strategy, uint256 total) internal view returns (uint256) {
+        if (strategyManager.isStrategyWindingDown(strategy)) {
+            return 0;
+        }
+        return (total * targetWeights[strategy]) / MAX_BPS;
+    }
+
+    /**
+     * @dev Checks whether a deviation from target is larger than the drift tolerance
+     * @param drift Absolute deviation from target in vBTC
+     * @param total Total assets used as the reference for the tolerance
+     */
+    function _exceedsTolerance(uint256 drift, uint256 total) internal view returns (bool) {
+        return drift * MAX_BPS > total * driftTolerance;
+    }
+
+    /**
+     * @dev Makes sure enough idle vBTC is available before paying out a withdrawal
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal override {
+        _ensureIdle(assets);
+        super._withdraw(caller, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev Frees up vBTC from the StrategyManager and strategies until `assets` are held idle
+     * @param assets Amount of vBTC the vault needs to hold
+     *
+     * Released queued withdrawals are claimed first. Strategies are then unwound in list order;
+     * a strategy whose position covers the remaining need plus the manager's fees on it is
+     * partially withdrawn, otherwise it is exited completely (yield included). Either way no
+     * more is withdrawn than the strategy can pay instantly
+     */
+    function _ensureIdle(uint256 assets) internal {
+        uint256 idle = IERC20(asset()).balanceOf(address(this));
+        if (idle >= assets) {
+            return;
+        }
+
+        uint256 needed = assets - idle;
+        _claimQueued();
+        uint256 managerBalance = strategyManager.userBalances(address(this));
+
+        address[] memory strategies = strategyManager.getAllStrategies();
+        for (uint256 i = 0; i < strategies.length && managerBalance < needed; i++) {
+            uint256 position = IYieldStrategy(strategies[i]).balanceOf(address(this));
+            uint256 liquidity = IYieldStrategy(strategies[i]).maxWithdraw(address(this));
+            if (position == 0 || liquidity == 0) {
+                continue;
+            }
+
+            uint256 amount = _grossUpForFees(strategies[i], needed - managerBalance);
+            if (amount >= position && liquidity >= position) {
+                strategyManager.withdrawAllFromStrategy(strategies[i]);
+            } else {
+                amount = amount < position ? amount : position;
+                strategyManager.withdrawFromStrategy(strategies[i], amount < liquidity ? amount : liquidity);
+            }
+
+            managerBalance = strategyManager.userBalances(address(this));
+        }
+
+        _withdrawManagerBalance();
+    }
+
+    /**
+     * @dev Claims every queued strategy withdrawal with released funds into the vault's manager balance
+     */
+    function _claimQueued() internal {
+        address[] memory strategies = strategyManager.getAllStrategies();
+        for (uint256 i = 0; i < strategies.length; i++) {
+            if (IYieldStrategy(strategies[i]).claimableWithdrawal(address(this)) > 0) {
+                strategyManager.claimStrategyWithdraw(strategies[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev vBTC the vault could hold idle right now, after the manager's fees
+     * @return available Idle vBTC, plus (unless the manager is paused) the manager balance and what
+     * each strategy can pay out instantly
+     *
+     * A strategy's instant liquidity is reduced by all fees owed on the vault's position there,
+     * which is never less than the fees on a partial withdrawal, so this never overstates what
+     * _ensureIdle() can free up. Released queued withdrawals are left out until claimed, since
+     * the fees on them are only known at claim time
+     */
+    function _availableAssets() internal view returns (uint256 available) {
+        available = IERC20(asset()).balanceOf(address(this));
+        if (strategyManager.paused()) {
+            return available;
+        }
+
+        available += strategyManager.userBalances(address(this));
+        address[] memory strategies = strategyManager.getAllStrategies();
+        for (uint256 i = 0; i < strategies.length; i++) {
+            IYieldStrategy strategy = IYieldStrategy(strategies[i]);
+            uint256 liquidity = strategy.maxWithdraw(address(this));
+            uint256 fees = strategy.balanceOf(address(this)) -
+                strategyManager.getNetStrategyBalance(address(this), address(strategy));
+            if (liquidity > fees) {
+                available += liquidity - fees;
+            }
+        }
+    }
+
+    /**
+     * @dev Amount to withdraw from a strategy so the manager credits at least `shortfall` after fees
+     * @param strategy Address of the strategy
+     * @param shortfall Amount of vBTC the vault still needs
+     *
+     * The manager first takes the vault's owed management fee out of the withdrawal, and
+     * withdrawals above the allocation are yield that also pays the performance fee
+     */
+    function _grossUpForFees(address strategy, uint256 shortfall) internal view returns (uint256 amount) {
+        amount = shortfall + strategyManager.getPendingManagementFee(address(this), strategy);
+
+        uint256 allocation = strategyManager.userStrategyAllocations(address(this), strategy);
+        if (amount > allocation) {
+            uint256 performanceFee = strategyManager.performanceFee();
+            amount = allocation + Math.ceilDiv((amount - allocation) * MAX_BPS, MAX_BPS - performanceFee);
+        }
+    }
+
+    /**
+     * @dev Withdraws the vault's entire unallocated StrategyManager balance to the vault
+     */
+    function _withdrawManagerBalance() internal {
+        uint256 managerBalance = strategyManager.userBalances(address(this));
+        if (managerBalance > 0) {
+            strategyManager.withdraw(managerBalance);
+        }
+    }
+}
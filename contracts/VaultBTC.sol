@@ -2,7 +2,8 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 
 /**
@@ -12,6 +13,14 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  *
  * Now includes access control and emergency pause for production readiness
  *
+ * Supports EIP-2612 permit, so holders can approve with a signature and deposit in one transaction
+ *
+ * Roles are split so no single key controls everything:
+ * - MINTER_ROLE mints, BURNER_ROLE burns; once deployed, MINTER_ROLE belongs to
+ *   BridgeMintGateway so supply only grows against attested BTC deposits
+ * - GUARDIAN_ROLE can pause in an emergency but not unpause
+ * - DEFAULT_ADMIN_ROLE unpauses and grants/revokes roles
+ *
  * @dev UPGRADE NOTE: Babylon Genesis Integration
  * To enable native trustless BTC vaults as per Babylon Genesis, replace ERC20 logic here
  * with integration to Babylon's native vault and proof-of-Bitcoin lock mechanism.
@@ -19,12 +28,22 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
  * This contract serves as a drop-in placeholder for Babylon's trustless vault protocol.
  * When Babylon mainnet is live, swap this ERC20 for Babylon's native vault primitive.
  */
-contract VaultBTC is ERC20, Ownable, Pausable {
+contract VaultBTC is ERC20, ERC20Permit, AccessControl, Pausable {
+    
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
     
     /**
      * @dev Constructor that sets the token name and symbol
+     *
+     * The deployer starts with every role and is expected to hand them out to separate accounts
      */
-    constructor() ERC20("Vault Bitcoin", "vBTC") Ownable(msg.sender) {
+    constructor() ERC20("Vault Bitcoin", "vBTC") ERC20Permit("Vault Bitcoin") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MINTER_ROLE, msg.sender);
+        _grantRole(BURNER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
         // Initial supply can be minted here if needed
         // For demo, we'll mint on-demand using the mint function
     }
@@ -34,9 +53,9 @@ contract VaultBTC is ERC20, Ownable, Pausable {
      * @param to The address that will receive the minted tokens
      * @param amount The amount of tokens to mint (in wei)
      *
-     * Now restricted to owner only for production readiness
+     * Restricted to MINTER_ROLE
      */
-    function mint(address to, uint256 amount) external onlyOwner whenNotPaused {
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) whenNotPaused {
         _mint(to, amount);
     }
     
@@ -45,10 +64,10 @@ contract VaultBTC is ERC20, Ownable, Pausable {
      * @param from The address from which tokens will be burned
      * @param amount The amount of tokens to burn (in wei)
      *
-     * Now restricted to owner only for production readiness
+     * Restricted to BURNER_ROLE
      * The caller must have allowance if burning from another address
      */
-    function burn(address from, uint256 amount) external onlyOwner whenNotPaused {
+    function burn(address from, uint256 amount) external onlyRole(BURNER_ROLE) whenNotPaused {
         if (from != msg.sender) {
             _spendAllowance(from, msg.sender, amount);
         }
@@ -57,17 +76,17 @@ contract VaultBTC is ERC20, Ownable, Pausable {
 
     /**
      * @dev Pauses all token operations in emergency situations
-     * Can only be called by the owner
+     * Can only be called by a guardian
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(GUARDIAN_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpauses token operations after emergency is resolved
-     * Can only be called by the owner
+     * Can only be called by the admin, so a compromised guardian key cannot undo a pause
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _unpause();
     }
 }
@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
+/**
+ * @title VaultGovernanceToken
+ * @dev ERC20 voting token for the StrategyGovernor DAO
+ * @notice Holders delegate voting power (to themselves or others) and vote on strategy approvals
+ *
+ * The whole supply is minted once at deployment; there is no owner and no further minting.
+ * Voting power is checkpointed by timestamp so proposal snapshots, voting delay and voting
+ * period are all measured in seconds, matching the rest of the protocol's time-based logic.
+ *
+ * Balances only count as votes once delegated - holders must call delegate(self) to vote.
+ */
+contract VaultGovernanceToken is ERC20, ERC20Permit, ERC20Votes {
+
+    /**
+     * @dev Constructor mints the fixed supply
+     * @param initialHolder Address that receives the full supply for distribution
+     * @param initialSupply Total supply to mint (in wei)
+     */
+    constructor(address initialHolder, uint256 initialSupply)
+        ERC20("VaultBTC Governance", "vGOV")
+        ERC20Permit("VaultBTC Governance")
+    {
+        _mint(initialHolder, initialSupply);
+    }
+
+    /**
+     * @dev Checkpoints voting power by block timestamp instead of block number
+     */
+    function clock() public view override returns (uint48) {
+        return uint48(block.timestamp);
+    }
+
+    /**
+     * @dev Machine-readable description of the clock, per EIP-6372
+     */
+    function CLOCK_MODE() public pure override returns (string memory) {
+        return "mode=timestamp";
+    }
+
+    // Required overrides for multiple inheritance
+
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+}
@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AggregatorV3Interface
+ * @dev Chainlink price feed interface used by PriceOracle
+ * @notice Function signatures match Chainlink's AggregatorV3Interface so real feeds can be used
+ *
+ * Answers are fixed-point numbers with decimals() decimals (8 for USD pairs).
+ * updatedAt is the timestamp of the round's last update and is used for staleness checks.
+ */
+interface AggregatorV3Interface {
+
+    /**
+     * @dev Number of decimals in the feed's answers
+     */
+    function decimals() external view returns (uint8);
+
+    /**
+     * @dev Human-readable description of the pair (e.g. "BTC / USD")
+     */
+    function description() external view returns (string memory);
+
+    /**
+     * @dev Version of the aggregator
+     */
+    function version() external view returns (uint256);
+
+    /**
+     * @dev Returns the data of a specific round
+     */
+    function getRoundData(uint80 _roundId) external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+
+    /**
+     * @dev Returns the data of the latest round
+     */
+    function latestRoundData() external view returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    );
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AutomationCompatibleInterface
+ * @dev Chainlink Automation upkeep interface implemented by StrategyKeeper
+ * @notice Function signatures match Chainlink's AutomationCompatibleInterface so it can be registered as an upkeep
+ *
+ * Automation nodes simulate checkUpkeep() off-chain and, when it reports work, send its
+ * performData to performUpkeep() in a transaction. performUpkeep() must not trust performData.
+ */
+interface AutomationCompatibleInterface {
+
+    /**
+     * @dev Checks whether the upkeep needs to be performed
+     * @param checkData Data registered with the upkeep
+     * @return upkeepNeeded Whether performUpkeep() should be called
+     * @return performData Data to pass to performUpkeep()
+     */
+    function checkUpkeep(bytes calldata checkData) external returns (bool upkeepNeeded, bytes memory performData);
+
+    /**
+     * @dev Performs the upkeep
+     * @param performData Data returned by checkUpkeep()
+     */
+    function performUpkeep(bytes calldata performData) external;
+}
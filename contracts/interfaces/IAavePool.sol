@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IAavePool
+ * @dev Subset of the Aave v3 Pool interface used by AaveLendingStrategy
+ * @notice Function signatures match Aave v3 so the adapter can point at a real pool
+ */
+interface IAavePool {
+
+    /**
+     * @dev Supplies `amount` of `asset` and mints aTokens to `onBehalfOf`
+     * @param asset The underlying asset to supply
+     * @param amount The amount to supply
+     * @param onBehalfOf The address that receives the aTokens
+     * @param referralCode Aave referral code (0 for none)
+     */
+    function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode) external;
+
+    /**
+     * @dev Burns the caller's aTokens and sends the underlying asset to `to`
+     * @param asset The underlying asset to withdraw
+     * @param amount The amount to withdraw (type(uint256).max for the whole balance)
+     * @param to The address that receives the underlying
+     * @return The amount actually withdrawn
+     */
+    function withdraw(address asset, uint256 amount, address to) external returns (uint256);
+
+    /**
+     * @dev Returns the liquidity index of the reserve (in ray, 1e27)
+     * @param asset The underlying asset of the reserve
+     * @return The normalized income; aToken balance = scaled balance * normalized income / 1e27
+     */
+    function getReserveNormalizedIncome(address asset) external view returns (uint256);
+}
+
+/**
+ * @title IAToken
+ * @dev Subset of the Aave v3 aToken interface used by AaveLendingStrategy
+ *
+ * aToken balances grow as interest accrues; the scaled balance stays fixed between
+ * supplies and withdrawals and is what Aave actually stores.
+ */
+interface IAToken {
+
+    /**
+     * @dev Returns the interest-bearing balance of `user`
+     */
+    function balanceOf(address user) external view returns (uint256);
+
+    /**
+     * @dev Returns the scaled (index-independent) balance of `user`
+     */
+    function scaledBalanceOf(address user) external view returns (uint256);
+
+    /**
+     * @dev Returns the address of the underlying asset
+     */
+    function UNDERLYING_ASSET_ADDRESS() external view returns (address);
+}
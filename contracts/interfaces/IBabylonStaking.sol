@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IBabylonStaking
+ * @dev Staking interface used by BabylonStakingStrategy
+ * @notice Models a Babylon-style BTC staking pool: stake earns rewards every epoch, can be
+ *         slashed, and only leaves through an unbonding queue
+ *
+ * Stake is tracked in shares of the active pool, so rewards and slashing change what every
+ * share is worth. Unbonding stake sits in a separate pool that no longer earns rewards but
+ * can still be slashed until it is withdrawn.
+ */
+interface IBabylonStaking {
+
+    /**
+     * @dev Stakes `amount` of vBTC from the caller
+     * @return shares Active-pool shares minted to the caller
+     */
+    function stake(uint256 amount) external returns (uint256 shares);
+
+    /**
+     * @dev Moves `shares` of the caller's stake into the unbonding queue
+     * @return requestId Identifier of the unbonding request
+     */
+    function unbond(uint256 shares) external returns (uint256 requestId);
+
+    /**
+     * @dev Withdraws a finished unbonding request to its staker
+     * @return amount vBTC transferred to the caller
+     */
+    function withdrawUnbonded(uint256 requestId) external returns (uint256 amount);
+
+    /**
+     * @dev Returns the active-pool shares held by `staker`
+     */
+    function sharesOf(address staker) external view returns (uint256);
+
+    /**
+     * @dev Returns the total vBTC in the active pool
+     */
+    function totalStaked() external view returns (uint256);
+
+    /**
+     * @dev Returns the total active-pool shares
+     */
+    function totalShares() external view returns (uint256);
+
+    /**
+     * @dev Returns the current vBTC value of an unbonding request
+     */
+    function unbondingValue(uint256 requestId) external view returns (uint256);
+
+    /**
+     * @dev Returns the timestamp at which an unbonding request can be withdrawn
+     */
+    function unbondingReleaseTime(uint256 requestId) external view returns (uint256);
+
+    /**
+     * @dev Returns how long unbonding takes, in seconds
+     */
+    function unbondingPeriod() external view returns (uint256);
+}
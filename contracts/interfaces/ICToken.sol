@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICToken
+ * @dev Subset of the Compound v2 CErc20 interface used by CompoundLendingStrategy
+ * @notice Function signatures match Compound v2 so the adapter can point at a real market
+ *
+ * cTokens do not rebase: a holder's cToken balance stays fixed and interest shows up as
+ * a rising exchange rate. Underlying value = cToken balance * exchange rate / 1e18.
+ * State-changing calls return a Compound error code, where 0 means success.
+ */
+interface ICToken {
+
+    /**
+     * @dev Supplies `mintAmount` of the underlying and mints cTokens to the caller
+     * @return Error code (0 on success)
+     */
+    function mint(uint256 mintAmount) external returns (uint256);
+
+    /**
+     * @dev Burns `redeemTokens` cTokens and sends the underlying they are worth to the caller
+     * @return Error code (0 on success)
+     */
+    function redeem(uint256 redeemTokens) external returns (uint256);
+
+    /**
+     * @dev Accrues interest and returns the up-to-date exchange rate (scaled by 1e18)
+     */
+    function exchangeRateCurrent() external returns (uint256);
+
+    /**
+     * @dev Returns the exchange rate as of the last accrual (scaled by 1e18)
+     */
+    function exchangeRateStored() external view returns (uint256);
+
+    /**
+     * @dev Returns the cToken balance of `owner`
+     */
+    function balanceOf(address owner) external view returns (uint256);
+
+    /**
+     * @dev Returns the address of the underlying asset
+     */
+    function underlying() external view returns (address);
+
+    /**
+     * @dev Returns the underlying the market holds and can pay out
+     */
+    function getCash() external view returns (uint256);
+}
@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IAavePool.sol";
+
+/**
+ * @title MockAToken
+ * @dev Minimal interest-bearing aToken for MockAavePool
+ * @notice TESTING ONLY - stores scaled balances and reports them multiplied by the pool's index
+ *
+ * The underlying ERC20 balances are the scaled balances. balanceOf and totalSupply scale
+ * them by the pool's normalized income, so holders see interest accrue every second.
+ * Transfers are disabled; only the pool mints and burns.
+ *
+ * As on Aave, the aToken contract holds the reserve's underlying liquidity and the pool
+ * pays it out through transferUnderlyingTo().
+ */
+contract MockAToken is ERC20 {
+
+    // Aave ray precision
+    uint256 private constant RAY = 1e27;
+
+    // Pool that owns this token
+    address public immutable pool;
+
+    // Underlying asset of the reserve
+    address public immutable UNDERLYING_ASSET_ADDRESS;
+
+    /**
+     * @dev Constructor links the token to its pool and underlying asset
+     * @param _pool Address of the MockAavePool
+     * @param _underlying Address of the underlying asset
+     */
+    constructor(address _pool, address _underlying) ERC20("Mock Aave vBTC", "aVBTC") {
+        pool = _pool;
+        UNDERLYING_ASSET_ADDRESS = _underlying;
+    }
+
+    /**
+     * @dev Modifier to ensure only the pool can mint and burn
+     */
+    modifier onlyPool() {
+        require(msg.sender == pool, "Only pool");
+        _;
+    }
+
+    /**
+     * @dev Mints aTokens worth `amount` of underlying at the given index
+     * @return scaledAmount Scaled balance minted (rounded down)
+     */
+    function mint(address to, uint256 amount, uint256 index) external onlyPool returns (uint256 scaledAmount) {
+        scaledAmount = Math.mulDiv(amount, RAY, index);
+        require(scaledAmount > 0, "Invalid mint amount");
+        _mint(to, scaledAmount);
+    }
+
+    /**
+     * @dev Burns aTokens worth `amount` of underlying at the given index
+     * @return scaledAmount Scaled balance burned (rounded up so the pool never overpays)
+     */
+    function burn(address from, uint256 amount, uint256 index) external onlyPool returns (uint256 scaledAmount) {
+        scaledAmount = Math.mulDiv(amount, RAY, index, Math.Rounding.Ceil);
+        _burn(from, scaledAmount);
+    }
+
+    /**
+     * @dev Sends underlying held by this token to `to` (withdrawals and simulated borrows)
+     */
+    function transferUnderlyingTo(address to, uint256 amount) external onlyPool {
+        require(IERC20(UNDERLYING_ASSET_ADDRESS).transfer(to, amount), "Transfer failed");
+    }
+
+    /**
+     * @dev Interest-bearing balance of `user`
+     */
+    function balanceOf(address user) public view override returns (uint256) {
+        return Math.mulDiv(super.balanceOf(user), _index(), RAY);
+    }
+
+    /**
+     * @dev Interest-bearing total supply
+     */
+    function totalSupply() public view override returns (uint256) {
+        return Math.mulDiv(super.totalSupply(), _index(), RAY);
+    }
+
+    /**
+     * @dev Stored (index-independent) balance of `user`
+     */
+    function scaledBalanceOf(address user) external view returns (uint256) {
+        return super.balanceOf(user);
+    }
+
+    /**
+     * @dev Blocks transfers; scaled balances may only change through the pool
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        require(from == address(0) || to == address(0), "Transfers disabled");
+        super._update(from, to, value);
+    }
+
+    function _index() internal view returns (uint256) {
+        return IAavePool(pool).getReserveNormalizedIncome(UNDERLYING_ASSET_ADDRESS);
+    }
+}
@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IAavePool.sol";
+import "./MockAToken.sol";
+
+/**
+ * @title MockAavePool
+ * @dev Deterministic single-reserve stand-in for an Aave v3 Pool
+ * @notice TESTING ONLY - lets AaveLendingStrategy run on the Hardhat network without forking
+ *
+ * The liquidity index grows linearly per second at the owner-set liquidity rate, the same
+ * way Aave's supply index does between updates:
+ *
+ *   index = storedIndex * (1 + liquidityRate * secondsElapsed / 365 days)
+ *
+ * The reserve's vBTC is held by the aToken, as on Aave, and interest is paid out of it.
+ * The owner simulates borrowers with simulateBorrow (removes liquidity, so withdrawals can
+ * fail like on a fully utilized market) and simulateRepay (returns liquidity plus any
+ * interest that backs the index).
+ */
+contract MockAavePool is IAavePool, Ownable {
+
+    // Aave ray precision
+    uint256 public constant RAY = 1e27;
+
+    // Seconds per year used for rate calculations
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+
+    // The only asset this pool accepts
+    IERC20 public immutable asset;
+
+    // Interest-bearing token minted to suppliers
+    MockAToken public immutable aToken;
+
+    // Annual supply rate in ray (e.g. 5% = 0.05e27)
+    uint256 public liquidityRate;
+
+    // Index at the last update, in ray
+    uint256 public liquidityIndex;
+
+    // Timestamp of the last index update
+    uint256 public lastUpdateTimestamp;
+
+    // Events
+    event Supply(address indexed user, address indexed onBehalfOf, uint256 amount);
+    event Withdraw(address indexed user, address indexed to, uint256 amount);
+    event LiquidityRateUpdated(uint256 liquidityRate);
+    event Borrowed(uint256 amount);
+    event Repaid(uint256 amount);
+
+    /**
+     * @dev Constructor deploys the aToken for `_asset`
+     * @param _asset Address of the underlying asset (vBTC)
+     * @param _liquidityRate Initial annual supply rate in ray
+     */
+    constructor(address _asset, uint256 _liquidityRate) Ownable(msg.sender) {
+        require(_asset != address(0), "Invalid asset address");
+
+        asset = IERC20(_asset);
+        aToken = new MockAToken(address(this), _asset);
+        liquidityRate = _liquidityRate;
+        liquidityIndex = RAY;
+        lastUpdateTimestamp = block.timestamp;
+    }
+
+    /**
+     * @dev Supplies `amount` of the asset and mints aTokens to `onBehalfOf`
+     */
+    function supply(address _asset, uint256 amount, address onBehalfOf, uint16) external override {
+        require(_asset == address(asset), "Unsupported asset");
+        require(amount > 0, "Amount must be > 0");
+
+        _updateIndex();
+        require(asset.transferFrom(msg.sender, address(aToken), amount), "Transfer failed");
+        aToken.mint(onBehalfOf, amount, liquidityIndex);
+
+        emit Supply(msg.sender, onBehalfOf, amount);
+    }
+
+    /**
+     * @dev Burns the caller's aTokens and sends the asset to `to`
+     * @return The amount withdrawn
+     */
+    function withdraw(address _asset, uint256 amount, address to) external override returns (uint256) {
+        require(_asset == address(asset), "Unsupported asset");
+
+        _updateIndex();
+        uint256 balance = aToken.balanceOf(msg.sender);
+        if (amount == type(uint256).max) {
+            amount = balance;
+        }
+        require(amount > 0, "Amount must be > 0");
+        require(amount <= balance, "Not enough balance");
+        require(availableLiquidity() >= amount, "Insufficient liquidity");
+
+        aToken.burn(msg.sender, amount, liquidityIndex);
+        aToken.transferUnderlyingTo(to, amount);
+
+        emit Withdraw(msg.sender, to, amount);
+
+        return amount;
+    }
+
+    /**
+     * @dev Returns the liquidity index including interest since the last update
+     */
+    function getReserveNormalizedIncome(address _asset) public view override returns (uint256) {
+        require(_asset == address(asset), "Unsupported asset");
+        uint256 elapsed = block.timestamp - lastUpdateTimestamp;
+        return liquidityIndex + Math.mulDiv(liquidityIndex, liquidityRate * elapsed, RAY * SECONDS_PER_YEAR);
+    }
+
+    /**
+     * @dev Sets the annual supply rate; interest up to now accrues at the old rate
+     * @param _liquidityRate New annual rate in ray
+     */
+    function setLiquidityRate(uint256 _liquidityRate) external onlyOwner {
+        _updateIndex();
+        liquidityRate = _liquidityRate;
+        emit LiquidityRateUpdated(_liquidityRate);
+    }
+
+    /**
+     * @dev Moves liquidity to the owner to simulate borrowers
+     * @param amount Amount of the asset to lend out
+     */
+    function simulateBorrow(uint256 amount) external onlyOwner {
+        aToken.transferUnderlyingTo(msg.sender, amount);
+        emit Borrowed(amount);
+    }
+
+    /**
+     * @dev Pulls the asset back from the owner to simulate repayments and interest
+     * @param amount Amount of the asset to return (owner must approve first)
+     */
+    function simulateRepay(uint256 amount) external onlyOwner {
+        require(asset.transferFrom(msg.sender, address(aToken), amount), "Transfer failed");
+        emit Repaid(amount);
+    }
+
+    /**
+     * @dev Get the vBTC the pool can currently pay out
+     */
+    function availableLiquidity() public view returns (uint256) {
+        return asset.balanceOf(address(aToken));
+    }
+
+    function _updateIndex() internal {
+        liquidityIndex = getReserveNormalizedIncome(address(asset));
+        lastUpdateTimestamp = block.timestamp;
+    }
+}
@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/IBabylonStaking.sol";
+
+/**
+ * @title MockBabylonStaking
+ * @dev Deterministic Babylon-style BTC staking pool with reward epochs, slashing and unbonding
+ * @notice TESTING ONLY - lets BabylonStakingStrategy run on the Hardhat network
+ *
+ * Stake is held in two share-based pools:
+ * - the active pool earns a fixed reward per epoch, paid from a reserve the owner funds
+ * - the unbonding pool holds stake waiting out the unbonding period and earns nothing
+ *
+ * Anyone can call advanceEpoch() once an epoch has elapsed; it adds
+ * totalStaked * rewardRate / 10000 to the active pool (capped by the reserve).
+ * The owner can slash(), which cuts both pools by the same percentage, so stake that is
+ * already unbonding is still exposed until it is withdrawn - as on Babylon.
+ * Slashed vBTC is sent to the owner.
+ */
+contract MockBabylonStaking is IBabylonStaking, Ownable {
+
+    // Basis points denominator for reward rates and slashing
+    uint256 public constant MAX_BPS = 10000;
+
+    // Staked asset
+    IERC20 public immutable asset;
+
+    // Time a request spends unbonding before it can be withdrawn
+    uint256 public immutable override unbondingPeriod;
+
+    // Minimum time between reward epochs
+    uint256 public immutable epochLength;
+
+    // Reward added to the active pool each epoch, in basis points of totalStaked
+    uint256 public rewardRate;
+
+    // Rewards funded by the owner and not yet distributed
+    uint256 public rewardReserve;
+
+    // Number of epochs completed and when the last one ended
+    uint256 public currentEpoch;
+    uint256 public lastEpochTime;
+
+    // Active pool
+    uint256 public override totalStaked;
+    uint256 public override totalShares;
+    mapping(address => uint256) public override sharesOf;
+
+    // Unbonding pool
+    uint256 public totalUnbonding;
+    uint256 public totalUnbondingShares;
+
+    // Pending unbonding request (shares of the unbonding pool)
+    struct UnbondingRequest {
+        address staker;
+        uint256 shares;
+        uint256 releaseTime;
+    }
+    UnbondingRequest[] public unbondingRequests;
+
+    // Events
+    event Staked(address indexed staker, uint256 amount, uint256 shares);
+    event Unbonded(address indexed staker, uint256 indexed requestId, uint256 amount, uint256 releaseTime);
+    event UnbondedWithdrawn(address indexed staker, uint256 indexed requestId, uint256 amount);
+    event EpochAdvanced(uint256 indexed epoch, uint256 reward);
+    event Slashed(uint256 bps, uint256 amount);
+    event RewardRateUpdated(uint256 rewardRate);
+    event RewardsFunded(uint256 amount);
+
+    /**
+     * @dev Constructor sets the staked asset and the pool's timing parameters
+     * @param _asset Address of the staked asset (vBTC)
+     * @param _unbondingPeriod Unbonding period in seconds
+     * @param _epochLength Epoch length in seconds
+     * @param _rewardRate Reward per epoch in basis points of totalStaked
+     */
+    constructor(address _asset, uint256 _unbondingPeriod, uint256 _epochLength, uint256 _rewardRate)
+        Ownable(msg.sender)
+    {
+        require(_asset != address(0), "Invalid asset address");
+        require(_epochLength > 0, "Invalid epoch length");
+
+        asset = IERC20(_asset);
+        unbondingPeriod = _unbondingPeriod;
+        epochLength = _epochLength;
+        rewardRate = _rewardRate;
+        lastEpochTime = block.timestamp;
+    }
+
+    /**
+     * @dev Stakes `amount` of the asset and mints active-pool shares to the caller
+     */
+    function stake(uint256 amount) external override returns (uint256 shares) {
+        require(amount > 0, "Amount must be > 0");
+        require(totalStaked > 0 || totalShares == 0, "Pool wiped out");
+
+        shares = totalShares == 0 ? amount : Math.mulDiv(amount, totalShares, totalStaked);
+        require(shares > 0, "Stake too small");
+
+        require(asset.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+        totalStaked += amount;
+        totalShares += shares;
+        sharesOf[msg.sender] += shares;
+
+        emit Staked(msg.sender, amount, shares);
+    }
+
+    /**
+     * @dev Moves `shares` of the caller's active stake into the unbonding pool
+     */
+    function unbond(uint256 shares) external override returns (uint256 requestId) {
+        require(shares > 0, "Amount must be > 0");
+        require(sharesOf[msg.sender] >= shares, "Insufficient shares");
+
+        uint256 amount = Math.mulDiv(shares, totalStaked, totalShares);
+        sharesOf[msg.sender] -= shares;
+        totalShares -= shares;
+        totalStaked -= amount;
+
+        require(totalUnbonding > 0 || totalUnbondingShares == 0, "Pool wiped out");
+        uint256 unbondingShares = totalUnbondingShares == 0
+            ? amount
+            : Math.mulDiv(amount, totalUnbondingShares, totalUnbonding);
+        totalUnbonding += amount;
+        totalUnbondingShares += unbondingShares;
+
+        uint256 releaseTime = block.timestamp + unbondingPeriod;
+        requestId = unbondingRequests.length;
+        unbondingRequests.push(UnbondingRequest(msg.sender, unbondingShares, releaseTime));
+
+        emit Unbonded(msg.sender, requestId, amount, releaseTime);
+    }
+
+    /**
+     * @dev Pays out a request whose unbonding period has ended
+     */
+    function withdrawUnbonded(uint256 requestId) external override returns (uint256 amount) {
+        require(requestId < unbondingRequests.length, "Unknown request");
+        UnbondingRequest storage request = unbondingRequests[requestId];
+        require(request.staker == msg.sender, "Not request owner");
+        require(block.timestamp >= request.releaseTime, "Still unbonding");
+
+        uint256 shares = request.shares;
+        amount = unbondingValue(requestId);
+        request.shares = 0;
+        totalUnbondingShares -= shares;
+        totalUnbonding -= amount;
+
+        if (amount > 0) {
+            require(asset.transfer(msg.sender, amount), "Transfer failed");
+        }
+
+        emit UnbondedWithdrawn(msg.sender, requestId, amount);
+    }
+
+    /**
+     * @dev Returns the current value of an unbonding request (0 once withdrawn)
+     */
+    function unbondingValue(uint256 requestId) public view override returns (uint256) {
+        uint256 shares = unbondingRequests[requestId].shares;
+        if (shares == 0) {
+            return 0;
+        }
+        return Math.mulDiv(shares, totalUnbonding, totalUnbondingShares);
+    }
+
+    /**
+     * @dev Returns when an unbonding request can be withdrawn
+     */
+    function unbondingReleaseTime(uint256 requestId) external view override returns (uint256) {
+        return unbondingRequests[requestId].releaseTime;
+    }
+
+    /**
+     * @dev Closes the current epoch and adds its reward to the active pool
+     * @return reward Amount added to totalStaked
+     *
+     * Callable by anyone once epochLength has passed since the last epoch
+     */
+    function advanceEpoch() external returns (uint256 reward) {
+        require(block.timestamp >= lastEpochTime + epochLength, "Epoch not finished");
+
+        reward = Math.mulDiv(totalStaked, rewardRate, MAX_BPS);
+        if (reward > rewardReserve) {
+            reward = rewardReserve;
+        }
+        rewardReserve -= reward;
+        totalStaked += reward;
+
+        currentEpoch += 1;
+        lastEpochTime = block.timestamp;
+
+        emit EpochAdvanced(currentEpoch, reward);
+    }
+
+    /**
+     * @dev Slashes both the active and unbonding pools
+     * @param bps Share of the staked and unbonding amounts to slash, in basis points
+     */
+    function slash(uint256 bps) external onlyOwner {
+        require(bps <= MAX_BPS, "Slash exceeds 100%");
+
+        uint256 fromActive = Math.mulDiv(totalStaked, bps, MAX_BPS);
+        uint256 fromUnbonding = Math.mulDiv(totalUnbonding, bps, MAX_BPS);
+        totalStaked -= fromActive;
+        totalUnbonding -= fromUnbonding;
+
+        uint256 amount = fromActive + fromUnbonding;
+        if (amount > 0) {
+            require(asset.transfer(msg.sender, amount), "Transfer failed");
+        }
+
+        emit Slashed(bps, amount);
+    }
+
+    /**
+     * @dev Sets the reward added per epoch
+     * @param _rewardRate Reward in basis points of totalStaked
+     */
+    function setRewardRate(uint256 _rewardRate) external onlyOwner {
+        rewardRate = _rewardRate;
+        emit RewardRateUpdated(_rewardRate);
+    }
+
+    /**
+     * @dev Pulls reward tokens from the owner into the reward reserve
+     * @param amount Amount of the asset to add (owner must approve first)
+     */
+    function fundRewards(uint256 amount) external onlyOwner {
+        require(asset.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+        rewardReserve += amount;
+        emit RewardsFunded(amount);
+    }
+}
@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/ICToken.sol";
+
+/**
+ * @title MockCToken
+ * @dev Deterministic Compound v2 style cToken with a time-based exchange rate
+ * @notice TESTING ONLY - lets CompoundLendingStrategy run on the Hardhat network without forking
+ *
+ * Like a real cToken it has 8 decimals and starts at 0.02 underlying per cToken, so one
+ * cToken unit is worth 2e8 wei of vBTC and very small deposits mint nothing.
+ *
+ * The exchange rate grows linearly per second at the owner-set supply rate, but only when
+ * interest is accrued (accrueInterest, exchangeRateCurrent, mint or redeem). Until then
+ * exchangeRateStored() keeps returning the old rate, as on Compound.
+ *
+ *   exchangeRate = storedRate * (1 + supplyRatePerYear * secondsElapsed / 365 days)
+ *
+ * Interest is paid from the underlying the market holds. The owner simulates borrowers with
+ * simulateBorrow / simulateRepay; redeeming more than the available cash returns the
+ * Compound TOKEN_INSUFFICIENT_CASH error code instead of reverting.
+ */
+contract MockCToken is ICToken, ERC20, Ownable {
+
+    // Compound's initial exchange rate for an 18-decimal underlying and 8-decimal cToken
+    uint256 public constant INITIAL_EXCHANGE_RATE = 2e26;
+
+    // Compound error codes returned by mint/redeem
+    uint256 public constant NO_ERROR = 0;
+    uint256 public constant TOKEN_INSUFFICIENT_CASH = 14;
+
+    // Seconds per year used for rate calculations
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+
+    // Underlying asset of the market
+    address public immutable override underlying;
+
+    // Annual supply rate scaled by 1e18 (e.g. 5% = 0.05e18)
+    uint256 public supplyRatePerYear;
+
+    // Exchange rate at the last accrual, scaled by 1e18
+    uint256 private storedExchangeRate;
+
+    // Timestamp of the last accrual
+    uint256 public accrualTimestamp;
+
+    // Events
+    event Mint(address indexed minter, uint256 mintAmount, uint256 mintTokens);
+    event Redeem(address indexed redeemer, uint256 redeemAmount, uint256 redeemTokens);
+    event AccrueInterest(uint256 exchangeRate);
+    event SupplyRateUpdated(uint256 supplyRatePerYear);
+    event Borrowed(uint256 amount);
+    event Repaid(uint256 amount);
+
+    /**
+     * @dev Constructor sets the underlying asset and initial supply rate
+     * @param _underlying Address of the underlying asset (vBTC)
+     * @param _supplyRatePerYear Initial annual supply rate scaled by 1e18
+     */
+    constructor(address _underlying, uint256 _supplyRatePerYear)
+        ERC20("Mock Compound vBTC", "cvBTC")
+        Ownable(msg.sender)
+    {
+        require(_underlying != address(0), "Invalid underlying address");
+
+        underlying = _underlying;
+        supplyRatePerYear = _supplyRatePerYear;
+        storedExchangeRate = INITIAL_EXCHANGE_RATE;
+        accrualTimestamp = block.timestamp;
+    }
+
+    /**
+     * @dev cTokens use 8 decimals
+     */
+    function decimals() public pure override returns (uint8) {
+        return 8;
+    }
+
+    /**
+     * @dev Supplies underlying and mints cTokens at the current exchange rate (rounded down)
+     * @return Error code (0 on success)
+     */
+    function mint(uint256 mintAmount) external override returns (uint256) {
+        accrueInterest();
+        require(IERC20(underlying).transferFrom(msg.sender, address(this), mintAmount), "Transfer failed");
+
+        uint256 mintTokens = Math.mulDiv(mintAmount, 1e18, storedExchangeRate);
+        _mint(msg.sender, mintTokens);
+
+        emit Mint(msg.sender, mintAmount, mintTokens);
+        return NO_ERROR;
+    }
+
+    /**
+     * @dev Burns cTokens and pays out the underlying they are worth (rounded down)
+     * @return Error code (0 on success, TOKEN_INSUFFICIENT_CASH if the market lacks liquidity)
+     */
+    function redeem(uint256 redeemTokens) external override returns (uint256) {
+        accrueInterest();
+
+        uint256 redeemAmount = Math.mulDiv(redeemTokens, storedExchangeRate, 1e18);
+        if (IERC20(underlying).balanceOf(address(this)) < redeemAmount) {
+            return TOKEN_INSUFFICIENT_CASH;
+        }
+
+        _burn(msg.sender, redeemTokens);
+        require(IERC20(underlying).transfer(msg.sender, redeemAmount), "Transfer failed");
+
+        emit Redeem(msg.sender, redeemAmount, redeemTokens);
+        return NO_ERROR;
+    }
+
+    /**
+     * @dev Accrues interest and returns the up-to-date exchange rate
+     */
+    function exchangeRateCurrent() external override returns (uint256) {
+        accrueInterest();
+        return storedExchangeRate;
+    }
+
+    /**
+     * @dev Returns the exchange rate as of the last accrual
+     */
+    function exchangeRateStored() external view override returns (uint256) {
+        return storedExchangeRate;
+    }
+
+    /**
+     * @dev Returns the cToken balance of `owner`
+     */
+    function balanceOf(address owner) public view override(ERC20, ICToken) returns (uint256) {
+        return super.balanceOf(owner);
+    }
+
+    /**
+     * @dev Moves the stored exchange rate forward to the current timestamp
+     */
+    function accrueInterest() public {
+        uint256 elapsed = block.timestamp - accrualTimestamp;
+        if (elapsed == 0) {
+            return;
+        }
+
+        storedExchangeRate += Math.mulDiv(storedExchangeRate, supplyRatePerYear * elapsed, 1e18 * SECONDS_PER_YEAR);
+        accrualTimestamp = block.timestamp;
+
+        emit AccrueInterest(storedExchangeRate);
+    }
+
+    /**
+     * @dev Sets the annual supply rate; interest up to now accrues at the old rate
+     * @param _supplyRatePerYear New annual rate scaled by 1e18
+     */
+    function setSupplyRate(uint256 _supplyRatePerYear) external onlyOwner {
+        accrueInterest();
+        supplyRatePerYear = _supplyRatePerYear;
+        emit SupplyRateUpdated(_supplyRatePerYear);
+    }
+
+    /**
+     * @dev Moves cash to the owner to simulate borrowers
+     * @param amount Amount of the underlying to lend out
+     */
+    function simulateBorrow(uint256 amount) external onlyOwner {
+        require(IERC20(underlying).transfer(msg.sender, amount), "Transfer failed");
+        emit Borrowed(amount);
+    }
+
+    /**
+     * @dev Pulls the underlying back from the owner to simulate repayments and interest
+     * @param amount Amount of the underlying to return (owner must approve first)
+     */
+    function simulateRepay(uint256 amount) external onlyOwner {
+        require(IERC20(underlying).transferFrom(msg.sender, address(this), amount), "Transfer failed");
+        emit Repaid(amount);
+    }
+
+    /**
+     * @dev Get the underlying the market can currently pay out
+     */
+    function getCash() external view override returns (uint256) {
+        return IERC20(underlying).balanceOf(address(this));
+    }
+}
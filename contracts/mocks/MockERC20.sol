@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title MockERC20
+ * @dev Mintable ERC20 with configurable decimals
+ * @notice TESTING ONLY - stands in for other wrapped BTC tokens (e.g. 8-decimal WBTC, 18-decimal tBTC)
+ */
+contract MockERC20 is ERC20, Ownable {
+
+    // Token decimals (WBTC uses 8, tBTC uses 18)
+    uint8 private immutable _decimals;
+
+    /**
+     * @param name_ Token name
+     * @param symbol_ Token symbol
+     * @param decimals_ Token decimals
+     */
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) Ownable(msg.sender) {
+        _decimals = decimals_;
+    }
+
+    /**
+     * @dev Mints `amount` tokens to `to`
+     */
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
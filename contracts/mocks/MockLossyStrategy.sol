@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../IYieldStrategy.sol";
+import "../StrategyManager.sol";
+
+/**
+ * @title MockLossyStrategy
+ * @dev Share-based strategy that earns nothing and loses funds on command
+ * @notice TESTING ONLY - lets StrategyManager loss reporting run against a strategy whose
+ * balances actually go down
+ *
+ * Users hold shares of the vBTC the strategy keeps, so a loss lowers every balance by the
+ * same fraction. simulateLoss() sends part of the funds to the owner and reports the loss
+ * to the StrategyManager, like a real strategy would after a hack or bad debt.
+ */
+contract MockLossyStrategy is IYieldStrategy, Ownable {
+
+    // Basis points denominator for simulated losses
+    uint256 public constant MAX_BPS = 10000;
+
+    // Reference to the vBTC token
+    IERC20 public immutable vaultBTC;
+
+    // Reference to the StrategyManager (only it can call deposit/withdraw)
+    address public immutable strategyManager;
+
+    // Mapping: user address => shares of the strategy's vBTC
+    mapping(address => uint256) public shares;
+    uint256 public totalShares;
+
+    // Events
+    event StrategyDeposit(address indexed user, uint256 amount);
+    event StrategyWithdraw(address indexed user, uint256 amount);
+    event LossSimulated(uint256 loss);
+
+    modifier onlyStrategyManager() {
+        require(msg.sender == strategyManager, "Only StrategyManager");
+        _;
+    }
+
+    /**
+     * @param _vaultBTC Address of the vBTC token
+     * @param _strategyManager Address of the StrategyManager
+     */
+    constructor(address _vaultBTC, address _strategyManager) Ownable(msg.sender) {
+        require(_vaultBTC != address(0), "Invalid vBTC address");
+        require(_strategyManager != address(0), "Invalid StrategyManager address");
+
+        vaultBTC = IERC20(_vaultBTC);
+        strategyManager = _strategyManager;
+    }
+
+    /**
+     * @dev Sends `bps` of the strategy's vBTC to the owner and reports it as a loss
+     * @param bps Share of the funds to lose, in basis points
+     * @return loss Amount of vBTC lost
+     */
+    function simulateLoss(uint256 bps) external onlyOwner returns (uint256 loss) {
+        require(bps <= MAX_BPS, "Loss exceeds 100%");
+
+        loss = (totalAssets() * bps) / MAX_BPS;
+        require(vaultBTC.transfer(msg.sender, loss), "Transfer failed");
+        StrategyManager(strategyManager).reportLoss(loss);
+
+        emit LossSimulated(loss);
+    }
+
+    /**
+     * @dev Pulls `amount` from the StrategyManager and mints shares at the current share price
+     */
+    function deposit(address user, uint256 amount) external override onlyStrategyManager {
+        require(amount > 0, "Amount must be > 0");
+
+        uint256 assets = totalAssets();
+        uint256 minted = totalShares == 0 ? amount : Math.mulDiv(amount, totalShares, assets);
+        require(minted > 0, "Pool wiped out");
+        require(vaultBTC.transferFrom(msg.sender, address(this), amount), "Transfer failed");
+
+        shares[user] += minted;
+        totalShares += minted;
+
+        emit StrategyDeposit(user, amount);
+    }
+
+    /**
+     * @dev Burns enough shares (rounded up) to send `amount` to the StrategyManager
+     */
+    function withdraw(address user, uint256 amount) external override onlyStrategyManager returns (uint256) {
+        require(amount > 0, "Amount must be > 0");
+        require(balanceOf(user) >= amount, "Insufficient balance");
+
+        uint256 burned = Math.mulDiv(amount, totalShares, totalAssets(), Math.Rounding.Ceil);
+        return _payOut(user, burned < shares[user] ? burned : shares[user], amount);
+    }
+
+    /**
+     * @dev Burns all of a user's shares and sends their value to the StrategyManager
+     */
+    function withdrawAll(address user) external override onlyStrategyManager returns (uint256) {
+        return _payOut(user, shares[user], balanceOf(user));
+    }
+
+    /**
+     * @dev The strategy never earns, so there is no yield to claim
+     */
+    function claimYield(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev Everything can be withdrawn instantly, so nothing is ever queued
+     */
+    function requestWithdraw(address, uint256) external pure override returns (uint256) {
+        revert("Instant withdrawals only");
+    }
+
+    function claim(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev The whole balance is always withdrawable
+     */
+    function maxWithdraw(address user) external view override returns (uint256) {
+        return balanceOf(user);
+    }
+
+    function pendingWithdrawal(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    function claimableWithdrawal(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev Returns the underlying token this strategy accepts
+     */
+    function asset() external view override returns (address) {
+        return address(vaultBTC);
+    }
+
+    function getYield(address) external pure override returns (uint256) {
+        return 0;
+    }
+
+    /**
+     * @dev Returns the vBTC value of a user's shares
+     */
+    function balanceOf(address user) public view override returns (uint256) {
+        if (totalShares == 0) {
+            return 0;
+        }
+        return Math.mulDiv(shares[user], totalAssets(), totalShares);
+    }
+
+    /**
+     * @dev Get the vBTC the strategy holds for all users
+     */
+    function totalAssets() public view returns (uint256) {
+        return vaultBTC.balanceOf(address(this));
+    }
+
+    function _payOut(address user, uint256 burned, uint256 amount) internal returns (uint256) {
+        shares[user] -= burned;
+        totalShares -= burned;
+        require(vaultBTC.transfer(strategyManager, amount), "Transfer failed");
+
+        emit StrategyWithdraw(user, amount);
+        return amount;
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockV3Aggregator
+ * @dev Chainlink-compatible price feed whose answers are set by the owner
+ * @notice TESTING ONLY - lets PriceOracle run on the Hardhat network without live feeds
+ *
+ * Every update starts a new round stamped with the current block time. updateRoundData
+ * sets an explicit timestamp to simulate stale feeds, setReverting makes every read
+ * revert to simulate a feed that is down, and setDecimalsReverting makes only decimals()
+ * revert to simulate a broken feed whose round data still loads.
+ */
+contract MockV3Aggregator is AggregatorV3Interface, Ownable {
+
+    // Decimals of the answers
+    uint8 private immutable answerDecimals;
+
+    // Latest round
+    uint80 public latestRound;
+    int256 public latestAnswer;
+    uint256 public latestTimestamp;
+
+    // Whether reads revert
+    bool public reverting;
+
+    // Whether decimals() reverts
+    bool public decimalsReverting;
+
+    // Events
+    event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt);
+
+    /**
+     * @param _decimals Decimals of the answers
+     * @param _initialAnswer First answer
+     */
+    constructor(uint8 _decimals, int256 _initialAnswer) Ownable(msg.sender) {
+        answerDecimals = _decimals;
+        updateAnswer(_initialAnswer);
+    }
+
+    /**
+     * @dev Starts a new round with `answer` at the current block time
+     */
+    function updateAnswer(int256 answer) public onlyOwner {
+        updateRoundData(latestRound + 1, answer, block.timestamp);
+    }
+
+    /**
+     * @dev Starts round `roundId` with `answer` last updated at `updatedAt`
+     */
+    function updateRoundData(uint80 roundId, int256 answer, uint256 updatedAt) public onlyOwner {
+        latestRound = roundId;
+        latestAnswer = answer;
+        latestTimestamp = updatedAt;
+
+        emit AnswerUpdated(answer, roundId, updatedAt);
+    }
+
+    /**
+     * @dev Makes every read revert (true) or succeed again (false)
+     */
+    function setReverting(bool _reverting) external onlyOwner {
+        reverting = _reverting;
+    }
+
+    /**
+     * @dev Makes decimals() revert (true) or succeed again (false)
+     */
+    function setDecimalsReverting(bool _reverting) external onlyOwner {
+        decimalsReverting = _reverting;
+    }
+
+    function decimals() external view override returns (uint8) {
+        require(!decimalsReverting, "Feed unavailable");
+        return answerDecimals;
+    }
+
+    function description() external pure override returns (string memory) {
+        return "Mock / USD";
+    }
+
+    function version() external pure override returns (uint256) {
+        return 4;
+    }
+
+    /**
+     * @dev Only the latest round is stored, so any round id returns its data
+     */
+    function getRoundData(uint80 _roundId) external view override returns (uint80, int256, uint256, uint256, uint80) {
+        require(!reverting, "Feed unavailable");
+        return (_roundId, latestAnswer, latestTimestamp, latestTimestamp, _roundId);
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        require(!reverting, "Feed unavailable");
+        return (latestRound, latestAnswer, latestTimestamp, latestTimestamp, latestRound);
+    }
+}
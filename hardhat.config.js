@@ -1,15 +1,24 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/keeper");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
+    compilers: [
+      {
+        version: "0.8.26",
+        settings: {
+          // OpenZeppelin Governor needs 0.8.24+ and the Cancun mcopy opcode
+          evmVersion: "cancun",
+          // Keeps StrategyManager under the 24 KB contract size limit
+          viaIR: true,
+          optimizer: {
+            enabled: true,
+            runs: 200
+          }
+        }
       }
-    }
+    ]
   },
   networks: {
     hardhat: {
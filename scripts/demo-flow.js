@@ -3,10 +3,10 @@
  *
  * This script demonstrates the complete user journey through the VaultBTC Yield Aggregator:
  * 1. Mint vBTC tokens to a user
- * 2. User approves StrategyManager to spend vBTC
- * 3. User deposits vBTC into StrategyManager
+ * 2. User signs an EIP-2612 permit for StrategyManager off-chain (no approve transaction)
+ * 3. User deposits vBTC into StrategyManager with the permit
  * 4. User allocates deposited vBTC to DummyLendingStrategy
- * 5. Wait for some blocks to accrue yield
+ * 5. Fast-forward time to accrue yield
  * 6. Check user's yield and total balance
  * 7. User withdraws from strategy
  * 8. User withdraws from StrategyManager back to wallet
@@ -50,10 +50,17 @@ async function main() {
 
   await strategyManager.addStrategy(dummyLendingStrategyAddress);
 
+  // Fund the reward reserve so the strategy can actually pay out yield
+  const reserveAmount = hre.ethers.parseEther("10");
+  await vaultBTC.mint(deployer.address, reserveAmount);
+  await vaultBTC.approve(dummyLendingStrategyAddress, reserveAmount);
+  await dummyLendingStrategy.fundReserve(reserveAmount);
+
   console.log("✅ Contracts deployed!");
   console.log("   VaultBTC:", vaultBTCAddress);
   console.log("   StrategyManager:", strategyManagerAddress);
-  console.log("   DummyLendingStrategy:", dummyLendingStrategyAddress, "\n");
+  console.log("   DummyLendingStrategy:", dummyLendingStrategyAddress);
+  console.log("   Reward reserve:", hre.ethers.formatEther(reserveAmount), "vBTC\n");
 
   // Step 1: Mint vBTC to user1
   console.log("========================================");
@@ -66,23 +73,42 @@ async function main() {
   const user1Balance = await vaultBTC.balanceOf(user1.address);
   console.log("✅ User1 vBTC Balance:", hre.ethers.formatEther(user1Balance), "vBTC\n");
 
-  // Step 2: User1 approves StrategyManager
+  // Step 2: User1 signs a permit instead of sending an approve transaction
   console.log("========================================");
-  console.log("STEP 2: User1 Approves StrategyManager");
+  console.log("STEP 2: User1 Signs a Permit for StrategyManager");
   console.log("========================================");
-  console.log("🔓 User1 approving StrategyManager to spend vBTC...");
-  const approveTx = await vaultBTC.connect(user1).approve(strategyManagerAddress, mintAmount);
-  await approveTx.wait();
-  const allowance = await vaultBTC.allowance(user1.address, strategyManagerAddress);
-  console.log("✅ Allowance set:", hre.ethers.formatEther(allowance), "vBTC\n");
+  const depositAmount = hre.ethers.parseEther("5"); // Deposit 5 vBTC
+  console.log("✍️  User1 signing an EIP-2612 permit off-chain (no gas)...");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const permitDeadline = (await hre.ethers.provider.getBlock("latest")).timestamp + 60 * 60;
+  const permitSignature = await user1.signTypedData(
+    { name: await vaultBTC.name(), version: "1", chainId, verifyingContract: vaultBTCAddress },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    },
+    {
+      owner: user1.address,
+      spender: strategyManagerAddress,
+      value: depositAmount,
+      nonce: await vaultBTC.nonces(user1.address),
+      deadline: permitDeadline
+    }
+  );
+  const { v, r, s } = hre.ethers.Signature.from(permitSignature);
+  console.log("✅ Permit signed for", hre.ethers.formatEther(depositAmount), "vBTC\n");
 
   // Step 3: User1 deposits into StrategyManager
   console.log("========================================");
-  console.log("STEP 3: User1 Deposits to StrategyManager");
+  console.log("STEP 3: User1 Deposits to StrategyManager with the Permit");
   console.log("========================================");
-  const depositAmount = hre.ethers.parseEther("5"); // Deposit 5 vBTC
   console.log("📥 User1 depositing", hre.ethers.formatEther(depositAmount), "vBTC...");
-  const depositTx = await strategyManager.connect(user1).deposit(depositAmount);
+  const depositTx = await strategyManager.connect(user1).depositWithPermit(depositAmount, { deadline: permitDeadline, v, r, s });
   await depositTx.wait();
   const userBalance = await strategyManager.userBalances(user1.address);
   console.log("✅ User1 balance in StrategyManager:", hre.ethers.formatEther(userBalance), "vBTC\n");
@@ -101,22 +127,22 @@ async function main() {
   console.log("✅ User1 allocation to strategy:", hre.ethers.formatEther(strategyAllocation), "vBTC");
   console.log("✅ User1 remaining in StrategyManager:", hre.ethers.formatEther(remainingBalance), "vBTC\n");
 
-  // Step 5: Mine some blocks to accrue yield
+  // Step 5: Fast-forward time to accrue yield
   console.log("========================================");
-  console.log("STEP 5: Mining Blocks for Yield Accrual");
+  console.log("STEP 5: Fast-Forwarding Time for Yield Accrual");
   console.log("========================================");
-  const currentBlock = await hre.ethers.provider.getBlockNumber();
-  console.log("📦 Current block:", currentBlock);
-  console.log("⛏️  Mining 100 blocks to simulate yield accrual...");
+  const currentTime = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  console.log("🕒 Current time:", new Date(currentTime * 1000).toISOString());
+  console.log("⏩ Fast-forwarding 365 days to simulate yield accrual...");
   
-  // Mine 100 blocks
-  for (let i = 0; i < 100; i++) {
-    await hre.ethers.provider.send("evm_mine", []);
-  }
+  // Advance the chain by one year
+  const oneYear = 365 * 24 * 60 * 60;
+  await hre.ethers.provider.send("evm_increaseTime", [oneYear]);
+  await hre.ethers.provider.send("evm_mine", []);
   
-  const newBlock = await hre.ethers.provider.getBlockNumber();
-  console.log("📦 New block:", newBlock);
-  console.log("✅ Mined", newBlock - currentBlock, "blocks\n");
+  const newTime = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  console.log("🕒 New time:", new Date(newTime * 1000).toISOString());
+  console.log("✅ Advanced", ((newTime - currentTime) / 86400).toFixed(2), "days\n");
 
   // Step 6: Check yield and balances
   console.log("========================================");
@@ -131,14 +157,14 @@ async function main() {
   console.log("💰 User1 Total Balance in Strategy:", hre.ethers.formatEther(totalStrategyBalance), "vBTC");
   console.log("   (Principal:", hre.ethers.formatEther(userPosition[0]), "vBTC +");
   console.log("    Yield:", hre.ethers.formatEther(userPosition[3]), "vBTC)");
-  console.log("📊 Blocks elapsed:", userPosition[2].toString(), "→", newBlock);
+  console.log("📊 Seconds since last accrual:", newTime - Number(userPosition[2]));
   
   // Calculate APY for informational purposes
   const principal = parseFloat(hre.ethers.formatEther(allocateAmount));
   const yield_ = parseFloat(hre.ethers.formatEther(yieldEarned));
   const yieldPercentage = (yield_ / principal) * 100;
   console.log("📈 Yield percentage:", yieldPercentage.toFixed(4), "%");
-  console.log("   (0.1% per block × 100 blocks = ~10%)\n");
+  console.log("   (Current APR:", Number(await dummyLendingStrategy.currentRate()) / 100, "% × 1 year)\n");
 
   // Step 7: User1 withdraws from strategy
   console.log("========================================");
@@ -151,7 +177,7 @@ async function main() {
   
   const newStrategyAllocation = await strategyManager.userStrategyAllocations(user1.address, dummyLendingStrategyAddress);
   const newManagerBalance = await strategyManager.userBalances(user1.address);
-  console.log("✅ User1 remaining in strategy:", hre.ethers.formatEther(newStrategyAllocation), "vBTC");
+  console.log("✅ User1 principal remaining in strategy:", hre.ethers.formatEther(newStrategyAllocation), "vBTC");
   console.log("✅ User1 balance in StrategyManager:", hre.ethers.formatEther(newManagerBalance), "vBTC\n");
 
   // Step 8: User1 withdraws from StrategyManager to wallet
@@ -172,12 +198,14 @@ async function main() {
   console.log("========================================");
   console.log("📊 FINAL SUMMARY");
   console.log("========================================");
+  const finalStrategyBalance = await strategyManager.getStrategyBalance(user1.address, dummyLendingStrategyAddress);
   console.log("User1 Asset Distribution:");
   console.log("  💼 Wallet:", hre.ethers.formatEther(finalWalletBalance), "vBTC");
   console.log("  🏦 StrategyManager:", hre.ethers.formatEther(finalManagerBalance), "vBTC");
-  console.log("  📈 DummyLendingStrategy:", hre.ethers.formatEther(newStrategyAllocation), "vBTC");
+  console.log("  📈 DummyLendingStrategy:", hre.ethers.formatEther(finalStrategyBalance), "vBTC");
+  console.log("     (Principal:", hre.ethers.formatEther(newStrategyAllocation), "vBTC)");
   
-  const totalAssets = finalWalletBalance + finalManagerBalance + newStrategyAllocation;
+  const totalAssets = finalWalletBalance + finalManagerBalance + finalStrategyBalance;
   console.log("  ═══════════════════════════════");
   console.log("  💎 Total Assets:", hre.ethers.formatEther(totalAssets), "vBTC");
   console.log("  🎁 Yield Earned:", hre.ethers.formatEther(yieldEarned), "vBTC");
@@ -3,9 +3,22 @@
  * 
  * This script deploys all contracts in the correct order:
  * 1. VaultBTC token
- * 2. StrategyManager (requires VaultBTC address)
+ * 2. StrategyManager (requires VaultBTC address; deploys its StrategyManagerExtension itself)
+ *    and StrategyManagerLens, the read-only views over it
  * 3. DummyLendingStrategy (requires VaultBTC and StrategyManager addresses)
  * 4. Adds DummyLendingStrategy to StrategyManager's approved strategies
+ * 5. Funds DummyLendingStrategy's reward reserve so simulated yield is backed by vBTC
+ * 6. StrategyVault (ERC-4626 vault on top of StrategyManager)
+ * 7. Hands operational roles to separate accounts, trusts a StrategyForwarder for relayed (gasless) calls
+ *    and gives a StrategyKeeper (Chainlink Automation upkeep) the KEEPER_ROLE to compound positions
+ * 8. StrategyTimelock, which takes over strategy listing, fee, cap and admin roles on StrategyManager
+ *    and ownership of the StrategyKeeper
+ * 9. VaultGovernanceToken and StrategyGovernor, the DAO that proposes through the timelock
+ * 10. AssetRegistry listing vBTC and its StrategyManager, with its roles held by the timelock
+ *     (each further asset gets its own StrategyManager, listed later through the timelock)
+ * 11. BridgeMintGateway, which becomes the only vBTC minter (2-of-3 attesters, with a mock
+ *     proof-of-reserve feed standing in for a Chainlink PoR feed locally)
+ * 12. RedemptionQueue, which burns escrowed vBTC once the custody operator pays out BTC
  * 
  * Usage: npx hardhat run scripts/deploy.js --network hardhat
  */
@@ -17,8 +30,8 @@ async function main() {
   console.log("🚀 VaultBTC Yield Aggregator Deployment");
   console.log("========================================\n");
 
-  // Get the deployer account
-  const [deployer] = await hre.ethers.getSigners();
+  // Get the deployer and the accounts that receive operational roles
+  const [deployer, guardian, feeManager, burner, attester1, attester2, attester3, custodian] = await hre.ethers.getSigners();
   console.log("📍 Deploying contracts with account:", deployer.address);
   console.log("💰 Account balance:", hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address)), "ETH\n");
 
@@ -39,7 +52,14 @@ async function main() {
   await strategyManager.waitForDeployment();
   const strategyManagerAddress = await strategyManager.getAddress();
   console.log("✅ StrategyManager deployed to:", strategyManagerAddress);
-  console.log("   Connected to VaultBTC:", await strategyManager.vaultBTC(), "\n");
+  console.log("   Connected to VaultBTC:", await strategyManager.vaultBTC());
+  console.log("   Extension:", await strategyManager.extension());
+
+  const StrategyManagerLens = await hre.ethers.getContractFactory("StrategyManagerLens");
+  const strategyManagerLens = await StrategyManagerLens.deploy(strategyManagerAddress);
+  await strategyManagerLens.waitForDeployment();
+  const strategyManagerLensAddress = await strategyManagerLens.getAddress();
+  console.log("✅ StrategyManagerLens deployed to:", strategyManagerLensAddress, "\n");
 
   // Step 3: Deploy DummyLendingStrategy
   console.log("📝 Step 3: Deploying DummyLendingStrategy...");
@@ -48,7 +68,7 @@ async function main() {
   await dummyLendingStrategy.waitForDeployment();
   const dummyLendingStrategyAddress = await dummyLendingStrategy.getAddress();
   console.log("✅ DummyLendingStrategy deployed to:", dummyLendingStrategyAddress);
-  console.log("   Yield Rate:", await dummyLendingStrategy.YIELD_RATE_PER_BLOCK(), "basis points per block");
+  console.log("   Current APR:", (await dummyLendingStrategy.currentRate()).toString(), "basis points");
   console.log("   Rate Denominator:", await dummyLendingStrategy.RATE_DENOMINATOR(), "\n");
 
   // Step 4: Add DummyLendingStrategy to StrategyManager's approved list
@@ -58,13 +78,191 @@ async function main() {
   console.log("✅ DummyLendingStrategy approved!");
   console.log("   Total approved strategies:", (await strategyManager.getStrategyCount()).toString(), "\n");
 
+  // Step 5: Fund the strategy's reward reserve
+  console.log("📝 Step 5: Funding DummyLendingStrategy reward reserve...");
+  const reserveAmount = hre.ethers.parseEther("100");
+  await (await vaultBTC.mint(deployer.address, reserveAmount)).wait();
+  await (await vaultBTC.approve(dummyLendingStrategyAddress, reserveAmount)).wait();
+  await (await dummyLendingStrategy.fundReserve(reserveAmount)).wait();
+  console.log("✅ Reward reserve funded:", hre.ethers.formatEther(await dummyLendingStrategy.rewardReserve()), "vBTC\n");
+
+  // Step 6: Deploy StrategyVault
+  console.log("📝 Step 6: Deploying StrategyVault...");
+  const StrategyVault = await hre.ethers.getContractFactory("StrategyVault");
+  const strategyVault = await StrategyVault.deploy(vaultBTCAddress, strategyManagerAddress);
+  await strategyVault.waitForDeployment();
+  const strategyVaultAddress = await strategyVault.getAddress();
+  console.log("✅ StrategyVault deployed to:", strategyVaultAddress);
+  console.log("   Share Token:", await strategyVault.symbol(), "\n");
+
+  // Step 7: Wire roles to separate accounts so no single key controls burning and strategy approval
+  // (minting moves to the bridge gateway in Step 11)
+  console.log("📝 Step 7: Assigning roles...");
+  const roleAssignments = [
+    ["VaultBTC", vaultBTC, "BURNER_ROLE", burner],
+    ["VaultBTC", vaultBTC, "GUARDIAN_ROLE", guardian],
+    ["StrategyManager", strategyManager, "GUARDIAN_ROLE", guardian]
+  ];
+  for (const [contractName, contract, roleName, account] of roleAssignments) {
+    const role = await contract[roleName]();
+    await (await contract.grantRole(role, account.address)).wait();
+    await (await contract.renounceRole(role, deployer.address)).wait();
+    console.log(`✅ ${contractName} ${roleName}:`, account.address);
+  }
+  await (await strategyManager.setFeeRecipient(feeManager.address)).wait();
+  console.log("✅ Fee recipient:", feeManager.address);
+  const StrategyForwarder = await hre.ethers.getContractFactory("StrategyForwarder");
+  const strategyForwarder = await StrategyForwarder.deploy();
+  await strategyForwarder.waitForDeployment();
+  const strategyForwarderAddress = await strategyForwarder.getAddress();
+  await (await strategyManager.setTrustedForwarder(strategyForwarderAddress)).wait();
+  console.log("✅ Trusted forwarder:", strategyForwarderAddress);
+  const keeperInterval = 24 * 60 * 60; // compound each strategy at most once a day
+  const keeperMaxPositions = 100; // positions compounded per strategy in one upkeep
+  const StrategyKeeper = await hre.ethers.getContractFactory("StrategyKeeper");
+  const strategyKeeper = await StrategyKeeper.deploy(strategyManagerAddress, keeperInterval, keeperMaxPositions);
+  await strategyKeeper.waitForDeployment();
+  const strategyKeeperAddress = await strategyKeeper.getAddress();
+  await (await strategyManager.grantRole(await strategyManager.KEEPER_ROLE(), strategyKeeperAddress)).wait();
+  console.log("✅ StrategyManager KEEPER_ROLE (StrategyKeeper):", strategyKeeperAddress);
+  console.log("   Compound interval:", keeperInterval, "seconds");
+  console.log("   Positions per upkeep:", keeperMaxPositions);
+  console.log("   VaultBTC admin (deployer):", deployer.address, "\n");
+
+  // Step 8: Put strategy listing, fee and cap changes behind a timelock
+  console.log("📝 Step 8: Deploying StrategyTimelock...");
+  const timelockDelay = 2 * 24 * 60 * 60; // 2 days for depositors to react to queued changes
+  const StrategyTimelock = await hre.ethers.getContractFactory("StrategyTimelock");
+  // The deployer is a temporary timelock admin until the governor is wired in (Step 9)
+  const strategyTimelock = await StrategyTimelock.deploy(timelockDelay, [], [], deployer.address);
+  await strategyTimelock.waitForDeployment();
+  const strategyTimelockAddress = await strategyTimelock.getAddress();
+  console.log("✅ StrategyTimelock deployed to:", strategyTimelockAddress);
+  console.log("   Minimum delay:", (await strategyTimelock.getMinDelay()).toString(), "seconds");
+
+  // Admin goes last so the deployer can still grant the other roles
+  for (const roleName of ["STRATEGIST_ROLE", "FEE_MANAGER_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+    const role = await strategyManager[roleName]();
+    await (await strategyManager.grantRole(role, strategyTimelockAddress)).wait();
+    await (await strategyManager.renounceRole(role, deployer.address)).wait();
+    console.log(`✅ StrategyManager ${roleName}:`, strategyTimelockAddress);
+  }
+  await (await strategyKeeper.transferOwnership(strategyTimelockAddress)).wait();
+  console.log("✅ StrategyKeeper owner:", strategyTimelockAddress);
+  console.log("");
+
+  // Step 9: Deploy the DAO that proposes, votes on and executes timelocked changes
+  console.log("📝 Step 9: Deploying governance...");
+  const VaultGovernanceToken = await hre.ethers.getContractFactory("VaultGovernanceToken");
+  const govToken = await VaultGovernanceToken.deploy(deployer.address, hre.ethers.parseEther("1000000"));
+  await govToken.waitForDeployment();
+  const govTokenAddress = await govToken.getAddress();
+  console.log("✅ VaultGovernanceToken deployed to:", govTokenAddress);
+  console.log("   Total supply:", hre.ethers.formatEther(await govToken.totalSupply()), "vGOV (held by deployer for distribution)");
+
+  const StrategyGovernor = await hre.ethers.getContractFactory("StrategyGovernor");
+  const strategyGovernor = await StrategyGovernor.deploy(
+    govTokenAddress,
+    strategyTimelockAddress,
+    24 * 60 * 60, // voting delay: 1 day
+    7 * 24 * 60 * 60, // voting period: 1 week
+    hre.ethers.parseEther("10000"), // proposal threshold: 1% of supply
+    4 // quorum: 4% of supply
+  );
+  await strategyGovernor.waitForDeployment();
+  const strategyGovernorAddress = await strategyGovernor.getAddress();
+  console.log("✅ StrategyGovernor deployed to:", strategyGovernorAddress);
+
+  for (const roleName of ["PROPOSER_ROLE", "CANCELLER_ROLE", "EXECUTOR_ROLE"]) {
+    await (await strategyTimelock.grantRole(await strategyTimelock[roleName](), strategyGovernorAddress)).wait();
+    console.log(`✅ StrategyTimelock ${roleName}:`, strategyGovernorAddress);
+  }
+  // The guardian can veto queued operations but cannot propose or execute
+  await (await strategyTimelock.grantRole(await strategyTimelock.CANCELLER_ROLE(), guardian.address)).wait();
+  console.log("✅ StrategyTimelock CANCELLER_ROLE:", guardian.address);
+  await (await strategyTimelock.renounceRole(await strategyTimelock.DEFAULT_ADMIN_ROLE(), deployer.address)).wait();
+  console.log("   Timelock admin renounced; it now administers itself\n");
+
+  // Step 10: Register vBTC so more assets can be listed next to it, each with its own StrategyManager
+  // (balances are kept per asset by one manager each, not by asset inside a single manager)
+  console.log("📝 Step 10: Deploying AssetRegistry...");
+  const AssetRegistry = await hre.ethers.getContractFactory("AssetRegistry");
+  const assetRegistry = await AssetRegistry.deploy();
+  await assetRegistry.waitForDeployment();
+  const assetRegistryAddress = await assetRegistry.getAddress();
+  await (await assetRegistry.addAsset(vaultBTCAddress, strategyManagerAddress)).wait();
+  console.log("✅ AssetRegistry deployed to:", assetRegistryAddress);
+  console.log("   Listed assets:", (await assetRegistry.getAssets()).length);
+  // Admin goes last so the deployer can still grant the asset manager role
+  for (const roleName of ["ASSET_MANAGER_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+    const role = await assetRegistry[roleName]();
+    await (await assetRegistry.grantRole(role, strategyTimelockAddress)).wait();
+    await (await assetRegistry.renounceRole(role, deployer.address)).wait();
+    console.log(`✅ AssetRegistry ${roleName}:`, strategyTimelockAddress);
+  }
+  console.log("");
+
+  // Step 11: Route all minting through attested BTC deposits
+  console.log("📝 Step 11: Deploying BridgeMintGateway...");
+  const MockV3Aggregator = await hre.ethers.getContractFactory("MockV3Aggregator");
+  // Reports 1,000 BTC (8 decimals) held by the bridge
+  const reserveFeed = await MockV3Aggregator.deploy(8, 1000n * 10n ** 8n);
+  await reserveFeed.waitForDeployment();
+  const reserveFeedAddress = await reserveFeed.getAddress();
+
+  const BridgeMintGateway = await hre.ethers.getContractFactory("BridgeMintGateway");
+  const bridgeMintGateway = await BridgeMintGateway.deploy(
+    vaultBTCAddress,
+    [attester1.address, attester2.address, attester3.address],
+    2, // signatures per mint
+    reserveFeedAddress,
+    24 * 60 * 60, // reserve answers older than a day block minting
+    24 * 60 * 60, // rate-limit epoch: 1 day
+    hre.ethers.parseEther("100") // at most 100 vBTC minted per day
+  );
+  await bridgeMintGateway.waitForDeployment();
+  const bridgeMintGatewayAddress = await bridgeMintGateway.getAddress();
+  const minterRole = await vaultBTC.MINTER_ROLE();
+  await (await vaultBTC.grantRole(minterRole, bridgeMintGatewayAddress)).wait();
+  await (await vaultBTC.renounceRole(minterRole, deployer.address)).wait();
+  await (await bridgeMintGateway.transferOwnership(strategyTimelockAddress)).wait();
+  console.log("✅ BridgeMintGateway deployed to:", bridgeMintGatewayAddress);
+  console.log("   Attesters:", (await bridgeMintGateway.getAttesters()).length, "| Threshold:", (await bridgeMintGateway.threshold()).toString());
+  console.log("   Reserve feed:", reserveFeedAddress);
+  console.log("   VaultBTC MINTER_ROLE:", bridgeMintGatewayAddress);
+  console.log("   Owner:", strategyTimelockAddress, "\n");
+
+  // Step 12: Give users an on-chain way to redeem vBTC for BTC
+  console.log("📝 Step 12: Deploying RedemptionQueue...");
+  const RedemptionQueue = await hre.ethers.getContractFactory("RedemptionQueue");
+  const redemptionQueue = await RedemptionQueue.deploy(vaultBTCAddress);
+  await redemptionQueue.waitForDeployment();
+  const redemptionQueueAddress = await redemptionQueue.getAddress();
+  await (await vaultBTC.grantRole(await vaultBTC.BURNER_ROLE(), redemptionQueueAddress)).wait();
+  const operatorRole = await redemptionQueue.OPERATOR_ROLE();
+  await (await redemptionQueue.grantRole(operatorRole, custodian.address)).wait();
+  await (await redemptionQueue.renounceRole(operatorRole, deployer.address)).wait();
+  console.log("✅ RedemptionQueue deployed to:", redemptionQueueAddress);
+  console.log("   VaultBTC BURNER_ROLE:", redemptionQueueAddress);
+  console.log("   Operator (custody):", custodian.address, "\n");
+
   // Deployment Summary
   console.log("========================================");
   console.log("📋 DEPLOYMENT SUMMARY");
   console.log("========================================");
   console.log("VaultBTC Address:           ", vaultBTCAddress);
   console.log("StrategyManager Address:    ", strategyManagerAddress);
+  console.log("StrategyManagerLens Address:", strategyManagerLensAddress);
   console.log("DummyLendingStrategy Address:", dummyLendingStrategyAddress);
+  console.log("StrategyVault Address:      ", strategyVaultAddress);
+  console.log("StrategyForwarder Address:  ", strategyForwarderAddress);
+  console.log("StrategyKeeper Address:     ", strategyKeeperAddress);
+  console.log("StrategyTimelock Address:   ", strategyTimelockAddress);
+  console.log("VaultGovernanceToken Address:", govTokenAddress);
+  console.log("StrategyGovernor Address:   ", strategyGovernorAddress);
+  console.log("AssetRegistry Address:      ", assetRegistryAddress);
+  console.log("BridgeMintGateway Address:  ", bridgeMintGatewayAddress);
+  console.log("RedemptionQueue Address:    ", redemptionQueueAddress);
   console.log("========================================");
   console.log("✨ All contracts deployed successfully!");
   console.log("========================================\n");
@@ -73,7 +271,17 @@ async function main() {
   return {
     vaultBTC: vaultBTCAddress,
     strategyManager: strategyManagerAddress,
-    dummyLendingStrategy: dummyLendingStrategyAddress
+    strategyManagerLens: strategyManagerLensAddress,
+    dummyLendingStrategy: dummyLendingStrategyAddress,
+    strategyVault: strategyVaultAddress,
+    strategyForwarder: strategyForwarderAddress,
+    strategyKeeper: strategyKeeperAddress,
+    strategyTimelock: strategyTimelockAddress,
+    governanceToken: govTokenAddress,
+    strategyGovernor: strategyGovernorAddress,
+    assetRegistry: assetRegistryAddress,
+    bridgeMintGateway: bridgeMintGatewayAddress,
+    redemptionQueue: redemptionQueueAddress
   };
 }
 
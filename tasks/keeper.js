@@ -0,0 +1,60 @@
+/**
+ * Keeper task for VaultBTC Yield Aggregator
+ *
+ * Plays the role of a Chainlink Automation node against a StrategyKeeper:
+ * every poll it simulates checkUpkeep() and, when a compounding strategy is due,
+ * sends performUpkeep() with the returned performData (one page of positions per
+ * due strategy; large strategies are finished over the following polls).
+ *
+ * The signing account pays the gas; it does not need any role because the
+ * StrategyKeeper (which holds KEEPER_ROLE) re-checks every strategy itself.
+ *
+ * Usage: npx hardhat keeper --network localhost --keeper <StrategyKeeper address>
+ *        [--poll <seconds>] [--iterations <count, 0 runs until stopped>]
+ */
+
+const { task, types } = require("hardhat/config");
+
+task("keeper", "Runs the StrategyKeeper upkeep loop")
+  .addParam("keeper", "Address of the StrategyKeeper")
+  .addOptionalParam("poll", "Seconds between upkeep checks", 60, types.int)
+  .addOptionalParam("iterations", "Number of checks to run (0 runs until stopped)", 0, types.int)
+  .setAction(async ({ keeper, poll, iterations }, hre) => {
+    const [signer] = await hre.ethers.getSigners();
+    const strategyKeeper = await hre.ethers.getContractAt("StrategyKeeper", keeper, signer);
+
+    console.log("🤖 Keeper running with account:", signer.address);
+    console.log("   StrategyKeeper:", keeper);
+    console.log("   Poll interval:", poll, "seconds\n");
+
+    for (let i = 0; iterations === 0 || i < iterations; i++) {
+      const [upkeepNeeded, performData] = await strategyKeeper.checkUpkeep("0x");
+
+      if (!upkeepNeeded) {
+        console.log(`[${new Date().toISOString()}] No strategy due`);
+      } else {
+        const [pages] = hre.ethers.AbiCoder.defaultAbiCoder().decode(["tuple(address,uint256,uint256)[]"], performData);
+        console.log(`[${new Date().toISOString()}] Compounding ${pages.length} strategies...`);
+        for (const [strategy, start, maxPositions] of pages) {
+          console.log(`   ${strategy}: positions ${start} to ${start + maxPositions - 1n}`);
+        }
+
+        try {
+          const receipt = await (await strategyKeeper.performUpkeep(performData)).wait();
+          for (const log of receipt.logs) {
+            const parsed = strategyKeeper.interface.parseLog(log);
+            if (parsed && parsed.name === "StrategyCompounded") {
+              console.log("✅", parsed.args.strategy, "compounded", hre.ethers.formatEther(parsed.args.amount), "vBTC");
+            }
+          }
+        } catch (error) {
+          // Another keeper may have performed the upkeep first; try again next poll
+          console.error("❌ Upkeep failed:", error.shortMessage || error.message);
+        }
+      }
+
+      if (iterations === 0 || i + 1 < iterations) {
+        await new Promise((resolve) => setTimeout(resolve, poll * 1000));
+      }
+    }
+  });
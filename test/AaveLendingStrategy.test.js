@@ -0,0 +1,358 @@
+/**
+ * Test Suite for AaveLendingStrategy
+ *
+ * Runs the Aave v3 adapter against MockAavePool on the Hardhat network:
+ * supply through the StrategyManager, aToken interest accrual, withdrawals and pool liquidity
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AaveLendingStrategy", function () {
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  const FIVE_PERCENT_RAY = ethers.parseUnits("0.05", 27);
+  // Ray-precision rounding in the pool and adapter can cost a few wei
+  const ROUNDING = 10n;
+
+  let vaultBTC, strategyManager, pool, aToken, aaveStrategy;
+  let owner, user1, user2;
+
+  // Sets the timestamp of the next mined block to exactly `seconds` after the latest one
+  async function setNextBlockAfter(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+  }
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    await setNextBlockAfter(seconds);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Mints vBTC to `user`, deposits it and allocates all of it to the Aave strategy
+  async function depositAndAllocate(user, amount) {
+    await vaultBTC.mint(user.address, amount);
+    await vaultBTC.connect(user).approve(await strategyManager.getAddress(), amount);
+    await strategyManager.connect(user).deposit(amount);
+    await strategyManager.connect(user).allocateToStrategy(await aaveStrategy.getAddress(), amount);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    const MockAavePool = await ethers.getContractFactory("MockAavePool");
+    pool = await MockAavePool.deploy(await vaultBTC.getAddress(), FIVE_PERCENT_RAY);
+    await pool.waitForDeployment();
+    aToken = await ethers.getContractAt("MockAToken", await pool.aToken());
+
+    const AaveLendingStrategy = await ethers.getContractFactory("AaveLendingStrategy");
+    aaveStrategy = await AaveLendingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress(),
+      await pool.getAddress(),
+      await aToken.getAddress()
+    );
+    await aaveStrategy.waitForDeployment();
+
+    await strategyManager.addStrategy(await aaveStrategy.getAddress());
+
+    // Seed the pool with liquidity that stands in for borrowers' interest payments
+    await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+    await vaultBTC.approve(await pool.getAddress(), ethers.parseEther("100"));
+    await pool.simulateRepay(ethers.parseEther("100"));
+  });
+
+  describe("Deployment", function () {
+    it("Should link the pool and aToken", async function () {
+      expect(await aaveStrategy.vaultBTC()).to.equal(await vaultBTC.getAddress());
+      expect(await aaveStrategy.strategyManager()).to.equal(await strategyManager.getAddress());
+      expect(await aaveStrategy.pool()).to.equal(await pool.getAddress());
+      expect(await aaveStrategy.aToken()).to.equal(await aToken.getAddress());
+      expect(await aToken.UNDERLYING_ASSET_ADDRESS()).to.equal(await vaultBTC.getAddress());
+    });
+
+    it("Should reject an aToken for a different asset", async function () {
+      const VaultBTC = await ethers.getContractFactory("VaultBTC");
+      const otherAsset = await VaultBTC.deploy();
+      const MockAavePool = await ethers.getContractFactory("MockAavePool");
+      const otherPool = await MockAavePool.deploy(await otherAsset.getAddress(), FIVE_PERCENT_RAY);
+
+      const AaveLendingStrategy = await ethers.getContractFactory("AaveLendingStrategy");
+      await expect(
+        AaveLendingStrategy.deploy(
+          await vaultBTC.getAddress(),
+          await strategyManager.getAddress(),
+          await otherPool.getAddress(),
+          await otherPool.aToken()
+        )
+      ).to.be.revertedWith("aToken asset mismatch");
+    });
+
+    it("Should only accept calls from the StrategyManager", async function () {
+      await expect(
+        aaveStrategy.deposit(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        aaveStrategy.withdraw(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        aaveStrategy.withdrawAll(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        aaveStrategy.claimYield(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+    });
+  });
+
+  describe("Supplying", function () {
+    it("Should supply allocations to the pool and hold aTokens", async function () {
+      const amount = ethers.parseEther("10");
+      await vaultBTC.mint(user1.address, amount);
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), amount);
+      await strategyManager.connect(user1).deposit(amount);
+      await expect(strategyManager.connect(user1).allocateToStrategy(await aaveStrategy.getAddress(), amount))
+        .to.emit(pool, "Supply")
+        .withArgs(await aaveStrategy.getAddress(), await aaveStrategy.getAddress(), amount);
+
+      expect(await vaultBTC.balanceOf(await aaveStrategy.getAddress())).to.equal(0);
+      expect(await aToken.balanceOf(await aaveStrategy.getAddress())).to.be.closeTo(amount, ROUNDING);
+      expect(await aaveStrategy.balanceOf(user1.address)).to.be.closeTo(amount, ROUNDING);
+      expect(await aaveStrategy.principalOf(user1.address)).to.equal(amount);
+      expect(await aaveStrategy.scaledBalances(user1.address))
+        .to.equal(await aToken.scaledBalanceOf(await aaveStrategy.getAddress()));
+    });
+
+    it("Should credit scaled balances at the current index", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await increaseTime(ONE_YEAR);
+      await depositAndAllocate(user2, ethers.parseEther("10"));
+
+      // user2 supplied at a ~5% higher index, so receives fewer scaled units for the same vBTC
+      const RAY = ethers.parseUnits("1", 27);
+      const indexAtSupply = await pool.liquidityIndex();
+      const scaled1 = await aaveStrategy.scaledBalances(user1.address);
+      const scaled2 = await aaveStrategy.scaledBalances(user2.address);
+      expect(indexAtSupply).to.be.gt(RAY * 105n / 100n);
+      expect(scaled2).to.equal(ethers.parseEther("10") * RAY / indexAtSupply);
+      expect(scaled2).to.be.lt(scaled1);
+      expect(await aaveStrategy.totalScaled()).to.equal(scaled1 + scaled2);
+    });
+  });
+
+  describe("Interest", function () {
+    it("Should accrue the pool's liquidity rate as yield", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR);
+
+      const aaveAddress = await aaveStrategy.getAddress();
+      expect(await aaveStrategy.getYield(user1.address)).to.be.closeTo(ethers.parseEther("5"), ROUNDING);
+      expect(await aaveStrategy.balanceOf(user1.address)).to.be.closeTo(ethers.parseEther("105"), ROUNDING);
+      expect(await strategyManager.getStrategyYield(user1.address, aaveAddress))
+        .to.equal(await aaveStrategy.getYield(user1.address));
+    });
+
+    it("Should split interest between users in proportion to time and amount", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR / 2);
+      await depositAndAllocate(user2, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR / 2);
+
+      // user1: 2.5% on 100 then 2.5% on 102.5; user2: 2.5% on 100
+      const yield1 = await aaveStrategy.getYield(user1.address);
+      const yield2 = await aaveStrategy.getYield(user2.address);
+      expect(yield1).to.be.closeTo(ethers.parseEther("5.0625"), ethers.parseEther("0.0001"));
+      expect(yield2).to.be.closeTo(ethers.parseEther("2.5"), ethers.parseEther("0.0001"));
+
+      // The adapter's positions add up to the aTokens it holds
+      const held = await aaveStrategy.totalAssets();
+      const sum = (await aaveStrategy.balanceOf(user1.address)) + (await aaveStrategy.balanceOf(user2.address));
+      expect(sum).to.be.lte(held);
+      expect(held - sum).to.be.lte(ROUNDING);
+    });
+
+    it("Should follow rate changes from the moment they are made", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR / 2);
+      await pool.setLiquidityRate(0);
+      await increaseTime(ONE_YEAR / 2);
+
+      expect(await aaveStrategy.getYield(user1.address)).to.be.closeTo(ethers.parseEther("2.5"), ethers.parseEther("0.001"));
+    });
+  });
+
+  describe("Withdrawing", function () {
+    it("Should withdraw principal from the pool to the StrategyManager", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+
+      await expect(strategyManager.connect(user1).withdrawFromStrategy(aaveAddress, ethers.parseEther("4")))
+        .to.emit(pool, "Withdraw")
+        .withArgs(aaveAddress, await strategyManager.getAddress(), ethers.parseEther("4"));
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("4"));
+      expect(await aaveStrategy.principalOf(user1.address)).to.equal(ethers.parseEther("6"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, aaveAddress)).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should withdraw principal plus interest", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR);
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(aaveAddress);
+
+      const received = await strategyManager.userBalances(user1.address);
+      expect(received).to.be.closeTo(ethers.parseEther("105"), ethers.parseEther("0.0001"));
+      expect(await aaveStrategy.balanceOf(user1.address)).to.equal(0);
+      expect(await aaveStrategy.scaledBalances(user1.address)).to.equal(0);
+      expect(await aaveStrategy.totalScaled()).to.equal(0);
+    });
+
+    it("Should claim interest and leave principal supplied", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await setNextBlockAfter(ONE_YEAR);
+
+      await expect(strategyManager.connect(user1).claimYield(aaveAddress))
+        .to.emit(aaveStrategy, "YieldClaimed");
+
+      expect(await strategyManager.userBalances(user1.address)).to.be.closeTo(ethers.parseEther("5"), ROUNDING);
+      expect(await aaveStrategy.principalOf(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await aaveStrategy.getYield(user1.address)).to.be.lte(ROUNDING);
+    });
+
+    it("Should reject withdrawals above the user's balance", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await depositAndAllocate(user2, ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).withdrawFromStrategy(await aaveStrategy.getAddress(), ethers.parseEther("11"))
+      ).to.be.revertedWith("Insufficient strategy balance");
+    });
+
+    it("Should not let one user's withdrawal reduce another's position", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await depositAndAllocate(user2, ethers.parseEther("10"));
+      await increaseTime(ONE_YEAR);
+      await pool.setLiquidityRate(0);
+
+      const before = await aaveStrategy.balanceOf(user2.address);
+      await strategyManager.connect(user1).withdrawAllFromStrategy(aaveAddress);
+
+      expect(await aaveStrategy.balanceOf(user2.address)).to.equal(before);
+    });
+
+    it("Should keep users' scaled balances summing to totalScaled", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      const users = [user1, user2];
+
+      async function expectScaledSum() {
+        let sum = 0n;
+        for (const user of users) {
+          sum += await aaveStrategy.scaledBalances(user.address);
+          sum += await aaveStrategy.queuedScaled(user.address);
+        }
+        expect(sum).to.equal(await aaveStrategy.totalScaled());
+        expect(await aaveStrategy.totalScaled()).to.be.lte(await aToken.scaledBalanceOf(aaveAddress));
+      }
+
+      // Odd amounts and intervals so each index is off the ray grid
+      await depositAndAllocate(user1, 3333333333333333333n);
+      await increaseTime(Math.floor(ONE_YEAR / 7));
+      await depositAndAllocate(user2, 7777777777777777777n);
+      await expectScaledSum();
+
+      await increaseTime(Math.floor(ONE_YEAR / 3));
+      await strategyManager.connect(user1).withdrawFromStrategy(aaveAddress, 1111111111111111111n);
+      await expectScaledSum();
+
+      await increaseTime(Math.floor(ONE_YEAR / 11));
+      await strategyManager.connect(user2).claimYield(aaveAddress);
+      await expectScaledSum();
+
+      await depositAndAllocate(user1, 123456789n);
+      await increaseTime(Math.floor(ONE_YEAR / 13));
+      await strategyManager.connect(user2).withdrawFromStrategy(aaveAddress, 2222222222222222223n);
+      await expectScaledSum();
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(aaveAddress);
+      await strategyManager.connect(user2).withdrawAllFromStrategy(aaveAddress);
+      await expectScaledSum();
+      expect(await aaveStrategy.totalScaled()).to.equal(0);
+    });
+  });
+
+  describe("Pool Liquidity", function () {
+    it("Should revert withdrawals when the pool is fully borrowed", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+
+      await pool.simulateBorrow(await pool.availableLiquidity());
+      await expect(
+        strategyManager.connect(user1).withdrawFromStrategy(aaveAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("Insufficient liquidity");
+
+      // Borrowers repay and the position can exit again
+      const borrowed = await vaultBTC.balanceOf(owner.address);
+      await vaultBTC.approve(await pool.getAddress(), borrowed);
+      await pool.simulateRepay(borrowed);
+      await strategyManager.connect(user1).withdrawFromStrategy(aaveAddress, ethers.parseEther("1"));
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should queue what the pool cannot pay and claim it once borrowers repay", async function () {
+      const aaveAddress = await aaveStrategy.getAddress();
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+
+      await pool.simulateBorrow((await pool.availableLiquidity()) - ethers.parseEther("4"));
+      expect(await aaveStrategy.maxWithdraw(user1.address)).to.equal(ethers.parseEther("4"));
+
+      await expect(strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("10")))
+        .to.emit(aaveStrategy, "WithdrawalRequested")
+        .withArgs(user1.address, ethers.parseEther("6"), 0);
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("4"));
+      expect(await aaveStrategy.claimableWithdrawal(user1.address)).to.equal(0);
+      expect(await aaveStrategy.pendingWithdrawal(user1.address)).to.be.closeTo(ethers.parseEther("6"), ROUNDING);
+
+      const borrowed = await vaultBTC.balanceOf(owner.address);
+      await vaultBTC.approve(await pool.getAddress(), borrowed);
+      await pool.simulateRepay(borrowed);
+      await strategyManager.connect(user1).claimWithdrawal(1);
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("10"));
+      expect(await aaveStrategy.queuedScaled(user1.address)).to.equal(0);
+      expect((await strategyManager.withdrawalRequests(1)).remaining).to.equal(0);
+    });
+  });
+
+  describe("MockAavePool", function () {
+    it("Should only let the owner change the rate and simulate borrowing", async function () {
+      await expect(
+        pool.connect(user1).setLiquidityRate(0)
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+      await expect(
+        pool.connect(user1).simulateBorrow(1)
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should block aToken transfers", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      const strategySigner = await ethers.getImpersonatedSigner(await aaveStrategy.getAddress());
+      await ethers.provider.send("hardhat_setBalance", [strategySigner.address, "0xde0b6b3a7640000"]);
+
+      await expect(
+        aToken.connect(strategySigner).transfer(user1.address, 1)
+      ).to.be.revertedWith("Transfers disabled");
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Invariant Test Suite for StrategyManager <-> strategy accounting
+ *
+ * Runs a deterministic pseudo-random sequence of user actions across two strategies
+ * and checks after every step that the manager's ledger and each strategy's ledger agree
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Accounting Invariants", function () {
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+
+  let vaultBTC, strategyManager, strategies;
+  let owner, users;
+
+  // Small deterministic PRNG so failures are reproducible
+  function createRandom(seed) {
+    let state = seed;
+    return function (max) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return state % max;
+    };
+  }
+
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function checkInvariants() {
+    const managerAddress = await strategyManager.getAddress();
+
+    // The manager holds exactly what users can withdraw plus uncollected fees
+    let totalUserBalances = 0n;
+    let totalDeposits = 0n;
+    for (const user of users) {
+      totalUserBalances += await strategyManager.userBalances(user.address);
+      totalDeposits += await strategyManager.userDeposits(user.address);
+    }
+    expect(await vaultBTC.balanceOf(managerAddress)).to.equal(
+      totalUserBalances + (await strategyManager.accruedFees())
+    );
+    expect(await strategyManager.totalDeposits()).to.equal(totalDeposits);
+
+    for (const strategy of strategies) {
+      const strategyAddress = await strategy.getAddress();
+      const trackedUsers = [...(await strategyManager.getStrategyUsers(strategyAddress))];
+
+      let totalAllocated = 0n;
+      let totalPrincipal = 0n;
+      let totalAccruedYield = 0n;
+      let totalBalances = 0n;
+      for (const user of users) {
+        const allocation = await strategyManager.userStrategyAllocations(user.address, strategyAddress);
+        const balance = await strategy.balanceOf(user.address);
+        const position = await strategy.positions(user.address);
+
+        // The manager's cost basis never exceeds what the strategy holds for the user
+        expect(balance).to.be.gte(allocation);
+
+        // A position is tracked exactly while the strategy still holds something for the user
+        expect(trackedUsers.includes(user.address)).to.equal(balance > 0n || allocation > 0n);
+
+        totalAllocated += allocation;
+        totalPrincipal += position.depositedAmount;
+        totalAccruedYield += position.accruedYield;
+        totalBalances += balance;
+      }
+
+      // Per-user allocations add up to the manager's per-strategy total used for caps
+      expect(await strategyManager.strategyAllocated(strategyAddress)).to.equal(totalAllocated);
+
+      // Per-user positions add up to the strategy's aggregate ledger
+      expect(await strategy.totalPrincipal()).to.equal(totalPrincipal);
+      expect(await strategy.totalAccruedYield()).to.equal(totalAccruedYield);
+
+      // Every vBTC the strategy owes is backed by tokens it holds
+      expect(await vaultBTC.balanceOf(strategyAddress)).to.equal(
+        totalPrincipal + totalAccruedYield + (await strategy.rewardReserve())
+      );
+
+      // Users' balances match principal, realized yield and unrealized yield (up to rounding)
+      const owed = totalPrincipal + totalAccruedYield + (await strategy.pendingYieldLiability());
+      expect(totalBalances).to.be.lte(owed);
+      expect(owed - totalBalances).to.be.lte(BigInt(users.length));
+    }
+  }
+
+  beforeEach(async function () {
+    let user1, user2, user3;
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    users = [user1, user2, user3];
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    // Two strategies with different rates, each with a funded reward reserve
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    strategies = [];
+    for (const rate of [500, 1200]) {
+      const strategy = await DummyLendingStrategy.deploy(
+        await vaultBTC.getAddress(),
+        await strategyManager.getAddress()
+      );
+      await strategy.waitForDeployment();
+      await strategy.setRateModel(rate, 0, 0, 10000);
+      await strategyManager.addStrategy(await strategy.getAddress());
+
+      await vaultBTC.mint(owner.address, ethers.parseEther("1000"));
+      await vaultBTC.approve(await strategy.getAddress(), ethers.parseEther("1000"));
+      await strategy.fundReserve(ethers.parseEther("1000"));
+      strategies.push(strategy);
+    }
+
+    for (const user of users) {
+      await vaultBTC.mint(user.address, ethers.parseEther("1000"));
+      await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.MaxUint256);
+      await strategyManager.connect(user).deposit(ethers.parseEther("500"));
+    }
+  });
+
+  it("Should keep the manager and strategy ledgers in agreement under random actions", async function () {
+    const random = createRandom(42);
+
+    for (let step = 0; step < 60; step++) {
+      const user = users[random(users.length)];
+      const strategy = strategies[random(strategies.length)];
+      const strategyAddress = await strategy.getAddress();
+      const available = await strategyManager.userBalances(user.address);
+      const balance = await strategy.balanceOf(user.address);
+
+      switch (random(7)) {
+        case 0:
+          await strategyManager.connect(user).deposit(ethers.parseEther(String(1 + random(50))));
+          break;
+        case 1:
+          if (available > 0n) {
+            await strategyManager.connect(user).allocateToStrategy(
+              strategyAddress,
+              (available * BigInt(1 + random(100))) / 100n
+            );
+          }
+          break;
+        case 2:
+          if (balance > 0n) {
+            // Anywhere up to the full strategy balance, including yield
+            await strategyManager.connect(user).withdrawFromStrategy(
+              strategyAddress,
+              (balance * BigInt(1 + random(100))) / 100n
+            );
+          }
+          break;
+        case 3:
+          if ((await strategyManager.getStrategyUsers(strategyAddress)).includes(user.address)) {
+            await strategyManager.connect(user).withdrawAllFromStrategy(strategyAddress);
+          }
+          break;
+        case 4:
+          if ((await strategy.getYield(user.address)) > 0n) {
+            await strategyManager.connect(user).claimYield(strategyAddress);
+          }
+          break;
+        case 5:
+          if ((await strategy.positions(user.address)).depositedAmount > 0n) {
+            await strategy.connect(user).compoundYield();
+          }
+          break;
+        default:
+          await increaseTime(1 + random(ONE_YEAR / 4));
+      }
+
+      await checkInvariants();
+    }
+  });
+
+  it("Should let users withdraw their full balance after yield is rolled into principal", async function () {
+    const strategy = strategies[0];
+    const strategyAddress = await strategy.getAddress();
+    const [user] = users;
+
+    await strategyManager.connect(user).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+    await increaseTime(ONE_YEAR);
+
+    // A second allocation rolls the first year's yield into the strategy's principal
+    await strategyManager.connect(user).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+    const position = await strategy.positions(user.address);
+    expect(position.depositedAmount).to.be.greaterThan(ethers.parseEther("205"));
+    expect(await strategyManager.userStrategyAllocations(user.address, strategyAddress)).to.equal(
+      ethers.parseEther("200")
+    );
+
+    // Stop accrual so the balance read here is exactly what the withdrawal sees
+    await strategy.setRateModel(0, 0, 0, 10000);
+    const balanceBefore = await strategyManager.userBalances(user.address);
+    const strategyBalance = await strategy.balanceOf(user.address);
+    await strategyManager.connect(user).withdrawFromStrategy(strategyAddress, strategyBalance);
+
+    expect(await strategyManager.userBalances(user.address)).to.equal(balanceBefore + strategyBalance);
+    expect(await strategyManager.userStrategyAllocations(user.address, strategyAddress)).to.equal(0);
+    await checkInvariants();
+  });
+
+  it("Should reject withdrawals beyond the strategy balance", async function () {
+    const strategyAddress = await strategies[0].getAddress();
+    const [user] = users;
+
+    await strategyManager.connect(user).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+    await increaseTime(ONE_YEAR);
+
+    await expect(
+      strategyManager.connect(user).withdrawFromStrategy(strategyAddress, ethers.parseEther("106"))
+    ).to.be.revertedWith("Insufficient strategy balance");
+  });
+
+  it("Should only charge the performance fee on the yield part of a withdrawal", async function () {
+    const strategyAddress = await strategies[0].getAddress();
+    const [user] = users;
+
+    await strategyManager.queueFeeChange(1000, 0);
+    await increaseTime(2 * 24 * 60 * 60);
+    await strategyManager.applyFeeChange();
+
+    await strategyManager.connect(user).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + ONE_YEAR]);
+
+    // 105 vBTC = 100 principal + 5 yield; 10% of the yield goes to fees
+    await expect(strategyManager.connect(user).withdrawFromStrategy(strategyAddress, ethers.parseEther("105")))
+      .to.emit(strategyManager, "FeesCharged")
+      .withArgs(user.address, strategyAddress, ethers.parseEther("0.5"), 0);
+
+    expect(await strategyManager.userBalances(user.address)).to.equal(ethers.parseEther("504.5"));
+    await checkInvariants();
+  });
+});
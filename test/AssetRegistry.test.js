@@ -0,0 +1,200 @@
+/**
+ * Test Suite for AssetRegistry
+ *
+ * Runs one StrategyManager per asset (vBTC, 8-decimal WBTC and 18-decimal tBTC mocks)
+ * and checks asset whitelisting, strategy tagging and cross-asset portfolio views
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AssetRegistry", function () {
+  let registry, vaultBTC, wbtc, tbtc;
+  let btcManager, wbtcManager, tbtcManager;
+  let btcStrategy, wbtcStrategy;
+  let owner, user1, user2;
+
+  // Deploys a StrategyManager and a DummyLendingStrategy for `token`
+  async function deployManager(token) {
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    const manager = await StrategyManager.deploy(await token.getAddress());
+    await manager.waitForDeployment();
+
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    const strategy = await DummyLendingStrategy.deploy(await token.getAddress(), await manager.getAddress());
+    await strategy.waitForDeployment();
+
+    return { manager, strategy };
+  }
+
+  // Mints `amount` of `token` to `user`, deposits it and allocates `allocation` of it
+  async function depositAndAllocate(manager, strategy, token, user, amount, allocation) {
+    await token.mint(user.address, amount);
+    await token.connect(user).approve(await manager.getAddress(), amount);
+    await manager.connect(user).deposit(amount);
+    if (allocation > 0n) {
+      await manager.connect(user).allocateToStrategy(await strategy.getAddress(), allocation);
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+    await wbtc.waitForDeployment();
+    tbtc = await MockERC20.deploy("tBTC v2", "tBTC", 18);
+    await tbtc.waitForDeployment();
+
+    ({ manager: btcManager, strategy: btcStrategy } = await deployManager(vaultBTC));
+    ({ manager: wbtcManager, strategy: wbtcStrategy } = await deployManager(wbtc));
+    ({ manager: tbtcManager } = await deployManager(tbtc));
+
+    await btcManager.addStrategy(await btcStrategy.getAddress());
+    await wbtcManager.addStrategy(await wbtcStrategy.getAddress());
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    registry = await AssetRegistry.deploy();
+    await registry.waitForDeployment();
+
+    await registry.addAsset(await vaultBTC.getAddress(), await btcManager.getAddress());
+    await registry.addAsset(await wbtc.getAddress(), await wbtcManager.getAddress());
+  });
+
+  describe("Asset Whitelist", function () {
+    it("Should list assets with their managers", async function () {
+      expect([...(await registry.getAssets())]).to.deep.equal([
+        await vaultBTC.getAddress(),
+        await wbtc.getAddress()
+      ]);
+      expect(await registry.managers(await wbtc.getAddress())).to.equal(await wbtcManager.getAddress());
+      expect(await registry.isAssetSupported(await wbtc.getAddress())).to.be.true;
+      expect(await registry.isAssetSupported(await tbtc.getAddress())).to.be.false;
+    });
+
+    it("Should emit AssetAdded and reject duplicates", async function () {
+      await expect(registry.addAsset(await tbtc.getAddress(), await tbtcManager.getAddress()))
+        .to.emit(registry, "AssetAdded")
+        .withArgs(await tbtc.getAddress(), await tbtcManager.getAddress());
+
+      await expect(
+        registry.addAsset(await tbtc.getAddress(), await tbtcManager.getAddress())
+      ).to.be.revertedWith("Asset already listed");
+    });
+
+    it("Should reject a manager for a different asset", async function () {
+      await expect(
+        registry.addAsset(await tbtc.getAddress(), await wbtcManager.getAddress())
+      ).to.be.revertedWith("Manager asset mismatch");
+    });
+
+    it("Should remove assets from the whitelist", async function () {
+      await expect(registry.removeAsset(await vaultBTC.getAddress()))
+        .to.emit(registry, "AssetRemoved")
+        .withArgs(await vaultBTC.getAddress());
+
+      expect([...(await registry.getAssets())]).to.deep.equal([await wbtc.getAddress()]);
+      expect(await registry.managers(await vaultBTC.getAddress())).to.equal(ethers.ZeroAddress);
+      await expect(registry.removeAsset(await vaultBTC.getAddress())).to.be.revertedWith("Asset not listed");
+    });
+
+    it("Should only let asset managers change the whitelist", async function () {
+      await expect(
+        registry.connect(user1).addAsset(await tbtc.getAddress(), await tbtcManager.getAddress())
+      ).to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+      await expect(
+        registry.connect(user1).removeAsset(await wbtc.getAddress())
+      ).to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+
+      await registry.grantRole(await registry.ASSET_MANAGER_ROLE(), user1.address);
+      await expect(registry.connect(user1).addAsset(await tbtc.getAddress(), await tbtcManager.getAddress()))
+        .to.emit(registry, "AssetAdded");
+    });
+
+    it("Should only let the admin set the price oracle", async function () {
+      await registry.grantRole(await registry.ASSET_MANAGER_ROLE(), user1.address);
+
+      await expect(
+        registry.connect(user1).setPriceOracle(user2.address)
+      ).to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+      await expect(registry.setPriceOracle(user2.address))
+        .to.emit(registry, "PriceOracleUpdated")
+        .withArgs(user2.address);
+    });
+  });
+
+  describe("Strategy Tagging", function () {
+    it("Should tag strategies with the asset they accept", async function () {
+      expect(await wbtcStrategy.asset()).to.equal(await wbtc.getAddress());
+      expect([...(await registry.getStrategiesForAsset(await wbtc.getAddress()))]).to.deep.equal([
+        await wbtcStrategy.getAddress()
+      ]);
+    });
+
+    it("Should stop a manager from listing a strategy for another asset", async function () {
+      await expect(
+        tbtcManager.addStrategy(await wbtcStrategy.getAddress())
+      ).to.be.revertedWith("Strategy asset mismatch");
+    });
+  });
+
+  describe("Portfolio", function () {
+    beforeEach(async function () {
+      // Keep balances flat so positions match what was deposited
+      await btcStrategy.setRateModel(0, 0, 0, 10000);
+      await wbtcStrategy.setRateModel(0, 0, 0, 10000);
+    });
+
+    it("Should keep balances separate per asset", async function () {
+      await depositAndAllocate(btcManager, btcStrategy, vaultBTC, user1, ethers.parseEther("2"), ethers.parseEther("1"));
+      await depositAndAllocate(wbtcManager, wbtcStrategy, wbtc, user1, ethers.parseUnits("3", 8), 0n);
+
+      expect(await btcManager.userBalances(user1.address)).to.equal(ethers.parseEther("1"));
+      expect(await wbtcManager.userBalances(user1.address)).to.equal(ethers.parseUnits("3", 8));
+      expect(await wbtc.balanceOf(await btcManager.getAddress())).to.equal(0);
+    });
+
+    it("Should report a position per asset in the asset's decimals", async function () {
+      await depositAndAllocate(wbtcManager, wbtcStrategy, wbtc, user1, ethers.parseUnits("3", 8), ethers.parseUnits("2", 8));
+
+      const position = await registry.getAssetPosition(user1.address, await wbtc.getAddress());
+      expect(position.manager).to.equal(await wbtcManager.getAddress());
+      expect(position.idle).to.equal(ethers.parseUnits("1", 8));
+      expect(position.allocated).to.equal(ethers.parseUnits("2", 8));
+      expect(position.strategyBalance).to.equal(ethers.parseUnits("2", 8));
+      expect(position.queuedWithdrawals).to.equal(0);
+    });
+
+    it("Should aggregate a user's portfolio across assets in 18 decimals", async function () {
+      await depositAndAllocate(btcManager, btcStrategy, vaultBTC, user1, ethers.parseEther("2"), ethers.parseEther("1"));
+      await depositAndAllocate(wbtcManager, wbtcStrategy, wbtc, user1, ethers.parseUnits("3", 8), ethers.parseUnits("3", 8));
+      await depositAndAllocate(wbtcManager, wbtcStrategy, wbtc, user2, ethers.parseUnits("5", 8), 0n);
+
+      const [positions, totalValue] = await registry.getPortfolio(user1.address);
+      expect(positions.length).to.equal(2);
+      expect(positions[0].asset).to.equal(await vaultBTC.getAddress());
+      expect(positions[0].idle).to.equal(ethers.parseEther("1"));
+      expect(positions[1].asset).to.equal(await wbtc.getAddress());
+      expect(positions[1].strategyBalance).to.equal(ethers.parseUnits("3", 8));
+      expect(totalValue).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should count queued strategy withdrawals in the portfolio", async function () {
+      const strategyAddress = await wbtcStrategy.getAddress();
+      await depositAndAllocate(wbtcManager, wbtcStrategy, wbtc, user1, ethers.parseUnits("3", 8), ethers.parseUnits("3", 8));
+      await wbtcStrategy.setLiquidityLimit(0);
+      await wbtcManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseUnits("1", 8));
+
+      const position = await registry.getAssetPosition(user1.address, await wbtc.getAddress());
+      expect(position.strategyBalance).to.equal(ethers.parseUnits("2", 8));
+      expect(position.queuedWithdrawals).to.equal(ethers.parseUnits("1", 8));
+
+      const [, totalValue] = await registry.getPortfolio(user1.address);
+      expect(totalValue).to.equal(ethers.parseEther("3"));
+    });
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * Test Suite for BabylonStakingStrategy
+ *
+ * Runs the staking adapter against MockBabylonStaking on the Hardhat network:
+ * reward epochs, slashing, the unbonding queue and the StrategyManager request/claim flow
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("BabylonStakingStrategy", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  const UNBONDING_PERIOD = 7 * ONE_DAY;
+  const REWARD_RATE = 10; // 0.1% of stake per epoch
+
+  let vaultBTC, strategyManager, lens, staking, stakingStrategy, dummyStrategy;
+  let owner, user1, user2;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Mints vBTC to `user`, deposits it and stakes all of it through the strategy
+  async function depositAndStake(user, amount) {
+    await vaultBTC.mint(user.address, amount);
+    await vaultBTC.connect(user).approve(await strategyManager.getAddress(), amount);
+    await strategyManager.connect(user).deposit(amount);
+    await strategyManager.connect(user).allocateToStrategy(await stakingStrategy.getAddress(), amount);
+  }
+
+  // Waits out one epoch and distributes its reward
+  async function advanceEpoch() {
+    await increaseTime(ONE_DAY);
+    await staking.advanceEpoch();
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    const StrategyManagerLens = await ethers.getContractFactory("StrategyManagerLens");
+    lens = await StrategyManagerLens.deploy(await strategyManager.getAddress());
+    await lens.waitForDeployment();
+
+    const MockBabylonStaking = await ethers.getContractFactory("MockBabylonStaking");
+    staking = await MockBabylonStaking.deploy(await vaultBTC.getAddress(), UNBONDING_PERIOD, ONE_DAY, REWARD_RATE);
+    await staking.waitForDeployment();
+
+    const BabylonStakingStrategy = await ethers.getContractFactory("BabylonStakingStrategy");
+    stakingStrategy = await BabylonStakingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress(),
+      await staking.getAddress()
+    );
+    await stakingStrategy.waitForDeployment();
+
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    dummyStrategy = await DummyLendingStrategy.deploy(await vaultBTC.getAddress(), await strategyManager.getAddress());
+    await dummyStrategy.waitForDeployment();
+
+    await strategyManager.addStrategy(await stakingStrategy.getAddress());
+    await strategyManager.addStrategy(await dummyStrategy.getAddress());
+
+    // Fund the reward reserve that pays epoch rewards
+    await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+    await vaultBTC.approve(await staking.getAddress(), ethers.parseEther("100"));
+    await staking.fundRewards(ethers.parseEther("100"));
+  });
+
+  describe("Deployment", function () {
+    it("Should link the staking pool and report the unbonding period", async function () {
+      expect(await stakingStrategy.vaultBTC()).to.equal(await vaultBTC.getAddress());
+      expect(await stakingStrategy.strategyManager()).to.equal(await strategyManager.getAddress());
+      expect(await stakingStrategy.staking()).to.equal(await staking.getAddress());
+      expect(await stakingStrategy.unbondingPeriod()).to.equal(UNBONDING_PERIOD);
+    });
+
+    it("Should be flagged as an unbonding strategy by the StrategyManager", async function () {
+      expect(await strategyManager.isUnbondingStrategy(await stakingStrategy.getAddress())).to.be.true;
+      expect(await strategyManager.isUnbondingStrategy(await dummyStrategy.getAddress())).to.be.false;
+    });
+
+    it("Should only accept calls from the StrategyManager", async function () {
+      await expect(
+        stakingStrategy.deposit(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        stakingStrategy.requestWithdraw(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(stakingStrategy.claim(user1.address)).to.be.revertedWith("Only StrategyManager");
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should stake allocations and credit pool shares", async function () {
+      const amount = ethers.parseEther("10");
+      await depositAndStake(user1, amount);
+
+      expect(await staking.totalStaked()).to.equal(amount);
+      expect(await staking.sharesOf(await stakingStrategy.getAddress())).to.equal(amount);
+      expect(await stakingStrategy.shares(user1.address)).to.equal(amount);
+      expect(await stakingStrategy.balanceOf(user1.address)).to.equal(amount);
+    });
+
+    it("Should grow balances with each reward epoch", async function () {
+      await depositAndStake(user1, ethers.parseEther("10"));
+
+      await advanceEpoch();
+      expect(await stakingStrategy.getYield(user1.address)).to.equal(ethers.parseEther("0.01"));
+
+      await advanceEpoch();
+      expect(await stakingStrategy.getYield(user1.address)).to.equal(ethers.parseEther("0.02001"));
+      expect(await staking.currentEpoch()).to.equal(2);
+    });
+
+    it("Should reject advancing an epoch before it has finished", async function () {
+      await advanceEpoch();
+      await expect(staking.advanceEpoch()).to.be.revertedWith("Epoch not finished");
+    });
+
+    it("Should cut every balance when the pool is slashed", async function () {
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await depositAndStake(user2, ethers.parseEther("30"));
+
+      await expect(staking.slash(1000)).to.emit(staking, "Slashed").withArgs(1000, ethers.parseEther("4"));
+
+      expect(await stakingStrategy.balanceOf(user1.address)).to.equal(ethers.parseEther("9"));
+      expect(await stakingStrategy.balanceOf(user2.address)).to.equal(ethers.parseEther("27"));
+      expect(await stakingStrategy.getYield(user1.address)).to.equal(0);
+    });
+
+    it("Should report slashed principal to the StrategyManager as a loss", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await depositAndStake(user2, ethers.parseEther("30"));
+      await staking.slash(1000);
+
+      // Anyone can report it; the loss is shared by allocation
+      await expect(stakingStrategy.connect(user1).reportSlashing())
+        .to.emit(strategyManager, "LossReported")
+        .withArgs(strategyAddress, ethers.parseEther("4"), ethers.parseEther("36"))
+        .and.to.emit(stakingStrategy, "SlashingReported")
+        .withArgs(ethers.parseEther("4"));
+
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(ethers.parseEther("9"));
+      expect(await strategyManager.userStrategyAllocations(user2.address, strategyAddress)).to.equal(ethers.parseEther("27"));
+      expect(await strategyManager.strategyLosses(strategyAddress)).to.equal(ethers.parseEther("4"));
+
+      // The allocation now matches the stake, so there is nothing left to report
+      await expect(stakingStrategy.reportSlashing()).to.be.revertedWith("No loss to report");
+    });
+
+    it("Should only report the slashing that rewards do not cover", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await advanceEpoch();
+
+      // 10.01 staked, so a 0.05% slash leaves it above the 10 allocated
+      await staking.slash(5);
+      await expect(stakingStrategy.reportSlashing()).to.be.revertedWith("No loss to report");
+
+      // 10% more takes it below: 10.01 * 0.9995 * 0.9 = 9.0040...
+      await staking.slash(1000);
+      const staked = await stakingStrategy.totalBalance();
+      await expect(stakingStrategy.reportSlashing())
+        .to.emit(strategyManager, "LossReported")
+        .withArgs(strategyAddress, ethers.parseEther("10") - staked, staked);
+    });
+
+    it("Should only let the staking owner slash", async function () {
+      await expect(
+        staking.connect(user1).slash(1000)
+      ).to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should never report claimable yield since rewards are restaked", async function () {
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await advanceEpoch();
+
+      await expect(
+        strategyManager.connect(user1).claimYield(await stakingStrategy.getAddress())
+      ).to.be.revertedWith("No yield to claim");
+    });
+  });
+
+  describe("Unbonding", function () {
+    it("Should reject instant withdrawals", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).withdrawFromStrategy(strategyAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("Strategy requires unbonding");
+      await expect(
+        strategyManager.connect(user1).withdrawAllFromStrategy(strategyAddress)
+      ).to.be.revertedWith("Strategy requires unbonding");
+    });
+
+    it("Should queue a request and report it as pending", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("4"))
+      )
+        .to.emit(strategyManager, "WithdrawalRequested")
+        .withArgs(user1.address, strategyAddress, ethers.parseEther("4"), 0);
+
+      expect(await lens.getPendingWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("4"));
+      expect(await lens.getClaimableWithdrawal(user1.address, strategyAddress)).to.equal(0);
+      expect(await stakingStrategy.balanceOf(user1.address)).to.equal(ethers.parseEther("6"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(ethers.parseEther("6"));
+      expect(await strategyManager.requestedPrincipal(user1.address, strategyAddress)).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should report no instant liquidity", async function () {
+      await depositAndStake(user1, ethers.parseEther("10"));
+
+      expect(await stakingStrategy.maxWithdraw(user1.address)).to.equal(0);
+    });
+
+    it("Should reject requests above the staked balance", async function () {
+      await depositAndStake(user1, ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).requestStrategyWithdraw(await stakingStrategy.getAddress(), ethers.parseEther("11"))
+      ).to.be.revertedWith("Insufficient strategy balance");
+    });
+
+    it("Should not pay out before the unbonding period ends", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("10"));
+
+      await increaseTime(UNBONDING_PERIOD - 10);
+
+      await expect(
+        strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress)
+      ).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should credit the manager balance once unbonding finishes", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("10"));
+
+      await increaseTime(UNBONDING_PERIOD);
+      expect(await lens.getPendingWithdrawal(user1.address, strategyAddress)).to.equal(0);
+      expect(await lens.getClaimableWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("10"));
+
+      await expect(strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress))
+        .to.emit(strategyManager, "WithdrawalClaimed")
+        .withArgs(user1.address, strategyAddress, ethers.parseEther("10"));
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("10"));
+      expect(await strategyManager.requestedPrincipal(user1.address, strategyAddress)).to.equal(0);
+      expect(await strategyManager.getStrategyUsers(strategyAddress)).to.deep.equal([]);
+    });
+
+    it("Should stop earning rewards once a request is made", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await depositAndStake(user2, ethers.parseEther("10"));
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("10"));
+
+      await advanceEpoch();
+
+      expect(await lens.getPendingWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("10"));
+      expect(await stakingStrategy.getYield(user2.address)).to.equal(ethers.parseEther("0.01"));
+    });
+
+    it("Should slash requests that are still unbonding", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("10"));
+
+      await staking.slash(2000);
+      await increaseTime(UNBONDING_PERIOD);
+
+      expect(await lens.getClaimableWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("8"));
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+
+      // The slashed principal is written off once nothing is left unbonding
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("8"));
+      expect(await strategyManager.requestedPrincipal(user1.address, strategyAddress)).to.equal(0);
+    });
+
+    it("Should claim requests oldest first as each one finishes", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("3"));
+      await increaseTime(2 * ONE_DAY);
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("5"));
+
+      await increaseTime(UNBONDING_PERIOD - 2 * ONE_DAY);
+      expect(await lens.getClaimableWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("3"));
+      expect(await lens.getPendingWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("5"));
+
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("3"));
+      expect(await stakingStrategy.nextClaimIndex(user1.address)).to.equal(1);
+      expect(await strategyManager.requestedPrincipal(user1.address, strategyAddress)).to.equal(ethers.parseEther("5"));
+
+      await increaseTime(2 * ONE_DAY);
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("8"));
+      expect(await stakingStrategy.nextClaimIndex(user1.address)).to.equal(2);
+
+      // The rest of the stake keeps the position open
+      expect(await strategyManager.getStrategyUsers(strategyAddress)).to.deep.equal([user1.address]);
+    });
+
+    it("Should charge the performance fee on rewards when they are claimed", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await strategyManager.queueFeeChange(1000, 0);
+      await increaseTime(2 * ONE_DAY);
+      await strategyManager.applyFeeChange();
+
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await advanceEpoch();
+
+      const balance = await stakingStrategy.balanceOf(user1.address);
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, balance);
+      await increaseTime(UNBONDING_PERIOD);
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+
+      // 10% of the 0.01 vBTC reward goes to fees
+      expect(await strategyManager.accruedFees()).to.equal(ethers.parseEther("0.001"));
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("10.009"));
+    });
+  });
+
+  describe("StrategyManager Exits", function () {
+    it("Should start unbonding principal on emergencyWithdraw while paused", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await strategyManager.pause();
+
+      await expect(strategyManager.connect(user1).emergencyWithdraw())
+        .to.emit(strategyManager, "EmergencyWithdrawn")
+        .withArgs(user1.address, 0);
+      expect(await lens.getPendingWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("10"));
+
+      await increaseTime(UNBONDING_PERIOD);
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      await strategyManager.connect(user1).emergencyWithdraw();
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should start unbonding when a strategy is unwound and keep claims open after delisting", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await advanceEpoch();
+
+      await strategyManager.startWindDown(strategyAddress);
+      await expect(strategyManager.unwindStrategy(strategyAddress, 10))
+        .to.emit(strategyManager, "PositionUnwound")
+        .withArgs(user1.address, strategyAddress, 0);
+      await strategyManager.removeStrategy(strategyAddress);
+
+      await increaseTime(UNBONDING_PERIOD);
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("10.01"));
+    });
+
+    it("Should refuse to migrate positions out of an unbonding strategy", async function () {
+      const strategyAddress = await stakingStrategy.getAddress();
+      await depositAndStake(user1, ethers.parseEther("10"));
+      await strategyManager.startWindDown(strategyAddress);
+
+      await expect(
+        strategyManager.migrateStrategy(strategyAddress, await dummyStrategy.getAddress(), 10)
+      ).to.be.revertedWith("Strategy requires unbonding");
+    });
+
+    it("Should keep StrategyVault out of unbonding strategies", async function () {
+      const StrategyVault = await ethers.getContractFactory("StrategyVault");
+      const vault = await StrategyVault.deploy(await vaultBTC.getAddress(), await strategyManager.getAddress());
+
+      await expect(
+        vault.setTargetWeight(await stakingStrategy.getAddress(), 5000)
+      ).to.be.revertedWith("Strategy requires unbonding");
+      await expect(
+        vault.allocate(await stakingStrategy.getAddress(), ethers.parseEther("1"))
+      ).to.be.revertedWith("Strategy requires unbonding");
+    });
+  });
+});
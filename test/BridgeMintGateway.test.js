@@ -0,0 +1,287 @@
+/**
+ * Test Suite for BridgeMintGateway
+ *
+ * Signs mints with local attester keys (EIP-712) and checks the M-of-N threshold,
+ * txid replay protection, per-epoch rate limits and the proof-of-reserve cap,
+ * using MockV3Aggregator as the reserve feed
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("BridgeMintGateway", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  const EPOCH_LIMIT = ethers.parseEther("10");
+  // Reserve feed reports BTC with 8 decimals
+  const RESERVES = 50n * 10n ** 8n;
+
+  let gateway, vaultBTC, reserveFeed;
+  let owner, attester1, attester2, attester3, user1, relayer;
+  let attesters;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Deadline one hour from the latest block
+  async function futureDeadline() {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return timestamp + 60 * 60;
+  }
+
+  // Signs a mint with each signer and returns the signatures in ascending signer order
+  async function signMint(signers, mint) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "BridgeMintGateway",
+      version: "1",
+      chainId,
+      verifyingContract: await gateway.getAddress()
+    };
+    const types = {
+      Mint: [
+        { name: "recipient", type: "address" },
+        { name: "amount", type: "uint256" },
+        { name: "btcTxid", type: "bytes32" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+
+    const sorted = [...signers].sort((a, b) => (BigInt(a.address) < BigInt(b.address) ? -1 : 1));
+    return Promise.all(sorted.map((signer) => signer.signTypedData(domain, types, mint)));
+  }
+
+  // Builds a mint, signs it with `signers` and submits it from the relayer
+  async function mintWith(signers, amount, btcTxid = ethers.id(`deposit-${amount}`)) {
+    const mint = { recipient: user1.address, amount, btcTxid, deadline: await futureDeadline() };
+    const signatures = await signMint(signers, mint);
+    return gateway.connect(relayer).mint(mint.recipient, mint.amount, mint.btcTxid, mint.deadline, signatures);
+  }
+
+  beforeEach(async function () {
+    [owner, attester1, attester2, attester3, user1, relayer] = await ethers.getSigners();
+    attesters = [attester1, attester2, attester3];
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    reserveFeed = await MockV3Aggregator.deploy(8, RESERVES);
+    await reserveFeed.waitForDeployment();
+
+    const BridgeMintGateway = await ethers.getContractFactory("BridgeMintGateway");
+    gateway = await BridgeMintGateway.deploy(
+      await vaultBTC.getAddress(),
+      attesters.map((a) => a.address),
+      2,
+      await reserveFeed.getAddress(),
+      ONE_DAY,
+      ONE_DAY,
+      EPOCH_LIMIT
+    );
+    await gateway.waitForDeployment();
+
+    await vaultBTC.grantRole(await vaultBTC.MINTER_ROLE(), await gateway.getAddress());
+  });
+
+  describe("Deployment", function () {
+    it("Should set attesters, threshold and limits", async function () {
+      expect([...(await gateway.getAttesters())]).to.deep.equal(attesters.map((a) => a.address));
+      expect(await gateway.threshold()).to.equal(2);
+      expect(await gateway.epochMintLimit()).to.equal(EPOCH_LIMIT);
+      expect(await gateway.getReserves()).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should reject a threshold above the attester count", async function () {
+      const BridgeMintGateway = await ethers.getContractFactory("BridgeMintGateway");
+      await expect(
+        BridgeMintGateway.deploy(
+          await vaultBTC.getAddress(),
+          [attester1.address],
+          2,
+          await reserveFeed.getAddress(),
+          ONE_DAY,
+          ONE_DAY,
+          EPOCH_LIMIT
+        )
+      ).to.be.revertedWith("Invalid threshold");
+    });
+  });
+
+  describe("Attested Minting", function () {
+    it("Should mint with a threshold of attester signatures", async function () {
+      const amount = ethers.parseEther("1");
+      const btcTxid = ethers.id("deposit-1");
+
+      await expect(mintWith([attester1, attester3], amount, btcTxid))
+        .to.emit(gateway, "BridgeMint")
+        .withArgs(user1.address, amount, btcTxid);
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(amount);
+      expect(await gateway.processedTxids(btcTxid)).to.be.true;
+    });
+
+    it("Should reject too few signatures", async function () {
+      await expect(mintWith([attester1], ethers.parseEther("1"))).to.be.revertedWith("Not enough signatures");
+    });
+
+    it("Should reject signatures from non-attesters", async function () {
+      await expect(mintWith([attester1, user1], ethers.parseEther("1"))).to.be.revertedWith("Invalid attester signature");
+    });
+
+    it("Should not count one attester twice", async function () {
+      const mint = {
+        recipient: user1.address,
+        amount: ethers.parseEther("1"),
+        btcTxid: ethers.id("deposit-1"),
+        deadline: await futureDeadline()
+      };
+      const [signature] = await signMint([attester1], mint);
+
+      await expect(
+        gateway.mint(mint.recipient, mint.amount, mint.btcTxid, mint.deadline, [signature, signature])
+      ).to.be.revertedWith("Signers not in ascending order");
+    });
+
+    it("Should reject signatures over different mint parameters", async function () {
+      const mint = {
+        recipient: user1.address,
+        amount: ethers.parseEther("1"),
+        btcTxid: ethers.id("deposit-1"),
+        deadline: await futureDeadline()
+      };
+      const signatures = await signMint([attester1, attester2], mint);
+
+      // Recovering a different digest yields addresses that are not attesters
+      await expect(
+        gateway.mint(mint.recipient, ethers.parseEther("2"), mint.btcTxid, mint.deadline, signatures)
+      ).to.be.revertedWith("Invalid attester signature");
+    });
+
+    it("Should reject expired signatures", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const mint = {
+        recipient: user1.address,
+        amount: ethers.parseEther("1"),
+        btcTxid: ethers.id("deposit-1"),
+        deadline: timestamp
+      };
+      const signatures = await signMint([attester1, attester2], mint);
+
+      await expect(
+        gateway.mint(mint.recipient, mint.amount, mint.btcTxid, mint.deadline, signatures)
+      ).to.be.revertedWith("Signatures expired");
+    });
+
+    it("Should mint each BTC deposit txid only once", async function () {
+      const btcTxid = ethers.id("deposit-1");
+      await mintWith([attester1, attester2], ethers.parseEther("1"), btcTxid);
+
+      await expect(
+        mintWith([attester2, attester3], ethers.parseEther("1"), btcTxid)
+      ).to.be.revertedWith("Deposit already minted");
+    });
+  });
+
+  describe("Rate Limits", function () {
+    it("Should cap minting per epoch", async function () {
+      await mintWith([attester1, attester2], ethers.parseEther("6"), ethers.id("deposit-1"));
+      expect(await gateway.remainingEpochMint()).to.equal(ethers.parseEther("4"));
+
+      await expect(
+        mintWith([attester1, attester2], ethers.parseEther("5"), ethers.id("deposit-2"))
+      ).to.be.revertedWith("Epoch mint limit exceeded");
+    });
+
+    it("Should reset the limit in the next epoch", async function () {
+      await mintWith([attester1, attester2], EPOCH_LIMIT, ethers.id("deposit-1"));
+      expect(await gateway.remainingEpochMint()).to.equal(0);
+
+      await increaseTime(ONE_DAY);
+      // Keep the reserve answer fresh across the epoch change
+      await reserveFeed.updateAnswer(RESERVES);
+
+      await mintWith([attester1, attester2], ethers.parseEther("5"), ethers.id("deposit-2"));
+      expect(await vaultBTC.totalSupply()).to.equal(ethers.parseEther("15"));
+    });
+  });
+
+  describe("Proof of Reserve", function () {
+    it("Should block mints that push supply above reported reserves", async function () {
+      await reserveFeed.updateAnswer(3n * 10n ** 8n);
+      await mintWith([attester1, attester2], ethers.parseEther("2"), ethers.id("deposit-1"));
+
+      // Supply minted outside the gateway also counts against reserves
+      await vaultBTC.mint(owner.address, ethers.parseEther("0.5"));
+
+      await expect(
+        mintWith([attester1, attester2], ethers.parseEther("1"), ethers.id("deposit-2"))
+      ).to.be.revertedWith("Reserves exceeded");
+    });
+
+    it("Should block mints when the reserve feed is stale or non-positive", async function () {
+      await increaseTime(ONE_DAY + 1);
+      await expect(
+        mintWith([attester1, attester2], ethers.parseEther("1"), ethers.id("deposit-1"))
+      ).to.be.revertedWith("Reserve feed stale");
+
+      await reserveFeed.updateAnswer(0);
+      await expect(
+        mintWith([attester1, attester2], ethers.parseEther("1"), ethers.id("deposit-1"))
+      ).to.be.revertedWith("Invalid reserve answer");
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should add and remove attesters within the threshold", async function () {
+      await expect(gateway.removeAttester(attester3.address))
+        .to.emit(gateway, "AttesterRemoved")
+        .withArgs(attester3.address);
+      await expect(gateway.removeAttester(attester2.address)).to.be.revertedWith("Threshold exceeds attesters");
+
+      await expect(gateway.addAttester(attester3.address))
+        .to.emit(gateway, "AttesterAdded")
+        .withArgs(attester3.address);
+      await expect(gateway.addAttester(attester3.address)).to.be.revertedWith("Attester already added");
+    });
+
+    it("Should stop counting removed attesters", async function () {
+      await gateway.removeAttester(attester1.address);
+
+      await expect(
+        mintWith([attester1, attester2], ethers.parseEther("1"))
+      ).to.be.revertedWith("Invalid attester signature");
+    });
+
+    it("Should update the threshold, rate limit and reserve feed", async function () {
+      await expect(gateway.setThreshold(3)).to.emit(gateway, "ThresholdUpdated").withArgs(3);
+      await expect(gateway.setThreshold(4)).to.be.revertedWith("Invalid threshold");
+      await expect(mintWith([attester1, attester2], ethers.parseEther("1"))).to.be.revertedWith("Not enough signatures");
+
+      await expect(gateway.setRateLimit(ONE_DAY * 7, ethers.parseEther("100")))
+        .to.emit(gateway, "RateLimitUpdated")
+        .withArgs(ONE_DAY * 7, ethers.parseEther("100"));
+
+      await expect(gateway.setReserveFeed(await reserveFeed.getAddress(), 0)).to.be.revertedWith("Invalid heartbeat");
+    });
+
+    it("Should only let the owner change the configuration", async function () {
+      await expect(
+        gateway.connect(user1).addAttester(user1.address)
+      ).to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(
+        gateway.connect(user1).setThreshold(1)
+      ).to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(
+        gateway.connect(user1).setRateLimit(ONE_DAY, 0)
+      ).to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(
+        gateway.connect(user1).setReserveFeed(await reserveFeed.getAddress(), ONE_DAY)
+      ).to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+    });
+  });
+});
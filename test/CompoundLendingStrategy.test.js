@@ -0,0 +1,342 @@
+/**
+ * Test Suite for CompoundLendingStrategy
+ *
+ * Runs the Compound v2 adapter against MockCToken on the Hardhat network:
+ * exchange-rate accounting, rounding on tiny deposits, partial withdrawals and yield claims
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("CompoundLendingStrategy", function () {
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+  const FIVE_PERCENT = ethers.parseEther("0.05");
+  const INITIAL_RATE = 2n * 10n ** 26n;
+  // Value of a single cToken unit at the initial exchange rate, in vBTC wei
+  const ONE_CTOKEN_UNIT = 2n * 10n ** 8n;
+
+  let vaultBTC, strategyManager, cToken, compoundStrategy;
+  let owner, user1, user2;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Mints vBTC to `user` and deposits it into the StrategyManager
+  async function fundUser(user, amount) {
+    await vaultBTC.mint(user.address, amount);
+    await vaultBTC.connect(user).approve(await strategyManager.getAddress(), amount);
+    await strategyManager.connect(user).deposit(amount);
+  }
+
+  // Mints vBTC to `user`, deposits it and allocates all of it to the Compound strategy
+  async function depositAndAllocate(user, amount) {
+    await fundUser(user, amount);
+    await strategyManager.connect(user).allocateToStrategy(await compoundStrategy.getAddress(), amount);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    const MockCToken = await ethers.getContractFactory("MockCToken");
+    // Start with no interest so rounding tests see the exact initial exchange rate
+    cToken = await MockCToken.deploy(await vaultBTC.getAddress(), 0);
+    await cToken.waitForDeployment();
+
+    const CompoundLendingStrategy = await ethers.getContractFactory("CompoundLendingStrategy");
+    compoundStrategy = await CompoundLendingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress(),
+      await cToken.getAddress()
+    );
+    await compoundStrategy.waitForDeployment();
+
+    await strategyManager.addStrategy(await compoundStrategy.getAddress());
+
+    // Seed the market with cash that stands in for borrowers' interest payments
+    await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+    await vaultBTC.approve(await cToken.getAddress(), ethers.parseEther("100"));
+    await cToken.simulateRepay(ethers.parseEther("100"));
+  });
+
+  describe("Deployment", function () {
+    it("Should link the cToken market", async function () {
+      expect(await compoundStrategy.vaultBTC()).to.equal(await vaultBTC.getAddress());
+      expect(await compoundStrategy.strategyManager()).to.equal(await strategyManager.getAddress());
+      expect(await compoundStrategy.cToken()).to.equal(await cToken.getAddress());
+      expect(await cToken.decimals()).to.equal(8);
+      expect(await cToken.exchangeRateStored()).to.equal(INITIAL_RATE);
+    });
+
+    it("Should reject a cToken for a different asset", async function () {
+      const VaultBTC = await ethers.getContractFactory("VaultBTC");
+      const otherAsset = await VaultBTC.deploy();
+      const MockCToken = await ethers.getContractFactory("MockCToken");
+      const otherCToken = await MockCToken.deploy(await otherAsset.getAddress(), FIVE_PERCENT);
+
+      const CompoundLendingStrategy = await ethers.getContractFactory("CompoundLendingStrategy");
+      await expect(
+        CompoundLendingStrategy.deploy(
+          await vaultBTC.getAddress(),
+          await strategyManager.getAddress(),
+          await otherCToken.getAddress()
+        )
+      ).to.be.revertedWith("cToken asset mismatch");
+    });
+
+    it("Should only accept calls from the StrategyManager", async function () {
+      await expect(
+        compoundStrategy.deposit(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        compoundStrategy.withdraw(user1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        compoundStrategy.withdrawAll(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        compoundStrategy.claimYield(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should mint cTokens at the exchange rate and credit them to the user", async function () {
+      const amount = ethers.parseEther("10");
+      await fundUser(user1, amount);
+
+      await expect(strategyManager.connect(user1).allocateToStrategy(await compoundStrategy.getAddress(), amount))
+        .to.emit(compoundStrategy, "StrategyDeposit")
+        .withArgs(user1.address, amount, amount / ONE_CTOKEN_UNIT);
+
+      expect(await compoundStrategy.shares(user1.address)).to.equal(amount / ONE_CTOKEN_UNIT);
+      expect(await compoundStrategy.totalShares()).to.equal(await cToken.balanceOf(await compoundStrategy.getAddress()));
+      expect(await compoundStrategy.principalOf(user1.address)).to.equal(amount);
+      expect(await compoundStrategy.balanceOf(user1.address)).to.equal(amount);
+    });
+
+    it("Should reject deposits too small to mint a cToken", async function () {
+      await fundUser(user1, ONE_CTOKEN_UNIT);
+
+      await expect(
+        strategyManager.connect(user1).allocateToStrategy(await compoundStrategy.getAddress(), ONE_CTOKEN_UNIT - 1n)
+      ).to.be.revertedWith("Deposit too small");
+
+      await strategyManager.connect(user1).allocateToStrategy(await compoundStrategy.getAddress(), ONE_CTOKEN_UNIT);
+      expect(await compoundStrategy.shares(user1.address)).to.equal(1);
+    });
+
+    it("Should round down the cTokens credited for odd amounts", async function () {
+      const amount = ONE_CTOKEN_UNIT * 3n / 2n;
+      await depositAndAllocate(user1, amount);
+
+      // 1.5 cTokens worth of vBTC mints a single cToken
+      expect(await compoundStrategy.shares(user1.address)).to.equal(1);
+      expect(await compoundStrategy.balanceOf(user1.address)).to.equal(ONE_CTOKEN_UNIT);
+      expect(await compoundStrategy.getYield(user1.address)).to.equal(0);
+    });
+
+    it("Should credit later depositors fewer cTokens at a higher exchange rate", async function () {
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await increaseTime(ONE_YEAR);
+      await depositAndAllocate(user2, ethers.parseEther("10"));
+
+      const rate = await cToken.exchangeRateStored();
+      expect(rate).to.be.gt(INITIAL_RATE * 105n / 100n);
+      expect(await compoundStrategy.shares(user2.address)).to.equal(ethers.parseEther("10") * 10n ** 18n / rate);
+      expect(await compoundStrategy.balanceOf(user2.address)).to.be.closeTo(ethers.parseEther("10"), ONE_CTOKEN_UNIT);
+    });
+  });
+
+  describe("Interest", function () {
+    it("Should report interest once the market accrues", async function () {
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR);
+
+      // The stored rate is stale until someone accrues interest, as on Compound
+      expect(await compoundStrategy.getYield(user1.address)).to.equal(0);
+
+      await cToken.accrueInterest();
+      const yieldAmount = await compoundStrategy.getYield(user1.address);
+      expect(yieldAmount).to.be.closeTo(ethers.parseEther("5"), ethers.parseEther("0.00001"));
+      expect(await strategyManager.getStrategyYield(user1.address, await compoundStrategy.getAddress()))
+        .to.equal(yieldAmount);
+    });
+
+    it("Should follow supply rate changes from the moment they are made", async function () {
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR / 2);
+      await cToken.setSupplyRate(0);
+      await increaseTime(ONE_YEAR / 2);
+      await cToken.accrueInterest();
+
+      expect(await compoundStrategy.getYield(user1.address)).to.be.closeTo(ethers.parseEther("2.5"), ethers.parseEther("0.0001"));
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("Should redeem enough cTokens to cover a partial withdrawal", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      const sharesBefore = await compoundStrategy.shares(user1.address);
+
+      await strategyManager.connect(user1).withdrawFromStrategy(compoundAddress, ethers.parseEther("4"));
+
+      const received = await strategyManager.userBalances(user1.address);
+      expect(received).to.be.gte(ethers.parseEther("4"));
+      expect(received - ethers.parseEther("4")).to.be.lt(ONE_CTOKEN_UNIT * 2n);
+      expect(sharesBefore - (await compoundStrategy.shares(user1.address))).to.equal(ethers.parseEther("4") / ONE_CTOKEN_UNIT);
+      expect(await compoundStrategy.principalOf(user1.address)).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should round partial withdrawals up to whole cTokens", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("1"));
+
+      // Half a cToken's worth still burns a whole cToken and pays out its full value
+      await strategyManager.connect(user1).withdrawFromStrategy(compoundAddress, ONE_CTOKEN_UNIT / 2n);
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ONE_CTOKEN_UNIT);
+      expect(await compoundStrategy.shares(user1.address)).to.equal(ethers.parseEther("1") / ONE_CTOKEN_UNIT - 1n);
+    });
+
+    it("Should conserve value across many partial withdrawals", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      const deposit = ethers.parseEther("1");
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, deposit);
+      await increaseTime(ONE_YEAR);
+      // Freeze the rate so the stored rate the manager checks against stays current
+      await cToken.setSupplyRate(0);
+      const startingBalance = await compoundStrategy.balanceOf(user1.address);
+
+      for (let i = 0; i < 7; i++) {
+        await strategyManager.connect(user1).withdrawFromStrategy(compoundAddress, 123456789123n + BigInt(i));
+      }
+      await strategyManager.connect(user1).withdrawFromStrategy(
+        compoundAddress,
+        await compoundStrategy.balanceOf(user1.address)
+      );
+
+      const received = await strategyManager.userBalances(user1.address);
+      expect(await compoundStrategy.shares(user1.address)).to.equal(0);
+      // Each of the 8 redemptions rounds its payout down by less than 1 wei
+      expect(received).to.be.lte(startingBalance);
+      expect(startingBalance - received).to.be.lte(8n);
+      expect(await compoundStrategy.totalShares()).to.equal(await cToken.balanceOf(compoundAddress));
+    });
+
+    it("Should exit the whole position with principal and interest", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR);
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(compoundAddress);
+
+      expect(await strategyManager.userBalances(user1.address)).to.be.closeTo(ethers.parseEther("105"), ethers.parseEther("0.0001"));
+      expect(await compoundStrategy.shares(user1.address)).to.equal(0);
+      expect(await compoundStrategy.principalOf(user1.address)).to.equal(0);
+      expect(await compoundStrategy.totalShares()).to.equal(0);
+    });
+
+    it("Should not let one user's exit change another's balance", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await depositAndAllocate(user2, ethers.parseEther("10"));
+      await increaseTime(ONE_YEAR);
+      await cToken.setSupplyRate(0);
+
+      const before = await compoundStrategy.balanceOf(user2.address);
+      await strategyManager.connect(user1).withdrawAllFromStrategy(compoundAddress);
+
+      expect(await compoundStrategy.balanceOf(user2.address)).to.equal(before);
+    });
+
+    it("Should reject withdrawals above the user's balance", async function () {
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await depositAndAllocate(user2, ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).withdrawFromStrategy(await compoundStrategy.getAddress(), ethers.parseEther("10") + 1n)
+      ).to.be.revertedWith("Insufficient strategy balance");
+    });
+
+    it("Should surface the market's insufficient cash error", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await cToken.simulateBorrow(await cToken.getCash());
+
+      await expect(
+        strategyManager.connect(user1).withdrawFromStrategy(compoundAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("cToken redeem failed");
+    });
+
+    it("Should queue redemptions until the market has cash again", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await depositAndAllocate(user1, ethers.parseEther("10"));
+      await cToken.simulateBorrow(await cToken.getCash());
+      expect(await compoundStrategy.maxWithdraw(user1.address)).to.equal(0);
+
+      await strategyManager.connect(user1).requestStrategyWithdraw(compoundAddress, ethers.parseEther("6"));
+      expect(await compoundStrategy.pendingWithdrawal(user1.address)).to.equal(ethers.parseEther("6"));
+      await expect(
+        strategyManager.connect(user1).claimStrategyWithdraw(compoundAddress)
+      ).to.be.revertedWith("Nothing to claim");
+
+      const borrowed = await vaultBTC.balanceOf(owner.address);
+      await vaultBTC.approve(await cToken.getAddress(), borrowed);
+      await cToken.simulateRepay(borrowed);
+      await strategyManager.connect(user1).claimStrategyWithdraw(compoundAddress);
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("6"));
+      expect(await compoundStrategy.balanceOf(user1.address)).to.equal(ethers.parseEther("4"));
+      expect(await compoundStrategy.pendingWithdrawal(user1.address)).to.equal(0);
+    });
+  });
+
+  describe("Yield Claims", function () {
+    it("Should claim interest and keep principal supplied", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR);
+
+      await expect(strategyManager.connect(user1).claimYield(compoundAddress))
+        .to.emit(compoundStrategy, "YieldClaimed");
+
+      const claimed = await strategyManager.userBalances(user1.address);
+      expect(claimed).to.be.closeTo(ethers.parseEther("5"), ethers.parseEther("0.0001"));
+      expect(await compoundStrategy.principalOf(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await compoundStrategy.balanceOf(user1.address)).to.be.gte(ethers.parseEther("100"));
+    });
+
+    it("Should leave interest worth less than one cToken in the position", async function () {
+      const compoundAddress = await compoundStrategy.getAddress();
+      await cToken.setSupplyRate(FIVE_PERCENT);
+      await depositAndAllocate(user1, ONE_CTOKEN_UNIT * 10n);
+      const sharesBefore = await compoundStrategy.shares(user1.address);
+      await increaseTime(60);
+
+      await expect(
+        strategyManager.connect(user1).claimYield(compoundAddress)
+      ).to.be.revertedWith("No yield to claim");
+      expect(await compoundStrategy.shares(user1.address)).to.equal(sharesBefore);
+    });
+  });
+});
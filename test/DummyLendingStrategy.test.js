@@ -8,9 +8,29 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 describe("DummyLendingStrategy", function () {
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+
   let vaultBTC, strategyManager, dummyStrategy;
   let owner, user1, user2;
 
+  // Makes the next transaction land exactly `seconds` after the latest block
+  async function setNextBlockAfter(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+  }
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    await setNextBlockAfter(seconds);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Mirrors the strategy's index math for a single period at a constant APR
+  function expectedYield(principal, seconds, rate = 500n) {
+    const index = (rate * BigInt(seconds) * 10n ** 18n) / (10000n * BigInt(ONE_YEAR));
+    return (principal * index) / 10n ** 18n;
+  }
+
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
@@ -32,8 +52,11 @@ describe("DummyLendingStrategy", function () {
     );
     await dummyStrategy.waitForDeployment();
 
-    // Setup: Add strategy and prepare user deposits
+    // Setup: Add strategy, fund the reward reserve and prepare user deposits
     await strategyManager.addStrategy(await dummyStrategy.getAddress());
+    await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+    await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+    await dummyStrategy.fundReserve(ethers.parseEther("100"));
     await vaultBTC.mint(user1.address, ethers.parseEther("1000"));
     await vaultBTC.connect(user1).approve(
       await strategyManager.getAddress(),
@@ -51,8 +74,12 @@ describe("DummyLendingStrategy", function () {
       expect(await dummyStrategy.strategyManager()).to.equal(await strategyManager.getAddress());
     });
 
-    it("Should have correct yield rate", async function () {
-      expect(await dummyStrategy.YIELD_RATE_PER_BLOCK()).to.equal(10);
+    it("Should start with a flat 5% APR", async function () {
+      const model = await dummyStrategy.rateModel();
+      expect(model.baseRate).to.equal(500);
+      expect(model.slope1).to.equal(0);
+      expect(model.slope2).to.equal(0);
+      expect(await dummyStrategy.currentRate()).to.equal(500);
       expect(await dummyStrategy.RATE_DENOMINATOR()).to.equal(10000);
     });
   });
@@ -81,7 +108,7 @@ describe("DummyLendingStrategy", function () {
       ).to.emit(dummyStrategy, "StrategyDeposit");
     });
 
-    it("Should track deposit block number", async function () {
+    it("Should track deposit time", async function () {
       const allocateAmount = ethers.parseEther("100");
       
       await strategyManager.connect(user1).allocateToStrategy(
@@ -89,11 +116,11 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      const currentBlock = await ethers.provider.getBlockNumber();
+      const { timestamp } = await ethers.provider.getBlock("latest");
       const position = await dummyStrategy.positions(user1.address);
       
-      expect(position.depositBlock).to.equal(currentBlock);
-      expect(position.lastWithdrawBlock).to.equal(currentBlock);
+      expect(position.depositTime).to.equal(timestamp);
+      expect(position.lastAccrualTime).to.equal(timestamp);
     });
 
     it("Should revert if non-StrategyManager calls deposit", async function () {
@@ -116,7 +143,7 @@ describe("DummyLendingStrategy", function () {
       expect(yieldEarned).to.equal(0);
     });
 
-    it("Should calculate yield after blocks elapse", async function () {
+    it("Should calculate yield after time elapses", async function () {
       const allocateAmount = ethers.parseEther("100");
       
       await strategyManager.connect(user1).allocateToStrategy(
@@ -124,19 +151,16 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine 10 blocks
-      for (let i = 0; i < 10; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      // Let 30 days pass
+      await increaseTime(30 * 24 * 60 * 60);
       
       const yieldEarned = await dummyStrategy.getYield(user1.address);
       
-      // Expected: 100 vBTC * 10 blocks * 10/10000 = 1 vBTC
-      const expectedYield = ethers.parseEther("1");
-      expect(yieldEarned).to.equal(expectedYield);
+      // Expected: 100 vBTC * 5% * 30/365 ≈ 0.41 vBTC
+      expect(yieldEarned).to.equal(expectedYield(allocateAmount, 30 * 24 * 60 * 60));
     });
 
-    it("Should calculate correct yield for 100 blocks (10%)", async function () {
+    it("Should calculate correct yield for one year (5%)", async function () {
       const allocateAmount = ethers.parseEther("100");
       
       await strategyManager.connect(user1).allocateToStrategy(
@@ -144,16 +168,12 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine 100 blocks
-      for (let i = 0; i < 100; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      await increaseTime(ONE_YEAR);
       
       const yieldEarned = await dummyStrategy.getYield(user1.address);
       
-      // Expected: 100 vBTC * 100 blocks * 10/10000 = 10 vBTC (10%)
-      const expectedYield = ethers.parseEther("10");
-      expect(yieldEarned).to.equal(expectedYield);
+      // Expected: 100 vBTC * 5% = 5 vBTC
+      expect(yieldEarned).to.equal(ethers.parseEther("5"));
     });
 
     it("Should return correct total balance (principal + yield)", async function () {
@@ -164,10 +184,7 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine 50 blocks
-      for (let i = 0; i < 50; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      await increaseTime(ONE_YEAR / 2);
       
       const totalBalance = await dummyStrategy.balanceOf(user1.address);
       const yieldEarned = await dummyStrategy.getYield(user1.address);
@@ -184,10 +201,8 @@ describe("DummyLendingStrategy", function () {
         ethers.parseEther("200")
       );
       
-      // Mine some blocks to accrue yield
-      for (let i = 0; i < 10; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      // Let some time pass to accrue yield
+      await increaseTime(30 * 24 * 60 * 60);
     });
 
     it("Should allow withdrawal of principal", async function () {
@@ -240,17 +255,14 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine blocks
-      for (let i = 0; i < 50; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      await increaseTime(ONE_YEAR);
       
       const yieldBeforeCompound = await dummyStrategy.getYield(user1.address);
       
       await dummyStrategy.connect(user1).compoundYield();
       
       const position = await dummyStrategy.positions(user1.address);
-      // The compound transaction itself mines a block, so we expect at least the yield we saw
+      // The compound transaction itself lands a second later, so we expect at least the yield we saw
       expect(position.depositedAmount).to.be.gte(allocateAmount + yieldBeforeCompound);
     });
 
@@ -262,10 +274,7 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine blocks
-      for (let i = 0; i < 50; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      await increaseTime(ONE_YEAR);
       
       await dummyStrategy.connect(user1).compoundYield();
       
@@ -282,10 +291,7 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine blocks
-      for (let i = 0; i < 10; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      await increaseTime(30 * 24 * 60 * 60);
       
       await expect(dummyStrategy.connect(user1).compoundYield())
         .to.emit(dummyStrategy, "YieldCalculated");
@@ -299,25 +305,39 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine 50 blocks
-      for (let i = 0; i < 50; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
-      
-      // Compound
+      // Compound after one year
+      await setNextBlockAfter(ONE_YEAR);
       await dummyStrategy.connect(user1).compoundYield();
       const positionAfterFirstCompound = await dummyStrategy.positions(user1.address);
+      expect(positionAfterFirstCompound.depositedAmount).to.equal(ethers.parseEther("105"));
       
-      // Mine another 50 blocks
-      for (let i = 0; i < 50; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      // Let another year pass
+      await increaseTime(ONE_YEAR);
       
       // Yield should be calculated on the new (higher) principal
       const yieldOnCompounded = await dummyStrategy.getYield(user1.address);
-      const expectedYield = (positionAfterFirstCompound.depositedAmount * BigInt(50) * BigInt(10)) / BigInt(10000);
-      
-      expect(yieldOnCompounded).to.equal(expectedYield);
+      expect(yieldOnCompounded).to.equal(ethers.parseEther("5.25"));
+    });
+
+    it("Should only let StrategyManager compound a position", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      await expect(
+        dummyStrategy.connect(user1).compound(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+    });
+
+    it("Should report ICompoundingStrategy through ERC-165", async function () {
+      // type(ICompoundingStrategy).interfaceId only covers the functions the interface adds
+      const interfaceId = ethers.id("compound(address)").slice(0, 10);
+
+      expect(await dummyStrategy.supportsInterface(interfaceId)).to.equal(true);
+      // ERC-165 itself
+      expect(await dummyStrategy.supportsInterface("0x01ffc9a7")).to.equal(true);
+      expect(await dummyStrategy.supportsInterface("0xffffffff")).to.equal(false);
     });
   });
 
@@ -330,17 +350,383 @@ describe("DummyLendingStrategy", function () {
         allocateAmount
       );
       
-      // Mine blocks
-      for (let i = 0; i < 20; i++) {
-        await ethers.provider.send("evm_mine", []);
-      }
+      await increaseTime(ONE_YEAR);
       
       const position = await dummyStrategy.getUserPosition(user1.address);
       
       expect(position.depositedAmount).to.equal(allocateAmount);
-      expect(position.currentYield).to.equal(ethers.parseEther("2")); // 100 * 20 * 0.001
-      expect(position.depositBlock).to.be.greaterThan(0);
-      expect(position.lastWithdrawBlock).to.be.greaterThan(0);
+      expect(position.currentYield).to.equal(ethers.parseEther("5")); // 100 * 5% APR
+      expect(position.depositTime).to.be.greaterThan(0);
+      expect(position.lastAccrualTime).to.be.greaterThan(0);
+    });
+  });
+
+  describe("Yield Payouts via StrategyManager", function () {
+    beforeEach(async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      // The next transaction lands one year after the allocation
+      await setNextBlockAfter(ONE_YEAR);
+    });
+
+    it("Should transfer yield to StrategyManager on claim", async function () {
+      const managerBalanceBefore = await vaultBTC.balanceOf(await strategyManager.getAddress());
+
+      await expect(strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress()))
+        .to.emit(dummyStrategy, "YieldClaimed");
+
+      expect(await vaultBTC.balanceOf(await strategyManager.getAddress())).to.equal(
+        managerBalanceBefore + ethers.parseEther("5")
+      );
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(0);
+    });
+
+    it("Should leave principal untouched on claim", async function () {
+      await strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress());
+
+      const position = await dummyStrategy.positions(user1.address);
+      expect(position.depositedAmount).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should checkpoint yield into accruedYield on partial withdrawal", async function () {
+      await strategyManager.connect(user1).withdrawFromStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("40")
+      );
+
+      const position = await dummyStrategy.positions(user1.address);
+      expect(position.depositedAmount).to.equal(ethers.parseEther("60"));
+      expect(position.accruedYield).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should close the position on withdrawAll", async function () {
+      await strategyManager.connect(user1).withdrawAllFromStrategy(await dummyStrategy.getAddress());
+
+      const position = await dummyStrategy.positions(user1.address);
+      expect(position.depositedAmount).to.equal(0);
+      expect(position.accruedYield).to.equal(0);
+      expect(await dummyStrategy.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should revert if non-StrategyManager calls claimYield or withdrawAll", async function () {
+      await ethers.provider.send("evm_mine", []);
+      await expect(
+        dummyStrategy.connect(user1).claimYield(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+      await expect(
+        dummyStrategy.connect(user1).withdrawAll(user1.address)
+      ).to.be.revertedWith("Only StrategyManager");
+    });
+  });
+
+  describe("Reward Reserve", function () {
+    it("Should track the funded reserve", async function () {
+      expect(await dummyStrategy.rewardReserve()).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should emit ReserveFunded event", async function () {
+      await vaultBTC.mint(owner.address, ethers.parseEther("10"));
+      await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("10"));
+
+      await expect(dummyStrategy.fundReserve(ethers.parseEther("10")))
+        .to.emit(dummyStrategy, "ReserveFunded")
+        .withArgs(owner.address, ethers.parseEther("10"));
+    });
+
+    it("Should prevent non-owner from funding or withdrawing the reserve", async function () {
+      await expect(
+        dummyStrategy.connect(user1).fundReserve(ethers.parseEther("10"))
+      ).to.be.revertedWithCustomError(dummyStrategy, "OwnableUnauthorizedAccount");
+      await expect(
+        dummyStrategy.connect(user1).withdrawReserve(ethers.parseEther("10"))
+      ).to.be.revertedWithCustomError(dummyStrategy, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should back compounded yield with reserve vBTC", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      await setNextBlockAfter(ONE_YEAR);
+
+      await dummyStrategy.connect(user1).compoundYield();
+
+      // One year at 5% moved from the reserve into principal
+      expect(await dummyStrategy.rewardReserve()).to.equal(ethers.parseEther("95"));
+      expect(await dummyStrategy.totalPrincipal()).to.equal(ethers.parseEther("105"));
+
+      const held = await vaultBTC.balanceOf(await dummyStrategy.getAddress());
+      const owed = (await dummyStrategy.totalPrincipal()) + (await dummyStrategy.totalAccruedYield());
+      expect(held).to.equal(owed + (await dummyStrategy.rewardReserve()));
+    });
+
+    it("Should let compounded positions withdraw in full", async function () {
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), ethers.parseEther("1000"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("500"));
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("500")
+      );
+      await increaseTime(ONE_YEAR / 4);
+      await dummyStrategy.connect(user1).compoundYield();
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(await dummyStrategy.getAddress());
+
+      expect(await vaultBTC.balanceOf(await dummyStrategy.getAddress())).to.equal(
+        await dummyStrategy.rewardReserve()
+      );
+    });
+
+    it("Should cap payouts at the reserve and report the shortfall", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      // 22 years at 5% = 110 vBTC of yield against a 100 vBTC reserve
+      await increaseTime(22 * ONE_YEAR);
+      expect(await dummyStrategy.reserveShortfall()).to.equal(ethers.parseEther("10"));
+      expect(await dummyStrategy.reserveRunway()).to.equal(0);
+
+      // Views only report the yield the reserve can pay
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await dummyStrategy.balanceOf(user1.address)).to.equal(ethers.parseEther("200"));
+      expect(await dummyStrategy.maxWithdraw(user1.address)).to.equal(ethers.parseEther("200"));
+
+      await setNextBlockAfter(1);
+      await expect(strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress()))
+        .to.emit(dummyStrategy, "YieldShortfall")
+        .withArgs(user1.address, expectedYield(ethers.parseEther("100"), 22 * ONE_YEAR + 1), ethers.parseEther("100"));
+
+      expect(await dummyStrategy.rewardReserve()).to.equal(0);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should let a user withdraw the full reported balance during a shortfall", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+      await increaseTime(22 * ONE_YEAR);
+
+      const reported = await dummyStrategy.balanceOf(user1.address);
+      await strategyManager.connect(user1).withdrawFromStrategy(strategyAddress, reported);
+
+      expect(await dummyStrategy.balanceOf(user1.address)).to.equal(0);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("600"));
+    });
+
+    it("Should report runway in seconds at the current accrual rate", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      // 100 vBTC reserve / 5 vBTC per year
+      expect(await dummyStrategy.reserveRunway()).to.equal(20 * ONE_YEAR);
+
+      await increaseTime(ONE_YEAR);
+      expect(await dummyStrategy.pendingYieldLiability()).to.equal(ethers.parseEther("5"));
+      expect(await dummyStrategy.reserveRunway()).to.equal(19 * ONE_YEAR);
+    });
+
+    it("Should report unlimited runway with nothing accruing", async function () {
+      expect(await dummyStrategy.reserveRunway()).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should only release reserve not committed to accrued yield", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      await increaseTime(ONE_YEAR);
+
+      await expect(
+        dummyStrategy.withdrawReserve(ethers.parseEther("100"))
+      ).to.be.revertedWith("Reserve committed to accrued yield");
+
+      await expect(dummyStrategy.withdrawReserve(ethers.parseEther("50")))
+        .to.emit(dummyStrategy, "ReserveWithdrawn")
+        .withArgs(owner.address, ethers.parseEther("50"));
+      expect(await dummyStrategy.rewardReserve()).to.equal(ethers.parseEther("50"));
+    });
+  });
+
+  describe("Liquidity Limit", function () {
+    beforeEach(async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("200")
+      );
+    });
+
+    it("Should cap instant withdrawals at the liquidity limit", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await expect(dummyStrategy.setLiquidityLimit(ethers.parseEther("50")))
+        .to.emit(dummyStrategy, "LiquidityLimitUpdated")
+        .withArgs(ethers.parseEther("50"));
+      expect(await dummyStrategy.maxWithdraw(user1.address)).to.equal(ethers.parseEther("50"));
+
+      await expect(
+        strategyManager.connect(user1).withdrawFromStrategy(strategyAddress, ethers.parseEther("60"))
+      ).to.be.revertedWith("Insufficient liquidity");
+
+      await strategyManager.connect(user1).withdrawFromStrategy(strategyAddress, ethers.parseEther("50"));
+      expect(await dummyStrategy.liquidityLimit()).to.equal(0);
+      expect(await dummyStrategy.maxWithdraw(user1.address)).to.equal(0);
+    });
+
+    it("Should queue withdrawals until liquidity returns", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await dummyStrategy.setLiquidityLimit(0);
+
+      await expect(
+        strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("100"))
+      ).to.emit(dummyStrategy, "WithdrawalRequested")
+        .withArgs(user1.address, ethers.parseEther("100"), 0);
+      expect(await dummyStrategy.pendingWithdrawal(user1.address)).to.equal(ethers.parseEther("100"));
+      await expect(
+        strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress)
+      ).to.be.revertedWith("Nothing to claim");
+
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("60"));
+      expect(await dummyStrategy.claimableWithdrawal(user1.address)).to.equal(ethers.parseEther("60"));
+
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("360"));
+      expect(await dummyStrategy.pendingWithdrawal(user1.address)).to.equal(ethers.parseEther("40"));
+      expect(await strategyManager.requestedPrincipal(user1.address, strategyAddress)).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should release liquidity to queued withdrawals oldest first", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await vaultBTC.mint(user2.address, ethers.parseEther("100"));
+      await vaultBTC.connect(user2).approve(await strategyManager.getAddress(), ethers.parseEther("100"));
+      await strategyManager.connect(user2).deposit(ethers.parseEther("100"));
+      await strategyManager.connect(user2).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("50"));
+      await strategyManager.connect(user2).requestStrategyWithdraw(strategyAddress, ethers.parseEther("50"));
+
+      // 60 of liquidity covers user1's request and the first 10 of user2's
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("60"));
+      expect(await dummyStrategy.claimableWithdrawal(user1.address)).to.equal(ethers.parseEther("50"));
+      expect(await dummyStrategy.claimableWithdrawal(user2.address)).to.equal(ethers.parseEther("10"));
+      expect(await dummyStrategy.pendingWithdrawal(user2.address)).to.equal(ethers.parseEther("40"));
+
+      // Claiming out of order pays each user exactly what was released to them
+      await strategyManager.connect(user2).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user2.address)).to.equal(ethers.parseEther("10"));
+      expect(await dummyStrategy.claimableWithdrawal(user1.address)).to.equal(ethers.parseEther("50"));
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("350"));
+      expect(await dummyStrategy.liquidityLimit()).to.equal(0);
+
+      // Later liquidity goes to what is left of user2's request
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("100"));
+      expect(await dummyStrategy.claimableWithdrawal(user2.address)).to.equal(ethers.parseEther("40"));
+      expect(await dummyStrategy.maxWithdraw(user1.address)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should not lower the liquidity limit below released withdrawals", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("100"));
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("60"));
+
+      await expect(
+        dummyStrategy.setLiquidityLimit(ethers.parseEther("59"))
+      ).to.be.revertedWith("Limit below released withdrawals");
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("60"));
+    });
+
+    it("Should keep liquidity owed to queued withdrawals out of instant withdrawals", async function () {
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestStrategyWithdraw(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("150"));
+      expect(await dummyStrategy.maxWithdraw(user1.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should prevent non-owner from changing the liquidity limit", async function () {
+      await expect(
+        dummyStrategy.connect(user1).setLiquidityLimit(0)
+      ).to.be.revertedWithCustomError(dummyStrategy, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Rate Model", function () {
+    it("Should follow the utilization curve", async function () {
+      await dummyStrategy.setRateModel(200, 1000, 10000, 8000);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      expect(await dummyStrategy.currentRate()).to.equal(200);
+
+      // 50% utilization: 2% + 10% * 0.5
+      await dummyStrategy.setTotalBorrowed(ethers.parseEther("50"));
+      expect(await dummyStrategy.utilization()).to.equal(5000);
+      expect(await dummyStrategy.currentRate()).to.equal(700);
+
+      // 90% utilization: 2% + 10% * 0.8 + 100% * 0.1 above the kink
+      await dummyStrategy.setTotalBorrowed(ethers.parseEther("90"));
+      expect(await dummyStrategy.currentRate()).to.equal(2000);
+
+      // Utilization is capped at 100%
+      await dummyStrategy.setTotalBorrowed(ethers.parseEther("500"));
+      expect(await dummyStrategy.utilization()).to.equal(10000);
+    });
+
+    it("Should accrue at the old rate until the model changes", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      // One year at 5%, then one year at 10%
+      await setNextBlockAfter(ONE_YEAR);
+      await expect(dummyStrategy.setRateModel(1000, 0, 0, 10000))
+        .to.emit(dummyStrategy, "RateModelUpdated")
+        .withArgs(1000, 0, 0, 10000);
+      await increaseTime(ONE_YEAR);
+
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(ethers.parseEther("15"));
+      expect(await dummyStrategy.pendingYieldLiability()).to.equal(ethers.parseEther("15"));
+    });
+
+    it("Should pay more yield as utilization rises", async function () {
+      await dummyStrategy.setRateModel(0, 2000, 0, 10000);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      // 50% utilization on a 20% slope = 10% APR
+      await setNextBlockAfter(1);
+      await dummyStrategy.setTotalBorrowed(ethers.parseEther("50"));
+      await increaseTime(ONE_YEAR);
+
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should enforce rate model bounds", async function () {
+      await expect(dummyStrategy.setRateModel(0, 0, 0, 10001)).to.be.revertedWith("Kink exceeds 100%");
+      await expect(dummyStrategy.setRateModel(5000, 2000, 20000, 8000)).to.be.revertedWith("Rate exceeds maximum");
+    });
+
+    it("Should prevent non-owner from changing the rate model", async function () {
+      await expect(
+        dummyStrategy.connect(user1).setRateModel(1000, 0, 0, 10000)
+      ).to.be.revertedWithCustomError(dummyStrategy, "OwnableUnauthorizedAccount");
+      await expect(
+        dummyStrategy.connect(user1).setTotalBorrowed(ethers.parseEther("10"))
+      ).to.be.revertedWithCustomError(dummyStrategy, "OwnableUnauthorizedAccount");
     });
   });
 });
@@ -0,0 +1,209 @@
+/**
+ * Test Suite for PriceOracle
+ *
+ * Tests Chainlink-style feed reads, staleness checks and the fallback feed against
+ * MockV3Aggregator, and the USD valuation views in StrategyManager and AssetRegistry
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PriceOracle", function () {
+  const ONE_HOUR = 60 * 60;
+  const BTC_PRICE = 60000n * 10n ** 8n;
+  const FALLBACK_PRICE = 59000n * 10n ** 8n;
+
+  let oracle, primaryFeed, fallbackFeed, vaultBTC, wbtc;
+  let owner, user1;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Deploys an 8-decimal USD feed answering `answer`
+  async function deployFeed(answer) {
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const feed = await MockV3Aggregator.deploy(8, answer);
+    await feed.waitForDeployment();
+    return feed;
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+    await wbtc.waitForDeployment();
+
+    primaryFeed = await deployFeed(BTC_PRICE);
+    fallbackFeed = await deployFeed(FALLBACK_PRICE);
+
+    const PriceOracle = await ethers.getContractFactory("PriceOracle");
+    oracle = await PriceOracle.deploy();
+    await oracle.waitForDeployment();
+
+    await oracle.setFeeds(
+      await vaultBTC.getAddress(),
+      await primaryFeed.getAddress(),
+      await fallbackFeed.getAddress(),
+      ONE_HOUR,
+      ONE_HOUR * 24
+    );
+  });
+
+  describe("Feeds", function () {
+    it("Should scale feed answers to 18 decimals", async function () {
+      expect(await oracle.getPrice(await vaultBTC.getAddress())).to.equal(ethers.parseEther("60000"));
+
+      const [price, updatedAt, usedFallback] = await oracle.getPriceData(await vaultBTC.getAddress());
+      expect(price).to.equal(ethers.parseEther("60000"));
+      expect(updatedAt).to.equal(await primaryFeed.latestTimestamp());
+      expect(usedFallback).to.be.false;
+    });
+
+    it("Should value amounts in the asset's own decimals", async function () {
+      await oracle.setFeeds(await wbtc.getAddress(), await primaryFeed.getAddress(), ethers.ZeroAddress, ONE_HOUR, 0);
+
+      expect(await oracle.getValueUSD(await wbtc.getAddress(), ethers.parseUnits("1.5", 8))).to.equal(ethers.parseEther("90000"));
+      expect(await oracle.getValueUSD(await vaultBTC.getAddress(), ethers.parseEther("0.5"))).to.equal(ethers.parseEther("30000"));
+    });
+
+    it("Should fall back when the primary answer is older than its heartbeat", async function () {
+      await increaseTime(ONE_HOUR + 1);
+      await fallbackFeed.updateAnswer(FALLBACK_PRICE);
+
+      const [price, , usedFallback] = await oracle.getPriceData(await vaultBTC.getAddress());
+      expect(price).to.equal(ethers.parseEther("59000"));
+      expect(usedFallback).to.be.true;
+    });
+
+    it("Should fall back when the primary reverts or answers a non-positive price", async function () {
+      await primaryFeed.setReverting(true);
+      expect(await oracle.getPrice(await vaultBTC.getAddress())).to.equal(ethers.parseEther("59000"));
+
+      await primaryFeed.setReverting(false);
+      await primaryFeed.updateAnswer(0);
+      expect(await oracle.getPrice(await vaultBTC.getAddress())).to.equal(ethers.parseEther("59000"));
+    });
+
+    it("Should fall back when the primary's decimals() reverts", async function () {
+      await primaryFeed.setDecimalsReverting(true);
+
+      const [price, , usedFallback] = await oracle.getPriceData(await vaultBTC.getAddress());
+      expect(price).to.equal(ethers.parseEther("59000"));
+      expect(usedFallback).to.be.true;
+
+      await fallbackFeed.setDecimalsReverting(true);
+      await expect(oracle.getPrice(await vaultBTC.getAddress())).to.be.revertedWith("No valid price");
+    });
+
+    it("Should revert when no feed has a valid price", async function () {
+      await increaseTime(ONE_HOUR * 24 + 1);
+      await expect(oracle.getPrice(await vaultBTC.getAddress())).to.be.revertedWith("No valid price");
+
+      await oracle.setFeeds(await vaultBTC.getAddress(), await primaryFeed.getAddress(), ethers.ZeroAddress, ONE_HOUR, 0);
+      await expect(oracle.getPrice(await vaultBTC.getAddress())).to.be.revertedWith("No valid price");
+
+      await expect(oracle.getPrice(await wbtc.getAddress())).to.be.revertedWith("No price feed");
+    });
+
+    it("Should let only the owner set valid feeds", async function () {
+      await expect(
+        oracle.connect(user1).setFeeds(await wbtc.getAddress(), await primaryFeed.getAddress(), ethers.ZeroAddress, ONE_HOUR, 0)
+      ).to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+      await expect(
+        oracle.setFeeds(await wbtc.getAddress(), ethers.ZeroAddress, ethers.ZeroAddress, ONE_HOUR, 0)
+      ).to.be.revertedWith("Invalid feed address");
+      await expect(
+        oracle.setFeeds(await wbtc.getAddress(), await primaryFeed.getAddress(), await fallbackFeed.getAddress(), ONE_HOUR, 0)
+      ).to.be.revertedWith("Invalid heartbeat");
+
+      await expect(
+        oracle.setFeeds(await wbtc.getAddress(), await primaryFeed.getAddress(), ethers.ZeroAddress, ONE_HOUR, 0)
+      ).to.emit(oracle, "FeedsUpdated")
+        .withArgs(await wbtc.getAddress(), await primaryFeed.getAddress(), ethers.ZeroAddress, ONE_HOUR, 0);
+    });
+  });
+
+  describe("USD Valuation", function () {
+    let strategyManager, lens, dummyStrategy;
+
+    beforeEach(async function () {
+      const StrategyManager = await ethers.getContractFactory("StrategyManager");
+      strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+      await strategyManager.waitForDeployment();
+
+      const StrategyManagerLens = await ethers.getContractFactory("StrategyManagerLens");
+      lens = await StrategyManagerLens.deploy(await strategyManager.getAddress());
+      await lens.waitForDeployment();
+
+      const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+      dummyStrategy = await DummyLendingStrategy.deploy(await vaultBTC.getAddress(), await strategyManager.getAddress());
+      await dummyStrategy.waitForDeployment();
+      await dummyStrategy.setRateModel(0, 0, 0, 10000);
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+
+      await vaultBTC.mint(user1.address, ethers.parseEther("5"));
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), ethers.parseEther("5"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("5"));
+      await strategyManager.connect(user1).allocateToStrategy(await dummyStrategy.getAddress(), ethers.parseEther("3"));
+    });
+
+    it("Should total a user's idle balance, strategy balances and queued withdrawals", async function () {
+      expect(await lens.getUserTotalValue(user1.address)).to.equal(ethers.parseEther("5"));
+
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestStrategyWithdraw(await dummyStrategy.getAddress(), ethers.parseEther("1"));
+      expect(await lens.getUserTotalValue(user1.address)).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should value a user's position in USD through the oracle", async function () {
+      await expect(lens.getUserValueUSD(user1.address)).to.be.revertedWith("Price oracle not set");
+
+      await expect(strategyManager.setPriceOracle(await oracle.getAddress()))
+        .to.emit(strategyManager, "PriceOracleUpdated")
+        .withArgs(await oracle.getAddress());
+      expect(await lens.getUserValueUSD(user1.address)).to.equal(ethers.parseEther("300000"));
+
+      await primaryFeed.setReverting(true);
+      expect(await lens.getUserValueUSD(user1.address)).to.equal(ethers.parseEther("295000"));
+    });
+
+    it("Should only let the admin set the manager's oracle", async function () {
+      await expect(
+        strategyManager.connect(user1).setPriceOracle(await oracle.getAddress())
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should value a portfolio across assets with each asset's feed", async function () {
+      const wbtcFeed = await deployFeed(61000n * 10n ** 8n);
+      await oracle.setFeeds(await wbtc.getAddress(), await wbtcFeed.getAddress(), ethers.ZeroAddress, ONE_HOUR, 0);
+
+      const StrategyManager = await ethers.getContractFactory("StrategyManager");
+      const wbtcManager = await StrategyManager.deploy(await wbtc.getAddress());
+      await wbtcManager.waitForDeployment();
+      await wbtc.mint(user1.address, ethers.parseUnits("2", 8));
+      await wbtc.connect(user1).approve(await wbtcManager.getAddress(), ethers.parseUnits("2", 8));
+      await wbtcManager.connect(user1).deposit(ethers.parseUnits("2", 8));
+
+      const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+      const registry = await AssetRegistry.deploy();
+      await registry.waitForDeployment();
+      await registry.addAsset(await vaultBTC.getAddress(), await strategyManager.getAddress());
+      await registry.addAsset(await wbtc.getAddress(), await wbtcManager.getAddress());
+
+      await expect(registry.getPortfolioValueUSD(user1.address)).to.be.revertedWith("Price oracle not set");
+      await registry.setPriceOracle(await oracle.getAddress());
+
+      // 5 vBTC at $60,000 plus 2 WBTC at $61,000
+      expect(await registry.getPortfolioValueUSD(user1.address)).to.equal(ethers.parseEther("422000"));
+    });
+  });
+});
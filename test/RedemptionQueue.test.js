@@ -0,0 +1,149 @@
+/**
+ * Test Suite for RedemptionQueue
+ *
+ * Tests escrowing vBTC for redemption, operator fulfillment (burn) and refunds,
+ * and the on-chain redemption record
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("RedemptionQueue", function () {
+  const BTC_ADDRESS = "bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq";
+  const Status = { None: 0, Pending: 1, Fulfilled: 2, Refunded: 3 };
+
+  let queue, vaultBTC;
+  let owner, operator, user1, user2;
+
+  beforeEach(async function () {
+    [owner, operator, user1, user2] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const RedemptionQueue = await ethers.getContractFactory("RedemptionQueue");
+    queue = await RedemptionQueue.deploy(await vaultBTC.getAddress());
+    await queue.waitForDeployment();
+
+    await vaultBTC.grantRole(await vaultBTC.BURNER_ROLE(), await queue.getAddress());
+    await queue.grantRole(await queue.OPERATOR_ROLE(), operator.address);
+
+    await vaultBTC.mint(user1.address, ethers.parseEther("10"));
+    await vaultBTC.connect(user1).approve(await queue.getAddress(), ethers.parseEther("10"));
+  });
+
+  describe("Requests", function () {
+    it("Should escrow vBTC and record the request", async function () {
+      const amount = ethers.parseEther("2");
+
+      await expect(queue.connect(user1).requestRedemption(amount, BTC_ADDRESS))
+        .to.emit(queue, "RedemptionRequested")
+        .withArgs(1, user1.address, amount, BTC_ADDRESS);
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(ethers.parseEther("8"));
+      expect(await vaultBTC.balanceOf(await queue.getAddress())).to.equal(amount);
+      expect(await queue.totalPending()).to.equal(amount);
+
+      const redemption = await queue.getRedemption(1);
+      expect(redemption.user).to.equal(user1.address);
+      expect(redemption.amount).to.equal(amount);
+      expect(redemption.btcAddress).to.equal(BTC_ADDRESS);
+      expect(redemption.status).to.equal(Status.Pending);
+    });
+
+    it("Should track each user's request ids", async function () {
+      await queue.connect(user1).requestRedemption(ethers.parseEther("1"), BTC_ADDRESS);
+      await queue.connect(user1).requestRedemption(ethers.parseEther("2"), BTC_ADDRESS);
+
+      expect([...(await queue.getUserRedemptions(user1.address))]).to.deep.equal([1n, 2n]);
+      expect([...(await queue.getUserRedemptions(user2.address))]).to.deep.equal([]);
+      expect(await queue.redemptionCount()).to.equal(2);
+    });
+
+    it("Should reject zero amounts and invalid BTC addresses", async function () {
+      await expect(
+        queue.connect(user1).requestRedemption(0, BTC_ADDRESS)
+      ).to.be.revertedWith("Amount must be > 0");
+      await expect(
+        queue.connect(user1).requestRedemption(ethers.parseEther("1"), "")
+      ).to.be.revertedWith("Invalid BTC address");
+      await expect(
+        queue.connect(user1).requestRedemption(ethers.parseEther("1"), "b".repeat(91))
+      ).to.be.revertedWith("Invalid BTC address");
+    });
+
+    it("Should require an allowance", async function () {
+      await vaultBTC.mint(user2.address, ethers.parseEther("1"));
+
+      await expect(
+        queue.connect(user2).requestRedemption(ethers.parseEther("1"), BTC_ADDRESS)
+      ).to.be.revertedWithCustomError(vaultBTC, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Settlement", function () {
+    const amount = ethers.parseEther("3");
+    const btcTxid = ethers.id("payout-1");
+
+    beforeEach(async function () {
+      await queue.connect(user1).requestRedemption(amount, BTC_ADDRESS);
+    });
+
+    it("Should burn the escrow when fulfilled", async function () {
+      await expect(queue.connect(operator).fulfillRedemption(1, btcTxid))
+        .to.emit(queue, "RedemptionFulfilled")
+        .withArgs(1, user1.address, amount, btcTxid);
+
+      expect(await vaultBTC.balanceOf(await queue.getAddress())).to.equal(0);
+      expect(await vaultBTC.totalSupply()).to.equal(ethers.parseEther("7"));
+      expect(await queue.totalPending()).to.equal(0);
+
+      const redemption = await queue.getRedemption(1);
+      expect(redemption.status).to.equal(Status.Fulfilled);
+      expect(redemption.btcTxid).to.equal(btcTxid);
+      expect(redemption.settledAt).to.be.greaterThan(0);
+    });
+
+    it("Should return the escrow when refunded", async function () {
+      await expect(queue.connect(operator).refundRedemption(1, "Unpayable address"))
+        .to.emit(queue, "RedemptionRefunded")
+        .withArgs(1, user1.address, amount, "Unpayable address");
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+      expect(await vaultBTC.totalSupply()).to.equal(ethers.parseEther("10"));
+      expect((await queue.getRedemption(1)).status).to.equal(Status.Refunded);
+    });
+
+    it("Should settle each request only once", async function () {
+      await queue.connect(operator).fulfillRedemption(1, btcTxid);
+
+      await expect(queue.connect(operator).fulfillRedemption(1, btcTxid)).to.be.revertedWith("Request already settled");
+      await expect(queue.connect(operator).refundRedemption(1, "")).to.be.revertedWith("Request already settled");
+      await expect(queue.connect(operator).fulfillRedemption(2, btcTxid)).to.be.revertedWith("Request not found");
+    });
+
+    it("Should require a BTC txid to fulfill", async function () {
+      await expect(
+        queue.connect(operator).fulfillRedemption(1, ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid BTC txid");
+    });
+
+    it("Should only let operators settle requests", async function () {
+      await expect(
+        queue.connect(user1).fulfillRedemption(1, btcTxid)
+      ).to.be.revertedWithCustomError(queue, "AccessControlUnauthorizedAccount");
+      await expect(
+        queue.connect(user1).refundRedemption(1, "")
+      ).to.be.revertedWithCustomError(queue, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should fail to fulfill without the burner role", async function () {
+      await vaultBTC.revokeRole(await vaultBTC.BURNER_ROLE(), await queue.getAddress());
+
+      await expect(
+        queue.connect(operator).fulfillRedemption(1, btcTxid)
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Test Suite for StrategyGovernor
+ *
+ * Runs full proposal lifecycles on the local network: vGOV holders propose StrategyManager
+ * changes, vote, and passed proposals execute through the StrategyTimelock
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("StrategyGovernor", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  const VOTING_DELAY = ONE_DAY;
+  const VOTING_PERIOD = 7 * ONE_DAY;
+  const TIMELOCK_DELAY = 2 * ONE_DAY;
+  const PROPOSAL_THRESHOLD = ethers.parseEther("1000");
+  const QUORUM_PERCENT = 4;
+
+  // Governor.ProposalState
+  const State = { Pending: 0, Active: 1, Canceled: 2, Defeated: 3, Succeeded: 4, Queued: 5, Expired: 6, Executed: 7 };
+  // GovernorCountingSimple.VoteType
+  const Vote = { Against: 0, For: 1, Abstain: 2 };
+
+  let vaultBTC, strategyManager, dummyStrategy, timelock, govToken, governor;
+  let deployer, voter1, voter2, smallHolder, guardian;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Builds proposal arguments for a list of StrategyManager calls
+  function managerProposal(calls, description) {
+    const target = strategyManager.target;
+    return {
+      targets: calls.map(() => target),
+      values: calls.map(() => 0),
+      calldatas: calls.map(([fn, args]) => strategyManager.interface.encodeFunctionData(fn, args)),
+      description
+    };
+  }
+
+  async function propose(proposal, proposer = voter1) {
+    const { targets, values, calldatas, description } = proposal;
+    await governor.connect(proposer).propose(targets, values, calldatas, description);
+    return governor.hashProposal(targets, values, calldatas, ethers.id(description));
+  }
+
+  async function queue(proposal) {
+    const { targets, values, calldatas, description } = proposal;
+    return governor.queue(targets, values, calldatas, ethers.id(description));
+  }
+
+  async function execute(proposal) {
+    const { targets, values, calldatas, description } = proposal;
+    return governor.execute(targets, values, calldatas, ethers.id(description));
+  }
+
+  // Proposes, passes with voter1's votes and queues a proposal; returns its id
+  async function passAndQueue(proposal) {
+    const proposalId = await propose(proposal);
+    await increaseTime(VOTING_DELAY + 1);
+    await governor.connect(voter1).castVote(proposalId, Vote.For);
+    await increaseTime(VOTING_PERIOD);
+    await queue(proposal);
+    return proposalId;
+  }
+
+  beforeEach(async function () {
+    [deployer, voter1, voter2, smallHolder, guardian] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    dummyStrategy = await DummyLendingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress()
+    );
+    await dummyStrategy.waitForDeployment();
+
+    // 1,000,000 vGOV: voter1 30%, voter2 20%, smallHolder 0.5%
+    const VaultGovernanceToken = await ethers.getContractFactory("VaultGovernanceToken");
+    govToken = await VaultGovernanceToken.deploy(deployer.address, ethers.parseEther("1000000"));
+    await govToken.waitForDeployment();
+    await govToken.transfer(voter1.address, ethers.parseEther("300000"));
+    await govToken.transfer(voter2.address, ethers.parseEther("200000"));
+    await govToken.transfer(smallHolder.address, ethers.parseEther("5000"));
+    for (const holder of [voter1, voter2, smallHolder]) {
+      await govToken.connect(holder).delegate(holder.address);
+    }
+
+    // Timelock starts with the deployer as admin only long enough to wire the governor in
+    const StrategyTimelock = await ethers.getContractFactory("StrategyTimelock");
+    timelock = await StrategyTimelock.deploy(TIMELOCK_DELAY, [], [], deployer.address);
+    await timelock.waitForDeployment();
+
+    const StrategyGovernor = await ethers.getContractFactory("StrategyGovernor");
+    governor = await StrategyGovernor.deploy(
+      await govToken.getAddress(),
+      await timelock.getAddress(),
+      VOTING_DELAY,
+      VOTING_PERIOD,
+      PROPOSAL_THRESHOLD,
+      QUORUM_PERCENT
+    );
+    await governor.waitForDeployment();
+
+    const governorAddress = await governor.getAddress();
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), governorAddress);
+    await timelock.grantRole(await timelock.CANCELLER_ROLE(), governorAddress);
+    await timelock.grantRole(await timelock.EXECUTOR_ROLE(), governorAddress);
+    await timelock.grantRole(await timelock.CANCELLER_ROLE(), guardian.address);
+    await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address);
+
+    // The timelock owns every privileged StrategyManager role except the guardian
+    const timelockAddress = await timelock.getAddress();
+    for (const roleName of ["STRATEGIST_ROLE", "FEE_MANAGER_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+      const role = await strategyManager[roleName]();
+      await strategyManager.grantRole(role, timelockAddress);
+      await strategyManager.renounceRole(role, deployer.address);
+    }
+
+    // Move past the delegation checkpoints so they count at the first proposal snapshot
+    await increaseTime(1);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the voting rules", async function () {
+      expect(await governor.votingDelay()).to.equal(VOTING_DELAY);
+      expect(await governor.votingPeriod()).to.equal(VOTING_PERIOD);
+      expect(await governor.proposalThreshold()).to.equal(PROPOSAL_THRESHOLD);
+      expect(await governor["quorumNumerator()"]()).to.equal(QUORUM_PERCENT);
+      expect(await governor.timelock()).to.equal(await timelock.getAddress());
+    });
+
+    it("Should use the token's timestamp clock", async function () {
+      expect(await governor.CLOCK_MODE()).to.equal("mode=timestamp");
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(await governor.clock()).to.equal(timestamp);
+    });
+
+    it("Should compute quorum from total supply at the snapshot", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(await governor.quorum(timestamp - 1)).to.equal(ethers.parseEther("40000"));
+    });
+  });
+
+  describe("Proposal Lifecycle", function () {
+    it("Should approve a strategy end to end", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      const proposal = managerProposal([["addStrategy", [strategyAddress]]], "Approve DummyLendingStrategy");
+
+      const proposalId = await propose(proposal);
+      expect(await governor.state(proposalId)).to.equal(State.Pending);
+      await expect(
+        governor.connect(voter1).castVote(proposalId, Vote.For)
+      ).to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+
+      await increaseTime(VOTING_DELAY + 1);
+      expect(await governor.state(proposalId)).to.equal(State.Active);
+      await expect(governor.connect(voter1).castVote(proposalId, Vote.For))
+        .to.emit(governor, "VoteCast")
+        .withArgs(voter1.address, proposalId, Vote.For, ethers.parseEther("300000"), "");
+      await governor.connect(voter2).castVote(proposalId, Vote.Against);
+
+      await increaseTime(VOTING_PERIOD);
+      expect(await governor.state(proposalId)).to.equal(State.Succeeded);
+
+      await expect(queue(proposal)).to.emit(governor, "ProposalQueued");
+      expect(await governor.state(proposalId)).to.equal(State.Queued);
+      expect(await timelock.getPendingOperationCount()).to.equal(1);
+      expect(await strategyManager.isStrategyApproved(strategyAddress)).to.be.false;
+
+      await increaseTime(TIMELOCK_DELAY);
+      await expect(execute(proposal))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId)
+        .and.to.emit(strategyManager, "StrategyAdded")
+        .withArgs(strategyAddress);
+
+      expect(await governor.state(proposalId)).to.equal(State.Executed);
+      expect(await strategyManager.isStrategyApproved(strategyAddress)).to.be.true;
+      expect(await timelock.getPendingOperationCount()).to.equal(0);
+    });
+
+    it("Should delist a strategy and change parameters in one proposal", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      const listing = managerProposal([["addStrategy", [strategyAddress]]], "List");
+      await passAndQueue(listing);
+      await increaseTime(TIMELOCK_DELAY);
+      await execute(listing);
+
+      const proposal = managerProposal([
+        ["removeStrategy", [strategyAddress]],
+        ["setTvlCap", [ethers.parseEther("500")]],
+        ["queueFeeChange", [1000, 100]]
+      ], "Delist and tighten limits");
+      await passAndQueue(proposal);
+      await increaseTime(TIMELOCK_DELAY);
+      await execute(proposal);
+
+      expect(await strategyManager.isStrategyApproved(strategyAddress)).to.be.false;
+      expect(await strategyManager.tvlCap()).to.equal(ethers.parseEther("500"));
+      expect((await strategyManager.pendingFeeChange()).performanceFee).to.equal(1000);
+    });
+
+    it("Should not execute before the timelock delay", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Too early");
+      await passAndQueue(proposal);
+
+      await expect(execute(proposal)).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+    });
+
+    it("Should not queue a proposal that has not passed", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Not yet");
+      await propose(proposal);
+      await increaseTime(VOTING_DELAY + 1);
+
+      await expect(queue(proposal)).to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+    });
+
+    it("Should let the guardian veto a queued proposal through the timelock", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Vetoed");
+      const proposalId = await passAndQueue(proposal);
+
+      const [[operationId]] = await timelock.getPendingOperations();
+      await timelock.connect(guardian).cancel(operationId);
+
+      expect(await governor.state(proposalId)).to.equal(State.Canceled);
+      await increaseTime(TIMELOCK_DELAY);
+      await expect(execute(proposal)).to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+    });
+
+    it("Should let the proposer cancel before voting starts", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Withdrawn");
+      const proposalId = await propose(proposal);
+
+      await governor.connect(voter1).cancel(
+        proposal.targets, proposal.values, proposal.calldatas, ethers.id(proposal.description)
+      );
+      expect(await governor.state(proposalId)).to.equal(State.Canceled);
+    });
+  });
+
+  describe("Voting Rules", function () {
+    it("Should defeat a proposal with more votes against", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Contested");
+      const proposalId = await propose(proposal, voter2);
+      await increaseTime(VOTING_DELAY + 1);
+
+      await governor.connect(voter2).castVote(proposalId, Vote.For);
+      await governor.connect(voter1).castVote(proposalId, Vote.Against);
+      await increaseTime(VOTING_PERIOD);
+
+      expect(await governor.state(proposalId)).to.equal(State.Defeated);
+    });
+
+    it("Should defeat a proposal that misses quorum", async function () {
+      await govToken.connect(voter1).transfer(smallHolder.address, ethers.parseEther("30000"));
+      await increaseTime(1);
+
+      // smallHolder has 35,000 votes, below the 40,000 quorum
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Low turnout");
+      const proposalId = await propose(proposal, smallHolder);
+      await increaseTime(VOTING_DELAY + 1);
+      await governor.connect(smallHolder).castVote(proposalId, Vote.For);
+      await increaseTime(VOTING_PERIOD);
+
+      expect(await governor.state(proposalId)).to.equal(State.Defeated);
+    });
+
+    it("Should count abstentions toward quorum", async function () {
+      await govToken.connect(voter1).transfer(smallHolder.address, ethers.parseEther("30000"));
+      await increaseTime(1);
+
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Abstain");
+      const proposalId = await propose(proposal, smallHolder);
+      await increaseTime(VOTING_DELAY + 1);
+      await governor.connect(smallHolder).castVote(proposalId, Vote.For);
+      await governor.connect(voter2).castVote(proposalId, Vote.Abstain);
+      await increaseTime(VOTING_PERIOD);
+
+      expect(await governor.state(proposalId)).to.equal(State.Succeeded);
+    });
+
+    it("Should require the proposal threshold to propose", async function () {
+      await govToken.connect(smallHolder).transfer(voter2.address, ethers.parseEther("4500"));
+      await increaseTime(1);
+
+      const { targets, values, calldatas, description } =
+        managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Spam");
+      await expect(
+        governor.connect(smallHolder).propose(targets, values, calldatas, description)
+      ).to.be.revertedWithCustomError(governor, "GovernorInsufficientProposerVotes");
+    });
+
+    it("Should weigh votes at the proposal snapshot", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Snapshot");
+      const proposalId = await propose(proposal);
+
+      // Tokens moved after the snapshot do not carry votes into this proposal
+      await increaseTime(VOTING_DELAY + 1);
+      await govToken.connect(voter2).transfer(smallHolder.address, ethers.parseEther("200000"));
+      await governor.connect(smallHolder).castVote(proposalId, Vote.For);
+
+      const votes = await governor.proposalVotes(proposalId);
+      expect(votes.forVotes).to.equal(ethers.parseEther("5000"));
+    });
+
+    it("Should not allow voting twice", async function () {
+      const proposal = managerProposal([["addStrategy", [await dummyStrategy.getAddress()]]], "Twice");
+      const proposalId = await propose(proposal);
+      await increaseTime(VOTING_DELAY + 1);
+      await governor.connect(voter1).castVote(proposalId, Vote.For);
+
+      await expect(
+        governor.connect(voter1).castVote(proposalId, Vote.For)
+      ).to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote");
+    });
+  });
+
+  describe("Governance Settings", function () {
+    it("Should only change voting rules through a proposal", async function () {
+      await expect(
+        governor.setVotingPeriod(ONE_DAY)
+      ).to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+
+      const governorAddress = await governor.getAddress();
+      const proposal = {
+        targets: [governorAddress, governorAddress],
+        values: [0, 0],
+        calldatas: [
+          governor.interface.encodeFunctionData("setVotingPeriod", [3 * ONE_DAY]),
+          governor.interface.encodeFunctionData("updateQuorumNumerator", [10])
+        ],
+        description: "Shorter voting, higher quorum"
+      };
+      await passAndQueue(proposal);
+      await increaseTime(TIMELOCK_DELAY);
+      await execute(proposal);
+
+      expect(await governor.votingPeriod()).to.equal(3 * ONE_DAY);
+      expect(await governor["quorumNumerator()"]()).to.equal(10);
+    });
+  });
+});
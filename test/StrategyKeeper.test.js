@@ -0,0 +1,312 @@
+/**
+ * Test Suite for StrategyKeeper
+ *
+ * Runs the Chainlink Automation checkUpkeep/performUpkeep cycle against a StrategyManager
+ * with a compounding DummyLendingStrategy and a non-compounding MockLossyStrategy, and
+ * compares auto-compounded positions with ones left alone
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("StrategyKeeper", function () {
+  const ONE_DAY = 24 * 60 * 60;
+  const ONE_YEAR = 365 * ONE_DAY;
+  const MAX_POSITIONS = 10;
+
+  let vaultBTC, strategyManager, dummyStrategy, lossyStrategy, keeper;
+  let strategyAddress, lossyAddress;
+  let owner, user1, user2, relayer;
+
+  // Makes the next transaction land exactly `seconds` after the latest block
+  async function setNextBlockAfter(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+  }
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    await setNextBlockAfter(seconds);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Encodes performData pages as [strategy, start, maxPositions]
+  function encodePages(pages) {
+    return ethers.AbiCoder.defaultAbiCoder().encode(["tuple(address,uint256,uint256)[]"], [pages]);
+  }
+
+  async function deployDummyStrategy() {
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    const strategy = await DummyLendingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress()
+    );
+    await strategy.waitForDeployment();
+
+    // Fund the strategy's reward reserve so simulated yield is backed by vBTC
+    await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+    await vaultBTC.approve(await strategy.getAddress(), ethers.parseEther("100"));
+    await strategy.fundReserve(ethers.parseEther("100"));
+    await strategyManager.addStrategy(await strategy.getAddress());
+    return strategy;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2, relayer] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    dummyStrategy = await deployDummyStrategy();
+    strategyAddress = await dummyStrategy.getAddress();
+
+    const MockLossyStrategy = await ethers.getContractFactory("MockLossyStrategy");
+    lossyStrategy = await MockLossyStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress()
+    );
+    await lossyStrategy.waitForDeployment();
+    lossyAddress = await lossyStrategy.getAddress();
+    await strategyManager.addStrategy(lossyAddress);
+
+    const StrategyKeeper = await ethers.getContractFactory("StrategyKeeper");
+    keeper = await StrategyKeeper.deploy(await strategyManager.getAddress(), ONE_DAY, MAX_POSITIONS);
+    await keeper.waitForDeployment();
+    await strategyManager.grantRole(await strategyManager.KEEPER_ROLE(), await keeper.getAddress());
+
+    for (const user of [user1, user2]) {
+      await vaultBTC.mint(user.address, ethers.parseEther("1000"));
+      await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("1000"));
+      await strategyManager.connect(user).deposit(ethers.parseEther("500"));
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set the manager, interval, page size and owner", async function () {
+      expect(await keeper.manager()).to.equal(await strategyManager.getAddress());
+      expect(await keeper.interval()).to.equal(ONE_DAY);
+      expect(await keeper.maxPositions()).to.equal(MAX_POSITIONS);
+      expect(await keeper.owner()).to.equal(owner.address);
+    });
+
+    it("Should reject a zero manager address", async function () {
+      const StrategyKeeper = await ethers.getContractFactory("StrategyKeeper");
+      await expect(
+        StrategyKeeper.deploy(ethers.ZeroAddress, ONE_DAY, MAX_POSITIONS)
+      ).to.be.revertedWith("Invalid manager address");
+    });
+
+    it("Should reject a zero page size", async function () {
+      const StrategyKeeper = await ethers.getContractFactory("StrategyKeeper");
+      await expect(
+        StrategyKeeper.deploy(await strategyManager.getAddress(), ONE_DAY, 0)
+      ).to.be.revertedWith("Invalid max positions");
+    });
+  });
+
+  describe("Check Upkeep", function () {
+    it("Should not need upkeep without open positions", async function () {
+      const [upkeepNeeded, performData] = await keeper.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(false);
+      expect(performData).to.equal(encodePages([]));
+    });
+
+    it("Should list a page of each compounding strategy with open positions", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+      await strategyManager.connect(user1).allocateToStrategy(lossyAddress, ethers.parseEther("100"));
+
+      const [upkeepNeeded, performData] = await keeper.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(true);
+      // The lossy strategy does not report ICompoundingStrategy
+      expect(performData).to.equal(encodePages([[strategyAddress, 0, MAX_POSITIONS]]));
+      expect(await keeper.getDueStrategies()).to.deep.equal([strategyAddress]);
+    });
+
+    it("Should not need upkeep while the manager is paused", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+      await strategyManager.pause();
+
+      const [upkeepNeeded] = await keeper.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(false);
+    });
+  });
+
+  describe("Perform Upkeep", function () {
+    beforeEach(async function () {
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+      await strategyManager.connect(user2).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+    });
+
+    it("Should compound every position in the due strategies", async function () {
+      await increaseTime(ONE_YEAR);
+      const [, performData] = await keeper.checkUpkeep("0x");
+
+      // user2 allocated last, so their position is a year and a block old when compounded
+      await setNextBlockAfter(1);
+      await keeper.connect(relayer).performUpkeep(performData);
+
+      const position2 = await dummyStrategy.positions(user2.address);
+      expect(position2.depositedAmount).to.be.closeTo(ethers.parseEther("105"), ethers.parseEther("0.00001"));
+      expect((await dummyStrategy.positions(user1.address)).depositedAmount).to.be.gt(ethers.parseEther("105"));
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(0);
+    });
+
+    it("Should record the compound time and emit StrategyCompounded", async function () {
+      await increaseTime(ONE_YEAR);
+      const [, performData] = await keeper.checkUpkeep("0x");
+
+      const tx = await keeper.performUpkeep(performData);
+      const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+
+      const compounded =
+        (await dummyStrategy.positions(user1.address)).depositedAmount +
+        (await dummyStrategy.positions(user2.address)).depositedAmount -
+        ethers.parseEther("200");
+      await expect(tx).to.emit(keeper, "StrategyCompounded").withArgs(strategyAddress, compounded);
+      await expect(tx).to.emit(strategyManager, "Compounded").withArgs(strategyAddress, 2, compounded);
+      expect(await keeper.lastCompounded(strategyAddress)).to.equal(timestamp);
+    });
+
+    it("Should wait for the interval before compounding a strategy again", async function () {
+      const [, performData] = await keeper.checkUpkeep("0x");
+      await keeper.performUpkeep(performData);
+
+      expect(await keeper.isDue(strategyAddress)).to.equal(false);
+      const [upkeepNeeded] = await keeper.checkUpkeep("0x");
+      expect(upkeepNeeded).to.equal(false);
+      await expect(
+        keeper.performUpkeep(performData)
+      ).to.be.revertedWith("Upkeep not needed");
+
+      await increaseTime(ONE_DAY);
+      expect(await keeper.isDue(strategyAddress)).to.equal(true);
+      await keeper.performUpkeep(performData);
+    });
+
+    it("Should skip listed strategies that are not due", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(lossyAddress, ethers.parseEther("100"));
+
+      await expect(keeper.performUpkeep(encodePages([[lossyAddress, 0, MAX_POSITIONS], [strategyAddress, 0, MAX_POSITIONS]])))
+        .to.emit(keeper, "StrategyCompounded");
+      expect(await keeper.lastCompounded(lossyAddress)).to.equal(0);
+
+      await expect(
+        keeper.performUpkeep(encodePages([[lossyAddress, 0, MAX_POSITIONS]]))
+      ).to.be.revertedWith("Upkeep not needed");
+    });
+
+    it("Should compound a large strategy one page per upkeep", async function () {
+      await keeper.setMaxPositions(1);
+      await increaseTime(ONE_YEAR);
+
+      let [, performData] = await keeper.checkUpkeep("0x");
+      expect(performData).to.equal(encodePages([[strategyAddress, 0, 1]]));
+      await expect(keeper.performUpkeep(performData))
+        .to.emit(strategyManager, "Compounded")
+        .withArgs(strategyAddress, 1, (value) => value > 0n);
+      expect(await keeper.nextPosition(strategyAddress)).to.equal(1);
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(0);
+      expect(await dummyStrategy.getYield(user2.address)).to.be.gt(0);
+
+      // The pass is unfinished, so the strategy stays due inside the interval
+      const passStarted = await keeper.lastCompounded(strategyAddress);
+      expect(await keeper.isDue(strategyAddress)).to.equal(true);
+      [, performData] = await keeper.checkUpkeep("0x");
+      expect(performData).to.equal(encodePages([[strategyAddress, 1, 1]]));
+      await keeper.performUpkeep(performData);
+
+      expect(await dummyStrategy.getYield(user2.address)).to.equal(0);
+      expect(await keeper.nextPosition(strategyAddress)).to.equal(0);
+      expect(await keeper.lastCompounded(strategyAddress)).to.equal(passStarted);
+      expect(await keeper.isDue(strategyAddress)).to.equal(false);
+    });
+
+    it("Should skip pages that are stale or larger than the page size", async function () {
+      await keeper.setMaxPositions(1);
+      const [, performData] = await keeper.checkUpkeep("0x");
+      await keeper.performUpkeep(performData);
+
+      // The first page was already compounded by the upkeep above
+      await expect(
+        keeper.performUpkeep(performData)
+      ).to.be.revertedWith("Upkeep not needed");
+      await expect(
+        keeper.performUpkeep(encodePages([[strategyAddress, 1, 2]]))
+      ).to.be.revertedWith("Upkeep not needed");
+      await expect(
+        keeper.performUpkeep(encodePages([[strategyAddress, 1, 0]]))
+      ).to.be.revertedWith("Upkeep not needed");
+    });
+
+    it("Should revert if the keeper lacks KEEPER_ROLE", async function () {
+      await strategyManager.revokeRole(await strategyManager.KEEPER_ROLE(), await keeper.getAddress());
+
+      await expect(
+        keeper.performUpkeep(encodePages([[strategyAddress, 0, MAX_POSITIONS]]))
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Interval and Page Size", function () {
+    it("Should let the owner set the interval", async function () {
+      await expect(keeper.setInterval(ONE_YEAR))
+        .to.emit(keeper, "IntervalUpdated")
+        .withArgs(ONE_YEAR);
+      expect(await keeper.interval()).to.equal(ONE_YEAR);
+    });
+
+    it("Should not let others set the interval", async function () {
+      await expect(
+        keeper.connect(user1).setInterval(0)
+      ).to.be.revertedWithCustomError(keeper, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should let only the owner set a non-zero page size", async function () {
+      await expect(keeper.setMaxPositions(5))
+        .to.emit(keeper, "MaxPositionsUpdated")
+        .withArgs(5);
+      expect(await keeper.maxPositions()).to.equal(5);
+
+      await expect(keeper.setMaxPositions(0)).to.be.revertedWith("Invalid max positions");
+      await expect(
+        keeper.connect(user1).setMaxPositions(1)
+      ).to.be.revertedWithCustomError(keeper, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Auto-compounding vs Not Compounding", function () {
+    it("Should end with more than an identical position that is never compounded", async function () {
+      const idleStrategy = await deployDummyStrategy();
+      const idleAddress = await idleStrategy.getAddress();
+
+      // The idle position opens a block earlier, so it earns a second more yield
+      await strategyManager.connect(user2).allocateToStrategy(idleAddress, ethers.parseEther("100"));
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+
+      // Only the first strategy is kept compounded, once after each year
+      for (let year = 0; year < 2; year++) {
+        await setNextBlockAfter(ONE_YEAR);
+        await keeper.performUpkeep(encodePages([[strategyAddress, 0, MAX_POSITIONS]]));
+      }
+
+      // 100 -> 105 -> 110.25 compounded, against 100 + 2 * 5 = 110 left alone
+      // (allowing for a second or two of yield)
+      expect(await dummyStrategy.balanceOf(user1.address)).to.be.closeTo(ethers.parseEther("110.25"), ethers.parseEther("0.000001"));
+      expect(await idleStrategy.balanceOf(user2.address)).to.be.closeTo(ethers.parseEther("110"), ethers.parseEther("0.000001"));
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(strategyAddress);
+      await strategyManager.connect(user2).withdrawAllFromStrategy(idleAddress);
+
+      const compoundedBalance = await strategyManager.userBalances(user1.address);
+      const idleBalance = await strategyManager.userBalances(user2.address);
+      expect(compoundedBalance).to.be.gt(idleBalance);
+      // Apart from a second or two of yield, the gap is the yield earned on compounded yield
+      expect(compoundedBalance - idleBalance).to.be.closeTo(ethers.parseEther("0.25"), ethers.parseEther("0.00001"));
+    });
+  });
+});
@@ -8,9 +8,17 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
 describe("StrategyManager", function () {
-  let vaultBTC, strategyManager, dummyStrategy;
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+
+  let vaultBTC, strategyManager, lens, dummyStrategy;
   let owner, user1, user2;
 
+  // Makes the next transaction land exactly `seconds` after the latest block
+  async function setNextBlockAfter(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+  }
+
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
 
@@ -24,6 +32,11 @@ describe("StrategyManager", function () {
     strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
     await strategyManager.waitForDeployment();
 
+    const StrategyManagerLens = await ethers.getContractFactory("StrategyManagerLens");
+    lens = await StrategyManagerLens.deploy(await strategyManager.getAddress());
+    await lens.waitForDeployment();
+
+
     // Deploy DummyLendingStrategy
     const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
     dummyStrategy = await DummyLendingStrategy.deploy(
@@ -42,13 +55,27 @@ describe("StrategyManager", function () {
       expect(await strategyManager.vaultBTC()).to.equal(await vaultBTC.getAddress());
     });
 
-    it("Should set the deployer as owner", async function () {
-      expect(await strategyManager.owner()).to.equal(owner.address);
+    it("Should grant the deployer every role", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "STRATEGIST_ROLE", "FEE_MANAGER_ROLE", "GUARDIAN_ROLE"]) {
+        expect(await strategyManager.hasRole(await strategyManager[role](), owner.address)).to.be.true;
+      }
     });
 
     it("Should start with zero strategies", async function () {
       expect(await strategyManager.getStrategyCount()).to.equal(0);
     });
+
+    it("Should deploy an extension that only runs through the manager", async function () {
+      const extension = await ethers.getContractAt("StrategyManagerExtension", await strategyManager.extension());
+      expect(await extension.manager()).to.equal(await strategyManager.getAddress());
+
+      await expect(extension.connect(user1).requestWithdrawal(1)).to.be.revertedWith("Only via StrategyManager");
+      await expect(extension.allocateMany([], [])).to.be.revertedWith("Only via StrategyManager");
+    });
+
+    it("Should point the lens at the manager", async function () {
+      expect(await lens.manager()).to.equal(await strategyManager.getAddress());
+    });
   });
 
   describe("Strategy Management", function () {
@@ -65,10 +92,10 @@ describe("StrategyManager", function () {
         .withArgs(await dummyStrategy.getAddress());
     });
 
-    it("Should prevent non-owner from adding strategy", async function () {
+    it("Should prevent non-strategist from adding strategy", async function () {
       await expect(
         strategyManager.connect(user1).addStrategy(await dummyStrategy.getAddress())
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent adding same strategy twice", async function () {
@@ -87,11 +114,11 @@ describe("StrategyManager", function () {
       expect(await strategyManager.getStrategyCount()).to.equal(0);
     });
 
-    it("Should prevent non-owner from removing strategy", async function () {
+    it("Should prevent non-strategist from removing strategy", async function () {
       await strategyManager.addStrategy(await dummyStrategy.getAddress());
       await expect(
         strategyManager.connect(user1).removeStrategy(await dummyStrategy.getAddress())
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
     });
 
     it("Should return all strategies", async function () {
@@ -178,17 +205,17 @@ describe("StrategyManager", function () {
       expect(await strategyManager.paused()).to.be.false;
     });
 
-    it("Should prevent non-owner from pausing", async function () {
+    it("Should prevent non-guardian from pausing", async function () {
       await expect(
         strategyManager.connect(user1).pause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should prevent non-owner from unpausing", async function () {
+    it("Should prevent non-admin from unpausing", async function () {
       await strategyManager.pause();
       await expect(
         strategyManager.connect(user1).unpause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent allocations when paused", async function () {
@@ -348,4 +375,1508 @@ describe("StrategyManager", function () {
         .withArgs(user1.address, await dummyStrategy.getAddress(), withdrawAmount);
     });
   });
+
+  describe("Yield Claiming", function () {
+    beforeEach(async function () {
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+
+      await vaultBTC.connect(user1).approve(
+        await strategyManager.getAddress(),
+        ethers.parseEther("1000")
+      );
+      await strategyManager.connect(user1).deposit(ethers.parseEther("500"));
+
+      // Fund the strategy's reward reserve so simulated yield is backed by vBTC
+      await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+      await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+      await dummyStrategy.fundReserve(ethers.parseEther("100"));
+
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+
+      // The next transaction lands one year later (100 * 5% APR = 5 vBTC of yield)
+      await setNextBlockAfter(ONE_YEAR);
+    });
+
+    it("Should credit claimed yield to user balance", async function () {
+      const balanceBefore = await strategyManager.userBalances(user1.address);
+
+      await strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress());
+
+      const expectedYield = ethers.parseEther("5");
+      expect(await strategyManager.userBalances(user1.address)).to.equal(balanceBefore + expectedYield);
+      expect(
+        await strategyManager.userStrategyAllocations(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should emit YieldClaimed event", async function () {
+      await expect(strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress()))
+        .to.emit(strategyManager, "YieldClaimed")
+        .withArgs(user1.address, await dummyStrategy.getAddress(), ethers.parseEther("5"));
+    });
+
+    it("Should let claimed yield reach the user's wallet", async function () {
+      await strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress());
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+
+      await strategyManager.connect(user1).withdraw(ethers.parseEther("405"));
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("405"));
+    });
+
+    it("Should revert claim without allocation", async function () {
+      await expect(
+        strategyManager.connect(user2).claimYield(await dummyStrategy.getAddress())
+      ).to.be.revertedWith("No strategy position");
+    });
+
+    it("Should withdraw principal and yield with withdrawAllFromStrategy", async function () {
+      const balanceBefore = await strategyManager.userBalances(user1.address);
+
+      await expect(strategyManager.connect(user1).withdrawAllFromStrategy(await dummyStrategy.getAddress()))
+        .to.emit(strategyManager, "YieldClaimed")
+        .withArgs(user1.address, await dummyStrategy.getAddress(), ethers.parseEther("5"));
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(
+        balanceBefore + ethers.parseEther("105")
+      );
+      expect(
+        await strategyManager.userStrategyAllocations(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(0);
+    });
+
+    it("Should keep yield claimable after a partial principal withdrawal", async function () {
+      await strategyManager.connect(user1).withdrawFromStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("50")
+      );
+
+      // One year on 100 vBTC was checkpointed by the withdrawal
+      expect(await strategyManager.getStrategyYield(user1.address, await dummyStrategy.getAddress()))
+        .to.equal(ethers.parseEther("5"));
+    });
+  });
+
+  describe("Strategy Retirement", function () {
+    let replacementStrategy;
+
+    beforeEach(async function () {
+      const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+      replacementStrategy = await DummyLendingStrategy.deploy(
+        await vaultBTC.getAddress(),
+        await strategyManager.getAddress()
+      );
+      await replacementStrategy.waitForDeployment();
+
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+      await strategyManager.addStrategy(await replacementStrategy.getAddress());
+
+      // Fund the reward reserve so unwinding can pay out yield
+      await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+      await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+      await dummyStrategy.fundReserve(ethers.parseEther("100"));
+
+      for (const user of [user1, user2]) {
+        await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("1000"));
+        await strategyManager.connect(user).deposit(ethers.parseEther("500"));
+        await strategyManager.connect(user).allocateToStrategy(
+          await dummyStrategy.getAddress(),
+          ethers.parseEther("100")
+        );
+      }
+    });
+
+    it("Should track users with open positions", async function () {
+      const users = await strategyManager.getStrategyUsers(await dummyStrategy.getAddress());
+      expect([...users]).to.have.members([user1.address, user2.address]);
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(await dummyStrategy.getAddress());
+
+      expect(await strategyManager.getStrategyUsers(await dummyStrategy.getAddress())).to.deep.equal([user2.address]);
+    });
+
+    it("Should prevent removing a strategy with open positions", async function () {
+      await expect(
+        strategyManager.removeStrategy(await dummyStrategy.getAddress())
+      ).to.be.revertedWith("Strategy has open positions");
+    });
+
+    it("Should block new allocations while winding down", async function () {
+      await expect(strategyManager.startWindDown(await dummyStrategy.getAddress()))
+        .to.emit(strategyManager, "StrategyWindDownStarted")
+        .withArgs(await dummyStrategy.getAddress());
+
+      await expect(
+        strategyManager.connect(user1).allocateToStrategy(
+          await dummyStrategy.getAddress(),
+          ethers.parseEther("10")
+        )
+      ).to.be.revertedWith("Strategy winding down");
+    });
+
+    it("Should still let users exit a winding-down strategy themselves", async function () {
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+
+      await strategyManager.connect(user1).withdrawAllFromStrategy(await dummyStrategy.getAddress());
+
+      expect(
+        await strategyManager.userStrategyAllocations(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(0);
+    });
+
+    it("Should require wind down before unwinding", async function () {
+      await expect(
+        strategyManager.unwindStrategy(await dummyStrategy.getAddress(), 10)
+      ).to.be.revertedWith("Strategy not winding down");
+    });
+
+    it("Should unwind all positions back into user balances", async function () {
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+
+      await expect(strategyManager.unwindStrategy(await dummyStrategy.getAddress(), 10))
+        .to.emit(strategyManager, "PositionUnwound");
+
+      for (const user of [user1, user2]) {
+        expect(
+          await strategyManager.userStrategyAllocations(user.address, await dummyStrategy.getAddress())
+        ).to.equal(0);
+        // Principal plus the yield earned before the unwind
+        expect(await strategyManager.userBalances(user.address)).to.be.greaterThan(ethers.parseEther("500"));
+      }
+      expect(await dummyStrategy.totalPrincipal()).to.equal(0);
+    });
+
+    it("Should unwind in batches and then allow delisting", async function () {
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+
+      expect(
+        await strategyManager.unwindStrategy.staticCall(await dummyStrategy.getAddress(), 1)
+      ).to.equal(1);
+      await strategyManager.unwindStrategy(await dummyStrategy.getAddress(), 1);
+      await strategyManager.unwindStrategy(await dummyStrategy.getAddress(), 1);
+
+      await expect(strategyManager.removeStrategy(await dummyStrategy.getAddress()))
+        .to.emit(strategyManager, "StrategyRemoved");
+      expect(await strategyManager.isStrategyWindingDown(await dummyStrategy.getAddress())).to.be.false;
+    });
+
+    it("Should migrate positions to a replacement strategy", async function () {
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+
+      await expect(
+        strategyManager.migrateStrategy(
+          await dummyStrategy.getAddress(),
+          await replacementStrategy.getAddress(),
+          10
+        )
+      ).to.emit(strategyManager, "PositionMigrated");
+
+      for (const user of [user1, user2]) {
+        expect(
+          await strategyManager.userStrategyAllocations(user.address, await dummyStrategy.getAddress())
+        ).to.equal(0);
+        const migrated = await strategyManager.userStrategyAllocations(
+          user.address,
+          await replacementStrategy.getAddress()
+        );
+        expect(migrated).to.be.greaterThan(ethers.parseEther("100"));
+        expect(await replacementStrategy.balanceOf(user.address)).to.equal(migrated);
+        expect(await strategyManager.userBalances(user.address)).to.equal(ethers.parseEther("400"));
+      }
+      expect(await strategyManager.getStrategyUsers(await dummyStrategy.getAddress())).to.deep.equal([]);
+    });
+
+    it("Should reject migration into a winding-down or unapproved strategy", async function () {
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+
+      await expect(
+        strategyManager.migrateStrategy(await dummyStrategy.getAddress(), await dummyStrategy.getAddress(), 10)
+      ).to.be.revertedWith("Strategy winding down");
+      await expect(
+        strategyManager.migrateStrategy(await dummyStrategy.getAddress(), user2.address, 10)
+      ).to.be.revertedWith("Strategy not approved");
+    });
+
+    it("Should reject migration into a strategy with paused allocations", async function () {
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+      await strategyManager.setStrategyAllocationPaused(await replacementStrategy.getAddress(), true);
+
+      await expect(
+        strategyManager.migrateStrategy(
+          await dummyStrategy.getAddress(),
+          await replacementStrategy.getAddress(),
+          10
+        )
+      ).to.be.revertedWith("Strategy allocation paused");
+
+      await strategyManager.setStrategyAllocationPaused(await replacementStrategy.getAddress(), false);
+      await expect(
+        strategyManager.migrateStrategy(
+          await dummyStrategy.getAddress(),
+          await replacementStrategy.getAddress(),
+          10
+        )
+      ).to.emit(strategyManager, "PositionMigrated");
+    });
+
+    it("Should prevent non-owner from retiring strategies", async function () {
+      await expect(
+        strategyManager.connect(user1).startWindDown(await dummyStrategy.getAddress())
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(user1).unwindStrategy(await dummyStrategy.getAddress(), 10)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Emergency Exit", function () {
+    beforeEach(async function () {
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+
+      await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+      await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+      await dummyStrategy.fundReserve(ethers.parseEther("100"));
+
+      for (const user of [user1, user2]) {
+        await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("1000"));
+        await strategyManager.connect(user).deposit(ethers.parseEther("500"));
+        await strategyManager.connect(user).allocateToStrategy(
+          await dummyStrategy.getAddress(),
+          ethers.parseEther("200")
+        );
+      }
+
+      await ethers.provider.send("evm_increaseTime", [30 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+    });
+
+    it("Should return principal and idle balance to the wallet", async function () {
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+
+      await expect(strategyManager.connect(user1).emergencyWithdraw())
+        .to.emit(strategyManager, "EmergencyWithdrawn")
+        .withArgs(user1.address, ethers.parseEther("500"));
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("500"));
+      expect(await strategyManager.userBalances(user1.address)).to.equal(0);
+      expect(
+        await strategyManager.userStrategyAllocations(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(0);
+    });
+
+    it("Should leave yield behind in the strategy", async function () {
+      await strategyManager.connect(user1).emergencyWithdraw();
+
+      const position = await dummyStrategy.positions(user1.address);
+      expect(position.depositedAmount).to.equal(0);
+      expect(position.accruedYield).to.be.greaterThan(0);
+    });
+
+    it("Should stay available while paused", async function () {
+      await strategyManager.pause();
+
+      await expect(
+        strategyManager.connect(user1).withdraw(ethers.parseEther("100"))
+      ).to.be.revertedWithCustomError(strategyManager, "EnforcedPause");
+
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+      await strategyManager.connect(user1).emergencyWithdraw();
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("500"));
+    });
+
+    it("Should not affect other users' positions", async function () {
+      await strategyManager.pause();
+      await strategyManager.connect(user1).emergencyWithdraw();
+
+      expect(
+        await strategyManager.userStrategyAllocations(user2.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("200"));
+      expect(await strategyManager.userBalances(user2.address)).to.equal(ethers.parseEther("300"));
+    });
+
+    it("Should revert when there is nothing to withdraw", async function () {
+      await strategyManager.connect(user1).emergencyWithdraw();
+
+      await expect(
+        strategyManager.connect(user1).emergencyWithdraw()
+      ).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("Should only mark strategies as winding down on shutdown", async function () {
+      await expect(strategyManager.shutdown())
+        .to.emit(strategyManager, "ShutdownTriggered")
+        .withArgs(owner.address)
+        .and.to.emit(strategyManager, "StrategyWindDownStarted")
+        .withArgs(await dummyStrategy.getAddress())
+        .and.not.to.emit(strategyManager, "PositionUnwound");
+
+      expect(await strategyManager.isShutdown()).to.be.true;
+      expect(await strategyManager.isStrategyWindingDown(await dummyStrategy.getAddress())).to.be.true;
+      expect(await dummyStrategy.totalPrincipal()).to.equal(ethers.parseEther("400"));
+    });
+
+    it("Should unwind positions in pages after shutdown", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      const others = (await ethers.getSigners()).slice(3, 6);
+      for (const user of others) {
+        await vaultBTC.mint(user.address, ethers.parseEther("10"));
+        await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("10"));
+        await strategyManager.connect(user).deposit(ethers.parseEther("10"));
+        await strategyManager.connect(user).allocateToStrategy(strategyAddress, ethers.parseEther("10"));
+      }
+
+      await strategyManager.shutdown();
+      expect(await strategyManager.getStrategyUsers(strategyAddress)).to.have.length(5);
+
+      expect(await strategyManager.unwindStrategy.staticCall(strategyAddress, 2)).to.equal(3);
+      await strategyManager.unwindStrategy(strategyAddress, 2);
+      await strategyManager.unwindStrategy(strategyAddress, 2);
+      expect(await strategyManager.getStrategyUsers(strategyAddress)).to.have.length(1);
+      await strategyManager.unwindStrategy(strategyAddress, 2);
+
+      expect(await dummyStrategy.totalPrincipal()).to.equal(0);
+      for (const user of [user1, user2]) {
+        expect(await strategyManager.userBalances(user.address)).to.be.greaterThan(ethers.parseEther("500"));
+      }
+      for (const user of others) {
+        expect(await strategyManager.userBalances(user.address)).to.be.at.least(ethers.parseEther("10"));
+      }
+      await expect(strategyManager.removeStrategy(strategyAddress)).to.emit(strategyManager, "StrategyRemoved");
+    });
+
+    it("Should disable deposits and allocations after shutdown", async function () {
+      await strategyManager.shutdown();
+
+      await expect(
+        strategyManager.connect(user1).deposit(ethers.parseEther("10"))
+      ).to.be.revertedWith("Manager is shut down");
+      await expect(
+        strategyManager.connect(user1).allocateToStrategy(await dummyStrategy.getAddress(), ethers.parseEther("10"))
+      ).to.be.revertedWith("Manager is shut down");
+      await expect(strategyManager.shutdown()).to.be.revertedWith("Manager is shut down");
+    });
+
+    it("Should keep withdrawals working after shutdown, even when paused", async function () {
+      await strategyManager.shutdown();
+      await strategyManager.connect(user1).withdraw(ethers.parseEther("100"));
+
+      await strategyManager.pause();
+      await strategyManager.connect(user2).emergencyWithdraw();
+
+      expect(await strategyManager.userBalances(user2.address)).to.equal(0);
+    });
+
+    it("Should prevent non-owner from shutting down", async function () {
+      await expect(
+        strategyManager.connect(user1).shutdown()
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Fees", function () {
+    const FEE_DELAY = 2 * 24 * 60 * 60;
+
+    async function setFees(performanceFee, managementFee) {
+      await strategyManager.queueFeeChange(performanceFee, managementFee);
+      await ethers.provider.send("evm_increaseTime", [FEE_DELAY]);
+      await strategyManager.applyFeeChange();
+    }
+
+    beforeEach(async function () {
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+
+      await vaultBTC.connect(user1).approve(
+        await strategyManager.getAddress(),
+        ethers.parseEther("1000")
+      );
+      await strategyManager.connect(user1).deposit(ethers.parseEther("500"));
+
+      // Fund the strategy's reward reserve so simulated yield is backed by vBTC
+      await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+      await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+      await dummyStrategy.fundReserve(ethers.parseEther("100"));
+    });
+
+    it("Should start with zero fees and the deployer as fee recipient", async function () {
+      expect(await strategyManager.performanceFee()).to.equal(0);
+      expect(await strategyManager.managementFee()).to.equal(0);
+      expect(await strategyManager.feeRecipient()).to.equal(owner.address);
+    });
+
+    it("Should enforce fee caps", async function () {
+      await expect(strategyManager.queueFeeChange(2001, 0)).to.be.revertedWith("Performance fee too high");
+      await expect(strategyManager.queueFeeChange(0, 201)).to.be.revertedWith("Management fee too high");
+    });
+
+    it("Should only apply fee changes after the timelock", async function () {
+      await expect(strategyManager.queueFeeChange(1000, 200))
+        .to.emit(strategyManager, "FeeChangeQueued");
+      await expect(strategyManager.applyFeeChange()).to.be.revertedWith("Fee change timelocked");
+
+      await ethers.provider.send("evm_increaseTime", [FEE_DELAY]);
+      await expect(strategyManager.applyFeeChange())
+        .to.emit(strategyManager, "FeesUpdated")
+        .withArgs(1000, 200);
+
+      expect(await strategyManager.performanceFee()).to.equal(1000);
+      expect(await strategyManager.managementFee()).to.equal(200);
+      await expect(strategyManager.applyFeeChange()).to.be.revertedWith("No fee change queued");
+    });
+
+    it("Should allow cancelling a queued fee change", async function () {
+      await strategyManager.queueFeeChange(1000, 200);
+      await expect(strategyManager.cancelFeeChange()).to.emit(strategyManager, "FeeChangeCancelled");
+
+      await ethers.provider.send("evm_increaseTime", [FEE_DELAY]);
+      await expect(strategyManager.applyFeeChange()).to.be.revertedWith("No fee change queued");
+      expect(await strategyManager.performanceFee()).to.equal(0);
+    });
+
+    it("Should take the performance fee from claimed yield", async function () {
+      await setFees(1000, 0);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      await setNextBlockAfter(ONE_YEAR);
+
+      // One year of yield = 5 vBTC, 10% of it goes to fees
+      await expect(strategyManager.connect(user1).claimYield(await dummyStrategy.getAddress()))
+        .to.emit(strategyManager, "FeesCharged")
+        .withArgs(user1.address, await dummyStrategy.getAddress(), ethers.parseEther("0.5"), 0);
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("404.5"));
+      expect(await strategyManager.accruedFees()).to.equal(ethers.parseEther("0.5"));
+      const fees = await strategyManager.strategyFees(await dummyStrategy.getAddress());
+      expect(fees.performance).to.equal(ethers.parseEther("0.5"));
+      expect(fees.management).to.equal(0);
+    });
+
+    it("Should charge the management fee on allocated principal over time", async function () {
+      await setFees(0, 200);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      await setNextBlockAfter(ONE_YEAR);
+      await ethers.provider.send("evm_mine", []);
+      expect(
+        await strategyManager.getPendingManagementFee(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("2"));
+
+      // 2% of 100 vBTC for one year (plus one second for the withdraw block)
+      await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + ONE_YEAR + 1]);
+      await strategyManager.connect(user1).withdrawFromStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("50")
+      );
+
+      const expectedFee = ethers.parseEther("100") * 200n * BigInt(ONE_YEAR + 1) / (10000n * BigInt(ONE_YEAR));
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("450") - expectedFee);
+      expect((await strategyManager.strategyFees(await dummyStrategy.getAddress())).management).to.equal(expectedFee);
+      expect(
+        await strategyManager.getPendingManagementFee(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(0);
+    });
+
+    it("Should not charge a new management fee for time before it took effect", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+
+      // A year at no fee, then the 2% fee is queued and applied
+      await setNextBlockAfter(ONE_YEAR);
+      await strategyManager.queueFeeChange(0, 200);
+      await setNextBlockAfter(FEE_DELAY);
+      await strategyManager.applyFeeChange();
+      expect(await strategyManager.getPendingManagementFee(user1.address, strategyAddress)).to.equal(0);
+
+      // Only the year after the change is charged
+      await setNextBlockAfter(ONE_YEAR);
+      await ethers.provider.send("evm_mine", []);
+      expect(
+        await strategyManager.getPendingManagementFee(user1.address, strategyAddress)
+      ).to.equal(ethers.parseEther("2"));
+
+      // Lowering the fee keeps what was owed at the old rate and charges the new one from then on
+      await strategyManager.queueFeeChange(0, 100);
+      await setNextBlockAfter(FEE_DELAY);
+      await strategyManager.applyFeeChange();
+      const owedAtChange = await strategyManager.getPendingManagementFee(user1.address, strategyAddress);
+      expect(owedAtChange).to.equal(
+        ethers.parseEther("100") * 200n * BigInt(ONE_YEAR + 1 + FEE_DELAY) / (10000n * BigInt(ONE_YEAR))
+      );
+
+      await setNextBlockAfter(ONE_YEAR);
+      await ethers.provider.send("evm_mine", []);
+      expect(
+        await strategyManager.getPendingManagementFee(user1.address, strategyAddress)
+      ).to.equal(owedAtChange + ethers.parseEther("1"));
+    });
+
+    it("Should report strategy balances net of fees", async function () {
+      await setFees(1000, 0);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      await setNextBlockAfter(ONE_YEAR);
+      await ethers.provider.send("evm_mine", []);
+
+      // One year of yield = 5 vBTC, minus the 10% performance fee
+      expect(
+        await strategyManager.getNetStrategyBalance(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("104.5"));
+    });
+
+    it("Should send collected fees to the fee recipient", async function () {
+      await setFees(1000, 0);
+      await strategyManager.setFeeRecipient(user2.address);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      await setNextBlockAfter(ONE_YEAR);
+      await strategyManager.connect(user1).withdrawAllFromStrategy(await dummyStrategy.getAddress());
+
+      const walletBefore = await vaultBTC.balanceOf(user2.address);
+      await expect(strategyManager.collectFees())
+        .to.emit(strategyManager, "FeesCollected")
+        .withArgs(user2.address, ethers.parseEther("0.5"));
+
+      expect(await vaultBTC.balanceOf(user2.address)).to.equal(walletBefore + ethers.parseEther("0.5"));
+      expect(await strategyManager.accruedFees()).to.equal(0);
+      await expect(strategyManager.collectFees()).to.be.revertedWith("No fees to collect");
+    });
+
+    it("Should take the owed management fee out of emergency withdrawals", async function () {
+      await setFees(2000, 200);
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("100")
+      );
+      await setNextBlockAfter(ONE_YEAR);
+
+      // 2% of 100 vBTC for one year; yield stays in the strategy, so no performance fee
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+      await expect(strategyManager.connect(user1).emergencyWithdraw())
+        .to.emit(strategyManager, "FeesCharged")
+        .withArgs(user1.address, await dummyStrategy.getAddress(), 0, ethers.parseEther("2"));
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("498"));
+      expect(await strategyManager.accruedFees()).to.equal(ethers.parseEther("2"));
+      expect(
+        await strategyManager.getPendingManagementFee(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(0);
+    });
+
+    it("Should charge the rest of the management fee when a queued emergency withdrawal is claimed", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await setFees(0, 200);
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("1"));
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+      await setNextBlockAfter(ONE_YEAR);
+
+      // The instant 1 vBTC covers half of the 2 vBTC fee; the rest waits for the queued principal
+      await strategyManager.connect(user1).emergencyWithdraw();
+      expect(await strategyManager.accruedFees()).to.equal(ethers.parseEther("1"));
+
+      await dummyStrategy.setLiquidityLimit(ethers.MaxUint256);
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.accruedFees()).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should prevent non-owner from changing fees", async function () {
+      await expect(
+        strategyManager.connect(user1).queueFeeChange(1000, 200)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(user1).setFeeRecipient(user1.address)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Deposit and Allocation Caps", function () {
+    beforeEach(async function () {
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+      for (const user of [user1, user2]) {
+        await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("1000"));
+      }
+    });
+
+    it("Should start with no caps and the allowlist disabled", async function () {
+      expect(await strategyManager.tvlCap()).to.equal(0);
+      expect(await strategyManager.userDepositCap()).to.equal(0);
+      expect(await strategyManager.allowlistEnabled()).to.be.false;
+      expect(await lens.maxDeposit(user1.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should enforce the global TVL cap", async function () {
+      await expect(strategyManager.setTvlCap(ethers.parseEther("300")))
+        .to.emit(strategyManager, "TvlCapUpdated")
+        .withArgs(ethers.parseEther("300"));
+
+      await strategyManager.connect(user1).deposit(ethers.parseEther("200"));
+      expect(await lens.maxDeposit(user2.address)).to.equal(ethers.parseEther("100"));
+
+      await expect(
+        strategyManager.connect(user2).deposit(ethers.parseEther("101"))
+      ).to.be.revertedWith("TVL cap exceeded");
+      await strategyManager.connect(user2).deposit(ethers.parseEther("100"));
+      expect(await strategyManager.totalDeposits()).to.equal(ethers.parseEther("300"));
+    });
+
+    it("Should free up capacity when users withdraw", async function () {
+      await strategyManager.setTvlCap(ethers.parseEther("300"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("300"));
+
+      await strategyManager.connect(user1).withdraw(ethers.parseEther("50"));
+
+      expect(await strategyManager.totalDeposits()).to.equal(ethers.parseEther("250"));
+      expect(await lens.maxDeposit(user2.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should enforce the per-user deposit cap", async function () {
+      await strategyManager.setUserDepositCap(ethers.parseEther("100"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("60"));
+
+      expect(await lens.maxDeposit(user1.address)).to.equal(ethers.parseEther("40"));
+      await expect(
+        strategyManager.connect(user1).deposit(ethers.parseEther("41"))
+      ).to.be.revertedWith("User deposit cap exceeded");
+
+      // Other users have their own allowance
+      await strategyManager.connect(user2).deposit(ethers.parseEther("100"));
+    });
+
+    it("Should enforce per-strategy allocation caps", async function () {
+      await expect(strategyManager.setStrategyCap(await dummyStrategy.getAddress(), ethers.parseEther("150")))
+        .to.emit(strategyManager, "StrategyCapUpdated")
+        .withArgs(await dummyStrategy.getAddress(), ethers.parseEther("150"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("200"));
+      await strategyManager.connect(user2).deposit(ethers.parseEther("200"));
+
+      await strategyManager.connect(user1).allocateToStrategy(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+      expect(
+        await lens.maxAllocate(user2.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("50"));
+
+      await expect(
+        strategyManager.connect(user2).allocateToStrategy(await dummyStrategy.getAddress(), ethers.parseEther("51"))
+      ).to.be.revertedWith("Strategy cap exceeded");
+
+      // Withdrawing principal frees room in the strategy
+      await strategyManager.connect(user1).withdrawFromStrategy(await dummyStrategy.getAddress(), ethers.parseEther("40"));
+      expect(await strategyManager.strategyAllocated(await dummyStrategy.getAddress())).to.equal(ethers.parseEther("60"));
+      await strategyManager.connect(user2).allocateToStrategy(await dummyStrategy.getAddress(), ethers.parseEther("90"));
+    });
+
+    it("Should limit maxAllocate to the user's balance and approved strategies", async function () {
+      await strategyManager.connect(user1).deposit(ethers.parseEther("200"));
+
+      expect(
+        await lens.maxAllocate(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("200"));
+      expect(await lens.maxAllocate(user1.address, user2.address)).to.equal(0);
+
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+      expect(await lens.maxAllocate(user1.address, await dummyStrategy.getAddress())).to.equal(0);
+    });
+
+    it("Should restrict deposits to the allowlist when enabled", async function () {
+      await expect(strategyManager.setAllowlistEnabled(true))
+        .to.emit(strategyManager, "AllowlistEnabled")
+        .withArgs(true);
+      await expect(strategyManager.setAllowlist([user1.address], true))
+        .to.emit(strategyManager, "AllowlistUpdated")
+        .withArgs(user1.address, true);
+
+      await strategyManager.connect(user1).deposit(ethers.parseEther("10"));
+      await expect(
+        strategyManager.connect(user2).deposit(ethers.parseEther("10"))
+      ).to.be.revertedWith("Not allowlisted");
+      expect(await lens.maxDeposit(user2.address)).to.equal(0);
+
+      // Removed users keep access to their funds
+      await strategyManager.setAllowlist([user1.address], false);
+      await strategyManager.connect(user1).withdraw(ethers.parseEther("10"));
+    });
+
+    it("Should report zero capacity while paused", async function () {
+      await strategyManager.connect(user1).deposit(ethers.parseEther("100"));
+      await strategyManager.pause();
+
+      expect(await lens.maxDeposit(user1.address)).to.equal(0);
+      expect(await lens.maxAllocate(user1.address, await dummyStrategy.getAddress())).to.equal(0);
+    });
+
+    it("Should prevent non-owner from changing caps or the allowlist", async function () {
+      await expect(
+        strategyManager.connect(user1).setTvlCap(1)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(user1).setUserDepositCap(1)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(user1).setStrategyCap(await dummyStrategy.getAddress(), 1)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(user1).setAllowlist([user1.address], true)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Withdrawal Queue", function () {
+    beforeEach(async function () {
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+      await dummyStrategy.setRateModel(0, 0, 0, 10000);
+
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), ethers.parseEther("500"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("500"));
+      await strategyManager.connect(user1).allocateToStrategy(
+        await dummyStrategy.getAddress(),
+        ethers.parseEther("200")
+      );
+    });
+
+    it("Should pay from idle funds first without queueing", async function () {
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+
+      await expect(strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("300")))
+        .to.not.emit(strategyManager, "WithdrawalQueued");
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("300"));
+      expect(
+        await strategyManager.userStrategyAllocations(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("200"));
+      expect(await strategyManager.getWithdrawalRequests(user1.address)).to.deep.equal([]);
+    });
+
+    it("Should withdraw what strategies can pay and queue the rest", async function () {
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("50"));
+
+      await expect(strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("400")))
+        .to.emit(strategyManager, "WithdrawalQueued")
+        .withArgs(user1.address, 1, ethers.parseEther("50"));
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("350"));
+      expect(await strategyManager.userBalances(user1.address)).to.equal(0);
+      expect(await strategyManager.outstandingWithdrawals(user1.address)).to.equal(ethers.parseEther("50"));
+      expect([...(await strategyManager.getWithdrawalRequests(user1.address))]).to.deep.equal([1n]);
+
+      const request = await strategyManager.withdrawalRequests(1);
+      expect(request.user).to.equal(user1.address);
+      expect(request.remaining).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should settle a request once the strategy has liquidity again", async function () {
+      const walletBefore = await vaultBTC.balanceOf(user1.address);
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("50"));
+      await strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("400"));
+
+      await expect(strategyManager.connect(user1).claimWithdrawal(1)).to.be.revertedWith("Nothing to claim");
+
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("30"));
+      await expect(strategyManager.connect(user1).claimWithdrawal(1))
+        .to.emit(strategyManager, "WithdrawalSettled")
+        .withArgs(user1.address, 1, ethers.parseEther("30"), ethers.parseEther("20"));
+
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("100"));
+      await strategyManager.connect(user1).claimWithdrawal(1);
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(walletBefore + ethers.parseEther("400"));
+      expect((await strategyManager.withdrawalRequests(1)).remaining).to.equal(0);
+      expect(await strategyManager.outstandingWithdrawals(user1.address)).to.equal(0);
+      expect(
+        await strategyManager.userStrategyAllocations(user1.address, await dummyStrategy.getAddress())
+      ).to.equal(ethers.parseEther("100"));
+      await expect(strategyManager.connect(user1).claimWithdrawal(1)).to.be.revertedWith("Request already settled");
+    });
+
+    it("Should only pay a request from what the strategies released for it", async function () {
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("400"));
+
+      // New idle funds are not released by a strategy, so they do not settle the request
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), ethers.parseEther("50"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("50"));
+      await expect(strategyManager.connect(user1).claimWithdrawal(1)).to.be.revertedWith("Nothing to claim");
+
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("40"));
+      await expect(strategyManager.connect(user1).claimWithdrawal(1))
+        .to.emit(strategyManager, "WithdrawalSettled")
+        .withArgs(user1.address, 1, ethers.parseEther("40"), ethers.parseEther("60"));
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should count strategy claims towards wallet requests first", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("350"));
+      await strategyManager.connect(user1).requestStrategyWithdraw(strategyAddress, ethers.parseEther("50"));
+
+      // Claiming the strategy directly releases the wallet request's 50 before the user's own 50
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("60"));
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("60"));
+
+      await expect(strategyManager.connect(user1).claimWithdrawal(1))
+        .to.emit(strategyManager, "WithdrawalSettled")
+        .withArgs(user1.address, 1, ethers.parseEther("50"), 0);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("10"));
+      expect(await strategyManager.outstandingWithdrawals(user1.address)).to.equal(0);
+    });
+
+    it("Should only let the owner claim a request", async function () {
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("400"));
+
+      await expect(strategyManager.connect(user2).claimWithdrawal(1)).to.be.revertedWith("Not request owner");
+      await expect(strategyManager.connect(user1).claimWithdrawal(2)).to.be.revertedWith("Not request owner");
+    });
+
+    it("Should reject requests above the user's total balance", async function () {
+      await expect(
+        strategyManager.connect(user1).requestWithdrawal(ethers.parseEther("501"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should queue positions a strategy cannot pay out when it is retired", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("10"));
+
+      await strategyManager.startWindDown(strategyAddress);
+      await strategyManager.unwindStrategy(strategyAddress, 10);
+      await strategyManager.removeStrategy(strategyAddress);
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("300"));
+      expect(await lens.getPendingWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("190"));
+      expect(await lens.getClaimableWithdrawal(user1.address, strategyAddress)).to.equal(ethers.parseEther("10"));
+
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("1000"));
+      await strategyManager.connect(user1).claimStrategyWithdraw(strategyAddress);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("500"));
+      expect(await strategyManager.requestedPrincipal(user1.address, strategyAddress)).to.equal(0);
+    });
+  });
+
+  describe("Loss Reporting", function () {
+    let lossyStrategy, lossyAddress;
+
+    beforeEach(async function () {
+      const MockLossyStrategy = await ethers.getContractFactory("MockLossyStrategy");
+      lossyStrategy = await MockLossyStrategy.deploy(
+        await vaultBTC.getAddress(),
+        await strategyManager.getAddress()
+      );
+      await lossyStrategy.waitForDeployment();
+      lossyAddress = await lossyStrategy.getAddress();
+      await strategyManager.addStrategy(lossyAddress);
+
+      for (const [user, amount] of [[user1, "300"], [user2, "100"]]) {
+        await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("1000"));
+        await strategyManager.connect(user).deposit(ethers.parseEther("500"));
+        await strategyManager.connect(user).allocateToStrategy(lossyAddress, ethers.parseEther(amount));
+      }
+    });
+
+    it("Should mark positions down in proportion to their allocation", async function () {
+      await expect(lossyStrategy.simulateLoss(2500))
+        .to.emit(strategyManager, "LossReported")
+        .withArgs(lossyAddress, ethers.parseEther("100"), ethers.parseEther("300"));
+
+      expect(await strategyManager.userStrategyAllocations(user1.address, lossyAddress)).to.equal(ethers.parseEther("225"));
+      expect(await strategyManager.userStrategyAllocations(user2.address, lossyAddress)).to.equal(ethers.parseEther("75"));
+      expect(await strategyManager.strategyAllocated(lossyAddress)).to.equal(ethers.parseEther("300"));
+      expect(await strategyManager.strategyLosses(lossyAddress)).to.equal(ethers.parseEther("100"));
+      expect(await lossyStrategy.balanceOf(user1.address)).to.equal(ethers.parseEther("225"));
+    });
+
+    it("Should withdraw marked-down positions without treating anything as yield", async function () {
+      await lossyStrategy.simulateLoss(2500);
+
+      await expect(strategyManager.connect(user1).withdrawAllFromStrategy(lossyAddress))
+        .to.not.emit(strategyManager, "YieldClaimed");
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("425"));
+      expect(await strategyManager.strategyAllocated(lossyAddress)).to.equal(ethers.parseEther("75"));
+    });
+
+    it("Should pause allocations when a loss exceeds the strategy's loss limit", async function () {
+      await expect(strategyManager.setStrategyLossLimit(lossyAddress, 1000))
+        .to.emit(strategyManager, "StrategyLossLimitUpdated")
+        .withArgs(lossyAddress, 1000);
+
+      await expect(lossyStrategy.simulateLoss(500)).to.not.emit(strategyManager, "StrategyAllocationPaused");
+      await expect(lossyStrategy.simulateLoss(2000))
+        .to.emit(strategyManager, "StrategyAllocationPaused")
+        .withArgs(lossyAddress, true);
+
+      expect(await lens.maxAllocate(user1.address, lossyAddress)).to.equal(0);
+      await expect(
+        strategyManager.connect(user1).allocateToStrategy(lossyAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("Strategy allocation paused");
+
+      await strategyManager.setStrategyAllocationPaused(lossyAddress, false);
+      await strategyManager.connect(user1).allocateToStrategy(lossyAddress, ethers.parseEther("1"));
+    });
+
+    it("Should only accept loss reports from approved strategies", async function () {
+      await expect(
+        strategyManager.connect(user1).reportLoss(ethers.parseEther("1"))
+      ).to.be.revertedWith("Strategy not approved");
+    });
+
+    it("Should restrict loss limits to strategists", async function () {
+      await expect(
+        strategyManager.setStrategyLossLimit(lossyAddress, 10001)
+      ).to.be.revertedWith("Loss limit exceeds 100%");
+      await expect(
+        strategyManager.connect(user1).setStrategyLossLimit(lossyAddress, 1000)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(user1).setStrategyAllocationPaused(lossyAddress, true)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Permit and Meta-Transactions", function () {
+    const amount = ethers.parseEther("10");
+    const NO_PERMIT = { deadline: 0, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+    let relayer;
+
+    // Signs an EIP-2612 permit letting the manager pull `value` of `signer`'s vBTC
+    async function signPermit(signer, value) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const deadline = timestamp + 60 * 60;
+      const signature = await signer.signTypedData(
+        { name: "Vault Bitcoin", version: "1", chainId, verifyingContract: await vaultBTC.getAddress() },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        {
+          owner: signer.address,
+          spender: await strategyManager.getAddress(),
+          value,
+          nonce: await vaultBTC.nonces(signer.address),
+          deadline
+        }
+      );
+      const { v, r, s } = ethers.Signature.from(signature);
+      return { deadline, v, r, s };
+    }
+
+    beforeEach(async function () {
+      [, , , relayer] = await ethers.getSigners();
+      await strategyManager.addStrategy(await dummyStrategy.getAddress());
+    });
+
+    it("Should deposit with a permit and no prior approval", async function () {
+      const permit = await signPermit(user1, amount);
+
+      await expect(strategyManager.connect(user1).depositWithPermit(amount, permit))
+        .to.emit(strategyManager, "Deposited")
+        .withArgs(user1.address, amount);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(amount);
+      expect(await vaultBTC.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should still deposit when the permit was front-run", async function () {
+      const permit = await signPermit(user1, amount);
+      await vaultBTC.permit(user1.address, await strategyManager.getAddress(), amount, permit.deadline, permit.v, permit.r, permit.s);
+
+      await strategyManager.connect(user1).depositWithPermit(amount, permit);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(amount);
+    });
+
+    it("Should revert when the permit is invalid and there is no allowance", async function () {
+      const permit = await signPermit(user2, amount);
+
+      await expect(
+        strategyManager.connect(user1).depositWithPermit(amount, permit)
+      ).to.be.revertedWithCustomError(vaultBTC, "ERC20InsufficientAllowance");
+    });
+
+    it("Should deposit and allocate in one transaction", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      const permit = await signPermit(user1, amount);
+
+      await expect(strategyManager.connect(user1).depositAndAllocate(strategyAddress, amount, permit))
+        .to.emit(strategyManager, "AllocatedToStrategy")
+        .withArgs(user1.address, strategyAddress, amount);
+      expect(await strategyManager.userBalances(user1.address)).to.equal(0);
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(amount);
+      expect(await dummyStrategy.balanceOf(user1.address)).to.equal(amount);
+    });
+
+    it("Should deposit and allocate from an existing allowance", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), amount);
+
+      await strategyManager.connect(user1).depositAndAllocate(strategyAddress, amount, NO_PERMIT);
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(amount);
+    });
+
+    it("Should apply allocation checks to depositAndAllocate", async function () {
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), amount);
+
+      await expect(
+        strategyManager.connect(user1).depositAndAllocate(user2.address, amount, NO_PERMIT)
+      ).to.be.revertedWith("Strategy not approved");
+    });
+
+    describe("Trusted Forwarder", function () {
+      let forwarder;
+
+      // Signs a forward request from `signer` calling the manager with `data`
+      async function signRequest(signer, data) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const request = {
+          from: signer.address,
+          to: await strategyManager.getAddress(),
+          value: 0n,
+          gas: 1000000n,
+          nonce: await forwarder.nonces(signer.address),
+          deadline: timestamp + 60 * 60,
+          data
+        };
+        const signature = await signer.signTypedData(
+          { name: "StrategyForwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() },
+          {
+            ForwardRequest: [
+              { name: "from", type: "address" },
+              { name: "to", type: "address" },
+              { name: "value", type: "uint256" },
+              { name: "gas", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "deadline", type: "uint48" },
+              { name: "data", type: "bytes" }
+            ]
+          },
+          request
+        );
+        const { nonce, ...requestData } = request;
+        return { ...requestData, signature };
+      }
+
+      beforeEach(async function () {
+        const StrategyForwarder = await ethers.getContractFactory("StrategyForwarder");
+        forwarder = await StrategyForwarder.deploy();
+        await forwarder.waitForDeployment();
+      });
+
+      it("Should let the admin set the trusted forwarder", async function () {
+        await expect(strategyManager.setTrustedForwarder(await forwarder.getAddress()))
+          .to.emit(strategyManager, "TrustedForwarderUpdated")
+          .withArgs(await forwarder.getAddress());
+        expect(await strategyManager.trustedForwarder()).to.equal(await forwarder.getAddress());
+        expect(await strategyManager.isTrustedForwarder(await forwarder.getAddress())).to.be.true;
+
+        await expect(
+          strategyManager.connect(user1).setTrustedForwarder(user1.address)
+        ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      });
+
+      it("Should credit the signer of a relayed gasless deposit", async function () {
+        await strategyManager.setTrustedForwarder(await forwarder.getAddress());
+        const permit = await signPermit(user1, amount);
+        const data = strategyManager.interface.encodeFunctionData("depositWithPermit", [amount, permit]);
+        const request = await signRequest(user1, data);
+
+        const ethBefore = await ethers.provider.getBalance(user1.address);
+        await forwarder.connect(relayer).execute(request);
+
+        expect(await strategyManager.userBalances(user1.address)).to.equal(amount);
+        expect(await strategyManager.userBalances(relayer.address)).to.equal(0);
+        expect(await ethers.provider.getBalance(user1.address)).to.equal(ethBefore);
+      });
+
+      it("Should act for the signer across relayed calls", async function () {
+        await strategyManager.setTrustedForwarder(await forwarder.getAddress());
+        const strategyAddress = await dummyStrategy.getAddress();
+        await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), amount);
+        await strategyManager.connect(user1).deposit(amount);
+
+        const data = strategyManager.interface.encodeFunctionData("allocateToStrategy", [strategyAddress, amount]);
+        await forwarder.connect(relayer).execute(await signRequest(user1, data));
+
+        expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(amount);
+      });
+
+      it("Should act for the signer inside a relayed multicall", async function () {
+        await strategyManager.setTrustedForwarder(await forwarder.getAddress());
+        const strategyAddress = await dummyStrategy.getAddress();
+        await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), amount);
+        const data = strategyManager.interface.encodeFunctionData("multicall", [[
+          strategyManager.interface.encodeFunctionData("deposit", [amount]),
+          strategyManager.interface.encodeFunctionData("allocateToStrategy", [strategyAddress, amount])
+        ]]);
+
+        await forwarder.connect(relayer).execute(await signRequest(user1, data));
+
+        expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(amount);
+        expect(await strategyManager.userBalances(relayer.address)).to.equal(0);
+      });
+
+      it("Should reject relayed calls until the forwarder is trusted", async function () {
+        const data = strategyManager.interface.encodeFunctionData("withdraw", [amount]);
+        const request = await signRequest(user1, data);
+
+        await expect(
+          forwarder.connect(relayer).execute(request)
+        ).to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+      });
+    });
+  });
+
+  describe("Batch Operations", function () {
+    let otherStrategy, strategyAddress, otherAddress;
+
+    beforeEach(async function () {
+      const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+      otherStrategy = await DummyLendingStrategy.deploy(
+        await vaultBTC.getAddress(),
+        await strategyManager.getAddress()
+      );
+      await otherStrategy.waitForDeployment();
+
+      strategyAddress = await dummyStrategy.getAddress();
+      otherAddress = await otherStrategy.getAddress();
+      await strategyManager.addStrategy(strategyAddress);
+      await strategyManager.addStrategy(otherAddress);
+
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), ethers.parseEther("100"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("100"));
+    });
+
+    it("Should allocate to several strategies in one call", async function () {
+      await expect(
+        strategyManager.connect(user1).allocateMany(
+          [strategyAddress, otherAddress],
+          [ethers.parseEther("30"), ethers.parseEther("20")]
+        )
+      )
+        .to.emit(strategyManager, "AllocatedToStrategy")
+        .withArgs(user1.address, strategyAddress, ethers.parseEther("30"))
+        .and.to.emit(strategyManager, "AllocatedToStrategy")
+        .withArgs(user1.address, otherAddress, ethers.parseEther("20"));
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("50"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(ethers.parseEther("30"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, otherAddress)).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should withdraw from several strategies in one call", async function () {
+      await strategyManager.connect(user1).allocateMany(
+        [strategyAddress, otherAddress],
+        [ethers.parseEther("30"), ethers.parseEther("20")]
+      );
+
+      await strategyManager.connect(user1).withdrawManyFromStrategies(
+        [strategyAddress, otherAddress],
+        [ethers.parseEther("10"), ethers.parseEther("5")]
+      );
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("65"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(ethers.parseEther("20"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, otherAddress)).to.equal(ethers.parseEther("15"));
+    });
+
+    it("Should reject batches with mismatched lengths", async function () {
+      await expect(
+        strategyManager.connect(user1).allocateMany([strategyAddress, otherAddress], [ethers.parseEther("1")])
+      ).to.be.revertedWith("Length mismatch");
+      await expect(
+        strategyManager.connect(user1).withdrawManyFromStrategies([strategyAddress], [])
+      ).to.be.revertedWith("Length mismatch");
+    });
+
+    it("Should revert the whole batch when one step fails", async function () {
+      await expect(
+        strategyManager.connect(user1).allocateMany(
+          [strategyAddress, user2.address],
+          [ethers.parseEther("30"), ethers.parseEther("20")]
+        )
+      ).to.be.revertedWith("Strategy not approved");
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(0);
+    });
+
+    it("Should move funds between strategies with reallocate", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("50"));
+
+      await expect(strategyManager.connect(user1).reallocate(strategyAddress, otherAddress, ethers.parseEther("20")))
+        .to.emit(strategyManager, "WithdrawnFromStrategy")
+        .withArgs(user1.address, strategyAddress, ethers.parseEther("20"))
+        .and.to.emit(strategyManager, "AllocatedToStrategy")
+        .withArgs(user1.address, otherAddress, ethers.parseEther("20"));
+
+      expect(await strategyManager.userBalances(user1.address)).to.equal(ethers.parseEther("50"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(ethers.parseEther("30"));
+      expect(await strategyManager.userStrategyAllocations(user1.address, otherAddress)).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should apply allocation checks to the target of a reallocation", async function () {
+      await strategyManager.connect(user1).allocateToStrategy(strategyAddress, ethers.parseEther("50"));
+      await strategyManager.setStrategyCap(otherAddress, ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).reallocate(strategyAddress, otherAddress, ethers.parseEther("20"))
+      ).to.be.revertedWith("Strategy cap exceeded");
+      expect(await strategyManager.userStrategyAllocations(user1.address, strategyAddress)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should batch arbitrary calls with multicall", async function () {
+      await vaultBTC.connect(user2).approve(await strategyManager.getAddress(), ethers.parseEther("10"));
+      const calls = [
+        strategyManager.interface.encodeFunctionData("deposit", [ethers.parseEther("10")]),
+        strategyManager.interface.encodeFunctionData("allocateToStrategy", [strategyAddress, ethers.parseEther("4")])
+      ];
+
+      await strategyManager.connect(user2).multicall(calls);
+
+      expect(await strategyManager.userBalances(user2.address)).to.equal(ethers.parseEther("6"));
+      expect(await strategyManager.userStrategyAllocations(user2.address, strategyAddress)).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should revert the whole multicall when one call fails", async function () {
+      await vaultBTC.connect(user2).approve(await strategyManager.getAddress(), ethers.parseEther("10"));
+      const calls = [
+        strategyManager.interface.encodeFunctionData("deposit", [ethers.parseEther("10")]),
+        strategyManager.interface.encodeFunctionData("allocateToStrategy", [strategyAddress, ethers.parseEther("20")])
+      ];
+
+      await expect(strategyManager.connect(user2).multicall(calls)).to.be.revertedWith("Insufficient balance");
+      expect(await strategyManager.userBalances(user2.address)).to.equal(0);
+    });
+  });
+
+  describe("Compounding", function () {
+    let strategyAddress, lossyAddress;
+
+    beforeEach(async function () {
+      const MockLossyStrategy = await ethers.getContractFactory("MockLossyStrategy");
+      const lossyStrategy = await MockLossyStrategy.deploy(
+        await vaultBTC.getAddress(),
+        await strategyManager.getAddress()
+      );
+      await lossyStrategy.waitForDeployment();
+
+      strategyAddress = await dummyStrategy.getAddress();
+      lossyAddress = await lossyStrategy.getAddress();
+      await strategyManager.addStrategy(strategyAddress);
+      await strategyManager.addStrategy(lossyAddress);
+      await strategyManager.grantRole(await strategyManager.KEEPER_ROLE(), owner.address);
+
+      // Fund the strategy's reward reserve so simulated yield is backed by vBTC
+      await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+      await vaultBTC.approve(strategyAddress, ethers.parseEther("100"));
+      await dummyStrategy.fundReserve(ethers.parseEther("100"));
+
+      for (const user of [user1, user2]) {
+        await vaultBTC.connect(user).approve(await strategyManager.getAddress(), ethers.parseEther("200"));
+        await strategyManager.connect(user).deposit(ethers.parseEther("200"));
+        await strategyManager.connect(user).allocateToStrategy(strategyAddress, ethers.parseEther("100"));
+      }
+    });
+
+    it("Should compound every position in a strategy", async function () {
+      // user2 allocated last, so their position is exactly a year old when compounded
+      await setNextBlockAfter(ONE_YEAR);
+      await strategyManager.compound(strategyAddress, 0, 10);
+
+      expect((await dummyStrategy.positions(user2.address)).depositedAmount).to.equal(ethers.parseEther("105"));
+      expect((await dummyStrategy.positions(user1.address)).depositedAmount).to.be.gt(ethers.parseEther("105"));
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(0);
+      expect(await dummyStrategy.getYield(user2.address)).to.equal(0);
+    });
+
+    it("Should compound a strategy one page of positions at a time", async function () {
+      await setNextBlockAfter(ONE_YEAR);
+      const [, next] = await strategyManager.compound.staticCall(strategyAddress, 0, 1);
+      expect(next).to.equal(1);
+
+      // The first page only holds user1's position
+      await expect(strategyManager.compound(strategyAddress, 0, 1))
+        .to.emit(strategyManager, "Compounded")
+        .withArgs(strategyAddress, 1, (value) => value > ethers.parseEther("5"));
+      expect(await dummyStrategy.getYield(user1.address)).to.equal(0);
+      expect((await dummyStrategy.positions(user2.address)).depositedAmount).to.equal(ethers.parseEther("100"));
+
+      // The last page wraps the cursor back to zero
+      const [, last] = await strategyManager.compound.staticCall(strategyAddress, 1, 1);
+      expect(last).to.equal(0);
+      await expect(strategyManager.compound(strategyAddress, 1, 1))
+        .to.emit(strategyManager, "Compounded")
+        .withArgs(strategyAddress, 1, (value) => value > 0n);
+      expect(await dummyStrategy.getYield(user2.address)).to.equal(0);
+    });
+
+    it("Should compound nothing past the last position", async function () {
+      await expect(strategyManager.compound(strategyAddress, 5, 10))
+        .to.emit(strategyManager, "Compounded")
+        .withArgs(strategyAddress, 0, 0);
+    });
+
+    it("Should leave balances and allocations unchanged", async function () {
+      await setNextBlockAfter(ONE_YEAR);
+      await ethers.provider.send("evm_mine", []);
+      const balanceBefore = await dummyStrategy.balanceOf(user2.address);
+
+      await strategyManager.compound(strategyAddress, 0, 10);
+
+      // The compound lands one second later, which accrues one second of yield
+      expect(await dummyStrategy.balanceOf(user2.address)).to.be.closeTo(balanceBefore, ethers.parseEther("0.000001"));
+      expect(await strategyManager.userStrategyAllocations(user2.address, strategyAddress)).to.equal(ethers.parseEther("100"));
+      expect(await strategyManager.userBalances(user2.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should emit Compounded with the number of positions and yield compounded", async function () {
+      await setNextBlockAfter(ONE_YEAR);
+      const tx = await strategyManager.compound(strategyAddress, 0, 10);
+
+      const compounded =
+        (await dummyStrategy.positions(user1.address)).depositedAmount +
+        (await dummyStrategy.positions(user2.address)).depositedAmount -
+        ethers.parseEther("200");
+      await expect(tx).to.emit(strategyManager, "Compounded").withArgs(strategyAddress, 2, compounded);
+    });
+
+    it("Should charge the performance fee on compounded yield when it is withdrawn", async function () {
+      await strategyManager.queueFeeChange(1000, 0); // 10% of yield
+      await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+      await strategyManager.applyFeeChange();
+
+      await strategyManager.compound(strategyAddress, 0, 10);
+      const balance = await dummyStrategy.balanceOf(user2.address);
+
+      await strategyManager.connect(user2).withdrawAllFromStrategy(strategyAddress);
+
+      const [performanceFees] = await strategyManager.strategyFees(strategyAddress);
+      expect(performanceFees).to.be.gte((balance - ethers.parseEther("100")) / 10n);
+      expect(performanceFees).to.be.gt(0);
+    });
+
+    it("Should harvest every compounding strategy and skip the others", async function () {
+      await setNextBlockAfter(ONE_YEAR);
+      const tx = await strategyManager.harvest(0, 10);
+
+      await expect(tx).to.emit(strategyManager, "Compounded");
+      expect((await dummyStrategy.positions(user2.address)).depositedAmount).to.equal(ethers.parseEther("105"));
+    });
+
+    it("Should return where the next harvest page starts", async function () {
+      expect(await strategyManager.harvest.staticCall(0, 1)).to.equal(1);
+      expect(await strategyManager.harvest.staticCall(1, 1)).to.equal(0);
+      expect(await strategyManager.harvest.staticCall(0, 10)).to.equal(0);
+    });
+
+    it("Should not compound a strategy that cannot compound", async function () {
+      await expect(
+        strategyManager.compound(lossyAddress, 0, 10)
+      ).to.be.revertedWith("Strategy cannot compound");
+    });
+
+    it("Should not compound an unapproved strategy", async function () {
+      await expect(
+        strategyManager.compound(user1.address, 0, 10)
+      ).to.be.revertedWith("Strategy not approved");
+    });
+
+    it("Should only allow keepers to compound or harvest", async function () {
+      await expect(
+        strategyManager.connect(user1).compound(strategyAddress, 0, 10)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        strategyManager.connect(user1).harvest(0, 10)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not compound while paused", async function () {
+      await strategyManager.pause();
+
+      await expect(
+        strategyManager.compound(strategyAddress, 0, 10)
+      ).to.be.revertedWithCustomError(strategyManager, "EnforcedPause");
+    });
+  });
+
+  describe("Roles", function () {
+    let guardian, strategist, feeManager;
+
+    beforeEach(async function () {
+      [, , , guardian, strategist, feeManager] = await ethers.getSigners();
+      await strategyManager.grantRole(await strategyManager.GUARDIAN_ROLE(), guardian.address);
+      await strategyManager.grantRole(await strategyManager.STRATEGIST_ROLE(), strategist.address);
+      await strategyManager.grantRole(await strategyManager.FEE_MANAGER_ROLE(), feeManager.address);
+    });
+
+    it("Should let the guardian pause but not unpause", async function () {
+      await strategyManager.connect(guardian).pause();
+      expect(await strategyManager.paused()).to.be.true;
+
+      await expect(
+        strategyManager.connect(guardian).unpause()
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await strategyManager.unpause();
+    });
+
+    it("Should let the strategist manage strategies only", async function () {
+      await strategyManager.connect(strategist).addStrategy(await dummyStrategy.getAddress());
+      await strategyManager.connect(strategist).setStrategyCap(await dummyStrategy.getAddress(), 1);
+      await strategyManager.connect(strategist).startWindDown(await dummyStrategy.getAddress());
+
+      await expect(
+        strategyManager.connect(strategist).queueFeeChange(1000, 0)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(strategist).pause()
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let the fee manager change fees only", async function () {
+      await strategyManager.connect(feeManager).queueFeeChange(1000, 0);
+      await strategyManager.connect(feeManager).setFeeRecipient(feeManager.address);
+
+      await expect(
+        strategyManager.connect(feeManager).addStrategy(await dummyStrategy.getAddress())
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(feeManager).setTvlCap(1)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should stop working for an account once its role is revoked", async function () {
+      await strategyManager.revokeRole(await strategyManager.STRATEGIST_ROLE(), strategist.address);
+
+      await expect(
+        strategyManager.connect(strategist).addStrategy(await dummyStrategy.getAddress())
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reserve shutdown and role management for the admin", async function () {
+      await expect(
+        strategyManager.connect(guardian).shutdown()
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(strategist).grantRole(await strategyManager.GUARDIAN_ROLE(), strategist.address)
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
 });
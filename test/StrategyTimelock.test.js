@@ -0,0 +1,272 @@
+/**
+ * Test Suite for StrategyTimelock
+ *
+ * Tests that strategy listing, delisting, fee and cap changes on the StrategyManager
+ * only take effect after going through queue -> delay -> execute
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("StrategyTimelock", function () {
+  const MIN_DELAY = 2 * 24 * 60 * 60;
+  const NO_PREDECESSOR = ethers.ZeroHash;
+
+  let vaultBTC, strategyManager, dummyStrategy, timelock;
+  let deployer, proposer, executor, user1;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Queues a single StrategyManager call and returns the arguments needed to execute it
+  async function queue(fn, args, salt = ethers.ZeroHash, delay = MIN_DELAY) {
+    const target = await strategyManager.getAddress();
+    const data = strategyManager.interface.encodeFunctionData(fn, args);
+    await timelock.connect(proposer).schedule(target, 0, data, NO_PREDECESSOR, salt, delay);
+    const id = await timelock.hashOperation(target, 0, data, NO_PREDECESSOR, salt);
+    return { id, call: [target, 0, data, NO_PREDECESSOR, salt] };
+  }
+
+  beforeEach(async function () {
+    [deployer, proposer, executor, user1] = await ethers.getSigners();
+
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    dummyStrategy = await DummyLendingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress()
+    );
+    await dummyStrategy.waitForDeployment();
+
+    const StrategyTimelock = await ethers.getContractFactory("StrategyTimelock");
+    timelock = await StrategyTimelock.deploy(MIN_DELAY, [proposer.address], [executor.address], ethers.ZeroAddress);
+    await timelock.waitForDeployment();
+
+    // Hand every privileged StrategyManager role except the guardian to the timelock
+    const timelockAddress = await timelock.getAddress();
+    for (const roleName of ["STRATEGIST_ROLE", "FEE_MANAGER_ROLE", "DEFAULT_ADMIN_ROLE"]) {
+      const role = await strategyManager[roleName]();
+      await strategyManager.grantRole(role, timelockAddress);
+      await strategyManager.renounceRole(role, deployer.address);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set the minimum delay", async function () {
+      expect(await timelock.getMinDelay()).to.equal(MIN_DELAY);
+    });
+
+    it("Should grant proposer, canceller and executor roles", async function () {
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), proposer.address)).to.be.true;
+      expect(await timelock.hasRole(await timelock.CANCELLER_ROLE(), proposer.address)).to.be.true;
+      expect(await timelock.hasRole(await timelock.EXECUTOR_ROLE(), executor.address)).to.be.true;
+    });
+
+    it("Should leave no direct path to list strategies", async function () {
+      await expect(
+        strategyManager.addStrategy(await dummyStrategy.getAddress())
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        strategyManager.connect(proposer).addStrategy(await dummyStrategy.getAddress())
+      ).to.be.revertedWithCustomError(strategyManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Strategy Listing", function () {
+    it("Should list a strategy only after the delay", async function () {
+      const { id, call } = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+
+      await expect(
+        timelock.connect(executor).execute(...call)
+      ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+      expect(await strategyManager.isStrategyApproved(await dummyStrategy.getAddress())).to.be.false;
+
+      await increaseTime(MIN_DELAY);
+      await expect(timelock.connect(executor).execute(...call))
+        .to.emit(timelock, "CallExecuted")
+        .and.to.emit(strategyManager, "StrategyAdded");
+
+      expect(await strategyManager.isStrategyApproved(await dummyStrategy.getAddress())).to.be.true;
+      expect(await timelock.isOperationDone(id)).to.be.true;
+    });
+
+    it("Should keep a queued strategy closed to allocations until executed", async function () {
+      const { call } = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+
+      await vaultBTC.mint(user1.address, ethers.parseEther("10"));
+      await vaultBTC.connect(user1).approve(await strategyManager.getAddress(), ethers.parseEther("10"));
+      await strategyManager.connect(user1).deposit(ethers.parseEther("10"));
+
+      await expect(
+        strategyManager.connect(user1).allocateToStrategy(await dummyStrategy.getAddress(), ethers.parseEther("1"))
+      ).to.be.revertedWith("Strategy not approved");
+
+      // Depositors can still exit while the listing is pending
+      await strategyManager.connect(user1).withdraw(ethers.parseEther("10"));
+
+      await increaseTime(MIN_DELAY);
+      await timelock.connect(executor).execute(...call);
+      expect(await strategyManager.isStrategyApproved(await dummyStrategy.getAddress())).to.be.true;
+    });
+
+    it("Should delist a strategy only after the delay", async function () {
+      const listing = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+      await increaseTime(MIN_DELAY);
+      await timelock.connect(executor).execute(...listing.call);
+
+      const delisting = await queue("removeStrategy", [await dummyStrategy.getAddress()]);
+      expect(await strategyManager.isStrategyApproved(await dummyStrategy.getAddress())).to.be.true;
+
+      await increaseTime(MIN_DELAY);
+      await expect(timelock.connect(executor).execute(...delisting.call))
+        .to.emit(strategyManager, "StrategyRemoved");
+      expect(await strategyManager.isStrategyApproved(await dummyStrategy.getAddress())).to.be.false;
+    });
+
+    it("Should reject a delay below the minimum", async function () {
+      await expect(
+        queue("addStrategy", [await dummyStrategy.getAddress()], ethers.ZeroHash, MIN_DELAY - 1)
+      ).to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+    });
+
+    it("Should only let proposers queue and executors execute", async function () {
+      const target = await strategyManager.getAddress();
+      const data = strategyManager.interface.encodeFunctionData("addStrategy", [await dummyStrategy.getAddress()]);
+
+      await expect(
+        timelock.connect(user1).schedule(target, 0, data, NO_PREDECESSOR, ethers.ZeroHash, MIN_DELAY)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+
+      const { call } = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+      await increaseTime(MIN_DELAY);
+      await expect(
+        timelock.connect(user1).execute(...call)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Fee and Cap Changes", function () {
+    it("Should queue a fee change through the timelock", async function () {
+      const { call } = await queue("queueFeeChange", [1000, 100]);
+      await increaseTime(MIN_DELAY);
+      await expect(timelock.connect(executor).execute(...call))
+        .to.emit(strategyManager, "FeeChangeQueued");
+
+      const pending = await strategyManager.pendingFeeChange();
+      expect(pending.performanceFee).to.equal(1000);
+      expect(pending.managementFee).to.equal(100);
+    });
+
+    it("Should list a strategy together with its caps in one batch", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      const target = await strategyManager.getAddress();
+      const payloads = [
+        strategyManager.interface.encodeFunctionData("addStrategy", [strategyAddress]),
+        strategyManager.interface.encodeFunctionData("setTvlCap", [ethers.parseEther("1000")]),
+        strategyManager.interface.encodeFunctionData("setStrategyCap", [strategyAddress, ethers.parseEther("100")])
+      ];
+
+      await timelock.connect(proposer).scheduleBatch(
+        [target, target, target], [0, 0, 0], payloads, NO_PREDECESSOR, ethers.ZeroHash, MIN_DELAY
+      );
+      expect(await strategyManager.tvlCap()).to.equal(0);
+
+      await increaseTime(MIN_DELAY);
+      await timelock.connect(executor).executeBatch(
+        [target, target, target], [0, 0, 0], payloads, NO_PREDECESSOR, ethers.ZeroHash
+      );
+
+      expect(await strategyManager.tvlCap()).to.equal(ethers.parseEther("1000"));
+      expect(await strategyManager.strategyCaps(strategyAddress)).to.equal(ethers.parseEther("100"));
+      expect(await timelock.getPendingOperationCount()).to.equal(0);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should cancel a queued operation", async function () {
+      const { id, call } = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+
+      await expect(timelock.connect(proposer).cancel(id))
+        .to.emit(timelock, "Cancelled")
+        .withArgs(id);
+
+      await increaseTime(MIN_DELAY);
+      await expect(
+        timelock.connect(executor).execute(...call)
+      ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+      expect(await strategyManager.isStrategyApproved(await dummyStrategy.getAddress())).to.be.false;
+    });
+
+    it("Should only let cancellers cancel", async function () {
+      const { id } = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+
+      await expect(
+        timelock.connect(user1).cancel(id)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Pending Operations", function () {
+    it("Should list queued operations with their ready time", async function () {
+      const listing = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const feeChange = await queue("queueFeeChange", [500, 0]);
+
+      const [ids, readyAt] = await timelock.getPendingOperations();
+      expect([...ids]).to.have.members([listing.id, feeChange.id]);
+      expect(readyAt[ids.indexOf(listing.id)]).to.equal(timestamp + MIN_DELAY);
+      expect(await timelock.getPendingOperationCount()).to.equal(2);
+    });
+
+    it("Should drop executed and cancelled operations", async function () {
+      const listing = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+      const feeChange = await queue("queueFeeChange", [500, 0]);
+      const capChange = await queue("setTvlCap", [ethers.parseEther("1000")]);
+
+      await timelock.connect(proposer).cancel(feeChange.id);
+      await increaseTime(MIN_DELAY);
+      await timelock.connect(executor).execute(...listing.call);
+
+      const [ids] = await timelock.getPendingOperations();
+      expect([...ids]).to.deep.equal([capChange.id]);
+    });
+
+    it("Should allow re-queueing an identical call with a new salt", async function () {
+      const first = await queue("addStrategy", [await dummyStrategy.getAddress()]);
+      await timelock.connect(proposer).cancel(first.id);
+
+      const second = await queue("addStrategy", [await dummyStrategy.getAddress()], ethers.id("retry"));
+      const [ids] = await timelock.getPendingOperations();
+      expect([...ids]).to.deep.equal([second.id]);
+    });
+  });
+
+  describe("Delay Configuration", function () {
+    it("Should only change the delay through a queued operation", async function () {
+      await expect(
+        timelock.connect(proposer).updateDelay(MIN_DELAY * 2)
+      ).to.be.revertedWithCustomError(timelock, "TimelockUnauthorizedCaller");
+
+      const target = await timelock.getAddress();
+      const data = timelock.interface.encodeFunctionData("updateDelay", [MIN_DELAY * 2]);
+      await timelock.connect(proposer).schedule(target, 0, data, NO_PREDECESSOR, ethers.ZeroHash, MIN_DELAY);
+      await increaseTime(MIN_DELAY);
+
+      await expect(timelock.connect(executor).execute(target, 0, data, NO_PREDECESSOR, ethers.ZeroHash))
+        .to.emit(timelock, "MinDelayChange")
+        .withArgs(MIN_DELAY, MIN_DELAY * 2);
+      expect(await timelock.getMinDelay()).to.equal(MIN_DELAY * 2);
+    });
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * Test Suite for StrategyVault
+ *
+ * Tests ERC-4626 share accounting, strategy allocation through the StrategyManager,
+ * and withdrawals that unwind strategy positions
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("StrategyVault", function () {
+  const ONE_YEAR = 365 * 24 * 60 * 60;
+
+  let vaultBTC, strategyManager, dummyStrategy, strategyVault;
+  let owner, user1, user2;
+
+  // Moves the chain forward by exactly `seconds`
+  async function increaseTime(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp + seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    // Deploy VaultBTC
+    const VaultBTC = await ethers.getContractFactory("VaultBTC");
+    vaultBTC = await VaultBTC.deploy();
+    await vaultBTC.waitForDeployment();
+
+    // Deploy StrategyManager
+    const StrategyManager = await ethers.getContractFactory("StrategyManager");
+    strategyManager = await StrategyManager.deploy(await vaultBTC.getAddress());
+    await strategyManager.waitForDeployment();
+
+    // Deploy DummyLendingStrategy
+    const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+    dummyStrategy = await DummyLendingStrategy.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress()
+    );
+    await dummyStrategy.waitForDeployment();
+
+    // Deploy StrategyVault
+    const StrategyVault = await ethers.getContractFactory("StrategyVault");
+    strategyVault = await StrategyVault.deploy(
+      await vaultBTC.getAddress(),
+      await strategyManager.getAddress()
+    );
+    await strategyVault.waitForDeployment();
+
+    // Setup: Add strategy, fund its reward reserve and give users vBTC
+    await strategyManager.addStrategy(await dummyStrategy.getAddress());
+    await vaultBTC.mint(owner.address, ethers.parseEther("100"));
+    await vaultBTC.approve(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+    await dummyStrategy.fundReserve(ethers.parseEther("100"));
+
+    await vaultBTC.mint(user1.address, ethers.parseEther("1000"));
+    await vaultBTC.mint(user2.address, ethers.parseEther("1000"));
+    await vaultBTC.connect(user1).approve(await strategyVault.getAddress(), ethers.MaxUint256);
+    await vaultBTC.connect(user2).approve(await strategyVault.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Deployment", function () {
+    it("Should use vBTC as the underlying asset", async function () {
+      expect(await strategyVault.asset()).to.equal(await vaultBTC.getAddress());
+    });
+
+    it("Should set share token name and symbol", async function () {
+      expect(await strategyVault.name()).to.equal("Vault Bitcoin Shares");
+      expect(await strategyVault.symbol()).to.equal("svBTC");
+    });
+
+    it("Should reject a manager for a different asset", async function () {
+      const VaultBTC = await ethers.getContractFactory("VaultBTC");
+      const otherToken = await VaultBTC.deploy();
+      const StrategyVault = await ethers.getContractFactory("StrategyVault");
+
+      await expect(
+        StrategyVault.deploy(await otherToken.getAddress(), await strategyManager.getAddress())
+      ).to.be.revertedWith("Asset mismatch");
+    });
+  });
+
+  describe("Deposits and Mints", function () {
+    it("Should mint shares 1:1 on first deposit", async function () {
+      await strategyVault.connect(user1).deposit(ethers.parseEther("100"), user1.address);
+
+      expect(await strategyVault.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+      expect(await strategyVault.totalAssets()).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should match previewDeposit and previewMint", async function () {
+      await strategyVault.connect(user1).deposit(ethers.parseEther("100"), user1.address);
+
+      const shares = await strategyVault.previewDeposit(ethers.parseEther("50"));
+      await strategyVault.connect(user2).deposit(ethers.parseEther("50"), user2.address);
+      expect(await strategyVault.balanceOf(user2.address)).to.equal(shares);
+
+      const assets = await strategyVault.previewMint(ethers.parseEther("10"));
+      const balanceBefore = await vaultBTC.balanceOf(user2.address);
+      await strategyVault.connect(user2).mint(ethers.parseEther("10"), user2.address);
+      expect(balanceBefore - (await vaultBTC.balanceOf(user2.address))).to.equal(assets);
+    });
+
+    it("Should emit Deposit event", async function () {
+      await expect(strategyVault.connect(user1).deposit(ethers.parseEther("100"), user1.address))
+        .to.emit(strategyVault, "Deposit")
+        .withArgs(user1.address, user1.address, ethers.parseEther("100"), ethers.parseEther("100"));
+    });
+  });
+
+  describe("Strategy Allocation", function () {
+    beforeEach(async function () {
+      await strategyVault.connect(user1).deposit(ethers.parseEther("100"), user1.address);
+    });
+
+    it("Should allocate idle vBTC through the StrategyManager", async function () {
+      await expect(strategyVault.allocate(await dummyStrategy.getAddress(), ethers.parseEther("60")))
+        .to.emit(strategyVault, "AllocatedToStrategy")
+        .withArgs(await dummyStrategy.getAddress(), ethers.parseEther("60"));
+
+      expect(
+        await strategyManager.userStrategyAllocations(
+          await strategyVault.getAddress(),
+          await dummyStrategy.getAddress()
+        )
+      ).to.equal(ethers.parseEther("60"));
+      expect(await vaultBTC.balanceOf(await strategyVault.getAddress())).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should include strategy balances in totalAssets", async function () {
+      await strategyVault.allocate(await dummyStrategy.getAddress(), ethers.parseEther("60"));
+      expect(await strategyVault.totalAssets()).to.equal(ethers.parseEther("100"));
+
+      // 60 vBTC * 5% APR for one year = 3 vBTC of yield
+      await increaseTime(ONE_YEAR);
+      expect(await strategyVault.totalAssets()).to.equal(ethers.parseEther("103"));
+    });
+
+    it("Should raise the share price as strategies earn yield", async function () {
+      await strategyVault.allocate(await dummyStrategy.getAddress(), ethers.parseEther("100"));
+      await increaseTime(ONE_YEAR);
+
+      await strategyVault.connect(user2).deposit(ethers.parseEther("100"), user2.address);
+
+      expect(await strategyVault.balanceOf(user2.address)).to.be.lessThan(ethers.parseEther("100"));
+      expect(await strategyVault.convertToAssets(ethers.parseEther("1"))).to.be.greaterThan(ethers.parseEther("1"));
+    });
+
+    it("Should allow owner to deallocate back to idle", async function () {
+      await strategyVault.allocate(await dummyStrategy.getAddress(), ethers.parseEther("60"));
+
+      await expect(strategyVault.deallocate(await dummyStrategy.getAddress(), ethers.parseEther("20")))
+        .to.emit(strategyVault, "DeallocatedFromStrategy")
+        .withArgs(await dummyStrategy.getAddress(), ethers.parseEther("20"));
+
+      expect(await vaultBTC.balanceOf(await strategyVault.getAddress())).to.equal(ethers.parseEther("60"));
+      expect(await strategyManager.userBalances(await strategyVault.getAddress())).to.equal(0);
+    });
+
+    it("Should revert allocation above idle balance", async function () {
+      await expect(
+        strategyVault.allocate(await dummyStrategy.getAddress(), ethers.parseEther("150"))
+      ).to.be.revertedWith("Insufficient idle balance");
+    });
+
+    it("Should prevent non-curator from allocating", async function () {
+      await expect(
+        strategyVault.connect(user1).allocate(await dummyStrategy.getAddress(), ethers.parseEther("10"))
+      ).to.be.revertedWith("Only owner or curator");
+    });
+  });
+
+  describe("Withdrawals and Redemptions", function () {
+    beforeEach(async function () {
+      await strategyVault.connect(user1).deposit(ethers.parseEther("100"), user1.address);
+      await strategyVault.allocate(await dummyStrategy.getAddress(), ethers.parseEther("80"));
+    });
+
+    it("Should serve small withdrawals from idle vBTC", async function () {
+      await strategyVault.connect(user1).withdraw(ethers.parseEther("20"), user1.address, user1.address);
+
+      expect(
+        await strategyManager.userStrategyAllocations(
+          await strategyVault.getAddress(),
+          await dummyStrategy.getAddress()
+        )
+      ).to.equal(ethers.parseEther("80"));
+    });
+
+    it("Should pull from strategies when idle vBTC is short", async function () {
+      const balanceBefore = await vaultBTC.balanceOf(user1.address);
+
+      await strategyVault.connect(user1).withdraw(ethers.parseEther("50"), user1.address, user1.address);
+
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("50"));
+      expect(
+        await strategyManager.userStrategyAllocations(
+          await strategyVault.getAddress(),
+          await dummyStrategy.getAddress()
+        )
+      ).to.equal(ethers.parseEther("50"));
+    });
+
+    describe("With Manager Fees", function () {
+      beforeEach(async function () {
+        await strategyManager.queueFeeChange(2000, 200); // 20% of yield, 2% a year
+        await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+        await strategyManager.applyFeeChange();
+        await increaseTime(ONE_YEAR);
+      });
+
+      it("Should withdraw extra principal to cover the management fee", async function () {
+        const balanceBefore = await vaultBTC.balanceOf(user1.address);
+
+        await strategyVault.connect(user1).withdraw(ethers.parseEther("60"), user1.address, user1.address);
+
+        expect(await vaultBTC.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("60"));
+        const [, managementFees] = await strategyManager.strategyFees(await dummyStrategy.getAddress());
+        expect(managementFees).to.be.gt(0);
+      });
+
+      it("Should withdraw extra yield to cover the performance fee", async function () {
+        // 20 idle + 80 allocated, plus about 4.2 of yield, so 81 must come from the strategy
+        const balanceBefore = await vaultBTC.balanceOf(user1.address);
+
+        await strategyVault.connect(user1).withdraw(ethers.parseEther("101"), user1.address, user1.address);
+
+        expect(await vaultBTC.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("101"));
+        const [performanceFees] = await strategyManager.strategyFees(await dummyStrategy.getAddress());
+        expect(performanceFees).to.be.gt(0);
+        expect(
+          await strategyManager.userStrategyAllocations(
+            await strategyVault.getAddress(),
+            await dummyStrategy.getAddress()
+          )
+        ).to.equal(0);
+      });
+
+      it("Should redeem all shares for their value after fees", async function () {
+        const shares = await strategyVault.balanceOf(user1.address);
+        const assets = await strategyVault.previewRedeem(shares);
+        const balanceBefore = await vaultBTC.balanceOf(user1.address);
+
+        await strategyVault.connect(user1).redeem(shares, user1.address, user1.address);
+
+        expect(await strategyVault.balanceOf(user1.address)).to.equal(0);
+        expect((await vaultBTC.balanceOf(user1.address)) - balanceBefore).to.be.gte(assets);
+      });
+    });
+
+    it("Should redeem all shares for principal plus yield", async function () {
+      await increaseTime(30 * 24 * 60 * 60);
+      const balanceBefore = await vaultBTC.balanceOf(user1.address);
+      const shares = await strategyVault.balanceOf(user1.address);
+
+      await strategyVault.connect(user1).redeem(shares, user1.address, user1.address);
+
+      expect(await strategyVault.balanceOf(user1.address)).to.equal(0);
+      expect(await vaultBTC.balanceOf(user1.address)).to.be.greaterThan(balanceBefore + ethers.parseEther("100"));
+    });
+
+    it("Should honour previewWithdraw and previewRedeem", async function () {
+      // Yield accrues every second, so previews taken a block earlier are conservative
+      const shares = await strategyVault.previewWithdraw(ethers.parseEther("30"));
+      const sharesBefore = await strategyVault.balanceOf(user1.address);
+      await strategyVault.connect(user1).withdraw(ethers.parseEther("30"), user1.address, user1.address);
+      expect(sharesBefore - (await strategyVault.balanceOf(user1.address))).to.be.lte(shares);
+
+      const assets = await strategyVault.previewRedeem(ethers.parseEther("10"));
+      const balanceBefore = await vaultBTC.balanceOf(user1.address);
+      await strategyVault.connect(user1).redeem(ethers.parseEther("10"), user1.address, user1.address);
+      expect((await vaultBTC.balanceOf(user1.address)) - balanceBefore).to.be.gte(assets);
+    });
+
+    it("Should limit maxWithdraw to idle vBTC while the manager is paused", async function () {
+      expect(await strategyVault.maxWithdraw(user1.address)).to.equal(ethers.parseEther("100"));
+
+      await strategyManager.pause();
+
+      expect(await strategyVault.maxWithdraw(user1.address)).to.equal(ethers.parseEther("20"));
+      expect(await strategyVault.maxRedeem(user1.address)).to.equal(
+        await strategyVault.convertToShares(ethers.parseEther("20"))
+      );
+    });
+
+    it("Should cap maxWithdraw at idle vBTC plus strategy liquidity", async function () {
+      await dummyStrategy.setLiquidityLimit(ethers.parseEther("30"));
+
+      // 20 idle + 30 the strategy can pay instantly
+      expect(await strategyVault.maxWithdraw(user1.address)).to.equal(ethers.parseEther("50"));
+      expect(await strategyVault.maxRedeem(user1.address)).to.equal(
+        await strategyVault.convertToShares(ethers.parseEther("50"))
+      );
+      await expect(
+        strategyVault.connect(user1).withdraw(ethers.parseEther("51"), user1.address, user1.address)
+      ).to.be.revertedWithCustomError(strategyVault, "ERC4626ExceededMaxWithdraw");
+
+      const balanceBefore = await vaultBTC.balanceOf(user1.address);
+      await strategyVault.connect(user1).withdraw(ethers.parseEther("50"), user1.address, user1.address);
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("50"));
+      expect(await strategyVault.maxWithdraw(user1.address)).to.equal(0);
+    });
+
+    it("Should let shares be transferred and redeemed by the new holder", async function () {
+      await strategyVault.connect(user1).transfer(user2.address, ethers.parseEther("40"));
+      const balanceBefore = await vaultBTC.balanceOf(user2.address);
+
+      await strategyVault.connect(user2).redeem(ethers.parseEther("40"), user2.address, user2.address);
+
+      expect(await vaultBTC.balanceOf(user2.address)).to.be.gte(balanceBefore + ethers.parseEther("40"));
+    });
+  });
+
+  describe("Target Weights and Rebalancing", function () {
+    let secondStrategy;
+
+    beforeEach(async function () {
+      const DummyLendingStrategy = await ethers.getContractFactory("DummyLendingStrategy");
+      secondStrategy = await DummyLendingStrategy.deploy(
+        await vaultBTC.getAddress(),
+        await strategyManager.getAddress()
+      );
+      await secondStrategy.waitForDeployment();
+      await strategyManager.addStrategy(await secondStrategy.getAddress());
+
+      await strategyVault.connect(user1).deposit(ethers.parseEther("1000"), user1.address);
+    });
+
+    it("Should allow owner to set target weights", async function () {
+      await expect(strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 6000))
+        .to.emit(strategyVault, "TargetWeightSet")
+        .withArgs(await dummyStrategy.getAddress(), 6000);
+
+      expect(await strategyVault.targetWeights(await dummyStrategy.getAddress())).to.equal(6000);
+      expect(await strategyVault.totalTargetWeight()).to.equal(6000);
+    });
+
+    it("Should reject total weight above 100%", async function () {
+      await strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 6000);
+
+      await expect(
+        strategyVault.setTargetWeight(await secondStrategy.getAddress(), 5000)
+      ).to.be.revertedWith("Total weight exceeds 100%");
+    });
+
+    it("Should reject weights for unapproved strategies", async function () {
+      await expect(
+        strategyVault.setTargetWeight(user2.address, 1000)
+      ).to.be.revertedWith("Strategy not approved");
+    });
+
+    it("Should let a curator manage weights but not reassign the curator", async function () {
+      await expect(strategyVault.setCurator(user2.address))
+        .to.emit(strategyVault, "CuratorUpdated")
+        .withArgs(user2.address);
+
+      await strategyVault.connect(user2).setTargetWeight(await dummyStrategy.getAddress(), 5000);
+      await strategyVault.connect(user2).rebalance();
+
+      await expect(
+        strategyVault.connect(user2).setCurator(user1.address)
+      ).to.be.revertedWithCustomError(strategyVault, "OwnableUnauthorizedAccount");
+      await expect(
+        strategyVault.connect(user1).setTargetWeight(await dummyStrategy.getAddress(), 1000)
+      ).to.be.revertedWith("Only owner or curator");
+    });
+
+    it("Should allocate pooled funds to hit target weights", async function () {
+      await strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 6000);
+      await strategyVault.setTargetWeight(await secondStrategy.getAddress(), 3000);
+      expect(await strategyVault.needsRebalance()).to.be.true;
+
+      await expect(strategyVault.rebalance())
+        .to.emit(strategyVault, "AllocatedToStrategy")
+        .withArgs(await dummyStrategy.getAddress(), ethers.parseEther("600"))
+        .and.to.emit(strategyVault, "AllocatedToStrategy")
+        .withArgs(await secondStrategy.getAddress(), ethers.parseEther("300"));
+
+      expect(await vaultBTC.balanceOf(await strategyVault.getAddress())).to.equal(ethers.parseEther("100"));
+      expect(await strategyVault.needsRebalance()).to.be.false;
+    });
+
+    it("Should move funds from overweight to underweight strategies", async function () {
+      await strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 8000);
+      await strategyVault.rebalance();
+
+      await strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 2000);
+      await strategyVault.setTargetWeight(await secondStrategy.getAddress(), 6000);
+
+      await expect(strategyVault.rebalance())
+        .to.emit(strategyVault, "DeallocatedFromStrategy")
+        .and.to.emit(strategyVault, "AllocatedToStrategy")
+        .and.to.emit(strategyVault, "Rebalanced");
+
+      const total = await strategyVault.totalAssets();
+      const first = await dummyStrategy.balanceOf(await strategyVault.getAddress());
+      const second = await secondStrategy.balanceOf(await strategyVault.getAddress());
+      expect(first).to.be.closeTo((total * 2000n) / 10000n, ethers.parseEther("1"));
+      expect(second).to.be.closeTo((total * 6000n) / 10000n, ethers.parseEther("1"));
+    });
+
+    it("Should leave strategies within drift tolerance untouched", async function () {
+      await strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 5000);
+      await strategyVault.rebalance();
+
+      // Yield pushes the strategy slightly over target, but within 1%
+      await strategyVault.setDriftTolerance(100);
+      await increaseTime(30 * 24 * 60 * 60);
+      expect(await strategyVault.needsRebalance()).to.be.false;
+
+      await expect(strategyVault.rebalance()).to.not.emit(strategyVault, "DeallocatedFromStrategy");
+    });
+
+    it("Should reject drift tolerance above 100%", async function () {
+      await expect(strategyVault.setDriftTolerance(10001)).to.be.revertedWith("Tolerance exceeds 100%");
+    });
+
+    it("Should count and claim withdrawals queued while a strategy lacks liquidity", async function () {
+      const strategyAddress = await dummyStrategy.getAddress();
+      await strategyVault.setTargetWeight(strategyAddress, 10000);
+      await strategyVault.rebalance();
+      const totalBefore = await strategyVault.totalAssets();
+
+      // Draining the strategy without liquidity queues the vault's position instead
+      await dummyStrategy.setLiquidityLimit(0);
+      await strategyVault.setTargetWeight(strategyAddress, 0);
+      await strategyVault.rebalance();
+      expect(await dummyStrategy.pendingWithdrawal(await strategyVault.getAddress())).to.be.gte(totalBefore);
+      expect(await strategyVault.totalAssets()).to.be.gte(totalBefore);
+
+      await dummyStrategy.setLiquidityLimit(ethers.MaxUint256);
+      const totalReleased = await strategyVault.totalAssets();
+      await expect(strategyVault.connect(user2).claimQueuedWithdrawals())
+        .to.emit(strategyVault, "QueuedWithdrawalsClaimed")
+        .withArgs(totalReleased);
+
+      expect(await vaultBTC.balanceOf(await strategyVault.getAddress())).to.equal(totalReleased);
+      expect(await strategyVault.totalAssets()).to.equal(totalReleased);
+      expect(await dummyStrategy.claimableWithdrawal(await strategyVault.getAddress())).to.equal(0);
+    });
+
+    it("Should drain strategies that are winding down", async function () {
+      await strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 5000);
+      await strategyVault.rebalance();
+
+      await strategyManager.startWindDown(await dummyStrategy.getAddress());
+      expect(await strategyVault.needsRebalance()).to.be.true;
+
+      await strategyVault.rebalance();
+
+      expect(await dummyStrategy.balanceOf(await strategyVault.getAddress())).to.equal(0);
+      await expect(
+        strategyVault.setTargetWeight(await dummyStrategy.getAddress(), 1000)
+      ).to.be.revertedWith("Strategy winding down");
+    });
+  });
+});
@@ -45,11 +45,11 @@ describe("VaultBTC", function () {
       expect(await vaultBTC.totalSupply()).to.equal(mintAmount);
     });
 
-    it("Should revert when non-owner tries to mint", async function () {
+    it("Should revert when non-minter tries to mint", async function () {
       const mintAmount = ethers.parseEther("100");
       await expect(
         vaultBTC.connect(user1).mint(user2.address, mintAmount)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
     });
 
     it("Should emit Transfer event on mint", async function () {
@@ -88,11 +88,11 @@ describe("VaultBTC", function () {
       expect(await vaultBTC.balanceOf(user1.address)).to.equal(initialBalance - burnAmount);
     });
 
-    it("Should revert when non-owner tries to burn", async function () {
+    it("Should revert when non-burner tries to burn", async function () {
       const burnAmount = ethers.parseEther("100");
       await expect(
         vaultBTC.connect(user1).burn(user1.address, burnAmount)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
     });
 
     it("Should emit Transfer event on burn", async function () {
@@ -180,17 +180,17 @@ describe("VaultBTC", function () {
       expect(await vaultBTC.paused()).to.be.false;
     });
 
-    it("Should revert when non-owner tries to pause", async function () {
+    it("Should revert when non-guardian tries to pause", async function () {
       await expect(
         vaultBTC.connect(user1).pause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should revert when non-owner tries to unpause", async function () {
+    it("Should revert when non-admin tries to unpause", async function () {
       await vaultBTC.connect(owner).pause();
       await expect(
         vaultBTC.connect(user1).unpause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent minting when paused", async function () {
@@ -213,4 +213,72 @@ describe("VaultBTC", function () {
       expect(await vaultBTC.balanceOf(user2.address)).to.equal(ethers.parseEther("100"));
     });
   });
+
+  describe("Permit", function () {
+    it("Should set an allowance from an EIP-2612 signature", async function () {
+      const amount = ethers.parseEther("5");
+      const { chainId } = await ethers.provider.getNetwork();
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const deadline = timestamp + 60 * 60;
+
+      const signature = await user1.signTypedData(
+        { name: "Vault Bitcoin", version: "1", chainId, verifyingContract: await vaultBTC.getAddress() },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { owner: user1.address, spender: user2.address, value: amount, nonce: 0, deadline }
+      );
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      await vaultBTC.connect(user2).permit(user1.address, user2.address, amount, deadline, v, r, s);
+      expect(await vaultBTC.allowance(user1.address, user2.address)).to.equal(amount);
+      expect(await vaultBTC.nonces(user1.address)).to.equal(1);
+
+      await expect(
+        vaultBTC.connect(user2).permit(user1.address, user2.address, amount, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(vaultBTC, "ERC2612InvalidSigner");
+    });
+  });
+
+  describe("Roles", function () {
+    it("Should grant the deployer every role", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "BURNER_ROLE", "GUARDIAN_ROLE"]) {
+        expect(await vaultBTC.hasRole(await vaultBTC[role](), owner.address)).to.be.true;
+      }
+    });
+
+    it("Should keep minting and burning on separate roles", async function () {
+      await vaultBTC.grantRole(await vaultBTC.MINTER_ROLE(), user1.address);
+
+      await vaultBTC.connect(user1).mint(user1.address, ethers.parseEther("10"));
+      expect(await vaultBTC.balanceOf(user1.address)).to.equal(ethers.parseEther("10"));
+      await expect(
+        vaultBTC.connect(user1).burn(user1.address, ethers.parseEther("10"))
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let a burner burn its own tokens", async function () {
+      await vaultBTC.mint(user2.address, ethers.parseEther("10"));
+      await vaultBTC.grantRole(await vaultBTC.BURNER_ROLE(), user2.address);
+
+      await vaultBTC.connect(user2).burn(user2.address, ethers.parseEther("4"));
+      expect(await vaultBTC.balanceOf(user2.address)).to.equal(ethers.parseEther("6"));
+    });
+
+    it("Should let the guardian pause but not unpause", async function () {
+      await vaultBTC.grantRole(await vaultBTC.GUARDIAN_ROLE(), user1.address);
+
+      await vaultBTC.connect(user1).pause();
+      expect(await vaultBTC.paused()).to.be.true;
+      await expect(
+        vaultBTC.connect(user1).unpause()
+      ).to.be.revertedWithCustomError(vaultBTC, "AccessControlUnauthorizedAccount");
+    });
+  });
 });
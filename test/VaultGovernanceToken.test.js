@@ -0,0 +1,72 @@
+/**
+ * Test Suite for VaultGovernanceToken
+ *
+ * Tests the fixed supply, delegation and timestamp-based vote checkpoints
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("VaultGovernanceToken", function () {
+  const SUPPLY = ethers.parseEther("1000000");
+
+  let govToken;
+  let owner, user1, user2;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const VaultGovernanceToken = await ethers.getContractFactory("VaultGovernanceToken");
+    govToken = await VaultGovernanceToken.deploy(owner.address, SUPPLY);
+    await govToken.waitForDeployment();
+  });
+
+  describe("Deployment", function () {
+    it("Should set the correct name and symbol", async function () {
+      expect(await govToken.name()).to.equal("VaultBTC Governance");
+      expect(await govToken.symbol()).to.equal("vGOV");
+    });
+
+    it("Should mint the full supply to the initial holder", async function () {
+      expect(await govToken.totalSupply()).to.equal(SUPPLY);
+      expect(await govToken.balanceOf(owner.address)).to.equal(SUPPLY);
+    });
+
+    it("Should use a timestamp clock", async function () {
+      expect(await govToken.CLOCK_MODE()).to.equal("mode=timestamp");
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(await govToken.clock()).to.equal(timestamp);
+    });
+  });
+
+  describe("Delegation", function () {
+    it("Should give no votes until delegated", async function () {
+      expect(await govToken.getVotes(owner.address)).to.equal(0);
+
+      await govToken.delegate(owner.address);
+      expect(await govToken.getVotes(owner.address)).to.equal(SUPPLY);
+    });
+
+    it("Should move votes with delegation and transfers", async function () {
+      await govToken.delegate(user1.address);
+      expect(await govToken.getVotes(user1.address)).to.equal(SUPPLY);
+
+      await govToken.connect(user2).delegate(user2.address);
+      await govToken.transfer(user2.address, ethers.parseEther("100"));
+
+      expect(await govToken.getVotes(user1.address)).to.equal(SUPPLY - ethers.parseEther("100"));
+      expect(await govToken.getVotes(user2.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should record past votes by timestamp", async function () {
+      await govToken.delegate(owner.address);
+      const { timestamp: delegatedAt } = await ethers.provider.getBlock("latest");
+
+      await govToken.transfer(user1.address, ethers.parseEther("100"));
+      await ethers.provider.send("evm_mine", []);
+
+      expect(await govToken.getPastVotes(owner.address, delegatedAt)).to.equal(SUPPLY);
+      expect(await govToken.getPastVotes(owner.address, delegatedAt - 1)).to.equal(0);
+    });
+  });
+});